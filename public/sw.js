@@ -3,6 +3,8 @@ const APP_VERSION = 'v1';
 const SHELL_CACHE = `lp-shell-${APP_VERSION}`;
 const THUMBS_CACHE = `lp-thumbs-${APP_VERSION}`;
 const API_CACHE = `lp-api-${APP_VERSION}`;
+// Files received through the Web Share Target, until the app picks them up
+const SHARED_CACHE = 'lp-shared-files';
 
 const APP_SHELL = [
   '/',
@@ -27,7 +29,7 @@ self.addEventListener('install', (event) => {
 
 self.addEventListener('activate', (event) => {
   event.waitUntil((async () => {
-    const keep = new Set([SHELL_CACHE, THUMBS_CACHE, API_CACHE]);
+    const keep = new Set([SHELL_CACHE, THUMBS_CACHE, API_CACHE, SHARED_CACHE]);
     const keys = await caches.keys();
     await Promise.all(keys.map((k) => keep.has(k) ? null : caches.delete(k)));
     await self.clients.claim();
@@ -101,12 +103,31 @@ async function trimCache(cacheName, maxEntries) {
   }
 }
 
+// "Share to Liquid Photos": stash the files and open the app, which uploads them
+async function receiveSharedFiles(request) {
+  const form = await request.formData();
+  const files = form.getAll('media').filter((f) => f && typeof f !== 'string');
+  const cache = await caches.open(SHARED_CACHE);
+  await Promise.all(files.map((file, i) => cache.put(`/shared-files/${Date.now()}-${i}`, new Response(file, {
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+      'X-Last-Modified': String(file.lastModified || Date.now())
+    }
+  }))));
+  return Response.redirect('/?shared=1', 303);
+}
+
 self.addEventListener('fetch', (event) => {
   const { request } = event;
-  if (request.method !== 'GET') return;
-
   const url = new URL(request.url);
 
+  if (request.method === 'POST' && isSameOrigin(url) && url.pathname === '/share-target') {
+    event.respondWith(receiveSharedFiles(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
   // Do not interfere with HLS/video streaming or non-HTTP
   if (!/^https?:/.test(url.protocol) || isHls(url)) return;
 
@@ -6,6 +6,8 @@ import fs from 'node:fs'
 import fsp from 'node:fs/promises'
 import crypto from 'node:crypto'
 import { spawn } from 'node:child_process'
+import { Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
 import fg from 'fast-glob'
 import chokidar from 'chokidar'
 import Database from 'better-sqlite3'
@@ -13,6 +15,7 @@ import sharp from 'sharp'
 import mime from 'mime-types'
 import archiver from 'archiver'
 import exifr from 'exifr'
+import QRCode from 'qrcode'
 
 /* ---------- config ---------- */
 const ROOT = process.cwd()
@@ -29,6 +32,18 @@ const HLS_DIR = path.join(CACHE_DIR, 'hls')
 const THUMB_WIDTH = Number(process.env.THUMB_WIDTH || 512)
 const VIEW_WIDTH = Number(process.env.VIEW_WIDTH || 1920)
 const DB_CACHE_SIZE_MB = Number(process.env.DB_CACHE_SIZE_MB || 256)
+const GUEST_UPLOAD_MAX_MB = Number(process.env.GUEST_UPLOAD_MAX_MB || 500)
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 4096)
+const UPLOAD_CHUNK_MB = Number(process.env.UPLOAD_CHUNK_MB || 8)
+const UPLOADS_DIR = path.join(CACHE_DIR, 'uploads')
+// Deleted media is moved here, outside the scanned tree, until restored or purged
+const TRASH_DIR = path.join(CACHE_DIR, 'trash')
+// Derivative job workers: sharp/ffmpeg image jobs and (much heavier) HLS encodes run in separate pools
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 2))
+const JOB_HLS_CONCURRENCY = Math.max(1, Number(process.env.JOB_HLS_CONCURRENCY || 1))
+const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 4))
+// How long an HLS playlist request waits for its encode to start producing output
+const HLS_WAIT_MS = Number(process.env.HLS_WAIT_MS || 30000)
 
 /* ---- watcher controls (disabled by default to avoid ENOSPC) ---- */
 const WATCH_ENABLED = (process.env.WATCH_ENABLED ?? '0') !== '0'
@@ -45,10 +60,11 @@ fs.mkdirSync(VIEWS_DIR, { recursive: true })
 fs.mkdirSync(RAW_PREVIEWS_DIR, { recursive: true })
 fs.mkdirSync(MEDIA_PREVIEWS_DIR, { recursive: true })
 fs.mkdirSync(HLS_DIR, { recursive: true })
+fs.mkdirSync(UPLOADS_DIR, { recursive: true })
+fs.mkdirSync(TRASH_DIR, { recursive: true })
 
 /* ---------- helpers ---------- */
 const toPosix = (p) => p.split(path.sep).join('/')
-const rel = (abs) => toPosix(path.relative(PHOTOS_ROOT, abs))
 const hashPath = (p) => crypto.createHash('sha1').update(p).digest('hex')
 const nowMs = () => Date.now()
 
@@ -74,6 +90,51 @@ function verifyPassword(password, stored) {
   } catch { return false }
 }
 
+/* ---------- TOTP (RFC 6238: SHA-1, 6 digits, 30 s steps) ---------- */
+const TOTP_STEP_MS = 30 * 1000
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = ''
+  for (const byte of buf) {
+    value = ((value << 8) | byte) & 0xffff
+    bits += 8
+    while (bits >= 5) { out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]; bits -= 5 }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return out
+}
+function base32Decode(str) {
+  let bits = 0, value = 0
+  const out = []
+  for (const ch of String(str).toUpperCase().replace(/[\s=]/g, '')) {
+    const i = BASE32_ALPHABET.indexOf(ch)
+    if (i < 0) continue
+    value = ((value << 5) | i) & 0xffff
+    bits += 5
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 255); bits -= 8 }
+  }
+  return Buffer.from(out)
+}
+function totpCode(secret, step) {
+  const msg = Buffer.alloc(8)
+  msg.writeBigUInt64BE(BigInt(step))
+  const h = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest()
+  const offset = h[h.length - 1] & 15
+  return String((h.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0')
+}
+// Time step a code is valid for, allowing one step of clock drift either way, or null.
+// Steps up to lastStep were used already and are refused (no replays)
+function totpStep(secret, code, lastStep = 0) {
+  const given = Buffer.from(String(code || '').replace(/\s/g, ''))
+  if (given.length !== 6) return null
+  const now = Math.floor(Date.now() / TOTP_STEP_MS)
+  for (const step of [now, now - 1, now + 1]) {
+    if (step > lastStep && crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), given)) return step
+  }
+  return null
+}
+
 /* ---------- db ---------- */
 const db = new Database(DB_PATH)
 db.pragma('journal_mode = WAL')
@@ -177,6 +238,206 @@ CREATE INDEX IF NOT EXISTS idx_fav_user ON favorites(user_id);
 CREATE INDEX IF NOT EXISTS idx_fav_image ON favorites(image_id);
 `)
 
+/* albums schema */
+db.exec(`
+CREATE TABLE IF NOT EXISTS albums (
+  id INTEGER PRIMARY KEY,
+  user_id    INTEGER NOT NULL,
+  name       TEXT NOT NULL,
+  cover_id   INTEGER,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY(cover_id) REFERENCES images(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_albums_user ON albums(user_id);
+
+CREATE TABLE IF NOT EXISTS album_items (
+  album_id  INTEGER NOT NULL,
+  image_id  INTEGER NOT NULL,
+  position  INTEGER NOT NULL,
+  added_at  INTEGER NOT NULL,
+  PRIMARY KEY (album_id, image_id),
+  FOREIGN KEY(album_id) REFERENCES albums(id) ON DELETE CASCADE,
+  FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_album_items_album ON album_items(album_id, position);
+CREATE INDEX IF NOT EXISTS idx_album_items_image ON album_items(image_id);
+`)
+
+/* share access log schema */
+db.exec(`
+CREATE TABLE IF NOT EXISTS share_events (
+  id INTEGER PRIMARY KEY,
+  share_id   INTEGER NOT NULL,
+  kind       TEXT NOT NULL,
+  image_id   INTEGER,
+  ip_hash    TEXT,
+  user_agent TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(share_id) REFERENCES shares(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_share_events_share ON share_events(share_id, created_at);
+`)
+
+/* guest uploads (drop box shares) awaiting moderation */
+db.exec(`
+CREATE TABLE IF NOT EXISTS share_uploads (
+  id INTEGER PRIMARY KEY,
+  share_id    INTEGER NOT NULL,
+  image_id    INTEGER NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'pending',
+  uploader    TEXT,
+  ip_hash     TEXT,
+  created_at  INTEGER NOT NULL,
+  reviewed_at INTEGER,
+  FOREIGN KEY(share_id) REFERENCES shares(id) ON DELETE CASCADE,
+  FOREIGN KEY(image_id) REFERENCES images(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_share_uploads_share ON share_uploads(share_id, status);
+CREATE INDEX IF NOT EXISTS idx_share_uploads_image ON share_uploads(image_id, status);
+`)
+
+/* resumable uploads in progress; the partial file lives in UPLOADS_DIR/<id>.part */
+db.exec(`
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id         TEXT PRIMARY KEY,
+  user_id    INTEGER NOT NULL,
+  folder     TEXT NOT NULL,
+  fname      TEXT NOT NULL,
+  size       INTEGER NOT NULL,
+  received   INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id);
+`)
+
+/* folders created from the UI; listed in the tree before they hold any media */
+db.exec(`
+CREATE TABLE IF NOT EXISTS folders (
+  path       TEXT PRIMARY KEY,
+  created_at INTEGER NOT NULL
+);
+`)
+
+/* duplicate review: items a user marked as "not a duplicate" */
+db.exec(`
+CREATE TABLE IF NOT EXISTS duplicate_excludes (
+  user_id    INTEGER NOT NULL,
+  image_id   INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (user_id, image_id)
+);
+`)
+
+/* derivative jobs (thumbs, web views, HLS); a row lives until its output exists or it gives up */
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind       TEXT NOT NULL,              -- 'thumb' | 'view' | 'hls'
+  key        TEXT NOT NULL UNIQUE,       -- kind + path (+ height): one job per output
+  path       TEXT NOT NULL,              -- library-relative (see libraries.mount)
+  height     INTEGER,                    -- HLS rendition
+  priority   INTEGER NOT NULL DEFAULT 0,
+  status     TEXT NOT NULL DEFAULT 'queued', -- 'queued' | 'running' | 'failed'
+  attempts   INTEGER NOT NULL DEFAULT 0,
+  run_after  INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_pick ON jobs(status, priority DESC, updated_at DESC);
+`)
+
+/* scan schedules (cron-like, server local time) and per-folder include/exclude globs */
+db.exec(`
+CREATE TABLE IF NOT EXISTS scan_schedules (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  path        TEXT NOT NULL DEFAULT '',   -- folder to scan, '' = full rescan
+  cron        TEXT NOT NULL,              -- 'm h dom mon dow' or @hourly/@daily/@weekly/@monthly
+  warm        INTEGER NOT NULL DEFAULT 0, -- pre-generate previews for changed files afterwards
+  enabled     INTEGER NOT NULL DEFAULT 1,
+  last_run_at INTEGER,
+  last_status TEXT,
+  created_at  INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS scan_rules (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  folder     TEXT NOT NULL DEFAULT '',    -- rule applies below this folder, '' = whole library
+  kind       TEXT NOT NULL,               -- 'include' | 'exclude'
+  pattern    TEXT NOT NULL,               -- glob relative to folder; without '/' it matches any name
+  created_at INTEGER NOT NULL
+);
+`)
+
+/* library roots: PHOTOS_PATH is library 1 at the top of the folder tree; every other root
+   appears under its own top-level folder (mount), so image paths stay unique across roots */
+db.exec(`
+CREATE TABLE IF NOT EXISTS libraries (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       TEXT NOT NULL,
+  path       TEXT NOT NULL,              -- absolute directory on the server
+  mount      TEXT NOT NULL UNIQUE,       -- top-level folder name; '' only for library 1
+  read_only  INTEGER NOT NULL DEFAULT 0, -- no moves, renames, trash or uploads
+  watch      INTEGER,                    -- live file watching; NULL = follow WATCH_ENABLED
+  created_at INTEGER NOT NULL
+);
+-- users with no rows here see every library (within their root_path)
+CREATE TABLE IF NOT EXISTS user_libraries (
+  user_id    INTEGER NOT NULL,
+  library_id INTEGER NOT NULL,
+  PRIMARY KEY (user_id, library_id)
+);
+`)
+
+/* folder grants: groups of users, and allowed/denied folders for a user or a group */
+db.exec(`
+CREATE TABLE IF NOT EXISTS groups (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       TEXT NOT NULL UNIQUE,
+  created_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id   INTEGER NOT NULL,
+  user_id    INTEGER NOT NULL,
+  PRIMARY KEY (group_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+-- exactly one of user_id / group_id is set; path '' (allow only) is the whole library
+CREATE TABLE IF NOT EXISTS path_grants (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id    INTEGER,
+  group_id   INTEGER,
+  path       TEXT NOT NULL,
+  deny       INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_path_grants_user ON path_grants(user_id);
+CREATE INDEX IF NOT EXISTS idx_path_grants_group ON path_grants(group_id);
+`)
+
+/* two-factor recovery codes: single use, only their SHA-256 is stored */
+db.exec(`
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id    INTEGER NOT NULL,
+  code_hash  TEXT NOT NULL,
+  used_at    INTEGER,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+`)
+
+/* settings schema (key/value, server-wide) */
+db.exec(`
+CREATE TABLE IF NOT EXISTS settings (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+`)
+
 /* ---------- tiny migrations for old DBs ---------- */
 function getCols(table) {
   return db.prepare(`PRAGMA table_info(${table})`).all().map(r => r.name)
@@ -191,26 +452,199 @@ function ensureColumn(table, specSql, colName, indexSql = null) {
 ensureColumn('sessions', 'token TEXT', 'token', 'CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token)')
 ensureColumn('sessions', 'created_at INTEGER NOT NULL DEFAULT 0', 'created_at')
 ensureColumn('sessions', 'expires_at INTEGER NOT NULL DEFAULT 0', 'expires_at')
+// Where a session signs in from, for the sessions list; last_seen_at drives the sliding expiry
+ensureColumn('sessions', 'last_seen_at INTEGER NOT NULL DEFAULT 0', 'last_seen_at')
+ensureColumn('sessions', 'user_agent TEXT', 'user_agent')
+ensureColumn('sessions', 'ip TEXT', 'ip')
 ensureColumn('users', 'is_admin INTEGER NOT NULL DEFAULT 0', 'is_admin')
 ensureColumn('users', 'root_path TEXT', 'root_path')
+// Non-admins may only move media to the trash when granted by an admin
+ensureColumn('users', 'can_delete INTEGER NOT NULL DEFAULT 0', 'can_delete')
+// Further capabilities; sharing, originals and uploads stay on for existing users
+ensureColumn('users', 'can_share INTEGER NOT NULL DEFAULT 1', 'can_share')
+ensureColumn('users', 'can_download_originals INTEGER NOT NULL DEFAULT 1', 'can_download_originals')
+ensureColumn('users', 'can_upload INTEGER NOT NULL DEFAULT 1', 'can_upload')
+ensureColumn('users', 'can_scan INTEGER NOT NULL DEFAULT 0', 'can_scan')
+ensureColumn('users', 'can_manage_users INTEGER NOT NULL DEFAULT 0', 'can_manage_users')
+// Disabled accounts keep their data but cannot sign in
+ensureColumn('users', 'disabled INTEGER NOT NULL DEFAULT 0', 'disabled')
+// TOTP: the secret is stored while enrolling and only used for sign-in once totp_enabled is set;
+// totp_last_step blocks reusing a code
+ensureColumn('users', 'totp_secret TEXT', 'totp_secret')
+ensureColumn('users', 'totp_enabled INTEGER NOT NULL DEFAULT 0', 'totp_enabled')
+ensureColumn('users', 'totp_last_step INTEGER NOT NULL DEFAULT 0', 'totp_last_step')
+// Album shares reference the album directly (folder holds an `album:<id>` marker)
+ensureColumn('shares', 'album_id INTEGER', 'album_id', 'CREATE INDEX IF NOT EXISTS idx_shares_album ON shares(album_id)')
+// Share access controls: optional expiry (ms) and password; permission is view | download | originals
+ensureColumn('shares', 'expires_at INTEGER', 'expires_at')
+ensureColumn('shares', 'pass_hash TEXT', 'pass_hash')
+ensureColumn('shares', 'permission TEXT NOT NULL DEFAULT "originals"', 'permission')
+// Drop box shares: guests may upload into <folder>/<upload_folder>
+ensureColumn('shares', 'allow_upload INTEGER NOT NULL DEFAULT 0', 'allow_upload')
+ensureColumn('shares', 'upload_folder TEXT', 'upload_folder')
 
 // Extend images with kind (image|video) and duration (ms)
 ensureColumn('images', 'kind TEXT NOT NULL DEFAULT "image"', 'kind')
 ensureColumn('images', 'duration INTEGER NOT NULL DEFAULT 0', 'duration')
+// Capture date (ms, camera wall-clock stored as UTC) from EXIF / container tags; NULL when unknown
+ensureColumn('images', 'taken_at INTEGER', 'taken_at', 'CREATE INDEX IF NOT EXISTS idx_images_folder_taken ON images(folder, taken_at DESC)')
+// GPS position (decimal degrees, WGS84) from EXIF / container tags; NULL when not geotagged
+ensureColumn('images', 'lat REAL', 'lat')
+ensureColumn('images', 'lon REAL', 'lon', 'CREATE INDEX IF NOT EXISTS idx_images_geo ON images(lat, lon)')
+// Camera metadata for search operators (camera:, lens:, iso:)
+ensureColumn('images', 'camera TEXT', 'camera')
+ensureColumn('images', 'lens TEXT', 'lens')
+ensureColumn('images', 'iso INTEGER', 'iso', 'CREATE INDEX IF NOT EXISTS idx_images_iso ON images(iso)')
+// Content hash (hex sha256), filled lazily for upload dedupe; cleared when size or mtime change
+ensureColumn('images', 'sha256 TEXT', 'sha256', 'CREATE INDEX IF NOT EXISTS idx_images_size_sha ON images(size, sha256)')
+// Trash: deleted rows stay (keeping favorites/albums for a restore) with the file moved to TRASH_DIR/<trash_path>
+ensureColumn('images', 'deleted_at INTEGER', 'deleted_at', 'CREATE INDEX IF NOT EXISTS idx_images_deleted ON images(deleted_at)')
+ensureColumn('images', 'deleted_by INTEGER', 'deleted_by')
+ensureColumn('images', 'trash_path TEXT', 'trash_path')
+// "size:sha1(head+tail)", so a file moved or renamed outside the app keeps its row (and id) on the next scan
+ensureColumn('images', 'fingerprint TEXT', 'fingerprint', 'CREATE INDEX IF NOT EXISTS idx_images_fingerprint ON images(fingerprint)')
+// 64-bit difference hash of the thumbnail (16 hex chars) for near-duplicate detection
+ensureColumn('images', 'phash TEXT', 'phash')
+ensureColumn('images', 'library_id INTEGER NOT NULL DEFAULT 1', 'library_id', 'CREATE INDEX IF NOT EXISTS idx_images_library ON images(library_id, folder)')
+// Scan rules may target one library (folder relative to its root); NULL = every library
+ensureColumn('scan_rules', 'library_id INTEGER', 'library_id')
+
+/* ---------- library roots ---------- */
+db.prepare(`INSERT INTO libraries(id, name, path, mount, created_at) VALUES(1, ?, ?, '', ?)
+  ON CONFLICT(id) DO UPDATE SET path = excluded.path`).run(path.basename(PHOTOS_ROOT) || 'Photos', path.resolve(PHOTOS_ROOT), nowMs())
+
+// Extra roots first, so a path under a mount never falls through to library 1
+let libraries = []
+function loadLibraries() {
+  libraries = db.prepare('SELECT * FROM libraries ORDER BY mount DESC').all()
+    .map(l => ({ ...l, read_only: !!l.read_only, watch: l.watch === null ? WATCH_ENABLED : !!l.watch }))
+}
+loadLibraries()
+
+const libraryById = (id) => libraries.find(l => l.id === Number(id)) || null
+// Library holding a library-relative path ('mount/...' for extra roots)
+function libraryFor(relPath) {
+  const first = String(relPath || '').split('/')[0]
+  return libraries.find(l => l.mount && l.mount === first) || libraryById(1)
+}
+// Absolute file path for a library-relative path; parts are joined like path.join
+function diskPath(...parts) {
+  const r = path.posix.join(...parts.map(p => String(p || '')))
+  const lib = libraryFor(r)
+  return path.join(lib.path, lib.mount ? r.slice(lib.mount.length + 1) : r)
+}
+// Library-relative path for an absolute one ('' for a library root, '..' outside every library)
+function rel(abs) {
+  for (const lib of libraries) {
+    const r = path.relative(lib.path, abs)
+    if (r === '' || (!r.startsWith('..') && !path.isAbsolute(r))) {
+      const p = toPosix(r)
+      return lib.mount ? (p ? `${lib.mount}/${p}` : lib.mount) : p
+    }
+  }
+  return toPosix(path.relative(PHOTOS_ROOT, abs))
+}
+
+/* ---------- live events (SSE) ---------- */
+// Open /api/events streams as { res, user, token, sessionId, ping }; events are JSON and filtered per user
+const eventClients = new Set()
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+function closeEventClients(match) {
+  for (const c of eventClients) {
+    if (!match(c)) continue
+    eventClients.delete(c)
+    clearInterval(c.ping)
+    try { c.res.end() } catch {}
+  }
+}
+// Reload the stream's user from its session, so revoked sessions, disabled accounts and changed
+// grants take effect; false (and the stream closed) when the session is no longer good
+function refreshEventClient(client) {
+  const row = getSession.get(client.token)
+  const user = row && row.expires_at >= nowMs() ? sessionUser(row) : null
+  if (!user || user.totp_setup_required) {
+    closeEventClients(c => c === client)
+    return false
+  }
+  client.user = user
+  return true
+}
+function publishEvent(type, data, visible = () => true) {
+  for (const c of eventClients) {
+    if (!refreshEventClient(c) || !visible(c.user)) continue
+    try { sendEvent(c.res, type, data) } catch {}
+  }
+}
 
 /* ---------- indexer ---------- */
 let currentIndexJob = { token: 0, cancel: false, running: false }
 function beginIndexJob() {
   if (currentIndexJob.running) return null
-  currentIndexJob = { token: Date.now(), cancel: false, running: true }
+  // changed: paths that were new or modified in this run (candidates for warm-up)
+  currentIndexJob = { token: Date.now(), cancel: false, running: true, changed: [], phase: null, progress: null }
+  publishIndexStatus(true)
   return currentIndexJob
 }
 function endIndexJob(job) {
   if (job && currentIndexJob.token === job.token) currentIndexJob.running = false
+  publishIndexStatus(true)
+}
+
+// Phases ('scan' | 'hash' | 'warm') report done/total, the current file and errors to /api/index/status
+function startIndexPhase(job, phase, total) {
+  if (!job) return
+  job.phase = phase
+  job.progress = { done: 0, total, errors: 0, current: null, started_at: nowMs(), recent_errors: [] }
+  publishIndexStatus(true)
+}
+function stepIndexPhase(job, current, err) {
+  const p = job?.progress
+  if (!p) return
+  p.done++
+  p.current = current
+  if (err) noteIndexError(job, current, err)
+  publishIndexStatus()
+}
+function noteIndexError(job, current, err) {
+  const p = job?.progress
+  if (!p) return
+  p.errors++
+  p.recent_errors = [{ path: current, error: String(err.message || err) }, ...p.recent_errors].slice(0, 20)
+}
+function indexProgressJson(job) {
+  const p = job.progress
+  if (!p) return null
+  const elapsed = nowMs() - p.started_at
+  const eta_ms = p.done > 0 && p.done < p.total ? Math.round(elapsed / p.done * (p.total - p.done)) : null
+  const folder = p.current ? toPosix(path.dirname(p.current)) : null
+  return { phase: job.phase, done: p.done, total: p.total, errors: p.errors, current: p.current, folder, eta_ms, recent_errors: p.recent_errors }
+}
+function indexStatusJson() {
+  return {
+    running: currentIndexJob.running,
+    canceled: currentIndexJob.cancel,
+    token: currentIndexJob.token,
+    progress: indexProgressJson(currentIndexJob),
+    result: currentIndexJob.result || null
+  }
+}
+
+// Progress goes to admins at most every INDEX_EVENT_MS; phase changes and start/end go out at once
+const INDEX_EVENT_MS = 250
+let lastIndexEventAt = 0
+function publishIndexStatus(force = false) {
+  if (!eventClients.size) return
+  const now = nowMs()
+  if (!force && now - lastIndexEventAt < INDEX_EVENT_MS) return
+  lastIndexEventAt = now
+  publishEvent('index', indexStatusJson(), u => u.can_scan)
 }
 
-const insertStmt = db.prepare(`INSERT INTO images(path, fname, folder, ctime, mtime, size, kind, duration)
-  VALUES(?,?,?,?,?,?,?,?)
+// Named parameters: { path, fname, folder, ctime, mtime, size, fingerprint, library_id } plus the fields from probeIndexMeta()
+const insertStmt = db.prepare(`INSERT INTO images(path, fname, folder, ctime, mtime, size, kind, duration, taken_at, lat, lon, camera, lens, iso, fingerprint, library_id)
+  VALUES(@path, @fname, @folder, @ctime, @mtime, @size, @kind, @duration, @taken_at, @lat, @lon, @camera, @lens, @iso, @fingerprint, @library_id)
   ON CONFLICT(path) DO UPDATE SET
     fname=excluded.fname,
     folder=excluded.folder,
@@ -218,8 +652,70 @@ const insertStmt = db.prepare(`INSERT INTO images(path, fname, folder, ctime, mt
     mtime=excluded.mtime,
     size=excluded.size,
     kind=excluded.kind,
-    duration=excluded.duration`)
-const updateStmt = db.prepare(`UPDATE images SET ctime=?, mtime=?, size=? WHERE path=?`)
+    duration=excluded.duration,
+    taken_at=excluded.taken_at,
+    lat=excluded.lat,
+    lon=excluded.lon,
+    camera=excluded.camera,
+    lens=excluded.lens,
+    iso=excluded.iso,
+    fingerprint=excluded.fingerprint,
+    library_id=excluded.library_id,
+    sha256=CASE WHEN images.size = excluded.size AND images.mtime = excluded.mtime THEN images.sha256 ELSE NULL END,
+    phash=CASE WHEN images.size = excluded.size AND images.mtime = excluded.mtime THEN images.phash ELSE NULL END,
+    deleted_at=NULL,
+    deleted_by=NULL,
+    trash_path=NULL`)
+const updateStmt = db.prepare(`UPDATE images SET ctime=?, mtime=?, size=?, sha256=NULL, phash=NULL, fingerprint=NULL WHERE path=?`)
+const relocateImage = db.prepare('UPDATE images SET path = ?, fname = ?, folder = ?, library_id = ? WHERE id = ?')
+
+/* ---------- content fingerprints ---------- */
+const FINGERPRINT_CHUNK = 64 * 1024
+const knownFingerprint = db.prepare('SELECT size, mtime, fingerprint FROM images WHERE path = ?')
+
+// Size plus a hash of the first and last 64 KiB: cheap enough to take on every scan
+async function fileFingerprint(absPath, st) {
+  const known = knownFingerprint.get(rel(absPath))
+  if (known?.fingerprint && known.size === st.size && known.mtime === Math.floor(st.mtimeMs)) return known.fingerprint
+  let fh
+  try {
+    fh = await fsp.open(absPath, 'r')
+    const h = crypto.createHash('sha1')
+    const head = Buffer.alloc(Math.min(st.size, FINGERPRINT_CHUNK))
+    await fh.read(head, 0, head.length, 0)
+    h.update(head)
+    if (st.size > FINGERPRINT_CHUNK) {
+      const tail = Buffer.alloc(Math.min(st.size - FINGERPRINT_CHUNK, FINGERPRINT_CHUNK))
+      await fh.read(tail, 0, tail.length, st.size - tail.length)
+      h.update(tail)
+    }
+    return `${st.size}:${h.digest('hex')}`
+  } catch {
+    return null
+  } finally {
+    await fh?.close().catch(() => {})
+  }
+}
+
+const rowAtPath = db.prepare('SELECT 1 AS ok FROM images WHERE path = ?')
+const rowsByFingerprint = db.prepare('SELECT id, path FROM images WHERE fingerprint = ? AND path != ? AND deleted_at IS NULL')
+
+// Whether the root of the library holding relPath is there; on an unplugged disk every file
+// only looks gone (the same guard scanAndIndex() uses before pruning)
+function libraryRootReachable(relPath) {
+  try { return fs.statSync(libraryFor(relPath).path).isDirectory() } catch { return false }
+}
+
+// A new path whose content matches a row whose file is gone is that file, moved:
+// take over the old row so favorites, albums and share items keep pointing at it.
+// Runs inside the scan transaction, before the upsert; returns the old path when it moved one.
+function claimMovedRow(r, fname, folder, fingerprint) {
+  if (!fingerprint || rowAtPath.get(r)) return null
+  const old = rowsByFingerprint.all(fingerprint, r).find(o => libraryRootReachable(o.path) && !fs.existsSync(diskPath(o.path)))
+  if (!old) return null
+  relocateImage.run(r, fname, folder, libraryFor(r).id, old.id)
+  return old.path
+}
 
 const IMG_EXT = new Set([
   '.jpg','.jpeg','.png','.webp','.avif','.gif',
@@ -239,6 +735,12 @@ function isRawExt(filePath) {
   return RAW_EXT.has(ext)
 }
 
+// 'video', 'raw', 'heic' or 'image': files of one type are indexed and converted alike
+function mediaType(filePath) {
+  const ext = path.extname(filePath).toLowerCase()
+  return VIDEO_EXT.has(ext) ? 'video' : RAW_EXT.has(ext) ? 'raw' : HEIC_EXT.has(ext) ? 'heic' : 'image'
+}
+
 function isHeicExt(filePath) {
   const ext = path.extname(filePath).toLowerCase()
   return HEIC_EXT.has(ext)
@@ -381,129 +883,342 @@ async function ensureFfmpegImagePreview(absPath) {
   })
 }
 
-async function scanAndIndex(job = currentIndexJob) {
-  console.log('[index] scanning…')
-  const t0 = Date.now()
-  const entries = await fg(['**/*'], {
-    cwd: PHOTOS_ROOT, dot: false, onlyFiles: true,
-    unique: true, absolute: true, suppressErrors: true
-  })
-  let count = 0
-  const tx = db.transaction((batch) => { for (const b of batch) b() })
-  const ops = []
-  const scannedPaths = new Set()
+/**
+ * Normalize a capture date to ms since epoch. EXIF dates carry no timezone and exifr
+ * revives them as local time, so keep the camera's wall-clock and store it as UTC
+ * (the date tree and grid headers bucket by UTC). Returns null for missing/bogus values.
+ */
+function toTakenMs(value, wallClock = true) {
+  if (!value) return null
+  const d = value instanceof Date ? value : new Date(value)
+  const t = d.getTime()
+  if (!Number.isFinite(t)) return null
+  const ms = wallClock
+    ? Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds())
+    : t
+  // Cameras with unset clocks write 1970/1904 or zeroed dates
+  if (ms < Date.UTC(1971, 0, 1)) return null
+  return ms
+}
+
+/**
+ * Validate a latitude/longitude pair; returns { lat, lon } or nulls.
+ */
+function toGeo(lat, lon) {
+  const la = Number(lat), lo = Number(lon)
+  if (!Number.isFinite(la) || !Number.isFinite(lo)) return { lat: null, lon: null }
+  if (Math.abs(la) > 90 || Math.abs(lo) > 180) return { lat: null, lon: null }
+  // 0,0 is what many devices write when they had no fix
+  if (la === 0 && lo === 0) return { lat: null, lon: null }
+  return { lat: la, lon: lo }
+}
+
+/**
+ * Parse an ISO 6709 location string as written by phones into MP4/MOV
+ * containers (e.g. "+48.8566+002.3522+035.000/").
+ */
+function parseIso6709(value) {
+  const m = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/.exec(String(value || ''))
+  if (!m) return { lat: null, lon: null }
+  return toGeo(m[1], m[2])
+}
+
+/**
+ * "Make Model" without repeating the brand (e.g. "Canon" + "Canon EOS R5" -> "Canon EOS R5").
+ */
+function cameraName(make, model) {
+  const mk = String(make || '').trim()
+  const md = String(model || '').trim()
+  if (!md) return mk || null
+  if (!mk || md.toLowerCase().startsWith(mk.toLowerCase())) return md
+  return `${mk} ${md}`
+}
+
+/**
+ * Read index-time EXIF fields for an image: capture date (DateTimeOriginal, then CreateDate),
+ * GPS position and camera/lens/ISO.
+ */
+async function readImageExifIndex(absPath) {
+  try {
+    const tags = await exifr.parse(absPath, {
+      pick: [
+        'DateTimeOriginal', 'CreateDate', 'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef',
+        'Make', 'Model', 'LensModel', 'ISO'
+      ]
+    })
+    const iso = Number(Array.isArray(tags?.ISO) ? tags.ISO[0] : tags?.ISO)
+    return {
+      taken_at: toTakenMs(tags?.DateTimeOriginal) ?? toTakenMs(tags?.CreateDate),
+      ...toGeo(tags?.latitude, tags?.longitude),
+      camera: cameraName(tags?.Make, tags?.Model),
+      lens: tags?.LensModel ? String(tags.LensModel).trim() : null,
+      iso: Number.isFinite(iso) && iso > 0 ? Math.round(iso) : null
+    }
+  } catch {
+    return { taken_at: null, lat: null, lon: null, camera: null, lens: null, iso: null }
+  }
+}
+
+/**
+ * Collect per-file metadata stored at index time, keyed by `images` column:
+ * kind, duration (ms), taken_at, lat/lon and camera/lens/iso.
+ * Videos use a single ffprobe call for duration, `creation_time`, `location` and make/model.
+ */
+async function probeIndexMeta(absPath) {
+  if (isVideoExt(absPath)) {
+    const out = { kind: 'video', duration: 0, taken_at: null, lat: null, lon: null, camera: null, lens: null, iso: null }
+    try {
+      const meta = await probeVideoMeta(absPath)
+      out.duration = Math.floor(Number(meta?.duration || 0))
+      // creation_time is an ISO timestamp in UTC, so keep the instant as-is
+      out.taken_at = toTakenMs(meta?.creationTime, false)
+      Object.assign(out, parseIso6709(meta?.location))
+      out.camera = cameraName(meta?.make, meta?.model)
+    } catch {}
+    return out
+  }
+  return { kind: 'image', duration: 0, ...(await readImageExifIndex(absPath)) }
+}
+
+/* ---------- scan rules (per-folder include/exclude globs) ---------- */
+// Glob -> RegExp source: '**' spans folders, '*' and '?' stay within one name, {a,b} alternates
+function globSource(glob) {
+  let out = ''
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === '*' && glob[i + 1] === '*') {
+      i++
+      if (glob[i + 1] === '/') { i++; out += '(?:.*/)?' } else out += '.*'
+    } else if (c === '*') out += '[^/]*'
+    else if (c === '?') out += '[^/]'
+    else if (c === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i)
+      out += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`
+      i = end
+    } else out += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&')
+  }
+  return out
+}
+
+// Rules as loaded from scan_rules, with `folder` made library-relative; a pattern without '/'
+// matches any file or folder name below the rule's folder, otherwise the path relative to that
+// folder (or one of its parents)
+let scanRules = []
+function loadScanRules() {
+  scanRules = db.prepare('SELECT id, library_id, folder, kind, pattern FROM scan_rules ORDER BY id').all()
+    .map(r => ({
+      ...r,
+      folder: scopeJoin(libraryById(r.library_id)?.mount, r.folder),
+      re: new RegExp(`^${globSource(r.pattern)}$`),
+      anyName: !r.pattern.includes('/')
+    }))
+}
+loadScanRules()
+
+function scanRuleMatches(rule, relPath) {
+  if (rule.library_id && libraryFor(relPath).id !== rule.library_id) return false
+  if (rule.folder && !relPath.startsWith(`${rule.folder}/`)) return false
+  const segs = (rule.folder ? relPath.slice(rule.folder.length + 1) : relPath).split('/')
+  if (rule.anyName) return segs.some(seg => rule.re.test(seg))
+  for (let i = 1; i <= segs.length; i++) {
+    if (rule.re.test(segs.slice(0, i).join('/'))) return true
+  }
+  return false
+}
+// Files or whole folders left out by an exclude rule
+function scanRuleExcludes(relPath) {
+  return scanRules.some(r => r.kind === 'exclude' && scanRuleMatches(r, relPath))
+}
+// Whether a media file is indexed: not excluded, and matching an include rule when its folder has any
+function scanRulesAllow(relPath) {
+  if (scanRuleExcludes(relPath)) return false
+  const includes = scanRules.filter(r => r.kind === 'include' && (!r.library_id || libraryFor(relPath).id === r.library_id) &&
+    (!r.folder || relPath.startsWith(`${r.folder}/`)))
+  return !includes.length || includes.some(r => scanRuleMatches(r, relPath))
+}
+// fast-glob `ignore` patterns (relative to the library's directory) for the exclude rules that
+// reach into `lib`, so excluded folders are not even walked
+function scanIgnoreGlobs(lib) {
+  const out = []
+  for (const r of scanRules) {
+    if (r.kind !== 'exclude' || (r.library_id && r.library_id !== lib.id)) continue
+    let folder = r.folder
+    if (folder && libraryFor(folder).id !== lib.id) continue
+    if (folder && lib.mount) folder = folder === lib.mount ? '' : folder.slice(lib.mount.length + 1)
+    const glob = (folder ? `${folder}/` : '') + (r.anyName ? `**/${r.pattern}` : r.pattern)
+    out.push(glob, `${glob}/**`)
+  }
+  return out
+}
+
+// Upserts are written in transactions of this many files, so memory stays flat on big libraries
+const INDEX_BATCH = 500
+
+/**
+ * Index media files among `entries` (absolute paths). Files whose size and mtime match their row
+ * are only marked as seen; new or modified ones are probed and upserted in batches.
+ * Returns the set of seen relative paths and the added/updated/moved/unchanged counts.
+ */
+async function indexFiles(entries, job) {
+  // ops are { r, known, run }; run() upserts the row and returns the path it was moved from
+  const tx = db.transaction((batch) => batch.map(op => ({ op, from: op.run() })))
+  const counts = { added: 0, updated: 0, moved: 0, unchanged: 0, removed: 0 }
+  const seen = new Set()
+  const stale = []
+  let ops = []
+  const flush = async () => {
+    let done = []
+    try {
+      done = tx(ops)
+    } catch {
+      // One bad row rolls its whole batch back: redo the batch row by row so only that one is skipped
+      for (const op of ops) {
+        try { done.push(...tx([op])) } catch (e) { noteIndexError(job, op.r, e) }
+      }
+    }
+    ops = []
+    for (const { op, from } of done) {
+      counts[from ? 'moved' : op.known ? 'updated' : 'added']++
+      if (from) await moveDerivatives(diskPath(from), diskPath(op.r))
+    }
+  }
+
+  startIndexPhase(job, 'scan', entries.length)
   for (const abs of entries) {
     if (job?.cancel) break
+    const r = rel(abs)
+    stepIndexPhase(job, r)
     const ext = path.extname(abs).toLowerCase()
-    const isImage = IMG_EXT.has(ext)
-    const isVideo = VIDEO_EXT.has(ext)
-    if (!isImage && !isVideo) continue
+    if (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext)) continue
+    if (!scanRulesAllow(r)) continue
     try {
       const st = await fsp.stat(abs)
-      const r = rel(abs)
-      const folder = toPosix(path.dirname(r))
-      const fname = path.basename(abs)
-      let durationMs = 0
-      if (isVideo) {
-        try {
-          const meta = await probeVideoMeta(abs)
-          durationMs = Math.floor(Number(meta?.duration || 0))
-        } catch {}
+      seen.add(r)
+      const known = knownFingerprint.get(r)
+      const modified = !known || known.size !== st.size || known.mtime !== Math.floor(st.mtimeMs)
+      // Rows indexed before fingerprints existed are probed once more, which also fills
+      // capture dates and camera fields added since
+      if (!modified && known.fingerprint) {
+        counts.unchanged++
+      } else {
+        if (modified) {
+          job?.changed?.push(r)
+          // Same path, new content: cached derivatives show the old picture
+          if (known) stale.push(abs)
+        }
+        const folder = toPosix(path.dirname(r))
+        const fname = path.basename(abs)
+        const meta = await probeIndexMeta(abs)
+        const fingerprint = await fileFingerprint(abs, st)
+        ops.push({ r, known, run: () => {
+          const from = claimMovedRow(r, fname, folder, fingerprint)
+          insertStmt.run({ path: r, fname, folder, ctime: Math.floor(st.ctimeMs), mtime: Math.floor(st.mtimeMs), size: st.size, ...meta, fingerprint, library_id: libraryFor(r).id })
+          return from
+        } })
       }
-      const kind = isVideo ? 'video' : 'image'
-      ops.push(() => insertStmt.run(r, fname, folder, Math.floor(st.ctimeMs), Math.floor(st.mtimeMs), st.size, kind, Math.floor(durationMs)))
-      scannedPaths.add(r)
-      count++
-    } catch {}
+    } catch (e) {
+      noteIndexError(job, r, e)
+    }
+    if (ops.length >= INDEX_BATCH) await flush()
   }
-  tx(ops)
+  await flush()
+  for (const abs of stale) await dropDerivatives(abs)
+  return { seen, counts }
+}
 
-  // Remove stale rows (files that no longer exist after renames/deletes)
+// Remove live rows under `prefix` ('' = everywhere) whose files were not seen by the scan.
+// A canceled scan saw only part of the tree, so nothing is removed then; neither are rows of
+// libraries the scan could not reach (`libraryIds` lists those it walked).
+function pruneUnseen(prefix, seen, job, libraryIds) {
+  if (job?.cancel) return 0
+  const libs = ` AND library_id IN (${libraryIds.map(() => '?').join(',') || 'NULL'})`
+  const rows = prefix
+    ? db.prepare(`SELECT path FROM images WHERE (folder = ? OR (folder >= ? AND folder < ?)) AND deleted_at IS NULL${libs}`)
+      .all(prefix, prefix + '/', prefix + '/\uFFFF', ...libraryIds)
+    : db.prepare(`SELECT path FROM images WHERE deleted_at IS NULL${libs}`).all(...libraryIds)
+  const gone = rows.map(r => r.path).filter(p => !seen.has(p))
+  const delStmt = db.prepare('DELETE FROM images WHERE path = ?')
+  const tx = db.transaction((paths) => { for (const p of paths) delStmt.run(p) })
+  let removed = 0
   try {
-    const delStmt = db.prepare('DELETE FROM images WHERE path = ?')
-    const existing = db.prepare('SELECT path FROM images').all()
-    const delOps = []
-    for (const row of existing) {
-      if (!scannedPaths.has(row.path)) delOps.push(() => delStmt.run(row.path))
+    for (let i = 0; i < gone.length; i += INDEX_BATCH) {
+      const batch = gone.slice(i, i + INDEX_BATCH)
+      tx(batch)
+      removed += batch.length
     }
-    if (delOps.length) tx(delOps)
   } catch {}
+  return removed
+}
+
+function indexCountsText(counts) {
+  return ['added', 'updated', 'moved', 'removed', 'unchanged'].map(k => `${counts[k].toLocaleString()} ${k}`).join(', ')
+}
+function logIndexDone(label, counts, t0, job) {
+  console.log(`[index] ${label}: ${indexCountsText(counts)} in ${((Date.now()-t0)/1000).toFixed(1)}s${job?.cancel ? ' (canceled)' : ''}`)
+}
 
-  console.log(`[index] done: ${count.toLocaleString()} files in ${((Date.now()-t0)/1000).toFixed(1)}s${job?.cancel ? ' (canceled)' : ''}`)
+async function isDirectory(abs) {
+  try { return (await fsp.stat(abs)).isDirectory() } catch { return false }
+}
+
+async function scanAndIndex(job = currentIndexJob) {
+  console.log('[index] scanning…')
+  const t0 = Date.now()
+  const entries = []
+  const scanned = []
+  for (const lib of libraries) {
+    // An unplugged disk must not read as every one of its files deleted
+    if (!(await isDirectory(lib.path))) {
+      console.warn(`[index] library '${lib.name}' is not reachable at ${lib.path}; skipped`)
+      continue
+    }
+    scanned.push(lib.id)
+    entries.push(...await fg(['**/*'], {
+      cwd: lib.path, dot: false, onlyFiles: true,
+      unique: true, absolute: true, suppressErrors: true, ignore: scanIgnoreGlobs(lib)
+    }))
+  }
+  const { seen, counts } = await indexFiles(entries, job)
+  // Remove stale rows (files that no longer exist after renames/deletes)
+  counts.removed = pruneUnseen('', seen, job, scanned)
+  if (job) job.result = counts
+  logIndexDone('done', counts, t0, job)
+  return counts
 }
 
 async function scanAndIndexUnder(relPrefix, job = currentIndexJob) {
   const prefix = normalizeScopeInput(relPrefix || '')
-  if (!prefix) return scanAndIndex()
+  if (!prefix) return scanAndIndex(job)
 
   // If the requested prefix no longer exists (e.g., folder was renamed),
   // fall back to the closest existing parent directory so we discover the new name
   // and prune the old one.
   let effective = prefix
-  async function dirExists(p) {
-    try { const st = await fsp.stat(path.join(PHOTOS_ROOT, p)); return st.isDirectory() } catch { return false }
-  }
-  if (!(await dirExists(effective))) {
+  if (!(await isDirectory(diskPath(effective)))) {
     const idx = effective.lastIndexOf('/')
     const parent = idx >= 0 ? effective.slice(0, idx) : ''
-    if (parent && await dirExists(parent)) effective = parent
+    if (parent && await isDirectory(diskPath(parent))) effective = parent
     else if (!parent) effective = ''
   }
   if (!effective) {
     // as a last resort, do a full scan
-    return scanAndIndex()
+    return scanAndIndex(job)
   }
 
   console.log(`[index] scanning path '${effective}'…`)
   const t0 = Date.now()
-  const entries = await fg([`${effective}/**/*`], {
-    cwd: PHOTOS_ROOT, dot: false, onlyFiles: true,
-    unique: true, absolute: true, suppressErrors: true
+  const lib = libraryFor(effective)
+  const sub = lib.mount ? effective.slice(lib.mount.length + 1) : effective
+  const entries = await fg([sub ? `${fg.escapePath(sub)}/**/*` : '**/*'], {
+    cwd: lib.path, dot: false, onlyFiles: true,
+    unique: true, absolute: true, suppressErrors: true, ignore: scanIgnoreGlobs(lib)
   })
-  let count = 0
-  const tx = db.transaction((batch) => { for (const b of batch) b() })
-  const ops = []
-  const scannedPaths = new Set()
-  for (const abs of entries) {
-    if (job?.cancel) break
-    const ext = path.extname(abs).toLowerCase()
-    const isImage = IMG_EXT.has(ext)
-    const isVideo = VIDEO_EXT.has(ext)
-    if (!isImage && !isVideo) continue
-    try {
-      const st = await fsp.stat(abs)
-      const r = rel(abs)
-      const folder = toPosix(path.dirname(r))
-      const fname = path.basename(abs)
-      let durationMs = 0
-      if (isVideo) {
-        try {
-          const meta = await probeVideoMeta(abs)
-          durationMs = Math.floor(Number(meta?.duration || 0))
-        } catch {}
-      }
-      const kind = isVideo ? 'video' : 'image'
-      ops.push(() => insertStmt.run(r, fname, folder, Math.floor(st.ctimeMs), Math.floor(st.mtimeMs), st.size, kind, Math.floor(durationMs)))
-      scannedPaths.add(r)
-      count++
-    } catch {}
-  }
-  tx(ops)
-
+  const { seen, counts } = await indexFiles(entries, job)
   // Remove stale rows under the effective prefix only
-  try {
-    const lower = effective
-    const upper = effective + '\uFFFF'
-    const rows = db.prepare('SELECT path FROM images WHERE folder >= ? AND folder < ?').all(lower, upper)
-    const delStmt = db.prepare('DELETE FROM images WHERE path = ?')
-    const delOps = []
-    for (const row of rows) {
-      if (!scannedPaths.has(row.path)) delOps.push(() => delStmt.run(row.path))
-    }
-    if (delOps.length) tx(delOps)
-  } catch {}
-
-  console.log(`[index] path done: ${count.toLocaleString()} files in ${((Date.now()-t0)/1000).toFixed(1)}s${job?.cancel ? ' (canceled)' : ''}`)
+  counts.removed = pruneUnseen(effective, seen, job, [lib.id])
+  if (job) job.result = counts
+  logIndexDone('path done', counts, t0, job)
+  return counts
 }
 
 async function ensureThumb(absPath) {
@@ -736,32 +1451,270 @@ async function ensureDisplayableMedia(absPath) {
   return { path: absPath, contentType: type }
 }
 
-/* ---------- tree (scoped) ---------- */
-function buildTreeForScope(scopePath, filter = 'all') {
-  const lower = scopePath
-  const upper = scopePath + '\uFFFF'
-  const kindWhere = filter === 'images' ? " AND kind = 'image'" : (filter === 'videos' ? " AND kind = 'video'" : '')
-  const rows = db.prepare(`SELECT DISTINCT folder FROM images WHERE folder >= ? AND folder < ?${kindWhere}`).all(lower, upper)
+/* ---------- derivative job queue (thumbs, web views, HLS) ---------- */
+// Higher runs first; among equals the latest request wins, so tiles on screen go ahead of ones scrolled past
+const JOB_PRIORITY = { background: 0, prefetch: 10, visible: 100 }
+const JOB_BACKOFF_MS = 30 * 1000
+
+const jobKey = (kind, relPath, height) => (kind === 'hls' ? `hls:${height}:${relPath}` : `${kind}:${relPath}`)
+const hlsKeyFor = (abs, height) => `${hashPath(abs)}_${height}`
+const thumbPathFor = (abs) => path.join(THUMBS_DIR, `${hashPath(abs)}.webp`)
+const viewPathFor = (abs) => path.join(VIEWS_DIR, `${hashPath(abs)}.webp`)
+const hlsIndexFor = (abs, height) => path.join(HLS_DIR, hlsKeyFor(abs, height), 'index.m3u8')
+
+const findJob = db.prepare('SELECT * FROM jobs WHERE key = ?')
+const insertJob = db.prepare(`INSERT INTO jobs(kind, key, path, height, priority, status, attempts, run_after, created_at, updated_at)
+  VALUES(?, ?, ?, ?, ?, 'queued', 0, 0, ?, ?)`)
+const bumpJob = db.prepare('UPDATE jobs SET priority = MAX(priority, ?), updated_at = ? WHERE id = ?')
+const demoteJob = db.prepare("UPDATE jobs SET priority = MIN(priority, ?) WHERE key = ? AND status = 'queued'")
+const nextJobs = db.prepare(`SELECT * FROM jobs WHERE status = 'queued' AND run_after <= ? AND kind IN (SELECT value FROM json_each(?))
+  ORDER BY priority DESC, updated_at DESC LIMIT 32`)
+const markJobRunning = db.prepare("UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ?")
+const deleteJob = db.prepare('DELETE FROM jobs WHERE id = ?')
+const failJob = db.prepare('UPDATE jobs SET status = ?, attempts = ?, run_after = ?, last_error = ?, updated_at = ? WHERE id = ?')
+
+const jobWaiters = new Map() // key -> Set of { resolve, reject }
+const jobsRunning = new Map() // key -> kind
+let jobTimer = null
+
+function settleJobWaiters(key, err, value) {
+  const set = jobWaiters.get(key)
+  if (!set) return
+  jobWaiters.delete(key)
+  for (const w of set) err ? w.reject(err) : w.resolve(value)
+}
 
-  let rootName = path.basename(PHOTOS_ROOT) || '/'
-  if (scopePath) {
-    const parts = scopePath.split('/').filter(Boolean)
-    rootName = parts.length ? parts[parts.length - 1] : rootName
+/**
+ * Queue (or join) the job producing `kind` for a file and wait for its output path.
+ * Concurrent requests for the same output share one job. A job that is backing off or gave up
+ * rejects at once, so request handlers can fall back instead of hanging.
+ * `res` drops the waiter (and the job's priority) when the client goes away; `timeout` rejects
+ * with code ETIMEDOUT while the job keeps running.
+ */
+function queueJob(kind, relPath, { priority = JOB_PRIORITY.background, height = null, res = null, timeout = 0, wait = true } = {}) {
+  const key = jobKey(kind, relPath, height)
+  const now = nowMs()
+  const job = findJob.get(key)
+  if (job?.status === 'failed') return wait ? Promise.reject(new Error(job.last_error || `${kind} failed`)) : null
+  if (job?.status === 'queued' && job.run_after > now) return wait ? Promise.reject(new Error(job.last_error || `${kind} is retrying`)) : null
+  if (job) bumpJob.run(priority, now, job.id)
+  else insertJob.run(kind, key, relPath, height, priority, now, now)
+
+  let promise = null
+  if (wait) {
+    promise = new Promise((resolve, reject) => {
+      let settled = false
+      let timer = null
+      const waiter = {
+        resolve: (v) => { settled = true; clearTimeout(timer); resolve(v) },
+        reject: (e) => { settled = true; clearTimeout(timer); reject(e) },
+      }
+      const drop = () => {
+        const set = jobWaiters.get(key)
+        set?.delete(waiter)
+        if (set && set.size === 0) jobWaiters.delete(key)
+        return !jobWaiters.has(key)
+      }
+      if (!jobWaiters.has(key)) jobWaiters.set(key, new Set())
+      jobWaiters.get(key).add(waiter)
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          if (settled) return
+          drop()
+          const err = new Error(`${kind} still running`)
+          err.code = 'ETIMEDOUT'
+          waiter.reject(err)
+        }, timeout)
+      }
+      res?.on('close', () => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        // Nobody is looking at it any more: let visible work go first
+        if (drop()) demoteJob.run(JOB_PRIORITY.prefetch, key)
+      })
+    })
   }
-  const root = { name: rootName, path: '', count: 0, children: [] }
+  pumpJobs()
+  return promise
+}
 
-  const map = new Map([['', root]])
+// Output path when it already exists, otherwise the queued job's result
+async function derivative(kind, relPath, options = {}) {
+  const abs = diskPath(relPath)
+  const out = kind === 'thumb' ? thumbPathFor(abs) : kind === 'view' ? viewPathFor(abs) : hlsIndexFor(abs, options.height)
+  if (await fileExists(out)) return out
+  return queueJob(kind, relPath, options)
+}
 
-  for (const { folder } of rows) {
-    const relPath = scopePath ? folder.replace(new RegExp(`^${scopePath}/?`), '') : folder
-    if (relPath === '' || relPath === '.') continue
-    const segs = relPath.split('/').filter(Boolean)
-    let curPath = ''
-    let parent = root
-    for (const seg of segs) {
-      curPath = curPath ? `${curPath}/${seg}` : seg
-      if (!map.has(curPath)) {
-        const node = { name: seg, path: curPath, count: 0, children: [] }
+// Post-index warm-up: thumbnails and web views (and with them RAW/HEIC previews) for new or changed
+// files, queued below anything a visitor is waiting for; JOB_CONCURRENCY files in flight
+async function warmDerivatives(job, relPaths) {
+  const byPath = db.prepare('SELECT path, kind FROM images WHERE path = ? AND deleted_at IS NULL')
+  const rows = relPaths.map(p => byPath.get(p)).filter(Boolean)
+  startIndexPhase(job, 'warm', rows.length)
+  const t0 = Date.now()
+  let next = 0
+  const worker = async () => {
+    while (next < rows.length && !job.cancel) {
+      const row = rows[next++]
+      let err = null
+      try {
+        await derivative('thumb', row.path, { priority: JOB_PRIORITY.prefetch })
+        if (row.kind !== 'video') await derivative('view', row.path, { priority: JOB_PRIORITY.prefetch })
+      } catch (e) { err = e }
+      stepIndexPhase(job, row.path, err)
+    }
+  }
+  await Promise.all(Array.from({ length: JOB_CONCURRENCY }, worker))
+  console.log(`[index] warmed ${job.progress.done.toLocaleString()} of ${rows.length.toLocaleString()} files in ${((Date.now()-t0)/1000).toFixed(1)}s (${job.progress.errors} errors)`)
+}
+
+function pumpJobs() {
+  const imageRunning = () => Array.from(jobsRunning.values()).filter(k => k !== 'hls').length
+  const hlsRunning = () => jobsRunning.size - imageRunning()
+  for (;;) {
+    const kinds = []
+    if (imageRunning() < JOB_CONCURRENCY) kinds.push('thumb', 'view')
+    if (hlsRunning() < JOB_HLS_CONCURRENCY) kinds.push('hls')
+    if (kinds.length === 0) break
+    const job = nextJobs.all(nowMs(), JSON.stringify(kinds)).find(j => !jobsRunning.has(j.key))
+    if (!job) break
+    jobsRunning.set(job.key, job.kind)
+    markJobRunning.run(nowMs(), job.id)
+    runJob(job)
+  }
+  // Wake up for the next job coming out of backoff
+  clearTimeout(jobTimer)
+  const next = db.prepare("SELECT MIN(run_after) AS t FROM jobs WHERE status = 'queued' AND run_after > ?").get(nowMs()).t
+  if (next) { jobTimer = setTimeout(pumpJobs, next - nowMs() + 50); jobTimer.unref() }
+}
+
+async function runJob(job) {
+  const abs = diskPath(job.path)
+  try {
+    const out = await JOB_RUNNERS[job.kind](abs, job, (value) => settleJobWaiters(job.key, null, value))
+    deleteJob.run(job.id)
+    settleJobWaiters(job.key, null, out)
+  } catch (e) {
+    const attempts = job.attempts + 1
+    const gaveUp = attempts >= JOB_MAX_ATTEMPTS
+    const message = String(e?.message || e).slice(0, 500)
+    failJob.run(gaveUp ? 'failed' : 'queued', attempts, nowMs() + JOB_BACKOFF_MS * 2 ** (attempts - 1), message, nowMs(), job.id)
+    console.warn(`[jobs] ${job.kind} failed (attempt ${attempts}/${JOB_MAX_ATTEMPTS}):`, job.path, message)
+    settleJobWaiters(job.key, e)
+  } finally {
+    jobsRunning.delete(job.key)
+    pumpJobs()
+  }
+}
+
+function hlsArgs(abs, height, outDir) {
+  // Bitrate ladder approximation
+  const cfg = height <= 360
+    ? { maxrate: '700k', buf: '1400k', abr: '64k' }
+    : (height <= 540 ? { maxrate: '1200k', buf: '2400k', abr: '96k' } : { maxrate: '2500k', buf: '5000k', abr: '128k' })
+  // Always H.264 main for compatibility (also with 10-bit sources); segments ~4s
+  return [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', abs,
+    '-vf', `scale=-2:${height}:flags=lanczos,format=yuv420p`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-level', '4.1', '-crf', '20',
+    '-maxrate', cfg.maxrate, '-bufsize', cfg.buf,
+    '-c:a', 'aac', '-ac', '2', '-b:a', cfg.abr,
+    '-f', 'hls',
+    '-hls_time', '4', '-hls_playlist_type', 'event', '-hls_segment_type', 'mpegts',
+    '-hls_base_url', `/hls/seg/${path.basename(outDir)}/`,
+    '-hls_segment_filename', path.join(outDir, 'seg%04d.ts'),
+    path.join(outDir, 'index.m3u8')
+  ]
+}
+
+// Each runner resolves with the output path; `ready` hands it to waiters early (HLS plays while encoding)
+const JOB_RUNNERS = {
+  async thumb(abs) {
+    const out = await ensureThumb(abs)
+    if (out === abs) throw new Error('thumbnail could not be generated')
+    return out
+  },
+  async view(abs) {
+    const out = await ensureView(abs)
+    if (out === abs) throw new Error('web view could not be generated')
+    return out
+  },
+  async hls(abs, job, ready) {
+    if (!(await fileExists(abs))) throw new Error('source file is missing')
+    const outDir = path.join(HLS_DIR, hlsKeyFor(abs, job.height))
+    const indexPath = path.join(outDir, 'index.m3u8')
+    await fsp.rm(outDir, { recursive: true, force: true })
+    await fsp.mkdir(outDir, { recursive: true })
+    const ex = spawn('ffmpeg', hlsArgs(abs, job.height, outDir), { stdio: ['ignore', 'ignore', 'pipe'] })
+    let stderrBuf = ''
+    ex.stderr.on('data', (d) => { stderrBuf = (stderrBuf + String(d)).slice(-2000) })
+    const poll = setInterval(async () => {
+      if (await fileExists(indexPath)) { clearInterval(poll); ready(indexPath) }
+    }, 200)
+    try {
+      const code = await new Promise((resolve, reject) => {
+        ex.on('error', reject)
+        ex.on('close', resolve)
+      })
+      if (code !== 0 || !(await fileExists(indexPath))) {
+        throw new Error(`ffmpeg exited with ${code}: ${stderrBuf.trim().split('\n').pop() || 'no output'}`)
+      }
+      return indexPath
+    } catch (e) {
+      await fsp.rm(outDir, { recursive: true, force: true }).catch(() => {})
+      throw e
+    } finally {
+      clearInterval(poll)
+    }
+  },
+}
+
+// Jobs cut off by a restart start over; a half-written HLS rendition would stop mid-video
+for (const j of db.prepare("SELECT kind, path, height FROM jobs WHERE status = 'running'").all()) {
+  if (j.kind === 'hls') fs.rmSync(path.join(HLS_DIR, hlsKeyFor(diskPath(j.path), j.height)), { recursive: true, force: true })
+}
+db.prepare("UPDATE jobs SET status = 'queued', run_after = 0 WHERE status = 'running'").run()
+pumpJobs()
+
+/* ---------- tree (scoped) ---------- */
+// Folders the user sees below their root_path, with counts; libraryIds narrows to some libraries
+function buildTreeForScope(user, filter = 'all', libraryIds = user.library_ids) {
+  const scopePath = user.root_path || ''
+  const lower = scopePath
+  const upper = scopePath + '\uFFFF'
+  const kindWhere = (filter === 'images' ? " AND kind = 'image'" : (filter === 'videos' ? " AND kind = 'video'" : '')) + scopeClause(user, '', libraryIds)
+  const rows = db.prepare(`SELECT DISTINCT folder FROM images WHERE folder >= ? AND folder < ? AND deleted_at IS NULL${kindWhere}`).all(lower, upper)
+  // Empty folders made from the UI, as long as they still exist on disk
+  const madeFolders = new Set()
+  for (const r of db.prepare('SELECT path FROM folders WHERE path >= ? AND path < ?').all(lower, upper)) {
+    if (!userSees(user, r.path) || (libraryIds && !libraryIds.includes(libraryFor(r.path).id))) continue
+    if (fs.existsSync(diskPath(r.path))) { rows.push({ folder: r.path }); madeFolders.add(r.path) }
+  }
+
+  let rootName = path.basename(PHOTOS_ROOT) || '/'
+  if (scopePath) {
+    const parts = scopePath.split('/').filter(Boolean)
+    rootName = parts.length ? parts[parts.length - 1] : rootName
+  } else if (libraryIds?.length === 1) {
+    rootName = libraryById(libraryIds[0]).name
+  }
+  const root = { name: rootName, path: '', count: 0, children: [] }
+
+  const map = new Map([['', root]])
+
+  for (const { folder } of rows) {
+    const relPath = scopePath ? folder.replace(new RegExp(`^${scopePath}/?`), '') : folder
+    if (relPath === '' || relPath === '.') continue
+    const segs = relPath.split('/').filter(Boolean)
+    let curPath = ''
+    let parent = root
+    for (const seg of segs) {
+      curPath = curPath ? `${curPath}/${seg}` : seg
+      if (!map.has(curPath)) {
+        const node = { name: seg, path: curPath, count: 0, children: [] }
         map.set(curPath, node)
         parent.children.push(node)
       }
@@ -769,7 +1722,7 @@ function buildTreeForScope(scopePath, filter = 'all') {
     }
   }
 
-  const prefixCountSql = `SELECT COUNT(*) as c FROM images WHERE folder >= ? AND folder < ?${kindWhere}`
+  const prefixCountSql = `SELECT COUNT(*) as c FROM images WHERE folder >= ? AND folder < ? AND deleted_at IS NULL${kindWhere}`
   const prefixCount = db.prepare(prefixCountSql)
   const fillCounts = (node, relPath) => {
     const absPrefix = scopePath ? (relPath ? `${scopePath}/${relPath}` : scopePath) : (relPath || '')
@@ -788,7 +1741,8 @@ function buildTreeForScope(scopePath, filter = 'all') {
     if (!node.children) return
     node.children = node.children.filter(child => {
       cleanupEmpty(child)
-      return child.count > 0 || (child.children && child.children.length > 0)
+      return child.count > 0 || (child.children && child.children.length > 0) ||
+        madeFolders.has(scopeJoin(scopePath, child.path))
     })
   }
   cleanupEmpty(root)
@@ -801,14 +1755,32 @@ const empty = db.prepare('SELECT COUNT(*) as c FROM images').get().c === 0
 if (empty) { await scanAndIndex() }
 
 /* ---------- watch filesystem (optional) ---------- */
-if (WATCH_ENABLED) {
-  console.log(`[watch] enabled (depth=${WATCH_DEPTH}, polling=${WATCH_POLL ? 'on' : 'off'})`)
-  const watcher = chokidar.watch(PHOTOS_ROOT, {
+// Same columns as /api/photos items (plus the library), so open grids can insert them as-is
+const LIBRARY_ITEM_COLS = 'id, fname, folder, mtime, taken_at, size, kind, duration, library_id'
+const libraryItemByPath = db.prepare(`SELECT ${LIBRARY_ITEM_COLS} FROM images WHERE path = ? AND deleted_at IS NULL`)
+
+// 'library' events carry { action: 'added' | 'updated' | 'removed', item }, sent only to users
+// whose scope holds the item. 'added' and 'removed' change folder counts by one; 'updated'
+// may have moved the item anywhere, so clients reload the tree for it
+function publishLibraryChange(action, item) {
+  if (item) publishEvent('library', { action, item }, u => userSees(u, item.folder))
+}
+
+// A file moved outside the app shows up as unlink + add; its row waits this long for the add to claim it
+const WATCH_MOVE_GRACE_MS = 10 * 1000
+const pendingUnlinks = new Map()
+
+// One chokidar watcher per library with watching on (WATCH_ENABLED is library 1's default)
+const libraryWatchers = new Map()
+function watchLibrary(lib) {
+  console.log(`[watch] '${lib.name}' enabled (depth=${WATCH_DEPTH}, polling=${WATCH_POLL ? 'on' : 'off'})`)
+  const watcher = chokidar.watch(lib.path, {
     ignoreInitial: true,
     depth: WATCH_DEPTH,
     usePolling: WATCH_POLL,
     awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 },
-    ignored: WATCH_IGNORED.length ? WATCH_IGNORED : undefined,
+    // scan rules are read on every call, so new excludes apply without a restart
+    ignored: [...WATCH_IGNORED, (p) => scanRuleExcludes(rel(p))],
   })
 
   watcher
@@ -816,36 +1788,67 @@ if (WATCH_ENABLED) {
       const ext = path.extname(abs).toLowerCase(); if (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext)) return
       const st = await fsp.stat(abs).catch(() => null); if (!st) return
       const r = rel(abs); const folder = toPosix(path.dirname(r)); const fname = path.basename(abs)
-      let durationMs = 0
-      if (VIDEO_EXT.has(ext)) {
-        try {
-          const meta = await probeVideoMeta(abs)
-          durationMs = Math.floor(Number(meta?.duration || 0))
-        } catch {}
+      if (!scanRulesAllow(r)) return
+      // Moves made through the app update the row before the file lands here
+      const known = libraryItemByPath.get(r)
+      const meta = await probeIndexMeta(abs)
+      const fingerprint = await fileFingerprint(abs, st)
+      const from = known ? null : claimMovedRow(r, fname, folder, fingerprint)
+      insertStmt.run({ path: r, fname, folder, ctime: Math.floor(st.ctimeMs), mtime: Math.floor(st.mtimeMs), size: st.size, ...meta, fingerprint, library_id: libraryFor(r).id })
+      const item = libraryItemByPath.get(r)
+      if (from) {
+        await moveDerivatives(diskPath(from), abs)
+        // Users who only saw the old folder lose the item; the rest get it where it landed
+        const oldFolder = toPosix(path.dirname(from))
+        if (item) publishEvent('library', { action: 'removed', item: { ...item, folder: oldFolder } }, u => userSees(u, oldFolder) && !userSees(u, folder))
       }
-      const kind = VIDEO_EXT.has(ext) ? 'video' : 'image'
-      insertStmt.run(r, fname, folder, Math.floor(st.ctimeMs), Math.floor(st.mtimeMs), st.size, kind, Math.floor(durationMs))
+      publishLibraryChange(known || from ? 'updated' : 'added', item)
     })
     .on('change', async (abs) => {
+      const ext = path.extname(abs).toLowerCase(); if (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext)) return
       const st = await fsp.stat(abs).catch(() => null); if (!st) return
-      const r = rel(abs); const ext = path.extname(abs).toLowerCase()
-      let kind = 'image'; let durationMs = 0
-      if (VIDEO_EXT.has(ext)) {
-        kind = 'video'
-        try { const meta = await probeVideoMeta(abs); durationMs = Math.floor(Number(meta?.duration || 0)) } catch {}
-      }
-      // Update times/size always; update kind/duration when available
-      try { db.prepare('UPDATE images SET ctime=?, mtime=?, size=?, kind=?, duration=? WHERE path=?')
-        .run(Math.floor(st.ctimeMs), Math.floor(st.mtimeMs), st.size, kind, durationMs, r) }
+      const r = rel(abs)
+      const meta = await probeIndexMeta(abs)
+      const fingerprint = await fileFingerprint(abs, st)
+      // Update times/size always; update the indexed metadata when available
+      try { db.prepare(`UPDATE images SET ctime=@ctime, mtime=@mtime, size=@size, kind=@kind, duration=@duration, taken_at=@taken_at,
+          lat=@lat, lon=@lon, camera=@camera, lens=@lens, iso=@iso, sha256=NULL, phash=NULL, fingerprint=@fingerprint WHERE path=@path`)
+        .run({ path: r, ctime: Math.floor(st.ctimeMs), mtime: Math.floor(st.mtimeMs), size: st.size, ...meta, fingerprint }) }
       catch { updateStmt.run(Math.floor(st.ctimeMs), Math.floor(st.mtimeMs), st.size, r) }
+      publishLibraryChange('updated', libraryItemByPath.get(r))
     })
     .on('unlink', (abs) => {
-      db.prepare('DELETE FROM images WHERE path=?').run(rel(abs))
+      // Trashed rows have already left this path; anything else may be half of a move
+      const r = rel(abs)
+      const item = libraryItemByPath.get(r)
+      if (!item || pendingUnlinks.has(item.id)) return
+      pendingUnlinks.set(item.id, setTimeout(() => {
+        pendingUnlinks.delete(item.id)
+        // Claimed by an add (the row moved) or the file is back
+        if (libraryItemByPath.get(r)?.id !== item.id || fs.existsSync(abs)) return
+        db.prepare('DELETE FROM images WHERE id=?').run(item.id)
+        publishLibraryChange('removed', item)
+      }, WATCH_MOVE_GRACE_MS).unref())
     })
     .on('error', (e) => {
       console.warn('[watch] error:', e?.message || e)
     })
-} else {
+  return watcher
+}
+// Start and stop watchers to match the libraries' current settings
+function syncWatchers() {
+  for (const [id, w] of libraryWatchers) {
+    const lib = libraryById(id)
+    if (lib?.watch && w.path === lib.path) continue
+    w.watcher.close().catch(() => {})
+    libraryWatchers.delete(id)
+  }
+  for (const lib of libraries) {
+    if (lib.watch && !libraryWatchers.has(lib.id)) libraryWatchers.set(lib.id, { path: lib.path, watcher: watchLibrary(lib) })
+  }
+}
+syncWatchers()
+if (!libraryWatchers.size) {
   console.log('[watch] disabled. Use POST /api/index to rescan, or set WATCH_ENABLED=1 to enable live watching.')
 }
 
@@ -862,50 +1865,130 @@ function parseCookies(req) {
   )
 }
 const SESSION_COOKIE = 'lp_session'
-const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 30 // 30d
-
-const insertSession = db.prepare(`INSERT INTO sessions(user_id, token, created_at, expires_at) VALUES(?,?,?,?)`)
-const getSession = db.prepare(`SELECT s.id, s.user_id, s.token, s.created_at, s.expires_at, u.username, u.is_admin, u.root_path
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 30 // 30d after the last request
+// Activity refreshes last_seen_at and the expiry at most this often, to spare a write per request
+const SESSION_TOUCH_MS = 1000 * 60 * 5
+
+const insertSession = db.prepare(`INSERT INTO sessions(user_id, token, created_at, expires_at, last_seen_at, user_agent, ip) VALUES(?,?,?,?,?,?,?)`)
+const touchSession = db.prepare('UPDATE sessions SET last_seen_at = ?, expires_at = ?, ip = ? WHERE id = ?')
+// Per-user capability columns; admins have all of them regardless of the stored flags
+const CAPABILITIES = ['can_share', 'can_download_originals', 'can_upload', 'can_delete', 'can_scan', 'can_manage_users']
+const getSession = db.prepare(`SELECT s.id, s.user_id, s.token, s.created_at, s.expires_at, s.last_seen_at, u.username, u.is_admin, u.root_path, u.totp_enabled, ${CAPABILITIES.map(c => 'u.' + c).join(', ')}
                                FROM sessions s JOIN users u ON u.id = s.user_id
-                               WHERE s.token = ?`)
+                               WHERE s.token = ? AND u.disabled = 0`)
 const deleteSession = db.prepare(`DELETE FROM sessions WHERE token = ?`)
+// Sign a user out everywhere, except for the session making the request when keepId is given
+function endUserSessions(userId, keepId = null) {
+  closeEventClients(c => c.user.id === userId && c.sessionId !== keepId)
+  return db.prepare('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?').run(userId, keepId)
+}
 const getUserByUsername = db.prepare(`SELECT * FROM users WHERE username = ?`)
-const insertUser = db.prepare(`INSERT INTO users(username, pass_hash, is_admin, root_path, created_at) VALUES(?,?,?,?,?)`)
+const insertUser = db.prepare(`INSERT INTO users(username, pass_hash, is_admin, root_path, created_at, can_delete) VALUES(?,?,?,?,?,?)`)
 const anyAdmin = db.prepare(`SELECT id FROM users WHERE is_admin = 1 LIMIT 1`)
-const insertShare = db.prepare(`INSERT INTO shares(token, user_id, folder, name, created_at) VALUES(?,?,?,?,?)`)
+const insertShare = db.prepare(`INSERT INTO shares(token, user_id, folder, name, created_at, album_id, expires_at, pass_hash, permission, allow_upload, upload_folder)
+  VALUES(?,?,?,?,?,?,?,?,?,?,?)`)
 const insertShareItem = db.prepare(`INSERT OR IGNORE INTO share_items(share_id, image_id) VALUES(?, ?)`)
 const countShareItems = db.prepare(`SELECT COUNT(1) AS c FROM share_items WHERE share_id = ?`)
+const countLiveShareItems = db.prepare(`
+  SELECT COUNT(1) AS c FROM share_items si JOIN images i ON i.id = si.image_id WHERE si.share_id = ? AND i.deleted_at IS NULL
+`)
 const deleteShareStmt = db.prepare(`DELETE FROM shares WHERE id = ?`)
-const getShareById = db.prepare(`SELECT id, token, user_id, folder, name, created_at FROM shares WHERE id = ?`)
-const getShareByToken = db.prepare(`SELECT id, token, user_id, folder, name, created_at FROM shares WHERE token = ?`)
-const listSharesByUser = db.prepare(`SELECT id, token, user_id, folder, name, created_at FROM shares WHERE user_id = ? ORDER BY created_at DESC`)
+const SHARE_COLS = 'id, token, user_id, folder, name, created_at, album_id, expires_at, pass_hash, permission, allow_upload, upload_folder'
+const getShareById = db.prepare(`SELECT ${SHARE_COLS} FROM shares WHERE id = ?`)
+const getShareByToken = db.prepare(`SELECT ${SHARE_COLS} FROM shares WHERE token = ?`)
+// lists never expose pass_hash, only whether one is set
+const listSharesByUser = db.prepare(`
+  SELECT s.id, s.token, s.user_id, s.folder, s.name, s.created_at, s.album_id, a.name AS album_name,
+    s.expires_at, s.permission, (s.pass_hash IS NOT NULL) AS has_password, s.allow_upload, s.upload_folder
+  FROM shares s LEFT JOIN albums a ON a.id = s.album_id
+  WHERE s.user_id = ?
+  ORDER BY s.created_at DESC
+`)
 const listSharesWithUsers = db.prepare(`
-  SELECT s.id, s.token, s.user_id, s.folder, s.name, s.created_at, u.username
-  FROM shares s JOIN users u ON u.id = s.user_id
+  SELECT s.id, s.token, s.user_id, s.folder, s.name, s.created_at, s.album_id, a.name AS album_name, u.username,
+    s.expires_at, s.permission, (s.pass_hash IS NOT NULL) AS has_password, s.allow_upload, s.upload_folder
+  FROM shares s JOIN users u ON u.id = s.user_id LEFT JOIN albums a ON a.id = s.album_id
   ORDER BY s.created_at DESC
 `)
 const insertFavorite = db.prepare(`INSERT OR IGNORE INTO favorites(user_id, image_id, created_at) VALUES(?,?,?)`)
 const deleteFavorite = db.prepare(`DELETE FROM favorites WHERE user_id = ? AND image_id = ?`)
 const listFavoriteIds = db.prepare(`SELECT image_id FROM favorites WHERE user_id = ? ORDER BY created_at DESC`)
-const listFavoriteItems = db.prepare(`
-  SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
-  FROM favorites f JOIN images i ON i.id = f.image_id
-  WHERE f.user_id = ?
-  ORDER BY i.mtime DESC, i.id DESC
-  LIMIT ? OFFSET ?
+const insertShareEvent = db.prepare(`INSERT INTO share_events(share_id, kind, image_id, ip_hash, user_agent, created_at) VALUES(?,?,?,?,?,?)`)
+const listShareStats = db.prepare(`
+  SELECT share_id,
+    SUM(kind = 'view') AS views,
+    SUM(kind = 'media') AS media,
+    SUM(kind = 'download') AS downloads,
+    COUNT(DISTINCT ip_hash) AS visitors,
+    MAX(created_at) AS last_at
+  FROM share_events
+  GROUP BY share_id
+`)
+const listShareEvents = db.prepare(`
+  SELECT e.id, e.kind, e.image_id, i.fname, e.ip_hash, e.user_agent, e.created_at
+  FROM share_events e LEFT JOIN images i ON i.id = e.image_id
+  WHERE e.share_id = ?
+  ORDER BY e.created_at DESC, e.id DESC
+  LIMIT ?
+`)
+const insertShareUpload = db.prepare(`INSERT INTO share_uploads(share_id, image_id, status, uploader, ip_hash, created_at) VALUES(?,?,'pending',?,?,?)`)
+const listUploads = db.prepare(`
+  SELECT up.id, up.share_id, up.image_id, up.status, up.uploader, up.created_at, up.reviewed_at,
+    i.fname, i.folder, i.kind, i.size, s.name AS share_name, s.user_id
+  FROM share_uploads up
+  JOIN images i ON i.id = up.image_id
+  JOIN shares s ON s.id = up.share_id
+  WHERE up.status = ? AND (? = 1 OR s.user_id = ?) AND i.deleted_at IS NULL
+  ORDER BY up.created_at DESC
+  LIMIT 500
+`)
+// Share listings hide guest uploads that nobody has approved yet
+const NOT_PENDING_UPLOAD = "id NOT IN (SELECT image_id FROM share_uploads WHERE status = 'pending')"
+const isPendingUpload = db.prepare(`SELECT 1 AS ok FROM share_uploads WHERE image_id = ? AND status = 'pending' LIMIT 1`)
+const getSettingStmt = db.prepare(`SELECT value FROM settings WHERE key = ?`)
+const setSettingStmt = db.prepare(`INSERT INTO settings(key, value) VALUES(?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`)
+function getSetting(key, fallback = null) {
+  const row = getSettingStmt.get(key)
+  return row ? row.value : fallback
+}
+function setSetting(key, value) {
+  setSettingStmt.run(key, value === null || value === undefined ? null : String(value))
+}
+const insertAlbum = db.prepare(`INSERT INTO albums(user_id, name, created_at, updated_at) VALUES(?,?,?,?)`)
+const getAlbumById = db.prepare(`SELECT id, user_id, name, cover_id, created_at, updated_at FROM albums WHERE id = ?`)
+// cover falls back to the first item when none was picked
+const listAlbumsByUser = db.prepare(`
+  SELECT a.id, a.name, a.cover_id, a.created_at, a.updated_at,
+    (SELECT COUNT(1) FROM album_items ai JOIN images i ON i.id = ai.image_id WHERE ai.album_id = a.id AND i.deleted_at IS NULL) AS count,
+    COALESCE((SELECT id FROM images WHERE id = a.cover_id AND deleted_at IS NULL), (
+      SELECT ai.image_id FROM album_items ai JOIN images i ON i.id = ai.image_id
+      WHERE ai.album_id = a.id AND i.deleted_at IS NULL ORDER BY ai.position LIMIT 1
+    )) AS cover
+  FROM albums a
+  WHERE a.user_id = ?
+  ORDER BY a.updated_at DESC, a.id DESC
+`)
+const touchAlbum = db.prepare(`UPDATE albums SET updated_at = ? WHERE id = ?`)
+const insertAlbumItem = db.prepare(`INSERT OR IGNORE INTO album_items(album_id, image_id, position, added_at) VALUES(?,?,?,?)`)
+const deleteAlbumItem = db.prepare(`DELETE FROM album_items WHERE album_id = ? AND image_id = ?`)
+const maxAlbumPosition = db.prepare(`SELECT COALESCE(MAX(position), 0) AS p FROM album_items WHERE album_id = ?`)
+const hasAlbumItem = db.prepare(`SELECT 1 AS ok FROM album_items WHERE album_id = ? AND image_id = ?`)
+const countAlbumItems = db.prepare(`
+  SELECT COUNT(1) AS c FROM album_items ai JOIN images i ON i.id = ai.image_id WHERE ai.album_id = ? AND i.deleted_at IS NULL
 `)
-const countFavorites = db.prepare(`SELECT COUNT(1) as c FROM favorites WHERE user_id = ?`)
 
 /* admin bootstrap */
 function normalizeScopeInput(input) {
   if (!input) return ''
   let p = input
   if (path.isAbsolute(p)) {
-    const relp = path.relative(PHOTOS_ROOT, p)
-    if (relp.startsWith('..')) throw new Error('root_path must be inside PHOTOS_PATH')
+    // Absolute paths may point into any library root
+    const relp = rel(p)
+    if (relp.startsWith('..')) throw new Error('root_path must be inside a library')
     p = relp
   }
   p = toPosix(p).replace(/^\.\/+/, '').replace(/^\/+/, '').replace(/\/+$/, '')
+  if (p.split('/').some(s => s === '.' || s === '..')) throw new Error('invalid path')
   return p
 }
 
@@ -914,7 +1997,7 @@ function ensureAdmin() {
   const ADMIN_USER = (process.env.ADMIN_USER || 'admin').trim()
   const ADMIN_PASS = (process.env.ADMIN_PASS || 'admin123').trim()
   const pass_hash = hashPassword(ADMIN_PASS)
-  insertUser.run(ADMIN_USER, pass_hash, 1, null, nowMs())
+  insertUser.run(ADMIN_USER, pass_hash, 1, null, nowMs(), 0)
   console.log(`[auth] created default admin '${ADMIN_USER}'`)
 }
 const DEFAULT_ADMIN_USERNAME = (process.env.ADMIN_USER || 'admin').trim()
@@ -962,26 +2045,156 @@ app.post('/api/auth/login', (req, res) => {
   if (!username || !password) return res.status(400).json({ error: 'missing credentials' })
   const u = getUserByUsername.get(String(username).trim())
   if (!u || !verifyPassword(String(password), u.pass_hash)) return res.status(401).json({ error: 'invalid credentials' })
+  if (u.disabled) return res.status(403).json({ error: 'account disabled' })
+  // with 2FA on, the password only earns a ticket for POST /api/auth/login/totp
+  if (u.totp_enabled) return res.json({ totp_required: true, ticket: loginTicket(u) })
+  startSession(req, res, u)
+})
+
+function startSession(req, res, u) {
   const token = crypto.randomBytes(32).toString('hex')
   const created = nowMs(), expires = created + SESSION_TTL_MS
-  insertSession.run(u.id, token, created, expires)
+  insertSession.run(u.id, token, created, expires, created, String(req.headers['user-agent'] || '').slice(0, 300) || null, req.ip || null)
   setSessionCookie(req, res, token, SESSION_TTL_MS)
-  res.json({ ok: true, user: { id: u.id, username: u.username, is_admin: !!u.is_admin, root_path: u.root_path || '' } })
+  res.json({ ok: true, user: sessionUser({ ...u, user_id: u.id }) })
+}
+
+/* two-factor sign-in */
+const TOTP_TICKET_TTL_MS = 1000 * 60 * 5
+const TOTP_MAX_FAILURES = 5
+const TOTP_LOCK_MS = 1000 * 60 * 10
+const adminTotpRequired = () => getSetting('require_admin_totp', '0') === '1'
+// Tickets are signed with the password hash, so a password change voids them
+function signLoginTicket(u, exp) {
+  return crypto.createHmac('sha256', u.pass_hash).update(`totp.${u.id}.${exp}`).digest('hex')
+}
+function loginTicket(u) {
+  const exp = nowMs() + TOTP_TICKET_TTL_MS
+  return `${u.id}.${exp}.${signLoginTicket(u, exp)}`
+}
+function ticketUser(ticket) {
+  const [idStr, expStr, sig] = String(ticket || '').split('.')
+  const exp = Number(expStr)
+  if (!Number.isFinite(exp) || exp <= nowMs()) return null
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(Number(idStr))
+  if (!u || u.disabled || !u.totp_enabled) return null
+  const want = Buffer.from(signLoginTicket(u, exp))
+  const got = Buffer.from(String(sig || ''))
+  return want.length === got.length && crypto.timingSafeEqual(want, got) ? u : null
+}
+// Wrong codes per user; a few in a row lock the second step for a while
+const totpFailures = new Map()
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex')
+// Ten fresh single-use codes (replacing any earlier ones); only returned this once
+function newRecoveryCodes(userId) {
+  const codes = Array.from({ length: 10 }, () => {
+    const c = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10)
+    return `${c.slice(0, 5)}-${c.slice(5)}`
+  })
+  db.transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId)
+    for (const c of codes) db.prepare('INSERT INTO recovery_codes(user_id, code_hash, created_at) VALUES(?,?,?)').run(userId, hashRecoveryCode(c), nowMs())
+  })()
+  return codes
+}
+function useRecoveryCode(userId, code) {
+  const info = db.prepare('UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+    .run(nowMs(), userId, hashRecoveryCode(code))
+  return info.changes > 0
+}
+const clearTotp = (userId) => {
+  db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = 0 WHERE id = ?').run(userId)
+  db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId)
+}
+
+// { ticket, code }: a 6-digit code from the authenticator app or an unused recovery code
+app.post('/api/auth/login/totp', (req, res) => {
+  const u = ticketUser(req.body?.ticket)
+  if (!u) return res.status(401).json({ error: 'sign-in expired, enter your password again' })
+  const fails = totpFailures.get(u.id)
+  if (fails && fails.count >= TOTP_MAX_FAILURES && nowMs() - fails.at < TOTP_LOCK_MS) {
+    return res.status(429).json({ error: 'too many wrong codes, try again later' })
+  }
+  const code = String(req.body?.code || '').trim()
+  let ok = false
+  if (/^\d{6}$/.test(code.replace(/\s/g, ''))) {
+    const step = totpStep(u.totp_secret, code, u.totp_last_step)
+    if (step !== null) {
+      db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, u.id)
+      ok = true
+    }
+  } else if (code) {
+    ok = useRecoveryCode(u.id, code)
+  }
+  if (!ok) {
+    const count = fails && nowMs() - fails.at < TOTP_LOCK_MS ? fails.count + 1 : 1
+    totpFailures.set(u.id, { count, at: nowMs() })
+    return res.status(401).json({ error: 'wrong code' })
+  }
+  totpFailures.delete(u.id)
+  startSession(req, res, u)
 })
 
+// library_ids is null for users who see every library, else the libraries they were granted
+const listUserLibraryIds = db.prepare('SELECT library_id FROM user_libraries WHERE user_id = ? ORDER BY library_id')
+function userLibraryIds(userId, isAdmin) {
+  if (isAdmin) return null
+  const ids = listUserLibraryIds.all(userId).map(r => r.library_id)
+  return ids.length ? ids : null
+}
+// A user's own and their groups' folder grants
+const listUserGrants = db.prepare(`SELECT path, deny FROM path_grants
+  WHERE user_id = ? OR group_id IN (SELECT group_id FROM group_members WHERE user_id = ?)`)
+const parentFolder = (p) => p.includes('/') ? p.slice(0, p.lastIndexOf('/')) : ''
+function commonFolder(paths) {
+  let base = paths[0]
+  for (const p of paths) while (base && !underFolder(base, p)) base = parentFolder(base)
+  return base
+}
+// root_path plus granted folders make the allowed set; with none of either the user sees the
+// whole library. grants is null for "everything", else the folders without nested duplicates
+function userGrants(userId, rootPath) {
+  const rows = listUserGrants.all(userId, userId)
+  const allowed = [...new Set([...(rootPath ? [rootPath] : []), ...rows.filter(r => !r.deny).map(r => r.path)])]
+  const denies = [...new Set(rows.filter(r => r.deny).map(r => r.path))]
+  if (!allowed.length || allowed.includes('')) return { root_path: '', grants: null, denies }
+  const grants = allowed.filter(p => !allowed.some(q => q !== p && underFolder(q, p)))
+  return { root_path: commonFolder(grants), grants, denies }
+}
+function sessionUser(row) {
+  return {
+    id: row.user_id,
+    username: row.username,
+    is_admin: !!row.is_admin,
+    ...userGrants(row.user_id, row.root_path ? toPosix(row.root_path) : ''),
+    ...Object.fromEntries(CAPABILITIES.map(c => [c, !!(row.is_admin || row[c])])),
+    library_ids: userLibraryIds(row.user_id, !!row.is_admin),
+    totp_enabled: !!row.totp_enabled,
+    // admins without 2FA while it is required may only enroll (see requireAuth)
+    totp_setup_required: !!row.is_admin && !row.totp_enabled && adminTotpRequired()
+  }
+}
+
+// The signed-in user of a request, or null. Sets req.sessionId and slides the session's expiry
+// (and the cookie's) forward while it is in use
+function requestUser(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE]
+  if (!token) return null
+  const row = getSession.get(token)
+  const now = nowMs()
+  if (!row || row.expires_at < now) return null
+  if (now - row.last_seen_at > SESSION_TOUCH_MS) {
+    touchSession.run(now, now + SESSION_TTL_MS, req.ip || null, row.id)
+    if (!res.headersSent) setSessionCookie(req, res, token, SESSION_TTL_MS)
+  }
+  req.sessionId = row.id
+  return sessionUser(row)
+}
+
 app.get('/api/auth/me', (req, res) => {
-  // lightweight inline optional auth so we can return 401 when missing
   let user = null
-  try {
-    const cookies = parseCookies(req)
-    const token = cookies[SESSION_COOKIE]
-    if (token) {
-      const row = getSession.get(token)
-      if (row && row.expires_at > nowMs()) {
-        user = { id: row.user_id, username: row.username, is_admin: !!row.is_admin, root_path: row.root_path ? toPosix(row.root_path) : '' }
-      }
-    }
-  } catch {}
+  try { user = requestUser(req, res) } catch {}
   if (!user) return res.status(401).json({ user: null })
   res.json({ user })
 })
@@ -990,28 +2203,115 @@ app.post('/api/auth/logout', (req, res) => {
   try {
     const cookies = parseCookies(req)
     const token = cookies[SESSION_COOKIE]
-    if (token) { try { deleteSession.run(token) } catch {} }
+    if (token) {
+      closeEventClients(c => c.token === token)
+      try { deleteSession.run(token) } catch {}
+    }
   } catch {}
   clearSessionCookie(req, res)
   res.json({ ok: true })
 })
 
+// { current, password }: change your own password; other sessions of the account end
+app.post('/api/auth/password', requireAuth, (req, res) => {
+  const { current, password } = req.body || {}
+  if (!password) return res.status(400).json({ error: 'new password required' })
+  const u = db.prepare('SELECT pass_hash FROM users WHERE id = ?').get(req.user.id)
+  if (!u || !verifyPassword(String(current || ''), u.pass_hash)) return res.status(401).json({ error: 'current password is wrong' })
+  db.prepare('UPDATE users SET pass_hash = ? WHERE id = ?').run(hashPassword(String(password)), req.user.id)
+  endUserSessions(req.user.id, req.sessionId)
+  res.json({ ok: true })
+})
+
+/* sessions: your own, or with ?all=1 (admins) everyone's */
+const SESSION_COLS = 's.id, s.user_id, u.username, s.created_at, s.last_seen_at, s.expires_at, s.user_agent, s.ip'
+app.get('/api/auth/sessions', requireAuth, (req, res) => {
+  const all = String(req.query.all || '0') === '1'
+  if (all && !req.user.is_admin) return res.status(403).json({ error: 'admin only' })
+  const rows = db.prepare(`SELECT ${SESSION_COLS} FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.expires_at > ?${all ? '' : ' AND s.user_id = ?'} ORDER BY s.last_seen_at DESC`).all(...(all ? [nowMs()] : [nowMs(), req.user.id]))
+  res.json({ items: rows.map(r => ({ ...r, current: r.id === req.sessionId })) })
+})
+// Revoke one session (yours, or anyone's for admins); revoking the current one signs you out
+app.delete('/api/auth/sessions/:id', requireAuth, (req, res) => {
+  const found = db.prepare('SELECT id, user_id FROM sessions WHERE id = ?').get(Number(req.params.id))
+  if (!found) return res.status(404).json({ error: 'not found' })
+  if (found.user_id !== req.user.id && !req.user.is_admin) return res.status(403).json({ error: 'forbidden' })
+  db.prepare('DELETE FROM sessions WHERE id = ?').run(found.id)
+  closeEventClients(c => c.sessionId === found.id)
+  if (found.id === req.sessionId) clearSessionCookie(req, res)
+  res.json({ ok: true, current: found.id === req.sessionId })
+})
+// Sign out everywhere else
+app.delete('/api/auth/sessions', requireAuth, (req, res) => {
+  const info = endUserSessions(req.user.id, req.sessionId)
+  res.json({ ok: true, revoked: info.changes })
+})
+
+// Expired sessions (and those of deleted users) are dropped hourly
+function purgeExpiredSessions() {
+  const info = db.prepare('DELETE FROM sessions WHERE expires_at < ? OR user_id NOT IN (SELECT id FROM users)').run(nowMs())
+  if (info.changes) console.log(`[auth] removed ${info.changes} expired session(s)`)
+}
+purgeExpiredSessions()
+setInterval(() => { try { purgeExpiredSessions() } catch (e) { console.warn('[auth] session cleanup failed:', e.message) } }, 60 * 60 * 1000).unref()
+
+/* two-factor enrollment for the signed-in user */
+app.get('/api/auth/totp', requireAuth, (req, res) => {
+  const left = db.prepare('SELECT COUNT(*) AS c FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').get(req.user.id).c
+  res.json({ enabled: req.user.totp_enabled, recovery_codes_left: left, required: req.user.is_admin && adminTotpRequired() })
+})
+// New secret to scan; sign-in keeps working without 2FA until /enable confirms a code
+app.post('/api/auth/totp/setup', requireAuth, async (req, res) => {
+  if (req.user.totp_enabled) return res.status(409).json({ error: 'two-factor authentication is already on' })
+  try {
+    const secret = base32Encode(crypto.randomBytes(20))
+    db.prepare('UPDATE users SET totp_secret = ?, totp_last_step = 0 WHERE id = ?').run(secret, req.user.id)
+    const issuer = 'Liquid Photos'
+    const otpauth_url = `otpauth://totp/${encodeURIComponent(`${issuer}:${req.user.username}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`
+    res.json({ secret, otpauth_url, qr: await QRCode.toDataURL(otpauth_url, { margin: 1, width: 200 }) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+// { code }: confirm the app works; answers the recovery codes once
+app.post('/api/auth/totp/enable', requireAuth, (req, res) => {
+  const u = db.prepare('SELECT totp_secret, totp_enabled FROM users WHERE id = ?').get(req.user.id)
+  if (u.totp_enabled) return res.status(409).json({ error: 'two-factor authentication is already on' })
+  if (!u.totp_secret) return res.status(400).json({ error: 'start the setup first' })
+  const step = totpStep(u.totp_secret, req.body?.code)
+  if (step === null) return res.status(400).json({ error: 'wrong code, check the time on your device' })
+  db.prepare('UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?').run(step, req.user.id)
+  res.json({ ok: true, recovery_codes: newRecoveryCodes(req.user.id) })
+})
+// { password }: turn 2FA off (not while it is required for this account)
+app.post('/api/auth/totp/disable', requireAuth, (req, res) => {
+  const u = db.prepare('SELECT pass_hash FROM users WHERE id = ?').get(req.user.id)
+  if (!verifyPassword(String(req.body?.password || ''), u.pass_hash)) return res.status(401).json({ error: 'wrong password' })
+  if (req.user.is_admin && adminTotpRequired()) return res.status(400).json({ error: 'two-factor authentication is required for admins' })
+  clearTotp(req.user.id)
+  res.json({ ok: true })
+})
+// { password }: replace the recovery codes
+app.post('/api/auth/totp/recovery-codes', requireAuth, (req, res) => {
+  if (!req.user.totp_enabled) return res.status(400).json({ error: 'two-factor authentication is off' })
+  const u = db.prepare('SELECT pass_hash FROM users WHERE id = ?').get(req.user.id)
+  if (!verifyPassword(String(req.body?.password || ''), u.pass_hash)) return res.status(401).json({ error: 'wrong password' })
+  res.json({ ok: true, recovery_codes: newRecoveryCodes(req.user.id) })
+})
+
 /* admin/require helpers */
-function authOptional(req, _res, next) {
+function authOptional(req, res, next) {
   req.user = null
-  try {
-    const cookies = parseCookies(req)
-    const token = cookies[SESSION_COOKIE]
-    if (!token) return next()
-    const row = getSession.get(token)
-    if (!row || row.expires_at < nowMs()) return next()
-    req.user = { id: row.user_id, username: row.username, is_admin: !!row.is_admin, root_path: row.root_path ? toPosix(row.root_path) : '' }
-  } catch {}
+  try { req.user = requestUser(req, res) } catch {}
   next()
 }
 function requireAuth(req, res, next) {
   authOptional(req, res, () => {
     if (!req.user) return res.status(401).json({ error: 'auth required' })
+    if (req.user.totp_setup_required && !req.path.startsWith('/api/auth/')) {
+      return res.status(403).json({ error: 'set up two-factor authentication first', totp_setup_required: true })
+    }
     next()
   })
 }
@@ -1021,29 +2321,360 @@ function requireAdmin(req, res, next) {
     next()
   })
 }
+function requireCapability(cap, error = 'forbidden') {
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (!req.user[cap]) return res.status(403).json({ error })
+    next()
+  })
+}
+const requireUserManager = requireCapability('can_manage_users', 'not allowed to manage users')
+
+// Capability flags from a users create/update body, only those present. User managers who are
+// not admins can neither make admins nor hand out capabilities they lack themselves
+function capabilityInput(actor, body) {
+  const caps = {}
+  for (const c of CAPABILITIES) {
+    if (body?.[c] === undefined) continue
+    if (body[c] && !actor[c]) throw httpError(403, `cannot grant ${c}`)
+    caps[c] = body[c] ? 1 : 0
+  }
+  if (body?.is_admin && !actor.is_admin) throw httpError(403, 'only admins can create admins')
+  return caps
+}
+// What an account's root_path, grants and libraries add up to, shaped like sessionUser()
+const userAccess = (row) => ({
+  ...userGrants(row.id, row.root_path ? toPosix(row.root_path) : ''),
+  library_ids: userLibraryIds(row.id, !!row.is_admin)
+})
+// Every folder and library `access` reaches is one `actor` sees too
+function accessWithin(actor, access) {
+  if (actor.is_admin) return true
+  if (actor.library_ids && (!access.library_ids || access.library_ids.some(l => !actor.library_ids.includes(l)))) return false
+  if (!(access.grants || ['']).every(g => userSees(actor, g))) return false
+  return !actor.denies?.some(d => userSees(access, d))
+}
+// Non-admin user managers may only touch non-admin accounts that see no more than they do,
+// and folder rules and groups within what they can see themselves
+function managedUser(actor, id) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(id)
+  if (!user) throw httpError(404, 'not found')
+  if (user.is_admin && !actor.is_admin) throw httpError(403, 'admin accounts are managed by admins')
+  if (!accessWithin(actor, userAccess(user))) throw httpError(403, 'user can see more than you')
+  return user
+}
+// Run `change` in a transaction, rolled back when it leaves one of `userIds` (admins aside)
+// seeing more than the actor, e.g. by dropping a deny rule or a group
+function managedChange(actor, userIds, change) {
+  db.transaction(() => {
+    change()
+    for (const id of userIds) {
+      const user = db.prepare('SELECT * FROM users WHERE id = ?').get(id)
+      if (user && !user.is_admin && !accessWithin(actor, userAccess(user))) throw httpError(403, 'a user would see more than you')
+    }
+  })()
+}
+function assertManagedFolder(actor, folder) {
+  if (!actor.is_admin && !userSees(actor, folder)) throw httpError(403, 'folder is outside your scope')
+}
+function assertManagedGroup(actor, groupId) {
+  for (const g of listGrantsOf.group.all(groupId)) assertManagedFolder(actor, g.path)
+}
+// A group's rules apply to all its members, so changing them takes the right to manage each one
+function assertManagedMembers(actor, groupId) {
+  for (const id of groupMemberIds(groupId)) managedUser(actor, id)
+}
 
 /* admin routes */
-app.get('/api/admin/users', requireAdmin, (_req, res) => {
-  const rows = db.prepare(`SELECT id, username, is_admin, COALESCE(root_path,'') as root_path, created_at FROM users ORDER BY id ASC`).all()
-  const items = rows.map(r => ({ ...r, is_protected: r.username === DEFAULT_ADMIN_USERNAME }))
-  res.json({ items })
+const ADMIN_USER_COLS = `id, username, is_admin, COALESCE(root_path,'') as root_path, ${CAPABILITIES.join(', ')}, disabled, totp_enabled, created_at`
+const adminUserJson = (r) => ({
+  ...r,
+  is_protected: r.username === DEFAULT_ADMIN_USERNAME,
+  library_ids: listUserLibraryIds.all(r.id).map(l => l.library_id),
+  grants: listGrantsOf.user.all(r.id).map(grantJson),
+  group_ids: listGroupIdsOfUser.all(r.id).map(g => g.group_id),
+  // what root_path, own and group grants add up to; null is the whole library
+  allowed: userGrants(r.id, r.root_path ? toPosix(r.root_path) : '').grants
 })
-app.post('/api/admin/users', requireAdmin, (req, res) => {
+app.get('/api/admin/users', requireUserManager, (_req, res) => {
+  res.json({ items: db.prepare(`SELECT ${ADMIN_USER_COLS} FROM users ORDER BY id ASC`).all().map(adminUserJson) })
+})
+app.post('/api/admin/users', requireUserManager, (req, res) => {
   const { username, password, root_path } = req.body || {}
   if (!username || !password) return res.status(400).json({ error: 'username & password required' })
   let scoped = ''
   try { scoped = normalizeScopeInput(root_path || '') } catch (e) { return res.status(400).json({ error: e.message }) }
   const pass_hash = hashPassword(String(password))
   try {
+    assertManagedFolder(req.user, scoped)
+    const caps = capabilityInput(req.user, req.body)
+    // a manager's new users don't get capabilities by default that the manager lacks
+    for (const c of CAPABILITIES) if (!req.user[c]) caps[c] = 0
     const is_admin = req.body && req.body.is_admin ? 1 : 0
-    const info = insertUser.run(String(username).trim(), pass_hash, is_admin, scoped || null, nowMs())
+    const info = insertUser.run(String(username).trim(), pass_hash, is_admin, scoped || null, nowMs(), caps.can_delete ?? 0)
+    const set = Object.keys(caps).filter(c => c !== 'can_delete')
+    if (set.length) db.prepare(`UPDATE users SET ${set.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`).run({ ...caps, id: info.lastInsertRowid })
+    // ...nor libraries the manager doesn't have
+    if (req.user.library_ids) setUserLibraries(info.lastInsertRowid, req.user.library_ids)
     res.json({ ok: true, id: info.lastInsertRowid })
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
     if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'username exists' })
     res.status(500).json({ error: e.message })
   }
 })
 
+const setUserLibraries = db.transaction((userId, ids) => {
+  db.prepare('DELETE FROM user_libraries WHERE user_id = ?').run(userId)
+  for (const id of ids) db.prepare('INSERT INTO user_libraries(user_id, library_id) VALUES(?, ?)').run(userId, id)
+})
+// { password?, root_path?, is_admin?, disabled?, reset_totp?, can_*?, library_ids? }; only the keys
+// present change (PUT and PATCH alike). An empty library_ids grants every library again; a new
+// password or disabling the account ends the user's sessions. reset_totp turns off a lost 2FA
+function updateUser(req, res) {
+  const id = Number(req.params.id)
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+  const body = req.body || {}
+  try {
+    const user = managedUser(req.user, id)
+    const fields = capabilityInput(req.user, body)
+    if (body.password !== undefined) {
+      if (!body.password) throw httpError(400, 'password required')
+      fields.pass_hash = hashPassword(String(body.password))
+    }
+    if (body.root_path !== undefined) {
+      let scoped
+      try { scoped = normalizeScopeInput(body.root_path || '') } catch (e) { throw httpError(400, e.message) }
+      assertManagedFolder(req.user, scoped)
+      fields.root_path = scoped || null
+    }
+    if (body.is_admin !== undefined && !body.is_admin !== !user.is_admin) {
+      if (id === req.user.id) throw httpError(400, 'cannot change your own admin flag')
+      if (user.username === DEFAULT_ADMIN_USERNAME) throw httpError(400, 'the default admin stays admin')
+      fields.is_admin = body.is_admin ? 1 : 0
+    }
+    if (body.disabled !== undefined) {
+      if (body.disabled && id === req.user.id) throw httpError(400, 'cannot disable your own account')
+      if (body.disabled && user.username === DEFAULT_ADMIN_USERNAME) throw httpError(400, 'cannot disable the default admin')
+      fields.disabled = body.disabled ? 1 : 0
+    }
+    let libraryIds
+    if (body.library_ids !== undefined) {
+      if (!Array.isArray(body.library_ids) || body.library_ids.some(l => !libraryById(Number(l)))) throw httpError(400, 'unknown library')
+      libraryIds = [...new Set(body.library_ids.map(Number))]
+      // managers can only hand out their own libraries (and "all" only when they have all)
+      const own = req.user.library_ids
+      if (own && (libraryIds.some(l => !own.includes(l)) || !libraryIds.length)) throw httpError(403, 'library is outside your scope')
+    }
+    const set = Object.keys(fields)
+    if (!set.length && libraryIds === undefined && !body.reset_totp) return res.status(400).json({ error: 'nothing to update' })
+    managedChange(req.user, [id], () => {
+      if (set.length) db.prepare(`UPDATE users SET ${set.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`).run({ ...fields, id })
+      if (libraryIds !== undefined) setUserLibraries(id, libraryIds)
+      if (body.reset_totp) clearTotp(id)
+    })
+    if (fields.pass_hash || fields.disabled) endUserSessions(id, id === req.user.id ? req.sessionId : null)
+    res.json({ ok: true, ...adminUserJson(db.prepare(`SELECT ${ADMIN_USER_COLS} FROM users WHERE id = ?`).get(id)) })
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message })
+  }
+}
+app.put('/api/admin/users/:id', requireUserManager, updateUser)
+app.patch('/api/admin/users/:id', requireUserManager, updateUser)
+
+/* groups and folder grants: admin only. Grants add up across a user's own and their groups';
+   denies win over grants. Signed-in users pick changes up on their next request */
+const grantJson = (g) => ({ id: g.id, path: g.path, deny: !!g.deny })
+const listGrantsOf = {
+  user: db.prepare('SELECT * FROM path_grants WHERE user_id = ? ORDER BY deny, path'),
+  group: db.prepare('SELECT * FROM path_grants WHERE group_id = ? ORDER BY deny, path')
+}
+const listGroupIdsOfUser = db.prepare('SELECT group_id FROM group_members WHERE user_id = ? ORDER BY group_id')
+const getGroup = db.prepare('SELECT * FROM groups WHERE id = ?')
+const groupMemberIds = (groupId) => db.prepare('SELECT user_id FROM group_members WHERE group_id = ? ORDER BY user_id').all(groupId).map(m => m.user_id)
+const groupJson = (g) => ({
+  ...g,
+  member_ids: groupMemberIds(g.id),
+  grants: listGrantsOf.group.all(g.id).map(grantJson)
+})
+const setGroupMembers = db.transaction((groupId, userIds) => {
+  db.prepare('DELETE FROM group_members WHERE group_id = ?').run(groupId)
+  for (const id of userIds) db.prepare('INSERT INTO group_members(group_id, user_id) VALUES(?, ?)').run(groupId, id)
+})
+const validGroupName = (name) => {
+  const n = String(name ?? '').trim()
+  return n && n.length <= 80 ? n : null
+}
+
+app.get('/api/admin/groups', requireUserManager, (_req, res) => {
+  res.json({ items: db.prepare('SELECT * FROM groups ORDER BY name').all().map(groupJson) })
+})
+app.post('/api/admin/groups', requireUserManager, (req, res) => {
+  const name = validGroupName(req.body?.name)
+  if (!name) return res.status(400).json({ error: 'name required' })
+  try {
+    const info = db.prepare('INSERT INTO groups(name, created_at) VALUES(?, ?)').run(name, nowMs())
+    res.json({ ok: true, item: groupJson(getGroup.get(info.lastInsertRowid)) })
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'a group with that name exists' })
+    res.status(500).json({ error: e.message })
+  }
+})
+// { name?, member_ids? }; member_ids replaces the member list
+app.patch('/api/admin/groups/:id', requireUserManager, (req, res) => {
+  const group = getGroup.get(Number(req.params.id))
+  if (!group) return res.status(404).json({ error: 'not found' })
+  const { name, member_ids } = req.body || {}
+  if (name === undefined && member_ids === undefined) return res.status(400).json({ error: 'nothing to update' })
+  try {
+    assertManagedGroup(req.user, group.id)
+    const n = name !== undefined ? validGroupName(name) : group.name
+    if (!n) return res.status(400).json({ error: 'name required' })
+    let ids
+    let before = []
+    if (member_ids !== undefined) {
+      ids = Array.isArray(member_ids) ? [...new Set(member_ids.map(Number))] : null
+      const known = ids && db.prepare(`SELECT COUNT(*) AS c FROM users WHERE id IN (${ids.map(() => '?').join(',') || 'NULL'})`).get(...ids).c
+      if (!ids || known !== ids.length) return res.status(400).json({ error: 'unknown user' })
+      // adding or removing someone changes their access, so it takes the right to manage them
+      before = groupMemberIds(group.id)
+      for (const id of ids.filter(i => !before.includes(i)).concat(before.filter(i => !ids.includes(i)))) managedUser(req.user, id)
+    }
+    managedChange(req.user, before, () => {
+      if (n !== group.name) db.prepare('UPDATE groups SET name = ? WHERE id = ?').run(n, group.id)
+      if (ids) setGroupMembers(group.id, ids)
+    })
+    res.json({ ok: true, item: groupJson(getGroup.get(group.id)) })
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'a group with that name exists' })
+    res.status(500).json({ error: e.message })
+  }
+})
+app.delete('/api/admin/groups/:id', requireUserManager, (req, res) => {
+  const id = Number(req.params.id)
+  if (!getGroup.get(id)) return res.status(404).json({ error: 'not found' })
+  try {
+    assertManagedGroup(req.user, id)
+    managedChange(req.user, groupMemberIds(id), () => {
+      db.prepare('DELETE FROM groups WHERE id = ?').run(id)
+      db.prepare('DELETE FROM group_members WHERE group_id = ?').run(id)
+      db.prepare('DELETE FROM path_grants WHERE group_id = ?').run(id)
+    })
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message })
+  }
+  res.json({ ok: true })
+})
+
+// { user_id | group_id, path, deny? }: allow (or with deny, hide) a folder and everything below it
+app.post('/api/admin/grants', requireUserManager, (req, res) => {
+  const userId = req.body?.user_id ? Number(req.body.user_id) : null
+  const groupId = req.body?.group_id ? Number(req.body.group_id) : null
+  if (!userId === !groupId) return res.status(400).json({ error: 'user_id or group_id required' })
+  if (groupId && !getGroup.get(groupId)) return res.status(404).json({ error: 'group not found' })
+  let folder
+  try { folder = normalizeScopeInput(String(req.body?.path || '')) } catch (e) { return res.status(400).json({ error: e.message }) }
+  try {
+    if (userId) managedUser(req.user, userId)
+    else {
+      assertManagedGroup(req.user, groupId)
+      assertManagedMembers(req.user, groupId)
+    }
+    assertManagedFolder(req.user, folder)
+  } catch (e) {
+    return res.status(e.status).json({ error: e.status === 404 ? 'user not found' : e.message })
+  }
+  if (folder.split('/').some(p => p === '.' || p === '..')) return res.status(400).json({ error: 'invalid path' })
+  const deny = req.body?.deny ? 1 : 0
+  if (deny && !folder) return res.status(400).json({ error: 'a deny rule needs a folder' })
+  const owner = userId ? ['user_id', userId] : ['group_id', groupId]
+  if (db.prepare(`SELECT 1 FROM path_grants WHERE ${owner[0]} = ? AND path = ? AND deny = ?`).get(owner[1], folder, deny)) {
+    return res.status(409).json({ error: 'that rule exists' })
+  }
+  let info
+  try {
+    managedChange(req.user, userId ? [userId] : groupMemberIds(groupId), () => {
+      info = db.prepare('INSERT INTO path_grants(user_id, group_id, path, deny, created_at) VALUES(?,?,?,?,?)')
+        .run(userId, groupId, folder, deny, nowMs())
+    })
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message })
+  }
+  res.json({ ok: true, item: grantJson(db.prepare('SELECT * FROM path_grants WHERE id = ?').get(info.lastInsertRowid)) })
+})
+app.delete('/api/admin/grants/:id', requireUserManager, (req, res) => {
+  const grant = db.prepare('SELECT * FROM path_grants WHERE id = ?').get(Number(req.params.id))
+  if (!grant) return res.status(404).json({ error: 'not found' })
+  try {
+    if (grant.user_id) managedUser(req.user, grant.user_id)
+    else assertManagedMembers(req.user, grant.group_id)
+    assertManagedFolder(req.user, grant.path)
+    managedChange(req.user, grant.user_id ? [grant.user_id] : groupMemberIds(grant.group_id), () => {
+      db.prepare('DELETE FROM path_grants WHERE id = ?').run(grant.id)
+    })
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message })
+  }
+  res.json({ ok: true })
+})
+
+/* server-wide settings editable by admins */
+const settingsJson = () => ({ trash_purge_days: trashPurgeDays(), require_admin_totp: adminTotpRequired() })
+app.get('/api/admin/settings', requireAdmin, (_req, res) => {
+  res.json(settingsJson())
+})
+app.put('/api/admin/settings', requireAdmin, (req, res) => {
+  if (req.body?.trash_purge_days !== undefined) {
+    const days = Number(req.body.trash_purge_days)
+    if (!Number.isInteger(days) || days < 0 || days > 3650) return res.status(400).json({ error: 'trash_purge_days must be 0-3650' })
+    setSetting('trash_purge_days', days)
+  }
+  // admins without 2FA are asked to set it up on their next request
+  if (req.body?.require_admin_totp !== undefined) setSetting('require_admin_totp', req.body.require_admin_totp ? 1 : 0)
+  res.json(settingsJson())
+})
+
+// Derivative queue: depth per kind, what is running and the jobs that gave up
+app.get('/api/admin/jobs', requireAdmin, (_req, res) => {
+  try {
+    const counts = {}
+    for (const r of db.prepare('SELECT kind, status, COUNT(*) AS c FROM jobs GROUP BY kind, status').all()) {
+      counts[r.kind] ??= { queued: 0, running: 0, failed: 0 }
+      counts[r.kind][r.status] = r.c
+    }
+    const running = db.prepare("SELECT id, kind, path, height, attempts, updated_at FROM jobs WHERE status = 'running' ORDER BY updated_at").all()
+    const failed = db.prepare(`SELECT id, kind, path, height, status, attempts, last_error, updated_at FROM jobs
+      WHERE status = 'failed' OR (status = 'queued' AND attempts > 0) ORDER BY updated_at DESC LIMIT 100`).all()
+    res.json({ concurrency: JOB_CONCURRENCY, hls_concurrency: JOB_HLS_CONCURRENCY, max_attempts: JOB_MAX_ATTEMPTS, counts, running, failed })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Give failed jobs { ids? } (default: all of them) a fresh set of attempts
+app.post('/api/admin/jobs/retry', requireAdmin, (req, res) => {
+  try {
+    const ids = parseIds(req.body)
+    const where = ids.length ? `AND id IN (${ids.map(() => '?').join(',')})` : ''
+    const info = db.prepare(`UPDATE jobs SET status = 'queued', attempts = 0, run_after = 0, updated_at = ?
+      WHERE status = 'failed' ${where}`).run(nowMs(), ...ids)
+    pumpJobs()
+    res.json({ ok: true, retried: info.changes })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Forget failed jobs; the next request for those files queues them again
+app.delete('/api/admin/jobs/failed', requireAdmin, (_req, res) => {
+  try {
+    const info = db.prepare("DELETE FROM jobs WHERE status = 'failed'").run()
+    res.json({ ok: true, cleared: info.changes })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
 /* tree/photos: require auth, scope by user.root_path */
 function scopeJoin(scope, relFolder) {
   const a = (scope || '').trim()
@@ -1057,6 +2688,53 @@ function inScope(scope, folder) {
   const upper = lower + '\uFFFF'
   return folder >= lower && folder < upper
 }
+// `folder` is `prefix` or below it ('' holds everything)
+const underFolder = (prefix, folder) => !prefix || folder === prefix || folder.startsWith(`${prefix}/`)
+
+// A user sees a folder when one of their allowed folders holds it, no denied folder does, and
+// its library is granted. root_path stays the common parent of the allowed folders: client
+// folders are relative to it and the range queries below it keep using the index
+const userSeesLibrary = (user, libraryId) => !user?.library_ids || user.library_ids.includes(libraryId)
+function userSees(user, folder) {
+  if (!inScope(user?.root_path || '', folder)) return false
+  if (user?.grants && !user.grants.some(p => underFolder(p, folder))) return false
+  if (user?.denies?.some(p => underFolder(p, folder))) return false
+  return userSeesLibrary(user, libraryFor(folder).id)
+}
+// ...and everything below it too, which a public folder share would expose
+const userSeesAll = (user, folder) => userSees(user, folder) && !user.denies?.some(p => underFolder(folder, p))
+// SQL condition limiting a query to `libraryIds` (null for every library)
+function libraryCondition(libraryIds, col = 'library_id') {
+  if (!libraryIds) return null
+  return libraryIds.length ? `${col} IN (${libraryIds.map(Number).join(',')})` : '0'
+}
+const sqlString = (s) => `'${String(s).replace(/'/g, "''")}'`
+function folderUnderSql(col, prefix) {
+  if (!prefix) return '1'
+  return `(${col} = ${sqlString(prefix)} OR (${col} >= ${sqlString(prefix + '/')} AND ${col} < ${sqlString(prefix + '/\uFFFF')}))`
+}
+// SQL condition for rows the user may see beyond the root_path range: allowed and denied
+// folders plus libraries (`alias` is a table alias like 'i.'). Paths are inlined as literals
+// so the condition drops into queries with positional parameters
+function scopeCondition(user, alias = '', libraryIds = user?.library_ids) {
+  const parts = []
+  if (user?.grants) parts.push(`(${user.grants.map(p => folderUnderSql(`${alias}folder`, p)).join(' OR ')})`)
+  if (user?.denies?.length) parts.push(`NOT (${user.denies.map(p => folderUnderSql(`${alias}folder`, p)).join(' OR ')})`)
+  const libs = libraryCondition(libraryIds, `${alias}library_id`)
+  if (libs) parts.push(libs)
+  return parts.length ? parts.join(' AND ') : null
+}
+function scopeClause(user, alias = '', libraryIds = user?.library_ids) {
+  const cond = scopeCondition(user, alias, libraryIds)
+  return cond ? ` AND ${cond}` : ''
+}
+// Libraries a browsing request covers: the user's grants, narrowed to ?library=ID when given
+function requestLibraryIds(req) {
+  const raw = req.query.library
+  if (raw === undefined || raw === '') return req.user.library_ids
+  const id = Number(raw)
+  return libraryById(id) && userSeesLibrary(req.user, id) ? [id] : []
+}
 
 function ordinal(n) {
   const s = ['th', 'st', 'nd', 'rd']
@@ -1064,18 +2742,18 @@ function ordinal(n) {
   return `${n}${s[(v - 20) % 10] || s[v] || s[0]}`
 }
 
-function buildDateTreeForScope(scopePath, filter = 'all') {
-  const lower = scopePath || ''
+function buildDateTreeForScope(user, filter = 'all', libraryIds = user.library_ids) {
+  const lower = user.root_path || ''
   const upper = lower + '\uFFFF'
-  const kindWhere = filter === 'images' ? " AND kind = 'image'" : (filter === 'videos' ? " AND kind = 'video'" : '')
+  const kindWhere = (filter === 'images' ? " AND kind = 'image'" : (filter === 'videos' ? " AND kind = 'video'" : '')) + scopeClause(user, '', libraryIds)
   const rows = db.prepare(`
     SELECT
-      CAST(strftime('%Y', mtime/1000, 'unixepoch') AS INTEGER) AS y,
-      CAST(strftime('%m', mtime/1000, 'unixepoch') AS INTEGER) AS m,
-      CAST(strftime('%d', mtime/1000, 'unixepoch') AS INTEGER) AS d,
+      CAST(strftime('%Y', COALESCE(taken_at, mtime)/1000, 'unixepoch') AS INTEGER) AS y,
+      CAST(strftime('%m', COALESCE(taken_at, mtime)/1000, 'unixepoch') AS INTEGER) AS m,
+      CAST(strftime('%d', COALESCE(taken_at, mtime)/1000, 'unixepoch') AS INTEGER) AS d,
       COUNT(*) AS c
     FROM images
-    WHERE folder >= ? AND folder < ?${kindWhere}
+    WHERE folder >= ? AND folder < ? AND deleted_at IS NULL${kindWhere}
     GROUP BY y, m, d
     ORDER BY y DESC, m DESC, d DESC
   `).all(lower, upper)
@@ -1139,14 +2817,159 @@ app.get('/api/tree', requireAuth, (req, res) => {
     const mode = String(req.query.mode || 'folders')
     const filterRaw = String(req.query.filter || 'all')
     const filter = (filterRaw === 'images' || filterRaw === 'videos') ? filterRaw : 'all'
+    const libraryIds = requestLibraryIds(req)
     if (mode === 'dates') {
-      res.json(buildDateTreeForScope(req.user.root_path || '', filter))
+      res.json(buildDateTreeForScope(req.user, filter, libraryIds))
     } else {
-      res.json(buildTreeForScope(req.user.root_path || '', filter))
+      res.json(buildTreeForScope(req.user, filter, libraryIds))
     }
   } catch (e) { res.status(500).json({ error: e.message }) }
 })
 
+// Turn a search box string into an FTS5 query: quoted phrases match exactly,
+// bare words match as prefixes ("tri" finds "Trip"). Terms are ANDed.
+function buildFtsQuery(input) {
+  const terms = []
+  const re = /"([^"]*)"|(\S+)/g
+  let m
+  while ((m = re.exec(String(input || '')))) {
+    if (m[1] !== undefined) {
+      const phrase = m[1].trim()
+      if (phrase) terms.push(`"${phrase.replace(/"/g, '""')}"`)
+    } else {
+      const word = m[2].replace(/"/g, '')
+      // skip tokens with no searchable characters (FTS would reject an empty phrase)
+      if (/[\p{L}\p{N}]/u.test(word)) terms.push(`"${word}"*`)
+    }
+  }
+  return terms.join(' ')
+}
+
+/* ---------- search operators ---------- */
+// key:value filters in the search box; anything else is free text for FTS.
+// Numeric operators accept `>`, `>=`, `<`, `<=`, `=` or a range `a..b`.
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 }
+const DURATION_UNITS = { ms: 1, s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000 }
+
+function parseUnitNumber(raw, units, defaultUnit) {
+  const m = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(raw).trim())
+  if (!m) return null
+  const mult = units[(m[2] || defaultUnit).toLowerCase()]
+  return mult ? Math.round(Number(m[1]) * mult) : null
+}
+
+// "2023", "2023-06" or "2023-06-14" -> [start, end) in ms (UTC, matching taken_at)
+function parseDatePeriod(raw) {
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(String(raw).trim())
+  if (!m) return null
+  const y = Number(m[1])
+  const mo = m[2] ? Number(m[2]) - 1 : null
+  const d = m[3] ? Number(m[3]) : null
+  if (mo !== null && (mo < 0 || mo > 11)) return null
+  if (d !== null && (d < 1 || d > 31)) return null
+  if (d !== null) return [Date.UTC(y, mo, d), Date.UTC(y, mo, d + 1)]
+  if (mo !== null) return [Date.UTC(y, mo, 1), Date.UTC(y, mo + 1, 1)]
+  return [Date.UTC(y, 0, 1), Date.UTC(y + 1, 0, 1)]
+}
+
+// Comparison against a numeric column; `parse` maps one operand to a number or null
+function numericClause(col, raw, parse) {
+  const range = /^(.+?)\.\.(.+)$/.exec(raw)
+  if (range) {
+    const lo = parse(range[1])
+    const hi = parse(range[2])
+    if (lo === null || hi === null) return null
+    return { sql: `${col} BETWEEN ? AND ?`, params: [Math.min(lo, hi), Math.max(lo, hi)] }
+  }
+  const m = /^(>=|<=|>|<|=)?(.+)$/.exec(raw)
+  const v = m ? parse(m[2]) : null
+  if (v === null) return null
+  return { sql: `${col} ${m[1] || '='} ?`, params: [v] }
+}
+
+// Same for date periods: `>2023` means after the end of 2023, `<=2023-06` up to the end of June
+function dateClause(col, raw) {
+  const range = /^(.+?)\.\.(.+)$/.exec(raw)
+  if (range) {
+    const a = parseDatePeriod(range[1])
+    const b = parseDatePeriod(range[2])
+    if (!a || !b) return null
+    return { sql: `${col} >= ? AND ${col} < ?`, params: [Math.min(a[0], b[0]), Math.max(a[1], b[1])] }
+  }
+  const m = /^(>=|<=|>|<|=)?(.+)$/.exec(raw)
+  const p = m ? parseDatePeriod(m[2]) : null
+  if (!p) return null
+  switch (m[1]) {
+    case '>': return { sql: `${col} >= ?`, params: [p[1]] }
+    case '>=': return { sql: `${col} >= ?`, params: [p[0]] }
+    case '<': return { sql: `${col} < ?`, params: [p[0]] }
+    case '<=': return { sql: `${col} < ?`, params: [p[1]] }
+    default: return { sql: `${col} >= ? AND ${col} < ?`, params: p }
+  }
+}
+
+function likeParam(value) {
+  return '%' + value.replace(/[\\%_]/g, ch => '\\' + ch) + '%'
+}
+
+const SEARCH_OPERATORS = {
+  camera: v => v ? { sql: "i.camera LIKE ? ESCAPE '\\'", params: [likeParam(v)] } : null,
+  lens: v => v ? { sql: "i.lens LIKE ? ESCAPE '\\'", params: [likeParam(v)] } : null,
+  iso: v => numericClause('i.iso', v, x => /^\d+$/.test(x.trim()) ? Number(x) : null),
+  taken: v => dateClause('COALESCE(i.taken_at, i.mtime)', v),
+  kind: v => {
+    const k = v.toLowerCase()
+    if (['image', 'images', 'photo', 'photos'].includes(k)) return { sql: "i.kind = 'image'", params: [] }
+    if (['video', 'videos'].includes(k)) return { sql: "i.kind = 'video'", params: [] }
+    return null
+  },
+  size: v => numericClause('i.size', v, x => parseUnitNumber(x, SIZE_UNITS, 'b')),
+  duration: v => {
+    const c = numericClause('i.duration', v, x => parseUnitNumber(x, DURATION_UNITS, 's'))
+    return c && { sql: `i.kind = 'video' AND ${c.sql}`, params: c.params }
+  }
+}
+
+/**
+ * Split a search string into operator filters and free text.
+ * Returns { text, where, params } or { error } when an operator value can't be parsed.
+ * Unknown `key:` prefixes are left in the free text.
+ */
+function parseSearchQuery(input) {
+  const where = []
+  const params = []
+  const text = []
+  const re = /([A-Za-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g
+  let m
+  while ((m = re.exec(String(input || '')))) {
+    const op = m[1] && Object.hasOwn(SEARCH_OPERATORS, m[1].toLowerCase()) && SEARCH_OPERATORS[m[1].toLowerCase()]
+    if (op) {
+      const value = (m[2] ?? m[3]).trim()
+      const clause = op(value)
+      if (!clause) return { error: `invalid ${m[1].toLowerCase()}: ${value}` }
+      where.push(`(${clause.sql})`)
+      params.push(...clause.params)
+    } else if (m[4] !== undefined) {
+      text.push(`"${m[4]}"`)
+    } else {
+      text.push(m[0])
+    }
+  }
+  return { text: text.join(' '), where, params }
+}
+
+// bbox query param: "minLon,minLat,maxLon,maxLat" in decimal degrees
+function parseBbox(raw) {
+  const parts = String(raw || '').split(',').map(Number)
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null
+  const [minLon, minLat, maxLon, maxLat] = parts
+  if (minLon > maxLon || minLat > maxLat) return null
+  return {
+    minLon: Math.max(-180, minLon), minLat: Math.max(-90, minLat),
+    maxLon: Math.min(180, maxLon), maxLat: Math.min(90, maxLat)
+  }
+}
+
 app.get('/api/photos', requireAuth, (req, res) => {
   const userScope = req.user.root_path || ''
   const folderRel = (req.query.folder || '').toString()
@@ -1157,103 +2980,61 @@ app.get('/api/photos', requireAuth, (req, res) => {
   const offset = (page - 1) * pageSize
   const filter = (req.query.filter || 'all').toString() // all | images | videos
 
-  const lower = folder
-  const upper = folder + '\uFFFF'
   const hasFrom = Object.prototype.hasOwnProperty.call(req.query, 'from')
   const hasTo = Object.prototype.hasOwnProperty.call(req.query, 'to')
   const useDateRange = hasFrom && hasTo
   const fromMs = useDateRange ? Number(req.query.from) : 0
   const toMs = useDateRange ? Number(req.query.to) : 0
+  const bbox = req.query.bbox ? parseBbox(req.query.bbox) : null
+  if (req.query.bbox && !bbox) return res.status(400).json({ error: 'invalid bbox' })
 
   try {
-    let rows = []
-    let total = 0
-    let kindWhere = ''
-    if (filter === 'images') kindWhere = " AND i.kind = 'image'"
-    else if (filter === 'videos') kindWhere = " AND i.kind = 'video'"
-
-    if (q) {
-      const term = q.replace(/\s+/g, ' ')
-      if (useDateRange) {
-        rows = db.prepare(`
-          SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
-          FROM images i
-          JOIN images_fts f ON f.rowid = i.id
-          WHERE f MATCH ?
-            AND i.folder >= ?
-            AND i.folder < ?
-            AND i.mtime >= ? AND i.mtime < ?${kindWhere}
-          ORDER BY i.mtime DESC, i.id DESC
-          LIMIT ? OFFSET ?
-        `).all(term, userScope, userScope + '\uFFFF', fromMs, toMs, pageSize, offset)
-
-        total = db.prepare(`
-          SELECT COUNT(*) AS c
-          FROM images i
-          JOIN images_fts f ON f.rowid = i.id
-          WHERE f MATCH ?
-            AND i.folder >= ?
-            AND i.folder < ?
-            AND i.mtime >= ? AND i.mtime < ?${kindWhere}
-        `).get(term, userScope, userScope + '\uFFFF', fromMs, toMs).c
-      } else {
-        rows = db.prepare(`
-        SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
-        FROM images i
-        JOIN images_fts f ON f.rowid = i.id
-        WHERE f MATCH ?
-          AND i.folder >= ?
-          AND i.folder < ?${kindWhere}
-        ORDER BY i.mtime DESC, i.id DESC
-        LIMIT ? OFFSET ?
-        `).all(term, lower, upper, pageSize, offset)
-
-        total = db.prepare(`
-        SELECT COUNT(*) AS c
-        FROM images i
-        JOIN images_fts f ON f.rowid = i.id
-        WHERE f MATCH ?
-          AND i.folder >= ?
-          AND i.folder < ?${kindWhere}
-        `).get(term, lower, upper).c
-      }
-    } else {
-      if (useDateRange) {
-        rows = db.prepare(`
-          SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
-          FROM images i
-          WHERE i.folder >= ?
-            AND i.folder < ?
-            AND i.mtime >= ? AND i.mtime < ?${kindWhere}
-          ORDER BY i.mtime DESC, i.id DESC
-          LIMIT ? OFFSET ?
-        `).all(userScope, userScope + '\uFFFF', fromMs, toMs, pageSize, offset)
-
-        total = db.prepare(`
-          SELECT COUNT(*) AS c
-          FROM images i
-          WHERE i.folder >= ?
-            AND i.folder < ?
-            AND i.mtime >= ? AND i.mtime < ?${kindWhere}
-        `).get(userScope, userScope + '\uFFFF', fromMs, toMs).c
-      } else {
-        rows = db.prepare(`
-        SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
-        FROM images i
-        WHERE i.folder >= ?
-          AND i.folder < ?${kindWhere}
-        ORDER BY i.mtime DESC, i.id DESC
-        LIMIT ? OFFSET ?
-        `).all(lower, upper, pageSize, offset)
-
-        total = db.prepare(`
-        SELECT COUNT(*) AS c
-        FROM images i
-        WHERE i.folder >= ?
-          AND i.folder < ?${kindWhere}
-        `).get(lower, upper).c
-      }
+    const search = parseSearchQuery(q)
+    if (search.error) return res.status(400).json({ error: search.error })
+    // Date browsing spans the whole user scope; folder browsing narrows to the folder
+    const prefix = useDateRange ? userScope : folder
+    let from = 'images i'
+    let cols = 'i.id, i.fname, i.folder, i.mtime, i.taken_at, i.size, i.kind, i.duration'
+    const where = ['i.folder >= ?', 'i.folder < ?', 'i.deleted_at IS NULL']
+    const params = [prefix, prefix + '\uFFFF']
+    const scopeWhere = scopeCondition(req.user, 'i.', requestLibraryIds(req))
+    if (scopeWhere) where.push(scopeWhere)
+
+    const ftsQuery = buildFtsQuery(search.text)
+    if (ftsQuery) {
+      from += ' JOIN images_fts ON images_fts.rowid = i.id'
+      // matched text is wrapped in \x02 ... \x03 markers; the UI splits on them
+      cols += ', highlight(images_fts, 0, char(2), char(3)) AS hl_fname, highlight(images_fts, 1, char(2), char(3)) AS hl_folder'
+      where.push('images_fts MATCH ?')
+      params.push(ftsQuery)
+    }
+    if (useDateRange) {
+      where.push('COALESCE(i.taken_at, i.mtime) >= ? AND COALESCE(i.taken_at, i.mtime) < ?')
+      params.push(fromMs, toMs)
+    }
+    if (bbox) {
+      where.push('i.lat BETWEEN ? AND ? AND i.lon BETWEEN ? AND ?')
+      params.push(bbox.minLat, bbox.maxLat, bbox.minLon, bbox.maxLon)
     }
+    if (filter === 'images') where.push("i.kind = 'image'")
+    else if (filter === 'videos') where.push("i.kind = 'video'")
+    where.push(...search.where)
+    params.push(...search.params)
+
+    const whereSql = where.join(' AND ')
+    const rows = db.prepare(`
+      SELECT ${cols}
+      FROM ${from}
+      WHERE ${whereSql}
+      ORDER BY COALESCE(i.taken_at, i.mtime) DESC, i.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, offset)
+
+    const total = db.prepare(`
+      SELECT COUNT(*) AS c
+      FROM ${from}
+      WHERE ${whereSql}
+    `).get(...params).c
 
     res.json({ items: rows, total })
   } catch (e) {
@@ -1262,6 +3043,51 @@ app.get('/api/photos', requireAuth, (req, res) => {
   }
 })
 
+/* ---------- map: clustered geotagged media (scoped) ---------- */
+app.get('/api/photos/geo', requireAuth, (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox || '-180,-90,180,90')
+    if (!bbox) return res.status(400).json({ error: 'invalid bbox' })
+    const scope = req.user.root_path || ''
+    const filter = (req.query.filter || 'all').toString()
+    const kindWhere = (filter === 'images' ? " AND kind = 'image'" : (filter === 'videos' ? " AND kind = 'video'" : '')) + scopeClause(req.user, '', requestLibraryIds(req))
+    // Square grid cells (in degrees) across the requested width; the client asks for
+    // more cells as it zooms in so clusters split apart naturally
+    const cells = Math.max(4, Math.min(128, parseInt(req.query.cells || '32', 10) || 32))
+    const cellSize = Math.max((bbox.maxLon - bbox.minLon) / cells, 1e-6)
+
+    const rows = db.prepare(`
+      SELECT
+        CAST((lon - ?) / ? AS INTEGER) AS cx,
+        CAST((lat - ?) / ? AS INTEGER) AS cy,
+        COUNT(*) AS count,
+        AVG(lat) AS lat, AVG(lon) AS lon,
+        MIN(lat) AS minLat, MAX(lat) AS maxLat,
+        MIN(lon) AS minLon, MAX(lon) AS maxLon,
+        MAX(id) AS id
+      FROM images
+      WHERE folder >= ? AND folder < ? AND deleted_at IS NULL
+        AND lat BETWEEN ? AND ? AND lon BETWEEN ? AND ?${kindWhere}
+      GROUP BY cx, cy
+      ORDER BY count DESC
+      LIMIT 2000
+    `).all(bbox.minLon, cellSize, bbox.minLat, cellSize, scope, scope + '\uFFFF', bbox.minLat, bbox.maxLat, bbox.minLon, bbox.maxLon)
+
+    const items = rows.map(r => ({
+      id: r.id,
+      count: r.count,
+      lat: r.lat,
+      lon: r.lon,
+      bbox: [r.minLon, r.minLat, r.maxLon, r.maxLat]
+    }))
+    const total = items.reduce((a, c) => a + c.count, 0)
+    res.json({ items, total, cellSize })
+  } catch (e) {
+    console.error('/api/photos/geo error', e)
+    res.status(500).json({ error: e.message })
+  }
+})
+
 /* ---------- favorites endpoints ---------- */
 app.get('/api/favorites', requireAuth, (req, res) => {
   try {
@@ -1276,9 +3102,9 @@ app.post('/api/favorites/:id', requireAuth, (req, res) => {
   try {
     const id = Number(req.params.id)
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
-    const row = db.prepare('SELECT id, folder FROM images WHERE id = ?').get(id)
+    const row = db.prepare('SELECT id, folder FROM images WHERE id = ? AND deleted_at IS NULL').get(id)
     if (!row) return res.status(404).json({ error: 'not found' })
-    if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).json({ error: 'forbidden' })
+    if (!userSees(req.user, row.folder)) return res.status(403).json({ error: 'forbidden' })
     insertFavorite.run(req.user.id, id, nowMs())
     res.json({ ok: true })
   } catch (e) {
@@ -1302,29 +3128,265 @@ app.get('/api/favorites/photos', requireAuth, (req, res) => {
     const page = Math.max(1, parseInt(req.query.page || '1', 10))
     const pageSize = Math.max(1, Math.min(500, parseInt(req.query.pageSize || '200', 10)))
     const offset = (page - 1) * pageSize
-    const items = listFavoriteItems.all(req.user.id, pageSize, offset)
-    const total = countFavorites.get(req.user.id).c
+    // Favorites from folders the user has since lost access to stay hidden
+    const where = `f.user_id = ? AND i.deleted_at IS NULL${scopeClause(req.user, 'i.')}`
+    const items = db.prepare(`
+      SELECT i.id, i.fname, i.folder, i.mtime, i.taken_at, i.size, i.kind, i.duration
+      FROM favorites f JOIN images i ON i.id = f.image_id
+      WHERE ${where}
+      ORDER BY COALESCE(i.taken_at, i.mtime) DESC, i.id DESC
+      LIMIT ? OFFSET ?
+    `).all(req.user.id, pageSize, offset)
+    const total = db.prepare(`SELECT COUNT(1) as c FROM favorites f JOIN images i ON i.id = f.image_id WHERE ${where}`).get(req.user.id).c
+    res.json({ items, total })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- albums endpoints ---------- */
+function getOwnAlbum(req, res) {
+  const id = Number(req.params.id)
+  if (!Number.isFinite(id)) { res.status(400).json({ error: 'invalid id' }); return null }
+  const album = getAlbumById.get(id)
+  if (!album || album.user_id !== req.user.id) { res.status(404).json({ error: 'not found' }); return null }
+  return album
+}
+
+function parseIds(body) {
+  return Array.isArray(body?.ids) ? body.ids.map(x => parseInt(x, 10)).filter(Number.isFinite) : []
+}
+
+// Ids that exist and fall inside the user's scope, in request order
+function idsInScope(user, ids) {
+  if (ids.length === 0) return []
+  const scope = user.root_path || ''
+  const rows = db.prepare(`SELECT id FROM images WHERE id IN (${ids.map(() => '?').join(',')}) AND folder >= ? AND folder < ? AND deleted_at IS NULL${scopeClause(user)}`)
+    .all(...ids, scope, scope + '\uFFFF')
+  const allowed = new Set(rows.map(r => r.id))
+  return ids.filter(id => allowed.has(id))
+}
+
+const addAlbumItems = db.transaction((albumId, ids) => {
+  let pos = maxAlbumPosition.get(albumId).p
+  const ts = nowMs()
+  let added = 0
+  for (const id of ids) {
+    if (insertAlbumItem.run(albumId, id, pos + 1, ts).changes) { pos++; added++ }
+  }
+  touchAlbum.run(ts, albumId)
+  return added
+})
+
+app.get('/api/albums', requireAuth, (req, res) => {
+  try {
+    res.json({ items: listAlbumsByUser.all(req.user.id) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.post('/api/albums', requireAuth, (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim()
+    if (!name) return res.status(400).json({ error: 'name required' })
+    const ts = nowMs()
+    const id = Number(insertAlbum.run(req.user.id, name, ts, ts).lastInsertRowid)
+    const added = addAlbumItems(id, idsInScope(req.user, parseIds(req.body)))
+    res.json({ ok: true, id, name, added })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.get('/api/albums/:id', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    res.json({ ...album, count: countAlbumItems.get(album.id).c })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Rename and/or set the cover (cover_id: null goes back to the first item)
+app.patch('/api/albums/:id', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    let { name, cover_id: coverId } = album
+    if (req.body?.name !== undefined) {
+      name = String(req.body.name || '').trim()
+      if (!name) return res.status(400).json({ error: 'name required' })
+    }
+    if (req.body?.cover_id !== undefined) {
+      coverId = req.body.cover_id === null ? null : Number(req.body.cover_id)
+      if (coverId !== null && !hasAlbumItem.get(album.id, coverId)) return res.status(400).json({ error: 'cover must be an item of the album' })
+    }
+    db.prepare('UPDATE albums SET name = ?, cover_id = ?, updated_at = ? WHERE id = ?').run(name, coverId, nowMs(), album.id)
+    res.json({ ok: true, id: album.id, name, cover_id: coverId })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.delete('/api/albums/:id', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    db.transaction(() => {
+      db.prepare('DELETE FROM share_events WHERE share_id IN (SELECT id FROM shares WHERE album_id = ?)').run(album.id)
+      db.prepare('DELETE FROM shares WHERE album_id = ?').run(album.id)
+      db.prepare('DELETE FROM album_items WHERE album_id = ?').run(album.id)
+      db.prepare('DELETE FROM albums WHERE id = ?').run(album.id)
+    })()
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.get('/api/albums/:id/photos', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    const page = Math.max(1, parseInt(req.query.page || '1', 10))
+    const pageSize = Math.max(1, Math.min(500, parseInt(req.query.pageSize || '200', 10)))
+    const offset = (page - 1) * pageSize
+    const filter = (req.query.filter || 'all').toString()
+    const kindWhere = (filter === 'images' ? " AND i.kind = 'image'" : (filter === 'videos' ? " AND i.kind = 'video'" : '')) +
+      scopeClause(req.user, 'i.')
+    const items = db.prepare(`
+      SELECT i.id, i.fname, i.folder, i.mtime, i.taken_at, i.size, i.kind, i.duration
+      FROM album_items ai JOIN images i ON i.id = ai.image_id
+      WHERE ai.album_id = ? AND i.deleted_at IS NULL${kindWhere}
+      ORDER BY ai.position, ai.image_id
+      LIMIT ? OFFSET ?
+    `).all(album.id, pageSize, offset)
+    const total = db.prepare(`
+      SELECT COUNT(1) AS c FROM album_items ai JOIN images i ON i.id = ai.image_id WHERE ai.album_id = ? AND i.deleted_at IS NULL${kindWhere}
+    `).get(album.id).c
     res.json({ items, total })
   } catch (e) {
     res.status(500).json({ error: e.message })
   }
 })
 
-/* ---------- share endpoints (create/list/delete) ---------- */
-app.post('/api/shares', requireAuth, (req, res) => {
+app.post('/api/albums/:id/items', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    const ids = idsInScope(req.user, parseIds(req.body))
+    if (ids.length === 0) return res.status(400).json({ error: 'no ids' })
+    res.json({ ok: true, added: addAlbumItems(album.id, ids) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.delete('/api/albums/:id/items', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    const ids = parseIds(req.body)
+    if (ids.length === 0) return res.status(400).json({ error: 'no ids' })
+    let removed = 0
+    db.transaction(() => {
+      for (const id of ids) removed += deleteAlbumItem.run(album.id, id).changes
+      if (album.cover_id !== null && ids.includes(album.cover_id)) {
+        db.prepare('UPDATE albums SET cover_id = NULL WHERE id = ?').run(album.id)
+      }
+      touchAlbum.run(nowMs(), album.id)
+    })()
+    res.json({ ok: true, removed })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Reorder: the listed ids are rearranged among the positions they already occupy,
+// so a client that only loaded the first pages can still reorder what it shows.
+app.put('/api/albums/:id/order', requireAuth, (req, res) => {
+  try {
+    const album = getOwnAlbum(req, res); if (!album) return
+    const ids = [...new Set(parseIds(req.body))]
+    if (ids.length === 0) return res.status(400).json({ error: 'no ids' })
+    const rows = db.prepare(`SELECT image_id, position FROM album_items WHERE album_id = ? AND image_id IN (${ids.map(() => '?').join(',')})`)
+      .all(album.id, ...ids)
+    if (rows.length !== ids.length) return res.status(400).json({ error: 'ids must all be items of the album' })
+    const slots = rows.map(r => r.position).sort((a, b) => a - b)
+    const setPosition = db.prepare('UPDATE album_items SET position = ? WHERE album_id = ? AND image_id = ?')
+    db.transaction(() => {
+      ids.forEach((id, i) => setPosition.run(slots[i], album.id, id))
+      touchAlbum.run(nowMs(), album.id)
+    })()
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- share endpoints (create/list/update/delete) ---------- */
+// Ordered from least to most access
+const SHARE_PERMISSIONS = ['view', 'download', 'originals']
+
+// Optional share settings from a create/update body; only keys present in the body are returned
+function parseShareOptions(body) {
+  const options = {}
+  if (body?.permission !== undefined) {
+    if (!SHARE_PERMISSIONS.includes(body.permission)) return { error: `permission must be one of ${SHARE_PERMISSIONS.join(', ')}` }
+    options.permission = body.permission
+  }
+  if (body?.expires_at !== undefined) {
+    if (body.expires_at === null || body.expires_at === '') {
+      options.expires_at = null
+    } else {
+      const t = Number(body.expires_at)
+      if (!Number.isFinite(t) || t <= nowMs()) return { error: 'expires_at must be a future timestamp (ms)' }
+      options.expires_at = Math.floor(t)
+    }
+  }
+  if (body?.password !== undefined) {
+    // an empty password removes the protection
+    options.pass_hash = body.password ? hashPassword(String(body.password)) : null
+  }
+  if (body?.allow_upload !== undefined) options.allow_upload = body.allow_upload ? 1 : 0
+  if (body?.upload_folder !== undefined) {
+    // a single folder name below the shared folder
+    const name = String(body.upload_folder || '').trim()
+    if (name && (/[\\/]/.test(name) || name === '.' || name === '..')) return { error: 'upload_folder must be a single folder name' }
+    options.upload_folder = name || null
+  }
+  return { options }
+}
+
+// Shares can't hand out more than their creator may: originals and guest uploads need the
+// matching capability (new shares default to originals)
+function capShareOptions(user, options, create = false) {
+  if (!user.can_download_originals && (options.permission ?? (create ? 'originals' : null)) === 'originals') options.permission = 'download'
+  if (!user.can_upload && options.allow_upload) throw httpError(403, 'not allowed to upload')
+  return options
+}
+
+app.post('/api/shares', requireCapability('can_share', 'not allowed to share'), (req, res) => {
   try {
     const relFolder = String(req.body?.folder || '').trim()
     const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(x => parseInt(x, 10)).filter(Number.isFinite) : []
+    const albumId = req.body?.album_id != null ? Number(req.body.album_id) : null
+    const { options, error } = parseShareOptions(req.body)
+    if (error) return res.status(400).json({ error })
+    capShareOptions(req.user, options, true)
     
     let folder, name, shareId
     
-    if (relFolder && !relFolder.startsWith('date:')) {
+    if (albumId !== null) {
+      // Album sharing: the share follows the album as items are added, removed or reordered
+      const album = Number.isFinite(albumId) ? getAlbumById.get(albumId) : null
+      if (!album || album.user_id !== req.user.id) return res.status(404).json({ error: 'album not found' })
+      folder = `album:${album.id}`
+      name = String(req.body?.name || album.name).trim()
+    } else if (relFolder && !relFolder.startsWith('date:')) {
       // Traditional folder-based sharing
       folder = scopeJoin(req.user.root_path || '', normalizeScopeInput(relFolder))
+      if (!userSeesAll(req.user, folder)) return res.status(403).json({ error: 'forbidden' })
       // Must be a prefix that exists in DB (optional check)
       const lower = folder
       const upper = folder + '\uFFFF'
-      const count = db.prepare('SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ?').get(lower, upper).c
+      const count = db.prepare('SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ? AND deleted_at IS NULL').get(lower, upper).c
       if (count === 0) return res.status(404).json({ error: 'folder is empty or not found' })
       
       name = String(req.body?.name || path.basename(folder) || 'Shared').trim()
@@ -1349,15 +3411,22 @@ app.post('/api/shares', requireAuth, (req, res) => {
     }
 
     const token = crypto.randomBytes(20).toString('hex')
-    const info = insertShare.run(token, req.user.id, folder, name, nowMs())
+    if (options.allow_upload && (albumId !== null || !relFolder || relFolder.startsWith('date:') || ids.length > 0)) {
+      return res.status(400).json({ error: 'guest uploads need a folder share' })
+    }
+    const info = insertShare.run(
+      token, req.user.id, folder, name, nowMs(), albumId,
+      options.expires_at ?? null, options.pass_hash ?? null, options.permission ?? 'originals',
+      options.allow_upload ?? 0, options.upload_folder ?? null
+    )
     shareId = info.lastInsertRowid
 
-    if (ids.length > 0) {
+    if (ids.length > 0 && albumId === null) {
       if (relFolder && !relFolder.startsWith('date:')) {
         // Only allow ids within the folder scope for folder-based shares
         const lower = folder
         const upper = folder + '\uFFFF'
-        const rows = db.prepare(`SELECT id FROM images WHERE id IN (${ids.map(()=>'?').join(',')}) AND folder >= ? AND folder < ?`).all(...ids, lower, upper)
+        const rows = db.prepare(`SELECT id FROM images WHERE id IN (${ids.map(()=>'?').join(',')}) AND folder >= ? AND folder < ? AND deleted_at IS NULL`).all(...ids, lower, upper)
         const allowed = new Set(rows.map(r => r.id))
         for (const id of ids) {
           if (allowed.has(id)) insertShareItem.run(shareId, id)
@@ -1367,7 +3436,7 @@ app.post('/api/shares', requireAuth, (req, res) => {
         const userScope = req.user.root_path || ''
         const lower = userScope
         const upper = userScope + '\uFFFF'
-        const rows = db.prepare(`SELECT id FROM images WHERE id IN (${ids.map(()=>'?').join(',')}) AND folder >= ? AND folder < ?`).all(...ids, lower, upper)
+        const rows = db.prepare(`SELECT id FROM images WHERE id IN (${ids.map(()=>'?').join(',')}) AND folder >= ? AND folder < ? AND deleted_at IS NULL${scopeClause(req.user)}`).all(...ids, lower, upper)
         const allowed = new Set(rows.map(r => r.id))
         for (const id of ids) {
           if (allowed.has(id)) insertShareItem.run(shareId, id)
@@ -1376,69 +3445,1216 @@ app.post('/api/shares', requireAuth, (req, res) => {
     }
 
     const urlPath = `/s/${token}`
-    res.json({ ok: true, token, name, folder, urlPath })
+    res.json({
+      ok: true, token, name, folder, album_id: albumId, urlPath,
+      expires_at: options.expires_at ?? null, permission: options.permission ?? 'originals', has_password: !!options.pass_hash,
+      allow_upload: options.allow_upload ?? 0, upload_folder: options.upload_folder ?? null
+    })
   } catch (e) {
-    res.status(500).json({ error: e.message })
+    res.status(e.status || 500).json({ error: e.message })
   }
 })
 
 app.get('/api/shares', requireAuth, (req, res) => {
   try {
     const includeAll = String(req.query.all || '0') === '1'
+    const stats = new Map(listShareStats.all().map(r => [r.share_id, r]))
+    const withExtras = (r) => {
+      const st = stats.get(r.id)
+      return {
+        ...r, urlPath: `/s/${r.token}`, selected: shareSource(r) === 'selected',
+        stats: { views: st?.views || 0, media: st?.media || 0, downloads: st?.downloads || 0, visitors: st?.visitors || 0, last_at: st?.last_at || null }
+      }
+    }
     if (includeAll) {
       if (!req.user?.is_admin) return res.status(403).json({ error: 'admin only' })
-      const rows = listSharesWithUsers.all()
-      const items = rows.map(r => ({ ...r, urlPath: `/s/${r.token}`, selected: countShareItems.get(r.id).c > 0 }))
-      return res.json({ items })
+      return res.json({ items: listSharesWithUsers.all().map(withExtras) })
     } else {
-      const rows = listSharesByUser.all(req.user.id)
-      const items = rows.map(r => ({ ...r, urlPath: `/s/${r.token}`, selected: countShareItems.get(r.id).c > 0 }))
-      return res.json({ items })
+      return res.json({ items: listSharesByUser.all(req.user.id).map(withExtras) })
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Change name, expiry, password or permission of a share (owner or admin)
+app.patch('/api/shares/:id', requireCapability('can_share', 'not allowed to share'), (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+    const found = getShareById.get(id)
+    if (!found) return res.status(404).json({ error: 'not found' })
+    if (found.user_id !== req.user.id && !req.user.is_admin) return res.status(403).json({ error: 'forbidden' })
+    const { options, error } = parseShareOptions(req.body)
+    if (error) return res.status(400).json({ error })
+    capShareOptions(req.user, options)
+    if (options.allow_upload && shareSource(found) !== 'folder') return res.status(400).json({ error: 'guest uploads need a folder share' })
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name || '').trim()
+      if (!name) return res.status(400).json({ error: 'name required' })
+      options.name = name
     }
+    const keys = Object.keys(options)
+    if (keys.length > 0) {
+      db.prepare(`UPDATE shares SET ${keys.map(k => `${k} = @${k}`).join(', ')} WHERE id = @id`).run({ ...options, id })
+    }
+    const s = getShareById.get(id)
+    res.json({
+      ok: true, id, name: s.name, expires_at: s.expires_at, permission: s.permission, has_password: !!s.pass_hash,
+      allow_upload: s.allow_upload, upload_folder: s.upload_folder
+    })
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message })
+  }
+})
+
+// Recent access log of a share (owner or admin)
+app.get('/api/shares/:id/activity', requireAuth, (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+    const found = getShareById.get(id)
+    if (!found) return res.status(404).json({ error: 'not found' })
+    if (found.user_id !== req.user.id && !req.user.is_admin) return res.status(403).json({ error: 'forbidden' })
+    const limit = Math.max(1, Math.min(500, parseInt(req.query.limit || '50', 10) || 50))
+    res.json({ items: listShareEvents.all(id, limit) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- guest upload moderation (share owner or admin) ---------- */
+app.get('/api/uploads', requireAuth, (req, res) => {
+  try {
+    const status = ['pending', 'approved'].includes(req.query.status) ? req.query.status : 'pending'
+    const all = String(req.query.all || '0') === '1'
+    if (all && !req.user.is_admin) return res.status(403).json({ error: 'admin only' })
+    res.json({ items: listUploads.all(status, all ? 1 : 0, req.user.id) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+function getModeratedUpload(req, res) {
+  const id = Number(req.params.id)
+  if (!Number.isFinite(id)) { res.status(400).json({ error: 'invalid id' }); return null }
+  const up = db.prepare(`
+    SELECT up.id, up.image_id, up.status, s.user_id, i.path
+    FROM share_uploads up JOIN shares s ON s.id = up.share_id JOIN images i ON i.id = up.image_id
+    WHERE up.id = ?
+  `).get(id)
+  if (!up) { res.status(404).json({ error: 'not found' }); return null }
+  if (up.user_id !== req.user.id && !req.user.is_admin) { res.status(403).json({ error: 'forbidden' }); return null }
+  return up
+}
+
+app.post('/api/uploads/:id/approve', requireAuth, (req, res) => {
+  try {
+    const up = getModeratedUpload(req, res); if (!up) return
+    db.prepare(`UPDATE share_uploads SET status = 'approved', reviewed_at = ? WHERE id = ?`).run(nowMs(), up.id)
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Rejecting removes a pending upload's file from disk and from the index; approved ones are
+// library media by then and only leave through the trash
+app.post('/api/uploads/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const up = getModeratedUpload(req, res); if (!up) return
+    if (up.status !== 'pending') return res.status(409).json({ error: 'upload was already approved' })
+    await fsp.rm(diskPath(up.path), { force: true })
+    await dropDerivatives(diskPath(up.path))
+    deleteImageRows([up.image_id])
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.delete('/api/shares/:id', requireAuth, (req, res) => {
+  try {
+    const id = Number(req.params.id)
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+    const found = getShareById.get(id)
+    if (!found) return res.status(404).json({ error: 'not found' })
+    if (found.user_id !== req.user.id && !req.user.is_admin) return res.status(403).json({ error: 'forbidden' })
+    db.prepare('DELETE FROM share_events WHERE share_id = ?').run(id)
+    db.prepare('DELETE FROM share_uploads WHERE share_id = ?').run(id)
+    deleteShareStmt.run(id)
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- public share consumption ---------- */
+const SHARE_UNLOCK_TTL_MS = 1000 * 60 * 60 * 12 // 12h
+
+// Unlock cookies are signed with the share's password hash, so changing or
+// removing the password invalidates every cookie handed out before.
+function signShareUnlock(share, exp) {
+  return crypto.createHmac('sha256', share.pass_hash).update(`${share.token}.${exp}`).digest('hex')
+}
+function hasShareUnlock(req, share) {
+  const value = parseCookies(req)[`lp_share_${share.id}`]
+  if (!value) return false
+  const [expStr, sig] = value.split('.')
+  const exp = Number(expStr)
+  if (!Number.isFinite(exp) || exp <= nowMs()) return false
+  const want = Buffer.from(signShareUnlock(share, exp))
+  const got = Buffer.from(String(sig || ''))
+  return want.length === got.length && crypto.timingSafeEqual(want, got)
+}
+
+/**
+ * Resolve :token and check expiry, password and that the share's permission
+ * covers `need` ('view' | 'download' | 'originals'). Sends the error response itself.
+ */
+function getShare(req, res, need = 'view') {
+  const token = String(req.params.token || '').trim()
+  if (!token) { res.status(400).end(); return null }
+  const share = getShareByToken.get(token)
+  if (!share) { res.status(404).end(); return null }
+  if (share.expires_at && share.expires_at <= nowMs()) { res.status(410).json({ error: 'share expired' }); return null }
+  if (share.pass_hash && !hasShareUnlock(req, share)) {
+    res.status(401).json({ error: 'password required', password_required: true })
+    return null
+  }
+  if (SHARE_PERMISSIONS.indexOf(share.permission) < SHARE_PERMISSIONS.indexOf(need)) {
+    res.status(403).json({ error: 'not allowed for this share' })
+    return null
+  }
+  return share
+}
+
+// Access log: the visitor IP is only kept as a salted hash (enough to count distinct visitors)
+let analyticsSalt = null
+function hashIp(ip) {
+  if (!analyticsSalt) {
+    analyticsSalt = getSetting('analytics_salt')
+    if (!analyticsSalt) { analyticsSalt = crypto.randomBytes(16).toString('hex'); setSetting('analytics_salt', analyticsSalt) }
+  }
+  return crypto.createHash('sha256').update(`${analyticsSalt}:${ip || ''}`).digest('hex').slice(0, 16)
+}
+// kind: 'view' (share opened) | 'media' (photo/poster fetched) | 'download' | 'upload'
+function recordShareEvent(req, share, kind, imageId = null) {
+  try {
+    insertShareEvent.run(share.id, kind, imageId, hashIp(req.ip), String(req.headers['user-agent'] || '').slice(0, 300), nowMs())
+  } catch {}
+}
+
+// Wrong share passwords per share and visitor; a few in a row lock unlocking for a while
+const SHARE_UNLOCK_MAX_FAILURES = 5
+const SHARE_UNLOCK_LOCK_MS = 1000 * 60 * 10
+const shareUnlockFailures = new Map()
+
+// Trade the share password for a short-lived cookie scoped to /s/:token
+app.post('/s/:token/unlock', (req, res) => {
+  try {
+    const token = String(req.params.token || '').trim()
+    const share = token ? getShareByToken.get(token) : null
+    if (!share) return res.status(404).json({ error: 'not found' })
+    if (share.expires_at && share.expires_at <= nowMs()) return res.status(410).json({ error: 'share expired' })
+    if (!share.pass_hash) return res.json({ ok: true })
+    const key = `${share.id}:${req.ip || ''}`
+    const fails = shareUnlockFailures.get(key)
+    if (fails && fails.count >= SHARE_UNLOCK_MAX_FAILURES && nowMs() - fails.at < SHARE_UNLOCK_LOCK_MS) {
+      return res.status(429).json({ error: 'too many wrong passwords, try again later' })
+    }
+    if (!verifyPassword(String(req.body?.password || ''), share.pass_hash)) {
+      const count = fails && nowMs() - fails.at < SHARE_UNLOCK_LOCK_MS ? fails.count + 1 : 1
+      shareUnlockFailures.set(key, { count, at: nowMs() })
+      if (shareUnlockFailures.size > 10000) {
+        for (const [k, f] of shareUnlockFailures) if (nowMs() - f.at >= SHARE_UNLOCK_LOCK_MS) shareUnlockFailures.delete(k)
+      }
+      return res.status(401).json({ error: 'wrong password' })
+    }
+    shareUnlockFailures.delete(key)
+    const exp = nowMs() + SHARE_UNLOCK_TTL_MS
+    const secure = shouldUseSecureCookie(req)
+    res.setHeader('Set-Cookie', `lp_share_${share.id}=${exp}.${signShareUnlock(share, exp)}; Max-Age=${Math.floor(SHARE_UNLOCK_TTL_MS / 1000)}; Path=/s/${share.token}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`)
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- guest uploads (drop box shares) ---------- */
+const GUEST_UPLOAD_MAX_BYTES = GUEST_UPLOAD_MAX_MB * 1024 * 1024
+const DEFAULT_UPLOAD_FOLDER = 'Guest uploads'
+
+// Keep the visitor's file name but nothing that could escape the folder or confuse the scanner
+function sanitizeUploadName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+  return base.replace(/[\x00-\x1f<>:"|?*]/g, '_').replace(/^\.+/, '').trim().slice(0, 200)
+}
+
+// "name.jpg" -> "name (1).jpg", ... until the path is free (`taken` decides what counts as used)
+async function uniqueFilePath(dirAbs, fname, taken = fileExists) {
+  const ext = path.extname(fname)
+  const stem = fname.slice(0, fname.length - ext.length)
+  for (let n = 0; n < 10000; n++) {
+    const candidate = path.join(dirAbs, n === 0 ? fname : `${stem} (${n})${ext}`)
+    if (!(await taken(candidate))) return candidate
+  }
+  throw new Error('no free file name')
+}
+
+// Move a file without ever replacing one at `to`: fails with EEXIST instead. link() claims the
+// name atomically; disks without hard links (or another disk) get an exclusive copy
+async function moveFileExclusive(from, to) {
+  try {
+    await fsp.link(from, to)
+  } catch (e) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'ENOSYS'].includes(e.code)) throw e
+    await fsp.copyFile(from, to, fs.constants.COPYFILE_EXCL)
+  }
+  await fsp.rm(from, { force: true })
+}
+
+// Move `from` into dirAbs as fname, or the first free "name (n).jpg". Two writers picking the same
+// name can't overwrite each other: the one that loses the race moves on to the next suffix
+async function placeFile(from, dirAbs, fname) {
+  const ext = path.extname(fname)
+  const stem = fname.slice(0, fname.length - ext.length)
+  for (let n = 0; n < 10000; n++) {
+    const candidate = path.join(dirAbs, n === 0 ? fname : `${stem} (${n})${ext}`)
+    try {
+      await moveFileExclusive(from, candidate)
+      return candidate
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e
+    }
+  }
+  throw new Error('no free file name')
+}
+
+// Stream a request body into dirAbs as fname (or a free variant of it, see placeFile), failing
+// with err.status = 413 past maxBytes; returns the file's path. Writes to a hidden temp name
+// first so scanners never see partial files.
+async function receiveFile(req, dirAbs, fname, maxBytes) {
+  const tmp = path.join(dirAbs, `.${fname}.${crypto.randomBytes(6).toString('hex')}.upload`)
+  let received = 0
+  const limiter = new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length
+      if (received > maxBytes) {
+        const err = new Error('file too large')
+        err.status = 413
+        return cb(err)
+      }
+      cb(null, chunk)
+    }
+  })
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(tmp, { flags: 'wx' }))
+    return await placeFile(tmp, dirAbs, fname)
+  } catch (e) {
+    await fsp.rm(tmp, { force: true }).catch(() => {})
+    throw e
+  }
+}
+
+// Index a file that was just written inside a library; returns the image id
+async function indexNewFile(abs) {
+  const st = await fsp.stat(abs)
+  const r = rel(abs)
+  const folder = toPosix(path.dirname(r)) === '.' ? '' : toPosix(path.dirname(r))
+  const meta = await probeIndexMeta(abs)
+  const fingerprint = await fileFingerprint(abs, st)
+  insertStmt.run({ path: r, fname: path.basename(abs), folder, ctime: Math.floor(st.ctimeMs), mtime: Math.floor(st.mtimeMs), size: st.size, ...meta, fingerprint, library_id: libraryFor(r).id })
+  return db.prepare('SELECT id FROM images WHERE path = ?').get(r).id
+}
+
+// Raw body upload, one file per request: POST /s/:token/upload?name=IMG_0001.jpg[&by=Alice]
+app.post('/s/:token/upload', async (req, res) => {
+  try {
+    const share = getShare(req, res); if (!share) return
+    if (!share.allow_upload || shareSource(share) !== 'folder') return res.status(403).json({ error: 'uploads are not enabled for this share' })
+    const fname = sanitizeUploadName(req.query.name)
+    const ext = path.extname(fname).toLowerCase()
+    if (!fname || (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext))) return res.status(415).json({ error: 'only photos and videos can be uploaded' })
+    if (Number(req.headers['content-length'] || 0) > GUEST_UPLOAD_MAX_BYTES) {
+      return res.status(413).json({ error: `files are limited to ${GUEST_UPLOAD_MAX_MB} MB` })
+    }
+
+    if (libraryFor(share.folder).read_only) return res.status(403).json({ error: 'uploads are not enabled for this share' })
+    const subfolder = share.upload_folder || DEFAULT_UPLOAD_FOLDER
+    const dirAbs = diskPath(share.folder, subfolder)
+    await fsp.mkdir(dirAbs, { recursive: true })
+    let abs
+    try {
+      abs = await receiveFile(req, dirAbs, fname, GUEST_UPLOAD_MAX_BYTES)
+    } catch (e) {
+      if (e.status === 413) return res.status(413).json({ error: `files are limited to ${GUEST_UPLOAD_MAX_MB} MB` })
+      throw e
+    }
+
+    const imageId = await indexNewFile(abs)
+    const uploader = String(req.query.by || '').trim().slice(0, 80) || null
+    const info = insertShareUpload.run(share.id, imageId, uploader, hashIp(req.ip), nowMs())
+    recordShareEvent(req, share, 'upload', imageId)
+    res.json({ ok: true, id: Number(info.lastInsertRowid), name: path.basename(abs), status: 'pending' })
+  } catch (e) {
+    console.error('/s/:token/upload error', e)
+    res.status(500).json({ error: 'upload failed' })
+  }
+})
+
+/* ---------- uploads (signed-in users, resumable) ---------- */
+const UPLOAD_MAX_BYTES = UPLOAD_MAX_MB * 1024 * 1024
+const UPLOAD_CHUNK_BYTES = Math.max(1, Math.floor(UPLOAD_CHUNK_MB * 1024 * 1024))
+const DEFAULT_USER_UPLOAD_FOLDER = 'Uploads'
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000
+
+const insertUploadSession = db.prepare(`INSERT INTO upload_sessions(id, user_id, folder, fname, size, received, created_at, updated_at)
+  VALUES(?, ?, ?, ?, ?, 0, ?, ?)`)
+const getUploadSession = db.prepare('SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?')
+const setUploadReceived = db.prepare('UPDATE upload_sessions SET received = ?, updated_at = ? WHERE id = ?')
+const deleteUploadSession = db.prepare('DELETE FROM upload_sessions WHERE id = ?')
+const listStaleUploadSessions = db.prepare('SELECT id FROM upload_sessions WHERE updated_at < ? OR user_id NOT IN (SELECT id FROM users)')
+const uploadPartPath = (id) => path.join(UPLOADS_DIR, `${id}.part`)
+// Sessions with a PUT in flight; a second concurrent PUT would corrupt the part file
+const uploadsInFlight = new Set()
+
+// "2024/Trip" relative to the user's root_path; rejects dot segments and hidden folders
+function parseUploadFolder(input) {
+  const raw = toPosix(String(input ?? '').trim()).replace(/^\/+|\/+$/g, '')
+  if (!raw) return { folder: DEFAULT_USER_UPLOAD_FOLDER }
+  const parts = raw.split('/')
+  if (parts.some(p => !p.trim() || p.startsWith('.') || /[\x00-\x1f<>:"|?*]/.test(p))) return { error: 'invalid folder' }
+  return { folder: parts.map(p => p.trim()).join('/') }
+}
+
+async function hashFile(abs) {
+  const h = crypto.createHash('sha256')
+  await pipeline(fs.createReadStream(abs), h)
+  return h.digest('hex')
+}
+
+// An indexed file the user can see with this content, hashing same-size candidates on demand
+async function findDuplicate(user, size, sha256) {
+  const scope = user.root_path || ''
+  const candidates = db.prepare(`SELECT id, path, sha256 FROM images WHERE size = ? AND folder >= ? AND folder < ? AND deleted_at IS NULL${scopeClause(user)}`)
+    .all(size, scope, scope + '\uFFFF')
+  for (const c of candidates) {
+    let hash = c.sha256
+    if (!hash) {
+      hash = await hashFile(diskPath(c.path)).catch(() => null)
+      if (!hash) continue
+      db.prepare('UPDATE images SET sha256 = ? WHERE id = ?').run(hash, c.id)
+    }
+    if (hash === sha256) return c
+  }
+  return null
+}
+
+// Rename when possible; the library is often a different volume than .cache
+async function moveFile(from, to) {
+  try {
+    await fsp.rename(from, to)
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e
+    await fsp.copyFile(from, to, fs.constants.COPYFILE_EXCL)
+    await fsp.rm(from, { force: true })
+  }
+}
+
+async function dropUploadSession(id) {
+  deleteUploadSession.run(id)
+  await fsp.rm(uploadPartPath(id), { force: true }).catch(() => {})
+}
+
+async function purgeStaleUploads() {
+  for (const { id } of listStaleUploadSessions.all(nowMs() - UPLOAD_SESSION_TTL_MS)) {
+    if (!uploadsInFlight.has(id)) await dropUploadSession(id)
+  }
+}
+purgeStaleUploads().catch(() => {})
+setInterval(() => { purgeStaleUploads().catch(() => {}) }, 60 * 60 * 1000).unref()
+
+// Move a complete part file into the library (unless it's a duplicate) and index it
+async function finishUpload(user, session) {
+  const part = uploadPartPath(session.id)
+  const scope = user.root_path || ''
+  const sha256 = await hashFile(part)
+  const dup = await findDuplicate(user, session.size, sha256)
+  if (dup) {
+    await dropUploadSession(session.id)
+    return { ok: true, done: true, duplicate: true, id: dup.id, path: dup.path }
+  }
+  assertWritable(scopeJoin(scope, session.folder))
+  const dirAbs = diskPath(scopeJoin(scope, session.folder))
+  await fsp.mkdir(dirAbs, { recursive: true })
+  const abs = await placeFile(part, dirAbs, session.fname)
+  deleteUploadSession.run(session.id)
+  const id = await indexNewFile(abs)
+  db.prepare('UPDATE images SET sha256 = ? WHERE id = ?').run(sha256, id)
+  return { ok: true, done: true, duplicate: false, id, path: rel(abs) }
+}
+
+const requireUpload = requireCapability('can_upload', 'not allowed to upload')
+const uploadSessionJson = (s) => ({ id: s.id, name: s.fname, folder: s.folder, size: s.size, received: s.received, chunk_size: UPLOAD_CHUNK_BYTES })
+
+// Start an upload: { name, size, folder? } -> { id, received, chunk_size }
+app.post('/api/upload', requireUpload, async (req, res) => {
+  try {
+    const fname = sanitizeUploadName(req.body?.name)
+    const ext = path.extname(fname).toLowerCase()
+    if (!fname || (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext))) return res.status(415).json({ error: 'only photos and videos can be uploaded' })
+    const size = Number(req.body?.size)
+    if (!Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'invalid size' })
+    if (size > UPLOAD_MAX_BYTES) return res.status(413).json({ error: `files are limited to ${UPLOAD_MAX_MB} MB` })
+    const { folder, error } = parseUploadFolder(req.body?.folder)
+    if (error) return res.status(400).json({ error })
+    const target = scopeJoin(req.user.root_path || '', folder)
+    if (!userSees(req.user, target)) return res.status(403).json({ error: 'forbidden' })
+    assertWritable(target)
+
+    const id = crypto.randomBytes(16).toString('hex')
+    await fsp.writeFile(uploadPartPath(id), '')
+    const now = nowMs()
+    insertUploadSession.run(id, req.user.id, folder, fname, size, now, now)
+    res.json(uploadSessionJson(getUploadSession.get(id, req.user.id)))
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
+    console.error('/api/upload error', e)
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Resume point of an unfinished upload
+app.get('/api/upload/:id', requireAuth, (req, res) => {
+  const session = getUploadSession.get(String(req.params.id), req.user.id)
+  if (!session) return res.status(404).json({ error: 'upload not found' })
+  res.json(uploadSessionJson(session))
+})
+
+// Append one chunk (raw body) at ?offset=N; the last chunk finishes the upload
+app.put('/api/upload/:id', requireUpload, async (req, res) => {
+  const session = getUploadSession.get(String(req.params.id), req.user.id)
+  if (!session) return res.status(404).json({ error: 'upload not found' })
+  if (uploadsInFlight.has(session.id)) return res.status(409).json({ error: 'upload busy', received: session.received })
+  const offset = Number(req.query.offset)
+  if (offset !== session.received) return res.status(409).json({ error: 'offset mismatch', received: session.received })
+  uploadsInFlight.add(session.id)
+  try {
+    const part = uploadPartPath(session.id)
+    const max = Math.min(UPLOAD_CHUNK_BYTES, session.size - session.received)
+    let received = 0
+    const limiter = new Transform({
+      transform(chunk, _enc, cb) {
+        received += chunk.length
+        if (received > max) {
+          const err = new Error('chunk too large')
+          err.status = 413
+          return cb(err)
+        }
+        cb(null, chunk)
+      }
+    })
+    try {
+      await pipeline(req, limiter, fs.createWriteStream(part, { flags: 'r+', start: session.received }))
+    } catch (e) {
+      // Keep the part file at the last acknowledged size so the client can resume from there
+      await fsp.truncate(part, session.received).catch(() => {})
+      if (e.status === 413) return res.status(413).json({ error: 'chunk too large', received: session.received })
+      throw e
+    }
+    const total = session.received + received
+    setUploadReceived.run(total, nowMs(), session.id)
+    if (total < session.size) return res.json({ ok: true, done: false, received: total })
+    res.json(await finishUpload(req.user, session))
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
+    console.error('/api/upload/:id error', e)
+    res.status(500).json({ error: e.message })
+  } finally {
+    uploadsInFlight.delete(session.id)
+  }
+})
+
+app.delete('/api/upload/:id', requireAuth, async (req, res) => {
+  const session = getUploadSession.get(String(req.params.id), req.user.id)
+  if (!session) return res.status(404).json({ error: 'upload not found' })
+  if (uploadsInFlight.has(session.id)) return res.status(409).json({ error: 'upload busy' })
+  await dropUploadSession(session.id)
+  res.json({ ok: true })
+})
+
+// The service worker answers share-target posts; this only catches them before it's installed
+app.post('/share-target', (_req, res) => res.redirect(303, '/'))
+
+/* ---------- trash ---------- */
+const TRASH_PURGE_DAYS_DEFAULT = 30
+// Trashed rows give up their path ('trash:<id>') so a new file there gets a row of its own;
+// folder and fname still say where the file goes back to
+const markTrashed = db.prepare("UPDATE images SET path = 'trash:' || id, deleted_at = ?, deleted_by = ?, trash_path = ? WHERE id = ?")
+const markRestored = db.prepare('UPDATE images SET path = ?, fname = ?, deleted_at = NULL, deleted_by = NULL, trash_path = NULL WHERE id = ?')
+const trashOrigin = (row) => row.folder && row.folder !== '.' ? `${row.folder}/${row.fname}` : row.fname
+// Rows trashed before that still hold their old path
+for (const row of db.prepare("SELECT id, path FROM images WHERE deleted_at IS NOT NULL AND path NOT LIKE 'trash:%'").all()) {
+  db.prepare("UPDATE images SET path = 'trash:' || id WHERE id = ?").run(row.id)
+  moveDerivatives(diskPath(row.path), diskPath(`trash:${row.id}`)).catch(() => {})
+}
+const TRASHED_IN_SCOPE = 'deleted_at IS NOT NULL AND folder >= ? AND folder < ?'
+
+// Days a trashed item is kept before it's deleted for good; 0 keeps it until emptied by hand
+function trashPurgeDays() {
+  const n = Number(getSetting('trash_purge_days', TRASH_PURGE_DAYS_DEFAULT))
+  return Number.isInteger(n) && n >= 0 ? n : TRASH_PURGE_DAYS_DEFAULT
+}
+
+const requireDelete = requireCapability('can_delete', 'not allowed to delete')
+
+// Rows in the user's scope, either live (trashed = false) or in the trash
+function scopedRows(user, ids, trashed) {
+  if (ids.length === 0) return []
+  const scope = user.root_path || ''
+  return db.prepare(`SELECT id, path, fname, folder, trash_path FROM images
+    WHERE id IN (${ids.map(() => '?').join(',')}) AND folder >= ? AND folder < ? AND deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}${scopeClause(user)}`)
+    .all(...ids, scope, scope + '\uFFFF')
+}
+
+async function moveToTrash(user, row) {
+  const trashName = `${row.id}-${crypto.randomBytes(4).toString('hex')}${path.extname(row.fname).toLowerCase()}`
+  // Mark first so the watcher's unlink event finds no row at the path
+  markTrashed.run(nowMs(), user.id, trashName, row.id)
+  try {
+    await moveFile(diskPath(row.path), path.join(TRASH_DIR, trashName))
+  } catch (e) {
+    // Already gone from disk: keep it hidden, there is just nothing to restore
+    if (e.code === 'ENOENT') {
+      markTrashed.run(nowMs(), user.id, null, row.id)
+    } else {
+      markRestored.run(row.path, row.fname, row.id)
+      throw e
+    }
+  }
+  await moveDerivatives(diskPath(row.path), diskPath(`trash:${row.id}`))
+}
+
+async function restoreFromTrash(row) {
+  if (!row.trash_path) throw new Error('file is no longer in the trash')
+  const wanted = diskPath(trashOrigin(row))
+  await fsp.mkdir(path.dirname(wanted), { recursive: true })
+  // Something else took the old name meanwhile (on disk or a row still indexed there): restore as "name (1).jpg"
+  const taken = async (abs) => (await fileExists(abs)) || !!rowAtPath.get(rel(abs))
+  const abs = (await taken(wanted)) ? await uniqueFilePath(path.dirname(wanted), row.fname, taken) : wanted
+  await moveFile(path.join(TRASH_DIR, row.trash_path), abs)
+  markRestored.run(rel(abs), path.basename(abs), row.id)
+  await moveDerivatives(diskPath(row.path), abs)
+}
+
+const deleteImageRows = db.transaction((ids) => {
+  for (const id of ids) {
+    db.prepare('DELETE FROM favorites WHERE image_id = ?').run(id)
+    db.prepare('DELETE FROM album_items WHERE image_id = ?').run(id)
+    db.prepare('UPDATE albums SET cover_id = NULL WHERE cover_id = ?').run(id)
+    db.prepare('DELETE FROM share_items WHERE image_id = ?').run(id)
+    db.prepare('DELETE FROM share_uploads WHERE image_id = ?').run(id)
+    db.prepare('DELETE FROM duplicate_excludes WHERE image_id = ?').run(id)
+    db.prepare('DELETE FROM images WHERE id = ?').run(id)
+  }
+})
+
+// Delete for good: the trashed file, its cached thumb/view and every reference to the row
+async function purgeTrashed(rows) {
+  for (const row of rows) {
+    if (row.trash_path) await fsp.rm(path.join(TRASH_DIR, row.trash_path), { force: true }).catch(() => {})
+    const h = hashPath(diskPath(row.path))
+    await fsp.rm(path.join(THUMBS_DIR, `${h}.webp`), { force: true }).catch(() => {})
+    await fsp.rm(path.join(VIEWS_DIR, `${h}.webp`), { force: true }).catch(() => {})
+  }
+  deleteImageRows(rows.map(r => r.id))
+}
+
+async function purgeExpiredTrash() {
+  const days = trashPurgeDays()
+  if (!days) return
+  const rows = db.prepare('SELECT id, path, trash_path FROM images WHERE deleted_at IS NOT NULL AND deleted_at < ?')
+    .all(nowMs() - days * 24 * 60 * 60 * 1000)
+  if (rows.length === 0) return
+  await purgeTrashed(rows)
+  console.log(`[trash] purged ${rows.length} item(s) older than ${days} days`)
+}
+purgeExpiredTrash().catch(e => console.warn('[trash] purge failed:', e.message))
+setInterval(() => { purgeExpiredTrash().catch(e => console.warn('[trash] purge failed:', e.message)) }, 60 * 60 * 1000).unref()
+
+async function trashIds(req, res, ids) {
+  try {
+    const found = scopedRows(req.user, ids, false)
+    if (found.length === 0) return res.status(404).json({ error: 'not found' })
+    const rows = found.filter(r => !libraryFor(r.path).read_only)
+    if (rows.length === 0) return res.status(403).json({ error: 'these files are in a read-only library' })
+    let trashed = 0
+    for (const row of rows) {
+      try {
+        await moveToTrash(req.user, row)
+        trashed++
+      } catch (e) {
+        console.error('[trash] move failed', row.path, e.message)
+      }
+    }
+    if (trashed === 0) return res.status(500).json({ error: 'could not move files to the trash' })
+    res.json({ ok: true, trashed })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+}
+
+app.delete('/api/photos/:id', requireDelete, (req, res) => {
+  const id = Number(req.params.id)
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+  trashIds(req, res, [id])
+})
+
+// Batch: { ids: [...] }
+app.delete('/api/photos', requireDelete, (req, res) => {
+  const ids = parseIds(req.body)
+  if (ids.length === 0) return res.status(400).json({ error: 'ids required' })
+  trashIds(req, res, ids)
+})
+
+app.get('/api/trash', requireDelete, (req, res) => {
+  try {
+    const scope = req.user.root_path || ''
+    const page = Math.max(1, parseInt(req.query.page || '1', 10))
+    const pageSize = Math.max(1, Math.min(500, parseInt(req.query.pageSize || '200', 10)))
+    const where = TRASHED_IN_SCOPE + scopeClause(req.user)
+    const items = db.prepare(`
+      SELECT id, fname, folder, mtime, taken_at, size, kind, duration, deleted_at
+      FROM images
+      WHERE ${where}
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(scope, scope + '\uFFFF', pageSize, (page - 1) * pageSize)
+    const total = db.prepare(`SELECT COUNT(1) AS c FROM images WHERE ${where}`).get(scope, scope + '\uFFFF').c
+    res.json({ items, total, purge_days: trashPurgeDays() })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+app.post('/api/trash/restore', requireDelete, async (req, res) => {
+  try {
+    const rows = scopedRows(req.user, parseIds(req.body), true)
+    if (rows.length === 0) return res.status(404).json({ error: 'not found' })
+    let restored = 0
+    const failed = []
+    for (const row of rows) {
+      try {
+        await restoreFromTrash(row)
+        restored++
+      } catch (e) {
+        failed.push({ id: row.id, error: e.message })
+      }
+    }
+    res.json({ ok: restored > 0, restored, failed })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Delete for good: { ids: [...] }, or everything in the user's trash without ids
+app.delete('/api/trash', requireDelete, async (req, res) => {
+  try {
+    const ids = parseIds(req.body)
+    const scope = req.user.root_path || ''
+    const rows = ids.length
+      ? scopedRows(req.user, ids, true)
+      : db.prepare(`SELECT id, path, trash_path FROM images WHERE ${TRASHED_IN_SCOPE}${scopeClause(req.user)}`).all(scope, scope + '\uFFFF')
+    await purgeTrashed(rows)
+    res.json({ ok: true, purged: rows.length })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+
+/* ---------- file management: move, rename, folders ---------- */
+
+// One path segment typed by a user: no separators, dot names or control characters
+function validSegment(name) {
+  const n = String(name ?? '').trim()
+  if (!n || n.length > 200 || n.startsWith('.') || /[\/\\\x00-\x1f<>:"|?*]/.test(n)) return null
+  return n
+}
+
+// Client folder (relative to the user's root_path) -> library folder; null when it tries to climb
+// out or lands in a folder the user can't see
+function scopedFolder(user, input) {
+  const parts = toPosix(String(input ?? '')).split('/').filter(Boolean)
+  if (parts.some(p => p === '.' || p === '..')) return null
+  const folder = scopeJoin(user.root_path || '', parts.join('/'))
+  return userSees(user, folder) ? folder : null
+}
+// A folder the user may move or rename: not one of their granted roots, nothing hidden inside
+const movableFolder = (user, folder) => !!folder && folder !== (user.root_path || '') &&
+  !user.grants?.includes(folder) && userSeesAll(user, folder)
+// ...and back, for responses
+function clientFolder(user, folder) {
+  const scope = user.root_path || ''
+  if (!scope) return folder === '.' ? '' : folder
+  return folder === scope ? '' : folder.slice(scope.length + 1)
+}
+
+function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+// Files in read-only libraries (e.g. an archive mount) are never moved, renamed or removed
+function assertWritable(...relPaths) {
+  for (const r of relPaths) {
+    const lib = libraryFor(r)
+    if (lib.read_only) throw httpError(403, `library '${lib.name}' is read-only`)
+  }
+}
+// The top folder of an extra library is its mount point, not a folder to move or delete
+const isLibraryMount = (folder) => libraries.some(l => l.mount && l.mount === folder)
+
+// Thumbs and web views are keyed by absolute path; carry them over instead of regenerating
+async function moveDerivatives(fromAbs, toAbs) {
+  const a = hashPath(fromAbs)
+  const b = hashPath(toAbs)
+  for (const dir of [THUMBS_DIR, VIEWS_DIR]) {
+    await fsp.rename(path.join(dir, `${a}.webp`), path.join(dir, `${b}.webp`)).catch(() => {})
+  }
+}
+
+async function dropDerivatives(abs) {
+  const h = hashPath(abs)
+  for (const dir of [THUMBS_DIR, VIEWS_DIR]) await fsp.rm(path.join(dir, `${h}.webp`), { force: true }).catch(() => {})
+}
+
+// Move one indexed file, keeping its row (and so its id, favorites, albums and shares)
+async function relocateFile(row, destAbs) {
+  const fromAbs = diskPath(row.path)
+  const r = rel(destAbs)
+  const folder = toPosix(path.dirname(r))
+  assertWritable(row.path, r)
+  // Row first, so a live watcher treats the old path as unknown and the new one as existing
+  relocateImage.run(r, path.basename(destAbs), folder, libraryFor(r).id, row.id)
+  try {
+    await fsp.mkdir(path.dirname(destAbs), { recursive: true })
+    // Never over a file that showed up at destAbs meanwhile (EEXIST); a case-only rename is
+    // the same file on case-insensitive disks, so that one stays a plain rename
+    if (fromAbs.toLowerCase() === destAbs.toLowerCase()) await fsp.rename(fromAbs, destAbs)
+    else await moveFileExclusive(fromAbs, destAbs)
+  } catch (e) {
+    relocateImage.run(row.path, row.fname, row.folder, libraryFor(row.path).id, row.id)
+    throw e
+  }
+  await moveDerivatives(fromAbs, destAbs)
+  return { id: row.id, fname: path.basename(destAbs), folder }
+}
+
+// Rewrite every stored reference to `from` (and below) so it points at `dest`.
+// substr() counts code points, so the prefix length is measured the same way.
+const rewriteFolderPrefix = db.transaction((from, dest) => {
+  const cut = [...from].length + 1
+  const under = [from, from + '/', from + '/\uFFFF']
+  db.prepare(`UPDATE images SET path = ? || substr(path, ?), folder = ? || substr(folder, ?)
+    WHERE deleted_at IS NULL AND (folder = ? OR (folder >= ? AND folder < ?))`).run(dest, cut, dest, cut, ...under)
+  // Trashed rows keep their 'trash:<id>' path and restore into the folder's new place
+  db.prepare(`UPDATE images SET folder = ? || substr(folder, ?)
+    WHERE deleted_at IS NOT NULL AND (folder = ? OR (folder >= ? AND folder < ?))`).run(dest, cut, ...under)
+  db.prepare(`UPDATE shares SET folder = ? || substr(folder, ?)
+    WHERE album_id IS NULL AND (folder = ? OR (folder >= ? AND folder < ?))`).run(dest, cut, ...under)
+  db.prepare(`UPDATE users SET root_path = ? || substr(root_path, ?)
+    WHERE root_path = ? OR (root_path >= ? AND root_path < ?)`).run(dest, cut, ...under)
+  db.prepare(`UPDATE path_grants SET path = ? || substr(path, ?)
+    WHERE path = ? OR (path >= ? AND path < ?)`).run(dest, cut, ...under)
+  db.prepare(`UPDATE folders SET path = ? || substr(path, ?)
+    WHERE path = ? OR (path >= ? AND path < ?)`).run(dest, cut, ...under)
+})
+
+async function relocateFolder(from, dest) {
+  if (dest === from) return
+  if (dest.startsWith(from + '/')) throw httpError(400, 'cannot move a folder into itself')
+  if (isLibraryMount(from) || isLibraryMount(dest)) throw httpError(400, 'library roots cannot be moved or renamed')
+  // Folders are renamed in place; crossing disks would need a copy of the whole tree
+  if (libraryFor(from).id !== libraryFor(dest).id) throw httpError(400, 'folders cannot be moved between libraries')
+  assertWritable(from, dest)
+  const fromAbs = diskPath(from)
+  const destAbs = diskPath(dest)
+  if (!(await fileExists(fromAbs))) throw httpError(404, 'folder not found')
+  if (await fileExists(destAbs)) throw httpError(409, 'a folder with that name already exists')
+  const rows = db.prepare('SELECT path FROM images WHERE deleted_at IS NULL AND (folder = ? OR (folder >= ? AND folder < ?))')
+    .all(from, from + '/', from + '/\uFFFF')
+  rewriteFolderPrefix(from, dest)
+  try {
+    await fsp.mkdir(path.dirname(destAbs), { recursive: true })
+    await fsp.rename(fromAbs, destAbs)
+  } catch (e) {
+    rewriteFolderPrefix(dest, from)
+    throw e
+  }
+  for (const r of rows) {
+    await moveDerivatives(diskPath(r.path), path.join(destAbs, r.path.slice(from.length + 1)))
+  }
+}
+
+function sendFileOpError(res, e, what) {
+  if (e.status) return res.status(e.status).json({ error: e.message })
+  if (e.code === 'EEXIST') return res.status(409).json({ error: 'a file with that name already exists' })
+  console.error(`${what} error`, e)
+  res.status(500).json({ error: e.message })
+}
+
+// { ids: [...], to } moves files; { folder, to } moves a whole folder into `to`
+app.post('/api/files/move', requireAuth, async (req, res) => {
+  try {
+    const to = scopedFolder(req.user, req.body?.to)
+    if (to === null) return res.status(400).json({ error: 'invalid target folder' })
+
+    if (req.body?.folder !== undefined) {
+      const from = scopedFolder(req.user, req.body.folder)
+      if (!movableFolder(req.user, from)) return res.status(400).json({ error: 'invalid folder' })
+      const dest = to ? `${to}/${path.posix.basename(from)}` : path.posix.basename(from)
+      await relocateFolder(from, dest)
+      return res.json({ ok: true, folder: clientFolder(req.user, dest) })
+    }
+
+    const ids = parseIds(req.body)
+    if (ids.length === 0) return res.status(400).json({ error: 'ids required' })
+    const rows = scopedRows(req.user, ids, false)
+    if (rows.length === 0) return res.status(404).json({ error: 'not found' })
+    const dirAbs = diskPath(to)
+    const moved = []
+    const failed = []
+    for (const row of rows) {
+      if (row.folder === (to || '.')) continue
+      try {
+        let item = null
+        // Another writer may take the free name first; pick the next one then
+        for (let tries = 0; !item; tries++) {
+          try {
+            item = await relocateFile(row, await uniqueFilePath(dirAbs, row.fname))
+          } catch (e) {
+            if (e.code !== 'EEXIST' || tries >= 5) throw e
+          }
+        }
+        moved.push({ ...item, folder: clientFolder(req.user, item.folder) })
+      } catch (e) {
+        failed.push({ id: row.id, error: e.message })
+      }
+    }
+    res.json({ ok: failed.length === 0 || moved.length > 0, moved, failed })
+  } catch (e) {
+    sendFileOpError(res, e, '/api/files/move')
+  }
+})
+
+// { id, name } renames a file (keeping its extension unless a media one is given); { folder, name } a folder
+app.post('/api/files/rename', requireAuth, async (req, res) => {
+  try {
+    let name = validSegment(req.body?.name)
+    if (!name) return res.status(400).json({ error: 'invalid name' })
+
+    if (req.body?.folder !== undefined) {
+      const from = scopedFolder(req.user, req.body.folder)
+      if (!movableFolder(req.user, from)) return res.status(400).json({ error: 'invalid folder' })
+      const parent = path.posix.dirname(from)
+      const dest = parent === '.' ? name : `${parent}/${name}`
+      await relocateFolder(from, dest)
+      return res.json({ ok: true, folder: clientFolder(req.user, dest) })
+    }
+
+    const id = Number(req.body?.id)
+    const [row] = Number.isFinite(id) ? scopedRows(req.user, [id], false) : []
+    if (!row) return res.status(404).json({ error: 'not found' })
+    const ext = path.extname(name).toLowerCase()
+    if (!IMG_EXT.has(ext) && !VIDEO_EXT.has(ext)) name += path.extname(row.fname)
+    // The row's kind and how derivatives are made follow the extension, so it stays the same type
+    else if (mediaType(name) !== mediaType(row.fname)) {
+      return res.status(400).json({ error: 'a rename cannot change the file type' })
+    }
+    if (name === row.fname) return res.json({ ok: true, id: row.id, fname: row.fname, folder: clientFolder(req.user, row.folder) })
+    const destAbs = diskPath(row.folder, name)
+    // Case-only renames are the same file on case-insensitive disks
+    if (name.toLowerCase() !== row.fname.toLowerCase() && await fileExists(destAbs)) {
+      return res.status(409).json({ error: 'a file with that name already exists' })
+    }
+    const item = await relocateFile(row, destAbs)
+    res.json({ ok: true, ...item, folder: clientFolder(req.user, item.folder) })
+  } catch (e) {
+    sendFileOpError(res, e, '/api/files/rename')
+  }
+})
+
+// Create { parent, name }
+app.post('/api/folders', requireAuth, async (req, res) => {
+  try {
+    const parent = scopedFolder(req.user, req.body?.parent)
+    const name = validSegment(req.body?.name)
+    if (parent === null || !name) return res.status(400).json({ error: 'invalid folder name' })
+    const folder = parent ? `${parent}/${name}` : name
+    assertWritable(folder)
+    const abs = diskPath(folder)
+    if (await fileExists(abs)) return res.status(409).json({ error: 'a folder with that name already exists' })
+    await fsp.mkdir(abs, { recursive: true })
+    db.prepare('INSERT OR IGNORE INTO folders(path, created_at) VALUES(?, ?)').run(folder, nowMs())
+    res.json({ ok: true, folder: clientFolder(req.user, folder) })
+  } catch (e) {
+    sendFileOpError(res, e, '/api/folders')
+  }
+})
+
+// Remove an empty folder { folder }
+app.delete('/api/folders', requireAuth, async (req, res) => {
+  try {
+    const folder = scopedFolder(req.user, req.body?.folder)
+    if (!folder || folder === (req.user.root_path || '') || isLibraryMount(folder)) return res.status(400).json({ error: 'invalid folder' })
+    assertWritable(folder)
+    const used = db.prepare('SELECT 1 AS ok FROM images WHERE folder = ? OR (folder >= ? AND folder < ?) LIMIT 1')
+      .get(folder, folder + '/', folder + '/\uFFFF')
+    if (used) return res.status(409).json({ error: 'folder is not empty' })
+    try {
+      await fsp.rmdir(diskPath(folder))
+    } catch (e) {
+      if (e.code === 'ENOTEMPTY' || e.code === 'EEXIST') return res.status(409).json({ error: 'folder is not empty' })
+      if (e.code !== 'ENOENT') throw e
+    }
+    db.prepare('DELETE FROM folders WHERE path = ? OR (path >= ? AND path < ?)').run(folder, folder + '/', folder + '/\uFFFF')
+    res.json({ ok: true })
+  } catch (e) {
+    sendFileOpError(res, e, '/api/folders')
+  }
+})
+
+/* ---------- duplicates ---------- */
+const setImageHashes = db.prepare('UPDATE images SET sha256 = ?, phash = ? WHERE id = ?')
+// dHash distance is capped by the 8 x 8-bit bands used to find candidates (pigeonhole)
+const DUPLICATE_MAX_DISTANCE = 7
+const FLAT_PHASH = '0000000000000000'
+// Hashes sharing a band byte are compared pairwise up to this many; bigger bands (a byte common
+// to lots of dark or plain shots) only compare neighbours in hash order, keeping a scan linear
+const DUPLICATE_BAND_MAX = 64
+
+// Difference hash: 9x8 greyscale, one bit per "left pixel darker than its right neighbour"
+async function perceptualHash(imagePath) {
+  const { data, info } = await sharp(imagePath).removeAlpha().greyscale().resize(9, 8, { fit: 'fill' })
+    .raw().toBuffer({ resolveWithObject: true })
+  const px = (x, y) => data[(y * 9 + x) * info.channels]
+  let hex = ''
+  for (let y = 0; y < 8; y++) {
+    let byte = 0
+    for (let x = 0; x < 8; x++) byte = (byte << 1) | (px(x, y) < px(x + 1, y) ? 1 : 0)
+    hex += byte.toString(16).padStart(2, '0')
+  }
+  return hex
+}
+
+// Fill sha256 (full content) and phash (from the thumbnail) for live rows under `prefix` missing either
+async function hashPending(prefix, job = currentIndexJob) {
+  const rows = db.prepare(`SELECT id, path, sha256, phash FROM images
+    WHERE deleted_at IS NULL AND (sha256 IS NULL OR phash IS NULL) AND folder >= ? AND folder < ?`).all(prefix, prefix + '\uFFFF')
+  if (rows.length === 0) return
+  startIndexPhase(job, 'hash', rows.length)
+  const t0 = Date.now()
+  let done = 0
+  for (const r of rows) {
+    if (job?.cancel) break
+    const abs = diskPath(r.path)
+    let err = null
+    try {
+      const sha256 = r.sha256 || await hashFile(abs)
+      const phash = r.phash || await derivative('thumb', r.path).then(perceptualHash).catch(() => null)
+      setImageHashes.run(sha256, phash, r.id)
+      done++
+    } catch (e) { err = e }
+    stepIndexPhase(job, r.path, err)
+  }
+  console.log(`[index] hashed ${done.toLocaleString()} of ${rows.length.toLocaleString()} files in ${((Date.now()-t0)/1000).toFixed(1)}s`)
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555)
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333)
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+function hashDistance(a, b) {
+  return popcount32((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+    popcount32((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0)
+}
+
+// Group live items in `scope`: same sha256 is exact; dHash within `distance` bits is similar.
+// Rows a user excluded are left out, and so are groups that end up with a single item.
+function findDuplicateGroups(user, distance) {
+  const scope = user.root_path || ''
+  const rows = db.prepare(`SELECT id, fname, folder, size, mtime, taken_at, kind, sha256, phash FROM images
+    WHERE deleted_at IS NULL AND folder >= ? AND folder < ? AND (sha256 IS NOT NULL OR phash IS NOT NULL)${scopeClause(user)}
+      AND id NOT IN (SELECT image_id FROM duplicate_excludes WHERE user_id = ?)`).all(scope, scope + '\uFFFF', user.id)
+
+  const parent = rows.map((_, i) => i)
+  const find = (i) => { while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i }
+  const union = (a, b) => { a = find(a); b = find(b); if (a !== b) parent[b] = a }
+  const joinEqual = (key, skip) => {
+    const first = new Map()
+    rows.forEach((r, i) => {
+      if (!r[key] || r[key] === skip) return
+      if (first.has(r[key])) union(first.get(r[key]), i)
+      else first.set(r[key], i)
+    })
+    return first
+  }
+  joinEqual('sha256')
+  if (distance === 0) return collectDuplicateGroups(user, rows, find)
+  // Flat images (no gradients at all) hash to zero and say nothing about each other
+  const byPhash = joinEqual('phash', FLAT_PHASH)
+  // Compare distinct hashes that share at least one byte; any pair within 7 bits does
+  const hashes = Array.from(byPhash.keys())
+  const bands = new Map()
+  hashes.forEach((h, i) => {
+    for (let b = 0; b < 8; b++) {
+      const k = `${b}:${h.slice(b * 2, b * 2 + 2)}`
+      if (!bands.has(k)) bands.set(k, [])
+      bands.get(k).push(i)
+    }
+  })
+  for (const list of bands.values()) {
+    if (list.length > DUPLICATE_BAND_MAX) list.sort((a, b) => (hashes[a] < hashes[b] ? -1 : 1))
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < Math.min(list.length, i + DUPLICATE_BAND_MAX); j++) {
+        const a = byPhash.get(hashes[list[i]])
+        const b = byPhash.get(hashes[list[j]])
+        if (find(a) !== find(b) && hashDistance(hashes[list[i]], hashes[list[j]]) <= distance) union(a, b)
+      }
+    }
+  }
+
+  return collectDuplicateGroups(user, rows, find)
+}
+
+function collectDuplicateGroups(user, rows, find) {
+  const groups = new Map()
+  rows.forEach((r, i) => {
+    const root = find(i)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(r)
+  })
+  const out = []
+  for (const items of groups.values()) {
+    if (items.length < 2) continue
+    // Largest (then oldest) first: the suggested keeper
+    items.sort((a, b) => b.size - a.size || (a.taken_at ?? a.mtime) - (b.taken_at ?? b.mtime) || a.id - b.id)
+    const exact = items.every(it => it.sha256 && it.sha256 === items[0].sha256)
+    out.push({
+      kind: exact ? 'exact' : 'similar',
+      reclaimable: items.slice(1).reduce((n, it) => n + it.size, 0),
+      items: items.map(it => ({
+        id: it.id, fname: it.fname, folder: clientFolder(user, it.folder), size: it.size,
+        mtime: it.mtime, taken_at: it.taken_at, kind: it.kind
+      }))
+    })
+  }
+  out.sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'exact' ? -1 : 1) || b.reclaimable - a.reclaimable)
+  return out
+}
+
+// ?distance=0 for exact copies only (default 5, max 7 bits of 64)
+app.get('/api/duplicates', requireAuth, (req, res) => {
+  try {
+    const raw = parseInt(req.query.distance ?? '5', 10)
+    const distance = Math.max(0, Math.min(DUPLICATE_MAX_DISTANCE, Number.isFinite(raw) ? raw : 5))
+    const scope = req.user.root_path || ''
+    const groups = findDuplicateGroups(req.user, distance)
+    // Items not hashed yet (new since the last rescan) can't be compared
+    const pending = db.prepare(`SELECT COUNT(*) AS c FROM images
+      WHERE deleted_at IS NULL AND folder >= ? AND folder < ? AND (sha256 IS NULL OR phash IS NULL)${scopeClause(req.user)}`).get(scope, scope + '\uFFFF').c
+    res.json({ groups, distance, pending })
+  } catch (e) {
+    console.error('/api/duplicates error', e)
+    res.status(500).json({ error: e.message })
+  }
+})
+
+// Mark items as "not a duplicate" { ids }; they drop out of every group for this user
+app.post('/api/duplicates/exclude', requireAuth, (req, res) => {
+  try {
+    const rows = scopedRows(req.user, parseIds(req.body), false)
+    if (rows.length === 0) return res.status(404).json({ error: 'not found' })
+    const ins = db.prepare('INSERT OR IGNORE INTO duplicate_excludes(user_id, image_id, created_at) VALUES(?, ?, ?)')
+    const now = nowMs()
+    db.transaction(() => { for (const r of rows) ins.run(req.user.id, r.id, now) })()
+    res.json({ ok: true, excluded: rows.length })
   } catch (e) {
     res.status(500).json({ error: e.message })
   }
 })
 
-app.delete('/api/shares/:id', requireAuth, (req, res) => {
+// Forget every exclusion of this user
+app.delete('/api/duplicates/exclude', requireAuth, (req, res) => {
   try {
-    const id = Number(req.params.id)
-    if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
-    const found = getShareById.get(id)
-    if (!found) return res.status(404).json({ error: 'not found' })
-    if (found.user_id !== req.user.id && !req.user.is_admin) return res.status(403).json({ error: 'forbidden' })
-    deleteShareStmt.run(id)
-    res.json({ ok: true })
+    const info = db.prepare('DELETE FROM duplicate_excludes WHERE user_id = ?').run(req.user.id)
+    res.json({ ok: true, cleared: info.changes })
   } catch (e) {
     res.status(500).json({ error: e.message })
   }
 })
 
-/* ---------- public share consumption ---------- */
-function getShare(req, res) {
-  const token = String(req.params.token || '').trim()
-  if (!token) { res.status(400).end(); return null }
-  const share = getShareByToken.get(token)
-  if (!share) { res.status(404).end(); return null }
-  return share
+// File handed out by downloads: the original, or for `download` shares and users without
+// the originals capability a web-sized copy of photos (videos are always the original file)
+async function downloadFile(row, originals) {
+  const abs = diskPath(row.path)
+  const name = row.fname || path.basename(abs)
+  if (originals || row.kind === 'video') {
+    return { abs, name, type: mime.lookup(abs) || 'application/octet-stream' }
+  }
+  const view = await derivative('view', row.path, { priority: JOB_PRIORITY.visible }).catch(() => null)
+  if (!view) throw httpError(503, 'the web-sized copy is not ready yet')
+  return { abs: view, name: name.replace(/\.[^.]+$/, '') + '.webp', type: 'image/webp' }
+}
+
+// Stream a photo's thumb or web view. When it can't be made the original stands in, but only
+// for those allowed originals; everyone else gets a 503 and retries once the job's backoff is over
+async function sendDerivative(res, kind, row, originals) {
+  const abs = diskPath(row.path)
+  const out = await derivative(kind, row.path, { priority: JOB_PRIORITY.visible, res }).catch(() => null)
+  if (!out && !originals && row.kind !== 'video') {
+    res.setHeader('Retry-After', String(JOB_BACKOFF_MS / 1000))
+    return res.status(503).end()
+  }
+  res.setHeader('content-type', out ? 'image/webp' : mime.lookup(abs) || 'image/jpeg')
+  res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
+  fs.createReadStream(out || abs).pipe(res)
+}
+
+// What a share exposes: an album, hand-picked items, or everything under a folder
+function shareSource(share) {
+  if (share.album_id) return 'album'
+  if (share.folder === 'selected' || countShareItems.get(share.id).c > 0) return 'selected'
+  return 'folder'
 }
 
 // Public info
 app.get('/s/:token/info', (req, res) => {
   try {
     const share = getShare(req, res); if (!share) return
-    const selectedCount = countShareItems.get(share.id).c
+    const source = shareSource(share)
     let total
-    if (share.folder === 'selected' || selectedCount > 0) {
+    if (source === 'album') {
+      total = countAlbumItems.get(share.album_id).c
+    } else if (source === 'selected') {
       // Selected-only share
-      total = selectedCount
+      total = countLiveShareItems.get(share.id).c
     } else {
       // Folder-based share
       const lower = share.folder
       const upper = lower + '\uFFFF'
-      total = db.prepare('SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ?').get(lower, upper).c
+      total = db.prepare(`SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ? AND deleted_at IS NULL AND ${NOT_PENDING_UPLOAD}`).get(lower, upper).c
     }
-    res.json({ token: share.token, name: share.name, folder: share.folder, created_at: share.created_at, total, selected: selectedCount > 0 })
+    recordShareEvent(req, share, 'view')
+    res.json({
+      token: share.token, name: share.name, folder: share.folder, created_at: share.created_at, total,
+      selected: source === 'selected', album: source === 'album',
+      permission: share.permission, expires_at: share.expires_at,
+      allow_upload: !!share.allow_upload && source === 'folder', max_upload_mb: GUEST_UPLOAD_MAX_MB
+    })
   } catch (e) {
     res.status(500).json({ error: e.message })
   }
@@ -1456,32 +4672,45 @@ app.get('/s/:token/photos', (req, res) => {
     if (filter === 'images') kindWhere = " AND kind = 'image'"
     else if (filter === 'videos') kindWhere = " AND kind = 'video'"
 
-    const selectedCount = countShareItems.get(share.id).c
+    const source = shareSource(share)
     let rows, total
-    if (share.folder === 'selected' || selectedCount > 0) {
+    if (source === 'album') {
+      // Album share, in album order
+      rows = db.prepare(`
+        SELECT i.id, i.fname, i.folder, i.mtime, i.taken_at, i.size, i.kind, i.duration
+        FROM album_items ai JOIN images i ON i.id = ai.image_id
+        WHERE ai.album_id = ? AND i.deleted_at IS NULL${kindWhere}
+        ORDER BY ai.position, ai.image_id
+        LIMIT ? OFFSET ?
+      `).all(share.album_id, pageSize, offset)
+      total = db.prepare(`
+        SELECT COUNT(1) AS c FROM album_items ai JOIN images i ON i.id = ai.image_id
+        WHERE ai.album_id = ? AND i.deleted_at IS NULL${kindWhere}
+      `).get(share.album_id).c
+    } else if (source === 'selected') {
       // Selected-only share
       rows = db.prepare(`
-        SELECT i.id, i.fname, i.folder, i.mtime, i.size, i.kind, i.duration
+        SELECT i.id, i.fname, i.folder, i.mtime, i.taken_at, i.size, i.kind, i.duration
         FROM images i
         JOIN share_items si ON si.image_id = i.id
-        WHERE si.share_id = ?${kindWhere}
-        ORDER BY i.mtime DESC, i.id DESC
+        WHERE si.share_id = ? AND i.deleted_at IS NULL${kindWhere}
+        ORDER BY COALESCE(i.taken_at, i.mtime) DESC, i.id DESC
         LIMIT ? OFFSET ?
       `).all(share.id, pageSize, offset)
-      total = selectedCount
+      total = countLiveShareItems.get(share.id).c
     } else {
       // Folder-based share
       const lower = share.folder
       const upper = lower + '\uFFFF'
       rows = db.prepare(`
-        SELECT id, fname, folder, mtime, size, kind, duration
+        SELECT id, fname, folder, mtime, taken_at, size, kind, duration
         FROM images
-        WHERE folder >= ? AND folder < ?${kindWhere}
-        ORDER BY mtime DESC, id DESC
+        WHERE folder >= ? AND folder < ? AND deleted_at IS NULL${kindWhere} AND ${NOT_PENDING_UPLOAD}
+        ORDER BY COALESCE(taken_at, mtime) DESC, id DESC
         LIMIT ? OFFSET ?
       `).all(lower, upper, pageSize, offset)
       total = db.prepare(`
-        SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ?${kindWhere}
+        SELECT COUNT(1) as c FROM images WHERE folder >= ? AND folder < ? AND deleted_at IS NULL${kindWhere} AND ${NOT_PENDING_UPLOAD}
       `).get(lower, upper).c
     }
     res.json({ items: rows, total })
@@ -1491,10 +4720,12 @@ app.get('/s/:token/photos', (req, res) => {
 })
 
 function assertShareOwnsId(share, id) {
-  const row = db.prepare('SELECT id, path, fname, folder, kind FROM images WHERE id = ?').get(Number(id))
+  const row = db.prepare('SELECT id, path, fname, folder, kind FROM images WHERE id = ? AND deleted_at IS NULL').get(Number(id))
   if (!row) return null
-  const selectedCount = countShareItems.get(share.id).c
-  if (share.folder === 'selected' || selectedCount > 0) {
+  const source = shareSource(share)
+  if (source === 'album') {
+    if (!hasAlbumItem.get(share.album_id, row.id)) return null
+  } else if (source === 'selected') {
     // Selected-only share - check if image is in the selected items
     const owns = db.prepare('SELECT 1 AS ok FROM share_items WHERE share_id = ? AND image_id = ?').get(share.id, row.id)
     if (!owns) return null
@@ -1503,6 +4734,7 @@ function assertShareOwnsId(share, id) {
     const lower = share.folder
     const upper = lower + '\uFFFF'
     if (!(row.folder >= lower && row.folder < upper)) return null
+    if (isPendingUpload.get(row.id)) return null
   }
   return row
 }
@@ -1512,21 +4744,7 @@ app.get('/s/:token/thumb/:id', async (req, res) => {
     const share = getShare(req, res); if (!share) return
     const row = assertShareOwnsId(share, req.params.id)
     if (!row) return res.status(404).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
-    const thumb = await ensureThumb(abs)
-    if (!thumb) return res.status(500).end()
-    
-    // Check if thumb is the original file (fallback case)
-    if (thumb === abs) {
-      const contentType = mime.lookup(abs) || 'image/jpeg'
-      res.setHeader('content-type', contentType)
-      res.setHeader('Cache-Control', 'public, max-age=31536000')
-      fs.createReadStream(thumb).pipe(res)
-    } else {
-      res.setHeader('content-type', 'image/webp')
-      res.setHeader('Cache-Control', 'public, max-age=31536000')
-      fs.createReadStream(thumb).pipe(res)
-    }
+    await sendDerivative(res, 'thumb', row, share.permission === 'originals')
   } catch { res.status(500).end() }
 })
 
@@ -1535,38 +4753,8 @@ app.get('/s/:token/view/:id', async (req, res) => {
     const share = getShare(req, res); if (!share) return
     const row = assertShareOwnsId(share, req.params.id)
     if (!row) return res.status(404).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
-    if (row.kind === 'video') {
-      const thumb = await ensureThumb(abs)
-      if (!thumb) return res.status(500).end()
-      
-      // Check if thumb is the original file (fallback case)
-      if (thumb === abs) {
-        const contentType = mime.lookup(abs) || 'image/jpeg'
-        res.setHeader('content-type', contentType)
-        res.setHeader('Cache-Control', 'public, max-age=31536000')
-        fs.createReadStream(thumb).pipe(res)
-      } else {
-        res.setHeader('content-type', 'image/webp')
-        res.setHeader('Cache-Control', 'public, max-age=31536000')
-        fs.createReadStream(thumb).pipe(res)
-      }
-    } else {
-      const view = await ensureView(abs)
-      if (!view) return res.status(500).end()
-      
-      // Check if view is the original file (fallback case)
-      if (view === abs) {
-        const contentType = mime.lookup(abs) || 'image/jpeg'
-        res.setHeader('content-type', contentType)
-        res.setHeader('Cache-Control', 'public, max-age=31536000')
-        fs.createReadStream(view).pipe(res)
-      } else {
-        res.setHeader('content-type', 'image/webp')
-        res.setHeader('Cache-Control', 'public, max-age=31536000')
-        fs.createReadStream(view).pipe(res)
-      }
-    }
+    recordShareEvent(req, share, 'media', row.id)
+    await sendDerivative(res, row.kind === 'video' ? 'thumb' : 'view', row, share.permission === 'originals')
   } catch { res.status(500).end() }
 })
 
@@ -1575,7 +4763,7 @@ app.get('/s/:token/media/:id', async (req, res) => {
     const share = getShare(req, res); if (!share) return
     const row = assertShareOwnsId(share, req.params.id)
     if (!row) return res.status(404).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
+    const abs = diskPath(row.path)
     if (row.kind === 'video') {
       const stat = await fsp.stat(abs).catch(() => null)
       if (!stat) return res.status(404).end()
@@ -1599,6 +4787,8 @@ app.get('/s/:token/media/:id', async (req, res) => {
       })
       return fs.createReadStream(abs, { start, end }).pipe(res)
     } else {
+      // Only 'originals' shares hand out the photo file itself
+      if (share.permission !== 'originals') return res.redirect(302, `/s/${share.token}/view/${row.id}`)
       const disp = await ensureDisplayableMedia(abs)
       res.setHeader('content-type', disp.contentType)
       if (disp.contentType && disp.contentType.startsWith('image/')) {
@@ -1614,7 +4804,7 @@ app.get('/s/:token/transcode/:id', async (req, res) => {
     const share = getShare(req, res); if (!share) return
     const row = assertShareOwnsId(share, req.params.id)
     if (!row || row.kind !== 'video') return res.status(404).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
+    const abs = diskPath(row.path)
     const q = String(req.query.q || 'low')
     const maxw = Math.max(160, Math.min(3840, parseInt(req.query.maxw || '0', 10) || 0))
     const brParam = String(req.query.br || '')
@@ -1662,23 +4852,25 @@ app.get('/s/:token/transcode/:id', async (req, res) => {
   } catch { res.status(500).end() }
 })
 
-app.get('/s/:token/download/:id', (req, res) => {
+app.get('/s/:token/download/:id', async (req, res) => {
   try {
-    const share = getShare(req, res); if (!share) return
+    const share = getShare(req, res, 'download'); if (!share) return
     const row = assertShareOwnsId(share, req.params.id)
     if (!row) return res.status(404).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
-    const type = mime.lookup(abs) || 'application/octet-stream'
-    const name = row.fname || path.basename(abs)
-    res.setHeader('content-type', type)
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}`)
-    fs.createReadStream(abs).pipe(res)
-  } catch { res.status(500).end() }
+    const file = await downloadFile(row, share.permission === 'originals')
+    recordShareEvent(req, share, 'download', row.id)
+    res.setHeader('content-type', file.type)
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`)
+    fs.createReadStream(file.abs).pipe(res)
+  } catch (e) {
+    if (e.status === 503) res.setHeader('Retry-After', String(JOB_BACKOFF_MS / 1000))
+    res.status(e.status || 500).end()
+  }
 })
 
 app.post('/s/:token/download/batch', async (req, res) => {
   try {
-    const share = getShare(req, res); if (!share) return
+    const share = getShare(req, res, 'download'); if (!share) return
     const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(x => parseInt(x, 10)).filter(Number.isFinite) : []
     if (ids.length === 0) return res.status(400).json({ error: 'no ids' })
     const rows = ids.map(id => assertShareOwnsId(share, id)).filter(Boolean)
@@ -1691,13 +4883,34 @@ app.post('/s/:token/download/batch', async (req, res) => {
     archive.on('error', () => { try { res.status(500).end() } catch {} })
     archive.pipe(res)
     for (const r of rows) {
-      const abs = path.join(PHOTOS_ROOT, r.path)
-      try { await fsp.access(abs); archive.file(abs, { name: r.fname || path.basename(abs) }) } catch {}
+      try {
+        const file = await downloadFile(r, share.permission === 'originals')
+        await fsp.access(file.abs)
+        archive.file(file.abs, { name: file.name })
+        recordShareEvent(req, share, 'download', r.id)
+      } catch {}
     }
     await archive.finalize()
   } catch { res.status(500).end() }
 })
 
+// Playlist path for a rendition, queueing its encode; answers 503 + Retry-After itself
+// when the encode hasn't produced a playlist in time (players retry), and null then
+async function hlsPlaylist(row, height, res) {
+  try {
+    return await derivative('hls', row.path, { priority: JOB_PRIORITY.visible, height, res, timeout: HLS_WAIT_MS })
+  } catch (e) {
+    if (e.code === 'ETIMEDOUT') {
+      res.setHeader('Retry-After', '5')
+      res.status(503).end()
+    } else {
+      console.error('[hls] generation failed for:', row.path, e.message)
+      res.status(500).end()
+    }
+    return null
+  }
+}
+
 // Public HLS endpoints
 app.get('/s/:token/hls/:id/master.m3u8', (req, res) => {
   try {
@@ -1725,57 +4938,12 @@ app.get('/s/:token/hls/:id/:height.m3u8', async (req, res) => {
     const row = assertShareOwnsId(share, req.params.id)
     if (!row || row.kind !== 'video') return res.status(404).end()
     const height = Math.max(144, Math.min(2160, parseInt(req.params.height || '720', 10)))
-    const abs = path.join(PHOTOS_ROOT, db.prepare('SELECT path FROM images WHERE id=?').get(row.id).path)
-
-    const key = `${hashPath(abs)}_${height}`
-    const outDir = path.join(HLS_DIR, key)
-    const indexPath = path.join(outDir, 'index.m3u8')
-    if (await fileExists(indexPath)) {
-      res.setHeader('Content-Type', 'application/x-mpegURL')
-      return fs.createReadStream(indexPath).pipe(res)
-    }
-
-    await fsp.mkdir(outDir, { recursive: true })
-
-    let videoCodec = 'libx264'
-    let videoProfile = 'main'
-    let videoLevel = '4.1'
-    let crfValue = 20
-    try { const meta = await probeVideoMeta(abs); if (meta) { videoCodec = 'libx264'; videoProfile = 'main'; videoLevel = '4.1'; crfValue = 20 } } catch {}
-
-    const cfg = height <= 360
-      ? { maxrate: '700k', buf: '1400k', abr: '64k' }
-      : (height <= 540 ? { maxrate: '1200k', buf: '2400k', abr: '96k' } : { maxrate: '2500k', buf: '5000k', abr: '128k' })
-
-    const args = [
-      '-hide_banner', '-loglevel', 'error', '-y',
-      '-i', abs,
-      '-vf', `scale=-2:${height}:flags=lanczos,format=yuv420p`,
-      '-c:v', videoCodec, '-preset', 'veryfast', '-profile:v', videoProfile, '-level', videoLevel, '-crf', String(crfValue),
-      '-maxrate', cfg.maxrate, '-bufsize', cfg.buf,
-      '-c:a', 'aac', '-ac', '2', '-b:a', cfg.abr,
-      '-f', 'hls',
-      '-hls_time', '4', '-hls_playlist_type', 'event', '-hls_segment_type', 'mpegts',
-      '-hls_base_url', `/s/hls/seg/${key}/`,
-      '-hls_segment_filename', path.join(outDir, 'seg%04d.ts'),
-      path.join(outDir, 'index.m3u8')
-    ]
-
-    const ex = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] })
-    let stderrBuf = ''
-    ex.stderr.on('data', (d) => { stderrBuf += String(d) })
-    const start = Date.now()
-    const poll = setInterval(async () => {
-      if (await fileExists(indexPath)) {
-        clearInterval(poll)
-        res.setHeader('Content-Type', 'application/x-mpegURL')
-        fs.createReadStream(indexPath).pipe(res)
-      } else if (Date.now() - start > 8000) {
-        clearInterval(poll)
-        try { ex.kill('SIGKILL') } catch {}
-        res.status(500).end()
-      }
-    }, 200)
+    const indexPath = await hlsPlaylist(row, height, res)
+    if (!indexPath) return
+    // Renditions are shared with signed-in playback; point segments at the public route
+    const text = await fsp.readFile(indexPath, 'utf8')
+    res.setHeader('Content-Type', 'application/x-mpegURL')
+    res.send(text.replace(/^\/hls\/seg\//gm, '/s/hls/seg/'))
   } catch { res.status(500).end() }
 })
 
@@ -1790,119 +4958,389 @@ app.get('/s/hls/seg/:key/:file', async (req, res) => {
   } catch { res.status(500).end() }
 })
 
-/* rescan: admin only */
-app.post('/api/index', requireAdmin, async (req, res) => {
+// Scan (everything, or below `relPath`), then hash for duplicates and optionally warm previews.
+// `onScanned` runs once files are indexed; the job ends when the background part is done too
+async function runIndexJob(job, { path: relPath = '', warm = false } = {}, onScanned) {
+  try {
+    if (relPath) { await scanAndIndexUnder(relPath, job) } else { await scanAndIndex(job) }
+  } catch (e) {
+    endIndexJob(job)
+    throw e
+  }
+  onScanned?.()
+
+  try {
+    if (!job.cancel) await hashPending(normalizeScopeInput(relPath), job)
+    if (warm && !job.cancel) await warmDerivatives(job, job.changed)
+  } catch (e) {
+    console.error('[index] post-scan error', e)
+  } finally {
+    endIndexJob(job)
+  }
+}
+
+/* rescan: users with the scan capability */
+app.post('/api/index', requireCapability('can_scan', 'not allowed to scan'), async (req, res) => {
   if (currentIndexJob.running) return res.status(409).json({ error: 'index already running' })
   const job = beginIndexJob()
   if (!job) return res.status(409).json({ error: 'index already running' })
+  const p = (req.body && typeof req.body.path === 'string') ? req.body.path : ''
+  const warm = req.body?.warm === true
+  // Hashing (duplicates) and the optional warm-up keep the job running; follow it via /api/index/status
   try {
-    const p = (req.body && typeof req.body.path === 'string') ? req.body.path : ''
-    if (p) { await scanAndIndexUnder(p, job) } else { await scanAndIndex(job) }
-    res.json({ ok: true, canceled: !!job.cancel })
+    await runIndexJob(job, { path: p, warm }, () => {
+      res.json({ ok: true, canceled: !!job.cancel, changed: job.changed.length, ...job.result, warming: warm && !job.cancel })
+    })
   } catch (e) {
-    res.status(500).json({ error: e.message })
-  } finally {
-    endIndexJob(job)
+    if (!res.headersSent) res.status(500).json({ error: e.message })
   }
 })
 
-/* cancel index: admin only */
-app.post('/api/index/cancel', requireAdmin, (_req, res) => {
+/* live events: index progress (scanners) and library changes within the user's scope */
+app.get('/api/events', requireAuth, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx buffers responses by default, which would hold events back
+    'X-Accel-Buffering': 'no'
+  })
+  res.write('retry: 5000\n\n')
+  const client = { res, user: req.user, token: parseCookies(req)[SESSION_COOKIE], sessionId: req.sessionId }
+  eventClients.add(client)
+  if (req.user.can_scan) sendEvent(res, 'index', indexStatusJson())
+  // Comment lines keep idle proxies from closing the stream; quiet streams are rechecked with them
+  client.ping = setInterval(() => {
+    if (refreshEventClient(client)) { try { res.write(': ping\n\n') } catch {} }
+  }, 25000)
+  req.on('close', () => closeEventClients(c => c === client))
+})
+
+/* cancel index */
+app.post('/api/index/cancel', requireCapability('can_scan', 'not allowed to scan'), (_req, res) => {
   if (!currentIndexJob.running) return res.json({ ok: true, running: false })
   currentIndexJob.cancel = true
   res.json({ ok: true, running: true, canceled: true })
 })
 
-/* index status: admin only */
-app.get('/api/index/status', requireAdmin, (_req, res) => {
-  res.json({ 
-    running: currentIndexJob.running, 
-    canceled: currentIndexJob.cancel,
-    token: currentIndexJob.token 
-  })
+/* index status */
+app.get('/api/index/status', requireCapability('can_scan', 'not allowed to scan'), (_req, res) => {
+  res.json(indexStatusJson())
 })
 
-/* media endpoints: auth + scope check */
-app.get('/thumb/:id', requireAuth, async (req, res) => {
+/* ---------- scheduled scans ---------- */
+const CRON_ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *' }
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day', 1, 31], ['month', 1, 12], ['weekday', 0, 7]]
+
+// 'm h dom mon dow' with *, lists, ranges and steps (weekday 0 or 7 = Sunday); throws on bad input
+function parseCron(expr) {
+  const text = String(expr || '').trim()
+  const parts = (CRON_ALIASES[text.toLowerCase()] || text).split(/\s+/)
+  if (parts.length !== 5) throw new Error('cron needs 5 fields: minute hour day month weekday')
+  const cron = {}
+  parts.forEach((part, i) => {
+    const [name, min, max] = CRON_FIELDS[i]
+    const values = new Set()
+    for (const item of part.split(',')) {
+      const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+      if (!m) throw new Error(`invalid cron ${name}: ${item}`)
+      const lo = m[1] ? min : Number(m[2])
+      const hi = m[1] || (m[4] && m[3] === undefined) ? max : Number(m[3] ?? m[2])
+      const step = Number(m[4] || 1)
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`invalid cron ${name}: ${item}`)
+      for (let v = lo; v <= hi; v += step) values.add(name === 'weekday' && v === 7 ? 0 : v)
+    }
+    cron[name] = values
+    cron[`${name}Any`] = part.startsWith('*')
+  })
+  return cron
+}
+function cronDayMatches(cron, d) {
+  const dom = cron.day.has(d.getDate())
+  const dow = cron.weekday.has(d.getDay())
+  // As in cron: when both day fields are restricted, either one may match
+  return !cron.dayAny && !cron.weekdayAny ? dom || dow : dom && dow
+}
+function cronMatches(cron, d) {
+  return cron.minute.has(d.getMinutes()) && cron.hour.has(d.getHours()) &&
+    cron.month.has(d.getMonth() + 1) && cronDayMatches(cron, d)
+}
+// Next matching minute after `from` (server local time), null when none within four years (Feb 29)
+function nextCronRun(cron, from = new Date()) {
+  const d = new Date(from)
+  d.setSeconds(0, 0)
+  d.setMinutes(d.getMinutes() + 1)
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) { d.setMonth(d.getMonth() + 1, 1); d.setHours(0, 0); continue }
+    if (!cronDayMatches(cron, d)) { d.setDate(d.getDate() + 1); d.setHours(0, 0); continue }
+    if (!cron.hour.has(d.getHours())) { d.setHours(d.getHours() + 1, 0); continue }
+    if (!cron.minute.has(d.getMinutes())) { d.setMinutes(d.getMinutes() + 1); continue }
+    return d.getTime()
+  }
+  return null
+}
+
+const setScheduleStatus = db.prepare('UPDATE scan_schedules SET last_run_at = ?, last_status = ? WHERE id = ?')
+let lastScheduleMinute = 0
+function runDueSchedules() {
+  const now = new Date()
+  const minute = Math.floor(now.getTime() / 60000)
+  if (minute === lastScheduleMinute) return
+  lastScheduleMinute = minute
+  const due = db.prepare('SELECT * FROM scan_schedules WHERE enabled = 1').all()
+    .filter(s => { try { return cronMatches(parseCron(s.cron), now) } catch { return false } })
+    // a full rescan covers what a folder schedule due at the same minute would do
+    .sort((a, b) => a.path.length - b.path.length)
+  for (const s of due) {
+    const job = beginIndexJob()
+    if (!job) { setScheduleStatus.run(now.getTime(), 'skipped: another scan was running', s.id); continue }
+    setScheduleStatus.run(now.getTime(), 'running', s.id)
+    console.log(`[schedule] #${s.id} ${s.path ? `scanning '${s.path}'` : 'full rescan'} (${s.cron})`)
+    runIndexJob(job, { path: s.path, warm: !!s.warm })
+      .then(() => setScheduleStatus.run(now.getTime(), job.cancel ? 'canceled' : `ok: ${job.result ? indexCountsText(job.result) : 'done'}`, s.id))
+      .catch(e => setScheduleStatus.run(now.getTime(), `error: ${e.message}`, s.id))
+  }
+}
+// Checked a few times a minute so a slow tick never skips one
+setInterval(runDueSchedules, 15 * 1000).unref()
+
+function scheduleJson(s) {
+  let next_run_at = null
+  if (s.enabled) { try { next_run_at = nextCronRun(parseCron(s.cron)) } catch {} }
+  return { ...s, warm: !!s.warm, enabled: !!s.enabled, next_run_at }
+}
+// Validated fields of a schedule body; absent ones stay undefined. Throws with a message for 400s
+async function scheduleInput(body = {}) {
+  const out = {}
+  if (body.path !== undefined) {
+    out.path = normalizeScopeInput(String(body.path || ''))
+    if (out.path) {
+      const st = await fsp.stat(diskPath(out.path)).catch(() => null)
+      if (!st?.isDirectory()) throw new Error('folder not found')
+    }
+  }
+  if (body.cron !== undefined) {
+    out.cron = String(body.cron).trim()
+    parseCron(out.cron)
+  }
+  if (body.warm !== undefined) out.warm = body.warm ? 1 : 0
+  if (body.enabled !== undefined) out.enabled = body.enabled ? 1 : 0
+  return out
+}
+
+/* scan schedules: admin only */
+app.get('/api/admin/scan-schedules', requireAdmin, (_req, res) => {
+  const items = db.prepare('SELECT * FROM scan_schedules ORDER BY id').all().map(scheduleJson)
+  res.json({ items })
+})
+app.post('/api/admin/scan-schedules', requireAdmin, async (req, res) => {
+  let input
+  try { input = await scheduleInput(req.body) } catch (e) { return res.status(400).json({ error: e.message }) }
+  if (!input.cron) return res.status(400).json({ error: 'cron required' })
+  try {
+    const info = db.prepare('INSERT INTO scan_schedules(path, cron, warm, enabled, created_at) VALUES(?,?,?,?,?)')
+      .run(input.path || '', input.cron, input.warm ?? 0, input.enabled ?? 1, nowMs())
+    res.json({ ok: true, item: scheduleJson(db.prepare('SELECT * FROM scan_schedules WHERE id = ?').get(info.lastInsertRowid)) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
+  }
+})
+app.patch('/api/admin/scan-schedules/:id', requireAdmin, async (req, res) => {
   const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, folder FROM images WHERE id=?').get(id)
-  if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
-  const abs = path.join(PHOTOS_ROOT, row.path)
-  console.log('[thumb] request for id:', id, 'path:', row.path)
-  const thumb = await ensureThumb(abs)
-  if (!thumb) {
-    console.error('[thumb] thumb failed for:', abs)
-    return res.status(500).end()
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
+  let input
+  try { input = await scheduleInput(req.body) } catch (e) { return res.status(400).json({ error: e.message }) }
+  const keys = Object.keys(input)
+  if (!keys.length) return res.status(400).json({ error: 'nothing to update' })
+  try {
+    const info = db.prepare(`UPDATE scan_schedules SET ${keys.map(k => `${k} = @${k}`).join(', ')} WHERE id = @id`).run({ ...input, id })
+    if (info.changes === 0) return res.status(404).json({ error: 'not found' })
+    res.json({ ok: true, item: scheduleJson(db.prepare('SELECT * FROM scan_schedules WHERE id = ?').get(id)) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
   }
-  
-  // Check if thumb is the original file (fallback case)
-  if (thumb === abs) {
-    const contentType = mime.lookup(abs) || 'image/jpeg'
-    res.setHeader('content-type', contentType)
-    res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-    fs.createReadStream(thumb).pipe(res)
-  } else {
-    res.setHeader('content-type', 'image/webp')
-    res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-    fs.createReadStream(thumb).pipe(res)
+})
+app.delete('/api/admin/scan-schedules/:id', requireAdmin, (req, res) => {
+  const info = db.prepare('DELETE FROM scan_schedules WHERE id = ?').run(Number(req.params.id))
+  if (info.changes === 0) return res.status(404).json({ error: 'not found' })
+  res.json({ ok: true })
+})
+
+/* scan rules: admin only. They apply to scans and the watcher right away; the next scan of a
+   folder drops files a new rule leaves out */
+app.get('/api/admin/scan-rules', requireAdmin, (_req, res) => {
+  res.json({ items: db.prepare('SELECT id, library_id, folder, kind, pattern, created_at FROM scan_rules ORDER BY library_id, folder, id').all() })
+})
+app.post('/api/admin/scan-rules', requireAdmin, (req, res) => {
+  const kind = String(req.body?.kind || '')
+  const pattern = String(req.body?.pattern || '').trim()
+  if (kind !== 'include' && kind !== 'exclude') return res.status(400).json({ error: "kind must be 'include' or 'exclude'" })
+  if (!pattern || pattern.length > 200 || pattern.startsWith('/') || pattern.split('/').includes('..')) {
+    return res.status(400).json({ error: 'invalid pattern' })
+  }
+  // With a library, `folder` is relative to that library's root; without one the rule applies to every library
+  const libraryId = req.body?.library_id ? Number(req.body.library_id) : null
+  if (libraryId !== null && !libraryById(libraryId)) return res.status(400).json({ error: 'unknown library' })
+  let folder = ''
+  try { folder = normalizeScopeInput(String(req.body?.folder || '')) } catch (e) { return res.status(400).json({ error: e.message }) }
+  try {
+    const info = db.prepare('INSERT INTO scan_rules(library_id, folder, kind, pattern, created_at) VALUES(?,?,?,?,?)').run(libraryId, folder, kind, pattern, nowMs())
+    loadScanRules()
+    res.json({ ok: true, item: db.prepare('SELECT id, library_id, folder, kind, pattern, created_at FROM scan_rules WHERE id = ?').get(info.lastInsertRowid) })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
   }
 })
+app.delete('/api/admin/scan-rules/:id', requireAdmin, (req, res) => {
+  const info = db.prepare('DELETE FROM scan_rules WHERE id = ?').run(Number(req.params.id))
+  if (info.changes === 0) return res.status(404).json({ error: 'not found' })
+  loadScanRules()
+  res.json({ ok: true })
+})
 
-app.get('/view/:id', requireAuth, async (req, res) => {
-  const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
-  if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
-  const abs = path.join(PHOTOS_ROOT, row.path)
-  console.log('[view] request for id:', id, 'path:', row.path, 'kind:', row.kind)
-  
-  if (row.kind === 'video') {
-    // For videos, return poster image (thumb) as a view placeholder
-    const thumb = await ensureThumb(abs)
-    if (!thumb) {
-      console.error('[view] thumb failed for video:', abs)
-      return res.status(500).end()
+/* library roots: listed for everyone (as granted), managed by admins */
+const libraryJson = (l) => ({ id: l.id, name: l.name, mount: l.mount, read_only: !!l.read_only })
+app.get('/api/libraries', requireAuth, (req, res) => {
+  const scope = req.user.root_path || ''
+  const counts = new Map(db.prepare(`SELECT library_id, COUNT(*) AS c FROM images
+    WHERE deleted_at IS NULL AND folder >= ? AND folder < ?${scopeClause(req.user)} GROUP BY library_id`).all(scope, scope + '\uFFFF').map(r => [r.library_id, r.c]))
+  // A user whose folders all sit in one library never sees the others
+  const items = [...libraries].sort((a, b) => a.id - b.id)
+    .filter(l => userSeesLibrary(req.user, l.id) && (!req.user.grants || req.user.grants.some(g => libraryFor(g).id === l.id)))
+    .map(l => ({ ...libraryJson(l), count: counts.get(l.id) || 0 }))
+  res.json({ items })
+})
+
+// Raw rows for the admin panel: `watch` stays null when it follows WATCH_ENABLED
+const adminLibraryJson = (l) => ({ ...l, read_only: !!l.read_only, watch: l.watch === null ? null : !!l.watch,
+  count: db.prepare('SELECT COUNT(*) AS c FROM images WHERE library_id = ? AND deleted_at IS NULL').get(l.id).c })
+const getLibraryRow = db.prepare('SELECT * FROM libraries WHERE id = ?')
+
+// Validated fields of a library body; absent ones stay undefined. Throws with a status for 400/409s
+async function libraryInput(body = {}, id = null) {
+  const out = {}
+  if (body.name !== undefined) {
+    out.name = String(body.name || '').trim()
+    if (!out.name || out.name.length > 100) throw httpError(400, 'name required')
+  }
+  if (body.path !== undefined) {
+    out.path = path.resolve(String(body.path || '/'))
+    if (!path.isAbsolute(String(body.path || '')) || !(await isDirectory(out.path))) throw httpError(400, 'path must be an existing directory')
+    for (const l of libraries) {
+      if (l.id === id) continue
+      const a = path.relative(l.path, out.path), b = path.relative(out.path, l.path)
+      const inside = (r) => r === '' || (!r.startsWith('..') && !path.isAbsolute(r))
+      if (inside(a) || inside(b)) throw httpError(409, `path overlaps library '${l.name}'`)
     }
-    
-    // Check if thumb is the original file (fallback case)
-    if (thumb === abs) {
-      const contentType = mime.lookup(abs) || 'image/jpeg'
-      res.setHeader('content-type', contentType)
-      res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-      fs.createReadStream(thumb).pipe(res)
-    } else {
-      res.setHeader('content-type', 'image/webp')
-      res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-      fs.createReadStream(thumb).pipe(res)
+  }
+  if (body.mount !== undefined) {
+    out.mount = validSegment(body.mount)
+    if (!out.mount) throw httpError(400, 'invalid mount folder')
+    if (libraryById(id)?.mount !== out.mount) {
+      if (libraries.some(l => l.id !== id && l.mount === out.mount)) throw httpError(409, 'another library uses that mount folder')
+      // Library 1 owns every other top-level name, so the mount must not shadow one of its folders
+      const taken = db.prepare(`SELECT 1 FROM images WHERE library_id = 1 AND (folder = ? OR (folder >= ? AND folder < ?)) LIMIT 1`)
+        .get(out.mount, out.mount + '/', out.mount + '/\uFFFF')
+      if (taken || await fileExists(path.join(libraryById(1).path, out.mount))) throw httpError(409, 'the main library already has a folder with that name')
     }
-  } else {
-    const view = await ensureView(abs)
-    if (!view) {
-      console.error('[view] view failed for image:', abs)
-      return res.status(500).end()
+  }
+  if (body.read_only !== undefined) out.read_only = body.read_only ? 1 : 0
+  if (body.watch !== undefined) out.watch = body.watch === null ? null : (body.watch ? 1 : 0)
+  return out
+}
+function librariesChanged() {
+  loadLibraries()
+  loadScanRules()
+  syncWatchers()
+}
+
+app.get('/api/admin/libraries', requireAdmin, (_req, res) => {
+  res.json({ items: db.prepare('SELECT * FROM libraries ORDER BY id').all().map(adminLibraryJson) })
+})
+// { name, path, mount, read_only?, watch? }; files show up after the next scan
+app.post('/api/admin/libraries', requireAdmin, async (req, res) => {
+  try {
+    const input = await libraryInput(req.body)
+    if (!input.name || !input.path || !input.mount) return res.status(400).json({ error: 'name, path and mount are required' })
+    const info = db.prepare('INSERT INTO libraries(name, path, mount, read_only, watch, created_at) VALUES(?,?,?,?,?,?)')
+      .run(input.name, input.path, input.mount, input.read_only ?? 0, input.watch ?? null, nowMs())
+    librariesChanged()
+    res.json({ ok: true, item: adminLibraryJson(getLibraryRow.get(info.lastInsertRowid)) })
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
+    res.status(500).json({ error: e.message })
+  }
+})
+// Name, read-only and watch can change any time; path and mount only while the library is empty
+app.patch('/api/admin/libraries/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id)
+  const row = Number.isFinite(id) ? getLibraryRow.get(id) : null
+  if (!row) return res.status(404).json({ error: 'not found' })
+  try {
+    const input = await libraryInput(req.body, id)
+    if (id === 1 && (input.path !== undefined || input.mount !== undefined)) {
+      return res.status(400).json({ error: 'the main library follows PHOTOS_PATH' })
     }
-    
-    // Check if view is the original file (fallback case)
-    if (view === abs) {
-      const contentType = mime.lookup(abs) || 'image/jpeg'
-      res.setHeader('content-type', contentType)
-      res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-      fs.createReadStream(view).pipe(res)
-    } else {
-      res.setHeader('content-type', 'image/webp')
-      res.setHeader('Cache-Control', 'public, max-age=31536000') // Cache for 1 year
-      fs.createReadStream(view).pipe(res)
+    if ((input.path !== undefined && input.path !== row.path) || (input.mount !== undefined && input.mount !== row.mount)) {
+      if (db.prepare('SELECT 1 FROM images WHERE library_id = ? LIMIT 1').get(id)) {
+        return res.status(409).json({ error: 'path and mount can only change while the library is empty' })
+      }
     }
+    const keys = Object.keys(input)
+    if (!keys.length) return res.status(400).json({ error: 'nothing to update' })
+    db.prepare(`UPDATE libraries SET ${keys.map(k => `${k} = @${k}`).join(', ')} WHERE id = @id`).run({ ...input, id })
+    librariesChanged()
+    res.json({ ok: true, item: adminLibraryJson(getLibraryRow.get(id)) })
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message })
+    res.status(500).json({ error: e.message })
+  }
+})
+// Forgets the library's files (albums, favorites and shares lose them); nothing is deleted on disk
+app.delete('/api/admin/libraries/:id', requireAdmin, (req, res) => {
+  const id = Number(req.params.id)
+  if (id === 1) return res.status(400).json({ error: 'the main library cannot be removed' })
+  if (!Number.isFinite(id) || !getLibraryRow.get(id)) return res.status(404).json({ error: 'not found' })
+  if (currentIndexJob.running) return res.status(409).json({ error: 'wait for the running scan to finish' })
+  try {
+    deleteImageRows(db.prepare('SELECT id FROM images WHERE library_id = ?').all(id).map(r => r.id))
+    // A user granted only this library keeps the (now dangling) grant and sees nothing, rather than everything
+    db.prepare('DELETE FROM user_libraries WHERE library_id = ? AND user_id IN (SELECT user_id FROM user_libraries WHERE library_id != ?)').run(id, id)
+    db.prepare('DELETE FROM scan_rules WHERE library_id = ?').run(id)
+    db.prepare('DELETE FROM libraries WHERE id = ?').run(id)
+    librariesChanged()
+    res.json({ ok: true })
+  } catch (e) {
+    res.status(500).json({ error: e.message })
   }
 })
 
+/* media endpoints: auth + scope check */
+app.get('/thumb/:id', requireAuth, async (req, res) => {
+  const id = Number(req.params.id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
+  if (!row) return res.status(404).end()
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
+  // Queued behind nothing but other visible tiles
+  await sendDerivative(res, 'thumb', row, req.user.can_download_originals)
+})
+
+app.get('/view/:id', requireAuth, async (req, res) => {
+  const id = Number(req.params.id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
+  if (!row) return res.status(404).end()
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
+  // For videos, return poster image (thumb) as a view placeholder
+  await sendDerivative(res, row.kind === 'video' ? 'thumb' : 'view', row, req.user.can_download_originals)
+})
+
 app.get('/media/:id', requireAuth, async (req, res) => {
   const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
   if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
-  const abs = path.join(PHOTOS_ROOT, row.path)
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
+  const abs = diskPath(row.path)
   try {
     if (row.kind === 'video') {
       // Support Range requests for video streaming
@@ -1932,6 +5370,8 @@ app.get('/media/:id', requireAuth, async (req, res) => {
       })
       return fs.createReadStream(abs, { start, end }).pipe(res)
     } else {
+      // full resolution is an original; others get the web-sized copy
+      if (!req.user.can_download_originals) return res.redirect(302, `/view/${id}`)
       const disp = await ensureDisplayableMedia(abs)
       res.setHeader('content-type', disp.contentType)
       // Enable caching for full-resolution images served via /media
@@ -1941,6 +5381,11 @@ app.get('/media/:id', requireAuth, async (req, res) => {
       fs.createReadStream(disp.path).pipe(res)
     }
   } catch (e) {
+    // The raw file is the original: only for those allowed originals (videos always are)
+    if (row.kind !== 'video' && !req.user.can_download_originals) {
+      res.setHeader('Retry-After', String(JOB_BACKOFF_MS / 1000))
+      return res.status(503).end()
+    }
     const type = mime.lookup(abs) || 'application/octet-stream'
     res.setHeader('content-type', type)
     if (String(type).startsWith('image/')) {
@@ -1953,11 +5398,11 @@ app.get('/media/:id', requireAuth, async (req, res) => {
 /* On-the-fly video transcode for reduced buffering */
 app.get('/transcode/:id', requireAuth, async (req, res) => {
   const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
   if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
   if (row.kind !== 'video') return res.status(400).json({ error: 'not a video' })
-  const abs = path.join(PHOTOS_ROOT, row.path)
+  const abs = diskPath(row.path)
 
   // Presets: low/medium/high or custom maxw/bitrate
   const q = String(req.query.q || 'low')
@@ -2072,9 +5517,9 @@ app.get('/transcode/:id', requireAuth, async (req, res) => {
 /* HLS adaptive streaming: master and variants */
 app.get('/hls/:id/master.m3u8', requireAuth, async (req, res) => {
   const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
   if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
   if (row.kind !== 'video') return res.status(400).json({ error: 'not a video' })
 
   const set = [
@@ -2094,92 +5539,14 @@ app.get('/hls/:id/master.m3u8', requireAuth, async (req, res) => {
 app.get('/hls/:id/:height.m3u8', requireAuth, async (req, res) => {
   const id = Number(req.params.id)
   const height = Math.max(144, Math.min(2160, parseInt(req.params.height || '720', 10)))
-  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+  const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
   if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
   if (row.kind !== 'video') return res.status(400).end()
-  const abs = path.join(PHOTOS_ROOT, row.path)
-
-  const key = `${hashPath(abs)}_${height}`
-  const outDir = path.join(HLS_DIR, key)
-  const indexPath = path.join(outDir, 'index.m3u8')
-  // If already generated, serve playlist
-  if (await fileExists(indexPath)) {
-    res.setHeader('Content-Type', 'application/x-mpegURL')
-    return fs.createReadStream(indexPath).pipe(res)
-  }
-
-  // Prepare directory
-  await fsp.mkdir(outDir, { recursive: true })
-
-  // Check if source video is HEVC/H.265 and use appropriate codec
-  let videoCodec = 'libx264'
-  let videoProfile = 'high'
-  let videoLevel = '4.1'
-  let crfValue = 20
-  
-  try {
-    const meta = await probeVideoMeta(abs)
-    console.log('[hls] Video codec detection for:', abs, '->', meta?.codec || 'unknown')
-    // For HLS, always use H.264 for better compatibility and faster encoding
-    // HEVC will be used in the transcode endpoint for direct playback
-    videoCodec = 'libx264'
-    // Use main profile for better compatibility with 10-bit sources
-    videoProfile = 'main'
-    videoLevel = '4.1'
-    crfValue = 20
-    console.log('[hls] Using H.264 encoding with libx264 for HLS compatibility, CRF:', crfValue)
-  } catch (e) {
-    console.warn('[hls] Failed to detect video codec, using H.264:', e.message)
-  }
-
-  // Bitrate ladder approximation
-  const cfg = height <= 360
-    ? { maxrate: '700k', buf: '1400k', abr: '64k' }
-    : (height <= 540 ? { maxrate: '1200k', buf: '2400k', abr: '96k' } : { maxrate: '2500k', buf: '5000k', abr: '128k' })
-
-  // Segment duration target ~4s
-  const args = [
-    '-hide_banner', '-loglevel', 'error', '-y',
-    '-i', abs,
-    '-vf', `scale=-2:${height}:flags=lanczos,format=yuv420p`,
-    '-c:v', videoCodec, '-preset', 'veryfast', '-profile:v', videoProfile, '-level', videoLevel, '-crf', String(crfValue),
-
-    '-maxrate', cfg.maxrate, '-bufsize', cfg.buf,
-    '-c:a', 'aac', '-ac', '2', '-b:a', cfg.abr,
-    '-f', 'hls',
-    '-hls_time', '4', '-hls_playlist_type', 'event', '-hls_segment_type', 'mpegts',
-    '-hls_base_url', `/hls/seg/${key}/`,
-    '-hls_segment_filename', path.join(outDir, 'seg%04d.ts'),
-    path.join(outDir, 'index.m3u8')
-  ]
-
-  // Launch ffmpeg and immediately tail the playlist when it appears
-  const ex = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] })
-  let stderrBuf = ''
-  ex.stderr.on('data', (d) => { stderrBuf += String(d) })
-  ex.on('error', (err) => {
-    console.error('[hls] FFmpeg spawn error:', err.message)
-  })
-
-  // Poll for playlist existence, then stream it
-  const start = Date.now()
-  const poll = setInterval(async () => {
-    if (await fileExists(indexPath)) {
-      clearInterval(poll)
-      console.log('[hls] HLS playlist generated successfully for:', abs)
-      res.setHeader('Content-Type', 'application/x-mpegURL')
-      fs.createReadStream(indexPath).pipe(res)
-    } else if (Date.now() - start > 8000) {
-      clearInterval(poll)
-      try { ex.kill('SIGKILL') } catch {}
-      
-      // Log the error and return 500
-      console.error('[hls] HLS generation failed for:', abs)
-      console.error('[hls] FFmpeg stderr output:', stderrBuf.slice(-500))
-      res.status(500).end()
-    }
-  }, 200)
+  const indexPath = await hlsPlaylist(row, height, res)
+  if (!indexPath) return
+  res.setHeader('Content-Type', 'application/x-mpegURL')
+  fs.createReadStream(indexPath).pipe(res)
 })
 
 // HLS segment serving (ts files)
@@ -2201,10 +5568,10 @@ app.get('/hls/:id/:file(seg\\d+\\.ts)', requireAuth, async (req, res) => {
   try {
     const id = Number(req.params.id)
     const file = String(req.params.file)
-    const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+    const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
     if (!row) return res.status(404).end()
-    if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
-    const abs = path.join(PHOTOS_ROOT, row.path)
+    if (!userSees(req.user, row.folder)) return res.status(403).end()
+    const abs = diskPath(row.path)
     const hash = hashPath(abs)
     // Find a variant dir that contains this segment
     const entries = await fsp.readdir(HLS_DIR).catch(()=>[])
@@ -2221,28 +5588,31 @@ app.get('/hls/:id/:file(seg\\d+\\.ts)', requireAuth, async (req, res) => {
     res.status(500).end()
   }
 })
-app.get('/download/:id', requireAuth, (req, res) => {
+app.get('/download/:id', requireAuth, async (req, res) => {
   const id = Number(req.params.id)
-  const row = db.prepare('SELECT path, fname, folder FROM images WHERE id=?').get(id)
+  const row = db.prepare('SELECT path, fname, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
   if (!row) return res.status(404).end()
-  if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).end()
-  const abs = path.join(PHOTOS_ROOT, row.path)
-  const type = mime.lookup(abs) || 'application/octet-stream'
-  const name = row.fname || path.basename(abs)
-  res.setHeader('content-type', type)
-  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}`)
-  fs.createReadStream(abs).pipe(res)
+  if (!userSees(req.user, row.folder)) return res.status(403).end()
+  try {
+    const file = await downloadFile(row, req.user.can_download_originals)
+    res.setHeader('content-type', file.type)
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`)
+    fs.createReadStream(file.abs).pipe(res)
+  } catch (e) {
+    if (e.status === 503) res.setHeader('Retry-After', String(JOB_BACKOFF_MS / 1000))
+    res.status(e.status || 500).end()
+  }
 })
 
 /* metadata: image or video */
 app.get('/api/meta/:id', requireAuth, async (req, res) => {
   try {
     const id = Number(req.params.id)
-    const row = db.prepare('SELECT id, path, fname, folder, size, kind, duration FROM images WHERE id = ?').get(id)
+    const row = db.prepare('SELECT id, path, fname, folder, size, kind, duration, taken_at, camera, lens, iso FROM images WHERE id = ? AND deleted_at IS NULL').get(id)
     if (!row) return res.status(404).json({ error: 'not found' })
-    if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).json({ error: 'forbidden' })
-    const abs = path.join(PHOTOS_ROOT, row.path)
-    const base = { id: row.id, fname: row.fname, folder: row.folder, size: row.size, kind: row.kind, duration: row.duration }
+    if (!userSees(req.user, row.folder)) return res.status(403).json({ error: 'forbidden' })
+    const abs = diskPath(row.path)
+    const base = { id: row.id, fname: row.fname, folder: row.folder, size: row.size, kind: row.kind, duration: row.duration, taken_at: row.taken_at, camera: row.camera, lens: row.lens, iso: row.iso }
     if (row.kind === 'video') {
       // Basic metadata via ffprobe
       const meta = await probeVideoMeta(abs)
@@ -2292,7 +5662,7 @@ async function probeVideoMeta(absPath) {
   return new Promise((resolve) => {
     const args = [
       '-v', 'error',
-      '-show_entries', 'stream=codec_type,width,height,nb_frames,avg_frame_rate,duration,codec_name:format=duration',
+      '-show_entries', 'stream=codec_type,width,height,nb_frames,avg_frame_rate,duration,codec_name:stream_tags=creation_time:format=duration:format_tags=creation_time,location,com.apple.quicktime.location.ISO6709,com.apple.quicktime.make,com.apple.quicktime.model,make,model',
       '-of', 'json',
       absPath
     ]
@@ -2333,7 +5703,12 @@ async function probeVideoMeta(absPath) {
         const width = Number(vstream.width || 0)
         const height = Number(vstream.height || 0)
         const codec = String(vstream.codec_name || '').toLowerCase()
-        resolve({ width, height, format: 'video', duration: Math.floor(durationSec * 1000), codec })
+        const creationTime = fmt.tags?.creation_time || vstream?.tags?.creation_time || null
+        const ftags = fmt.tags || {}
+        const location = ftags.location || ftags['com.apple.quicktime.location.ISO6709'] || null
+        const make = ftags['com.apple.quicktime.make'] || ftags.make || null
+        const model = ftags['com.apple.quicktime.model'] || ftags.model || null
+        resolve({ width, height, format: 'video', duration: Math.floor(durationSec * 1000), codec, creationTime, location, make, model })
       } catch {
         resolve(null)
       }
@@ -2353,11 +5728,10 @@ app.post('/download/batch', requireAuth, async (req, res) => {
     for (let i = 0; i < ids.length; i += CHUNK) {
       const chunk = ids.slice(i, i + CHUNK)
       const marks = chunk.map(() => '?').join(',')
-      const part = db.prepare(`SELECT id, path, fname, folder FROM images WHERE id IN (${marks})`).all(...chunk)
+      const part = db.prepare(`SELECT id, path, fname, folder, kind FROM images WHERE id IN (${marks}) AND deleted_at IS NULL`).all(...chunk)
       rows = rows.concat(part)
     }
-    const scope = req.user.root_path || ''
-    rows = rows.filter(r => inScope(scope, r.folder))
+    rows = rows.filter(r => userSees(req.user, r.folder))
     if (rows.length === 0) return res.status(404).json({ error: 'not found' })
 
     const ts = new Date().toISOString().slice(0,19).replace(/[:T]/g,'')
@@ -2370,10 +5744,10 @@ app.post('/download/batch', requireAuth, async (req, res) => {
     archive.pipe(res)
 
     for (const r of rows) {
-      const abs = path.join(PHOTOS_ROOT, r.path)
       try {
-        await fsp.access(abs)
-        archive.file(abs, { name: r.fname || path.basename(abs) })
+        const file = await downloadFile(r, req.user.can_download_originals)
+        await fsp.access(file.abs)
+        archive.file(file.abs, { name: file.name })
       } catch {}
     }
     await archive.finalize()
@@ -2384,18 +5758,29 @@ app.post('/download/batch', requireAuth, async (req, res) => {
 })
 
 /* delete user */
-app.delete('/api/admin/users/:id', requireAdmin, (req, res) => {
+app.delete('/api/admin/users/:id', requireUserManager, (req, res) => {
   const id = Number(req.params.id)
   if (!Number.isFinite(id)) return res.status(400).json({ error: 'invalid id' })
   if (req.user?.id === id) return res.status(400).json({ error: 'cannot delete your own account' })
-  const found = db.prepare('SELECT id, username FROM users WHERE id = ?').get(id)
-  if (!found) return res.status(404).json({ error: 'not found' })
+  let found
+  try { found = managedUser(req.user, id) } catch (e) { return res.status(e.status).json({ error: e.message }) }
   if (found.username === DEFAULT_ADMIN_USERNAME) return res.status(400).json({ error: 'cannot delete the default admin' })
   try {
     const stmt = db.prepare('DELETE FROM users WHERE id = ?')
     const info = stmt.run(id)
     if (info.changes === 0) return res.status(404).json({ error: 'not found' })
-    try { db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id) } catch {}
+    try { endUserSessions(id) } catch {}
+    try { db.prepare('DELETE FROM duplicate_excludes WHERE user_id = ?').run(id) } catch {}
+    try {
+      db.prepare('DELETE FROM user_libraries WHERE user_id = ?').run(id)
+      db.prepare('DELETE FROM group_members WHERE user_id = ?').run(id)
+      db.prepare('DELETE FROM path_grants WHERE user_id = ?').run(id)
+      db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(id)
+    } catch {}
+    try {
+      db.prepare('DELETE FROM album_items WHERE album_id IN (SELECT id FROM albums WHERE user_id = ?)').run(id)
+      db.prepare('DELETE FROM albums WHERE user_id = ?').run(id)
+    } catch {}
     res.json({ ok: true })
   } catch (e) {
     res.status(500).json({ error: e.message })
@@ -2422,12 +5807,12 @@ if (fs.existsSync(DIST_DIR)) {
 app.get('/api/debug/video/:id', requireAuth, async (req, res) => {
   try {
     const id = Number(req.params.id)
-    const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=?').get(id)
+    const row = db.prepare('SELECT path, folder, kind FROM images WHERE id=? AND deleted_at IS NULL').get(id)
     if (!row) return res.status(404).json({ error: 'not found' })
-    if (!inScope(req.user.root_path || '', row.folder)) return res.status(403).json({ error: 'forbidden' })
+    if (!userSees(req.user, row.folder)) return res.status(403).json({ error: 'forbidden' })
     if (row.kind !== 'video') return res.status(400).json({ error: 'not a video' })
     
-    const abs = path.join(PHOTOS_ROOT, row.path)
+    const abs = diskPath(row.path)
     const meta = await probeVideoMeta(abs)
     
     res.json({
@@ -2454,5 +5839,6 @@ app.listen(PORT, HOST, () => {
     : 'Auto: Secure on HTTPS, non-secure on HTTP'
   console.log(`API+Web on http://${HOST}:${PORT}`)
   console.log(`Photos root: ${PHOTOS_ROOT}`)
+  for (const l of libraries) if (l.mount) console.log(`Library '${l.name}': ${l.path} (as ${l.mount}/${l.read_only ? ', read-only' : ''})`)
   console.log(`Cookie mode: ${cookieMode}`)
 })
@@ -1,8 +1,11 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react'
 import Hls from 'hls.js'
+import { feature } from 'topojson-client'
+import landTopology from 'world-atlas/land-110m.json'
 import {
   FolderTree, RefreshCcw, Image as ImageIcon, ChevronRight, ChevronDown, X,
-  Maximize2, Download, Menu, Plus, Minus, Info, CheckSquare, LogOut, Shield, Trash2, Play, Monitor, Share, Heart
+  Maximize2, Download, Menu, Plus, Minus, Info, CheckSquare, LogOut, Shield, Trash2, Play, Monitor, Share, Heart,
+  Map as MapIcon, Search, Images, Pencil, Upload, FolderPlus, Copy, HardDrive, KeyRound
 } from 'lucide-react'
 
 /* Same-origin base (Vite proxy handles /api, /thumb, /view, /media, /download) */
@@ -22,8 +25,36 @@ const API = {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ username, password }),
     })).json(),
+  loginTotp: async (ticket, code) =>
+    (await fetch(apiUrl('/api/auth/login/totp'), {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ticket, code }),
+    })).json(),
   logout: async () =>
     (await fetch(apiUrl('/api/auth/logout'), { method: 'POST', credentials: 'include' })).json(),
+  changePassword: async (current, password) =>
+    (await fetch(apiUrl('/api/auth/password'), {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ current, password }),
+    })).json(),
+  sessions: async (all = false) => (await fetch(apiUrl(`/api/auth/sessions${all ? '?all=1' : ''}`), { credentials: 'include' })).json(),
+  sessionRevoke: async (id) => (await fetch(apiUrl(`/api/auth/sessions/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  sessionsRevokeOthers: async () => (await fetch(apiUrl('/api/auth/sessions'), { method: 'DELETE', credentials: 'include' })).json(),
+  totpStatus: async () => (await fetch(apiUrl('/api/auth/totp'), { credentials: 'include' })).json(),
+  totpSetup: async () => (await fetch(apiUrl('/api/auth/totp/setup'), { method: 'POST', credentials: 'include' })).json(),
+  totpEnable: async (code) => (await fetch(apiUrl('/api/auth/totp/enable'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code })
+  })).json(),
+  totpDisable: async (password) => (await fetch(apiUrl('/api/auth/totp/disable'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ password })
+  })).json(),
+  totpRecoveryCodes: async (password) => (await fetch(apiUrl('/api/auth/totp/recovery-codes'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ password })
+  })).json(),
 
   /* admin */
   adminUsers: async () => (await fetch(apiUrl('/api/admin/users'), { credentials: 'include' })).json(),
@@ -39,32 +70,196 @@ const API = {
       method: 'DELETE',
       credentials: 'include'
     })).json(),
+  adminUpdateUser: async (id, patch) =>
+    (await fetch(apiUrl(`/api/admin/users/${id}`), {
+      method: 'PATCH',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch),
+    })).json(),
+  adminJobs: async () => (await fetch(apiUrl('/api/admin/jobs'), { credentials: 'include' })).json(),
+  adminJobsRetry: async (ids) => (await fetch(apiUrl('/api/admin/jobs/retry'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(ids ? { ids } : {})
+  })).json(),
+  adminJobsClearFailed: async () => (await fetch(apiUrl('/api/admin/jobs/failed'), { method: 'DELETE', credentials: 'include' })).json(),
+  adminScanSchedules: async () => (await fetch(apiUrl('/api/admin/scan-schedules'), { credentials: 'include' })).json(),
+  adminScanScheduleCreate: async (payload) => (await fetch(apiUrl('/api/admin/scan-schedules'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  adminScanScheduleUpdate: async (id, patch) => (await fetch(apiUrl(`/api/admin/scan-schedules/${id}`), {
+    method: 'PATCH', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch)
+  })).json(),
+  adminScanScheduleDelete: async (id) => (await fetch(apiUrl(`/api/admin/scan-schedules/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  adminScanRules: async () => (await fetch(apiUrl('/api/admin/scan-rules'), { credentials: 'include' })).json(),
+  adminScanRuleCreate: async (payload) => (await fetch(apiUrl('/api/admin/scan-rules'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  adminScanRuleDelete: async (id) => (await fetch(apiUrl(`/api/admin/scan-rules/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  adminGroups: async () => (await fetch(apiUrl('/api/admin/groups'), { credentials: 'include' })).json(),
+  adminGroupCreate: async (name) => (await fetch(apiUrl('/api/admin/groups'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name })
+  })).json(),
+  adminGroupUpdate: async (id, patch) => (await fetch(apiUrl(`/api/admin/groups/${id}`), {
+    method: 'PATCH', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch)
+  })).json(),
+  adminGroupDelete: async (id) => (await fetch(apiUrl(`/api/admin/groups/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  // { user_id | group_id, path, deny }
+  adminGrantCreate: async (payload) => (await fetch(apiUrl('/api/admin/grants'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  adminGrantDelete: async (id) => (await fetch(apiUrl(`/api/admin/grants/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  adminLibraries: async () => (await fetch(apiUrl('/api/admin/libraries'), { credentials: 'include' })).json(),
+  adminLibraryCreate: async (payload) => (await fetch(apiUrl('/api/admin/libraries'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  adminLibraryUpdate: async (id, patch) => (await fetch(apiUrl(`/api/admin/libraries/${id}`), {
+    method: 'PATCH', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch)
+  })).json(),
+  adminLibraryDelete: async (id) => (await fetch(apiUrl(`/api/admin/libraries/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  adminSettings: async () => (await fetch(apiUrl('/api/admin/settings'), { credentials: 'include' })).json(),
+  adminSaveSettings: async (patch) =>
+    (await fetch(apiUrl('/api/admin/settings'), {
+      method: 'PUT',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch),
+    })).json(),
+
+  /* trash */
+  deletePhotos: async (ids) => (await fetch(apiUrl('/api/photos'), {
+    method: 'DELETE', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
+  trash: async (page = 1) => (await fetch(apiUrl(`/api/trash?page=${page}&pageSize=200`), { credentials: 'include' })).json(),
+  trashRestore: async (ids) => (await fetch(apiUrl('/api/trash/restore'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
+  // no ids empties the whole trash
+  trashPurge: async (ids) => (await fetch(apiUrl('/api/trash'), {
+    method: 'DELETE', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(ids ? { ids } : {})
+  })).json(),
+
+  /* duplicates; distance 0 = exact copies only */
+  duplicates: async (distance = 5) => (await fetch(apiUrl(`/api/duplicates?distance=${distance}`), { credentials: 'include' })).json(),
+  duplicatesExclude: async (ids) => (await fetch(apiUrl('/api/duplicates/exclude'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
+  duplicatesResetExcludes: async () => (await fetch(apiUrl('/api/duplicates/exclude'), { method: 'DELETE', credentials: 'include' })).json(),
+
+  /* file management (ids keep their favorites, albums and shares) */
+  filesMove: async (payload) => (await fetch(apiUrl('/api/files/move'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  filesRename: async (payload) => (await fetch(apiUrl('/api/files/rename'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  folderCreate: async (parent, name) => (await fetch(apiUrl('/api/folders'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ parent, name })
+  })).json(),
+  folderDelete: async (folder) => (await fetch(apiUrl('/api/folders'), {
+    method: 'DELETE', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ folder })
+  })).json(),
 
   /* photos */
-  tree: async (mode = 'folders', filter = 'all') => (await fetch(apiUrl(`/api/tree?mode=${encodeURIComponent(mode)}&filter=${encodeURIComponent(filter)}`), { credentials: 'include' })).json(),
+  // library: one library root's id, or null for every library the user can see
+  tree: async (mode = 'folders', filter = 'all', library = null) => (await fetch(apiUrl(`/api/tree?mode=${encodeURIComponent(mode)}&filter=${encodeURIComponent(filter)}${library ? `&library=${library}` : ''}`), { credentials: 'include' })).json(),
+  libraries: async () => (await fetch(apiUrl('/api/libraries'), { credentials: 'include' })).json(),
   photos: async (params = {}, options = {}) => {
     const qs = new URLSearchParams(params).toString()
     const r = await fetch(apiUrl(`/api/photos?${qs}`), { credentials: 'include', ...options })
     return await r.json()
   },
+  geo: async (params = {}, options = {}) => {
+    const qs = new URLSearchParams(params).toString()
+    const r = await fetch(apiUrl(`/api/photos/geo?${qs}`), { credentials: 'include', ...options })
+    return await r.json()
+  },
   meta: async (id, options = {}) =>
     (await fetch(apiUrl(`/api/meta/${id}`), { credentials: 'include', ...options })).json(),
-  rescan: async () =>
-    (await fetch(apiUrl('/api/index'), { method: 'POST', credentials: 'include' })).json(),
-  rescanPath: async (path) =>
-    (await fetch(apiUrl('/api/index'), { method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ path }) })).json(),
+  // warm: pre-generate thumbnails and web views for new or changed files after the scan
+  rescan: async (warm = false) =>
+    (await fetch(apiUrl('/api/index'), { method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ warm }) })).json(),
+  rescanPath: async (path, warm = false) =>
+    (await fetch(apiUrl('/api/index'), { method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ path, warm }) })).json(),
   cancelScan: async () =>
     (await fetch(apiUrl('/api/index/cancel'), { method: 'POST', credentials: 'include' })).json(),
   scanStatus: async () =>
     (await fetch(apiUrl('/api/index/status'), { credentials: 'include' })).json(),
+  // Server-Sent Events: 'index' (scan progress, admins only) and 'library' (files added/removed)
+  events: () => new EventSource(apiUrl('/api/events'), { withCredentials: true }),
+  /* resumable uploads */
+  uploadStart: async (payload) => (await fetch(apiUrl('/api/upload'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+  })).json(),
+  uploadStatus: async (id) => (await fetch(apiUrl(`/api/upload/${id}`), { credentials: 'include' })).json(),
+  uploadChunk: async (id, offset, blob) => (await fetch(apiUrl(`/api/upload/${id}?offset=${offset}`), {
+    method: 'PUT', credentials: 'include', headers: { 'Content-Type': 'application/octet-stream' }, body: blob
+  })).json(),
+  /* guest upload moderation */
+  uploads: async (status = 'pending', all = false) =>
+    (await fetch(apiUrl(`/api/uploads?status=${status}${all ? '&all=1' : ''}`), { credentials: 'include' })).json(),
+  uploadApprove: async (id) => (await fetch(apiUrl(`/api/uploads/${id}/approve`), { method: 'POST', credentials: 'include' })).json(),
+  uploadReject: async (id) => (await fetch(apiUrl(`/api/uploads/${id}/reject`), { method: 'POST', credentials: 'include' })).json(),
+  /* albums */
+  albums: async () => (await fetch(apiUrl('/api/albums'), { credentials: 'include' })).json(),
+  albumCreate: async (name, ids = []) => (await fetch(apiUrl('/api/albums'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, ids })
+  })).json(),
+  albumUpdate: async (id, patch) => (await fetch(apiUrl(`/api/albums/${id}`), {
+    method: 'PATCH', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch)
+  })).json(),
+  albumDelete: async (id) => (await fetch(apiUrl(`/api/albums/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
+  albumPhotos: async (id, params = {}, options = {}) => {
+    const qs = new URLSearchParams(params).toString()
+    const r = await fetch(apiUrl(`/api/albums/${id}/photos?${qs}`), { credentials: 'include', ...options })
+    return await r.json()
+  },
+  albumAddItems: async (id, ids) => (await fetch(apiUrl(`/api/albums/${id}/items`), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
+  albumRemoveItems: async (id, ids) => (await fetch(apiUrl(`/api/albums/${id}/items`), {
+    method: 'DELETE', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
+  albumReorder: async (id, ids) => (await fetch(apiUrl(`/api/albums/${id}/order`), {
+    method: 'PUT', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids })
+  })).json(),
   /* shares (auth) */
   sharesList: async (all = false) => (await fetch(apiUrl(`/api/shares${all ? '?all=1' : ''}`), { credentials: 'include' })).json(),
-  shareCreate: async (folder, name, ids = []) => (await fetch(apiUrl('/api/shares'), {
-    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ folder, name, ids })
+  shareCreate: async (folder, name, ids = [], options = {}) => (await fetch(apiUrl('/api/shares'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ folder, name, ids, ...options })
+  })).json(),
+  shareCreateAlbum: async (albumId, options = {}) => (await fetch(apiUrl('/api/shares'), {
+    method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ album_id: albumId, ...options })
+  })).json(),
+  shareActivity: async (id, limit = 50) => (await fetch(apiUrl(`/api/shares/${id}/activity?limit=${limit}`), { credentials: 'include' })).json(),
+  shareUpdate: async (id, patch) => (await fetch(apiUrl(`/api/shares/${id}`), {
+    method: 'PATCH', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch)
   })).json(),
   shareDelete: async (id) => (await fetch(apiUrl(`/api/shares/${id}`), { method: 'DELETE', credentials: 'include' })).json(),
   /* public shares */
-  shareInfo: async (token) => (await fetch(apiUrl(`/s/${token}/info`))).json(),
+  // includes the HTTP status so callers can tell "password required" (401) and "expired" (410) apart
+  shareInfo: async (token) => {
+    const r = await fetch(apiUrl(`/s/${token}/info`))
+    const body = await r.json().catch(() => ({}))
+    return { ...body, status: r.status }
+  },
+  // One file per request (raw body); XHR so the caller gets upload progress
+  shareUpload: (token, file, by = '', onProgress) => new Promise((resolve, reject) => {
+    const qs = new URLSearchParams({ name: file.name, ...(by ? { by } : {}) }).toString()
+    const xhr = new XMLHttpRequest()
+    xhr.open('POST', apiUrl(`/s/${token}/upload?${qs}`))
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream')
+    if (onProgress) xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded / e.total) }
+    xhr.onload = () => {
+      let body = {}
+      try { body = JSON.parse(xhr.responseText) } catch {}
+      resolve(xhr.status >= 200 && xhr.status < 300 ? body : { ...body, error: body.error || `Upload failed (${xhr.status})` })
+    }
+    xhr.onerror = () => reject(new Error('Upload failed'))
+    xhr.send(file)
+  }),
+  shareUnlock: async (token, password) => (await fetch(apiUrl(`/s/${token}/unlock`), {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ password })
+  })).json(),
   sharePhotos: async (token, params = {}) => {
     const qs = new URLSearchParams(params).toString()
     const r = await fetch(apiUrl(`/s/${token}/photos?${qs}`))
@@ -117,7 +312,8 @@ function isRawName(name) {
 }
 
 /* Scrollable tree ONLY (header label + tree) */
-function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'folders', onToggleMode, showHeader = true, loading = false }) {
+function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'folders', onToggleMode, showHeader = true, loading = false, folderActions, libraries = [], libraryId = null, onSelectLibrary }) {
+  const actions = mode === 'folders' ? folderActions : undefined
   if (!tree && !loading) return null
   return (
     <div className="min-h-0 flex-1 overflow-y-auto p-2 pr-1" style={{ WebkitOverflowScrolling: 'touch' }}>
@@ -126,6 +322,16 @@ function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'fold
           <FolderTree className="w-5 h-5" />
           <span className="text-sm font-medium">{mode === 'dates' ? 'Dates' : 'Folders'}</span>
           <div className="ml-auto flex items-center gap-1">
+            {actions && (
+              <button
+                className="p-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+                onClick={actions.onCreate}
+                title="New folder"
+                disabled={loading}
+              >
+                <FolderPlus className="w-3.5 h-3.5" />
+              </button>
+            )}
             <button
               className={`text-xs px-2 py-0.5 rounded-full ${mode === 'folders' ? 'bg-white/20' : 'bg-white/10'} border border-white/10 hover:bg-white/20`}
               onClick={() => onToggleMode && onToggleMode('folders')}
@@ -141,7 +347,27 @@ function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'fold
           </div>
         </div>
       )}
-      <div className="overflow-y-auto" style={{ height: showHeader ? 'calc(100% - 40px)' : '100%' }}>
+      {showHeader && libraries.length > 1 && (
+        <div className="flex items-center gap-2 mb-2 px-2">
+          <HardDrive className="w-4 h-4 text-slate-400 shrink-0" />
+          <select
+            className="flex-1 min-w-0 text-xs px-2 py-1 rounded-full border bg-white/10 border-white/10 hover:bg-white/20 text-slate-100"
+            style={{ color: '#f1f5f9', backgroundColor: 'rgba(255, 255, 255, 0.1)' }}
+            value={libraryId || ''}
+            disabled={loading}
+            onChange={(e) => onSelectLibrary && onSelectLibrary(e.target.value ? Number(e.target.value) : null)}
+            title="Library"
+          >
+            <option value="" style={{ backgroundColor: '#18181b', color: '#f1f5f9' }}>All libraries</option>
+            {libraries.map(l => (
+              <option key={l.id} value={l.id} style={{ backgroundColor: '#18181b', color: '#f1f5f9' }}>
+                {l.name}{l.read_only ? ' (read-only)' : ''} · {l.count}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="overflow-y-auto" style={{ height: showHeader ? `calc(100% - ${libraries.length > 1 ? 76 : 40}px)` : '100%' }}>
         {loading ? (
           <div className="flex items-center justify-center py-8">
             <div className="flex items-center gap-2 text-slate-400">
@@ -150,7 +376,7 @@ function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'fold
             </div>
           </div>
         ) : (
-          <TreeNode node={tree} depth={0} open={open} toggle={toggle} select={select} selected={selected} />
+          <TreeNode node={tree} depth={0} open={open} toggle={toggle} select={select} selected={selected} actions={actions} />
         )}
       </div>
     </div>
@@ -158,10 +384,12 @@ function SidebarTreeContent({ tree, open, toggle, select, selected, mode = 'fold
 }
 
 /* Pinned footer */
-function SidebarFooter({ onSignOut, user, onGoAdmin }) {
+function SidebarFooter({ onSignOut, user, onGoAdmin, onGoTrash, onGoDuplicates }) {
+  const [accountOpen, setAccountOpen] = useState(false)
   return (
     <div className="shrink-0 border-t border-white/10 p-2 flex items-center gap-2 bg-zinc-950">
-      {user?.is_admin && (
+      {accountOpen && <AccountDialog onClose={() => setAccountOpen(false)} />}
+      {user?.can_manage_users && (
         <button
           className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
           onClick={onGoAdmin}
@@ -170,6 +398,29 @@ function SidebarFooter({ onSignOut, user, onGoAdmin }) {
           <Shield className="w-4 h-4" /> Admin
         </button>
       )}
+      {user?.can_delete && (
+        <button
+          className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+          onClick={onGoTrash}
+          title="Deleted items"
+        >
+          <Trash2 className="w-4 h-4" /> Trash
+        </button>
+      )}
+      <button
+        className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+        onClick={onGoDuplicates}
+        title="Review duplicates"
+      >
+        <Copy className="w-4 h-4" />
+      </button>
+      <button
+        className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+        onClick={() => setAccountOpen(true)}
+        title="Password and signed-in devices"
+      >
+        <KeyRound className="w-4 h-4" />
+      </button>
       <button
         className="ml-auto inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
         onClick={onSignOut}
@@ -181,18 +432,352 @@ function SidebarFooter({ onSignOut, user, onGoAdmin }) {
   )
 }
 
-function TreeNode({ node, depth, open, toggle, select, selected }) {
+/* Your account: change the password (other devices are signed out) and see where you are signed in */
+function AccountDialog({ onClose }) {
+  const [form, setForm] = useState({ current: '', password: '', confirm: '' })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const submit = async (e) => {
+    e.preventDefault()
+    if (form.password !== form.confirm) { setError('The new passwords do not match'); return }
+    setBusy(true); setError('')
+    try {
+      const r = await API.changePassword(form.current, form.password)
+      if (!r?.ok) throw new Error(r?.error || 'Change failed')
+      alert('Password changed')
+      onClose()
+    } catch (e) {
+      setError(e.message)
+      setBusy(false)
+    }
+  }
+  const field = (key, label, autoComplete) => (
+    <div>
+      <label className="block text-xs text-slate-300 mb-1">{label}</label>
+      <input
+        type="password"
+        autoComplete={autoComplete}
+        className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10"
+        value={form[key]}
+        onChange={e => setForm(f => ({ ...f, [key]: e.target.value }))}
+      />
+    </div>
+  )
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div className="relative w-[92vw] max-w-[480px] max-h-[80vh] overflow-auto rounded-xl border border-white/10 bg-zinc-950 p-4">
+        <form className="space-y-2" onSubmit={submit}>
+          <div className="flex items-center gap-2 mb-1">
+            <KeyRound className="w-5 h-5" />
+            <div className="text-sm font-semibold">Change password</div>
+            <button type="button" className="ml-auto p-2 rounded-full bg-white/10 border border-white/10" onClick={onClose}><X className="w-4 h-4" /></button>
+          </div>
+          {field('current', 'Current password', 'current-password')}
+          {field('password', 'New password', 'new-password')}
+          {field('confirm', 'Repeat new password', 'new-password')}
+          {error && <div className="text-xs text-rose-300">{error}</div>}
+          <div className="pt-1 flex items-center gap-2">
+            <div className="text-[11px] text-slate-500">Other devices will be signed out.</div>
+            <button
+              type="submit"
+              className="ml-auto px-3 py-1.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+              disabled={busy || !form.current || !form.password}
+            >
+              {busy ? 'Saving…' : 'Change'}
+            </button>
+          </div>
+        </form>
+        <div className="mt-4 pt-3 border-t border-white/10">
+          <div className="text-sm font-semibold mb-2">Two-factor authentication</div>
+          <TotpSettings />
+        </div>
+        <div className="mt-4 pt-3 border-t border-white/10">
+          <div className="text-sm font-semibold mb-2">Signed-in devices</div>
+          <SessionList />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// TOTP enrollment: scan the QR code, confirm a code, keep the recovery codes; once on,
+// new recovery codes or turning it off need the password
+function TotpSettings({ onEnabled }) {
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const load = useCallback(async () => {
+    const r = await API.totpStatus().catch(() => null)
+    if (r && !r.error) setStatus(r)
+  }, [])
+  useEffect(() => { load() }, [load])
+  const run = async (fn) => {
+    setBusy(true); setError('')
+    try {
+      const r = await fn()
+      if (r?.error) throw new Error(r.error)
+      return r
+    } catch (e) {
+      setError(e.message)
+      return null
+    } finally {
+      setBusy(false)
+    }
+  }
+  const start = async () => {
+    const r = await run(API.totpSetup)
+    if (r) { setSetup(r); setCode('') }
+  }
+  const enable = async () => {
+    const r = await run(() => API.totpEnable(code.trim()))
+    if (!r) return
+    setSetup(null); setCode('')
+    setRecoveryCodes(r.recovery_codes)
+    await load()
+  }
+  const withPassword = async (fn) => {
+    const r = await run(() => fn(password))
+    if (!r) return
+    setPassword('')
+    if (r.recovery_codes) setRecoveryCodes(r.recovery_codes)
+    await load()
+  }
+  if (!status) return <div className="text-slate-400 text-sm">Loading…</div>
+  const input = 'px-2 py-1.5 rounded bg-white/10 border border-white/10'
+  const button = 'px-3 py-1.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15'
+  return (
+    <div className="space-y-2 text-xs">
+      {error && <div className="text-rose-300">{error}</div>}
+      {recoveryCodes && (
+        <div className="rounded border border-amber-400/30 bg-amber-500/10 p-2">
+          <div className="text-amber-200 mb-1">Recovery codes: each signs you in once if you lose your device. They are shown only now.</div>
+          <div className="grid grid-cols-2 gap-1 font-mono text-slate-100">
+            {recoveryCodes.map(c => <div key={c}>{c}</div>)}
+          </div>
+          <div className="mt-2 flex items-center gap-2">
+            <button className={button} onClick={() => copyToClipboard(recoveryCodes.join('\n'))}>Copy</button>
+            <button className={`ml-auto ${button}`} onClick={() => { setRecoveryCodes(null); onEnabled?.() }}>I saved them</button>
+          </div>
+        </div>
+      )}
+      {status.enabled ? (
+        <>
+          <div className="text-slate-300">
+            On · {status.recovery_codes_left} recovery code{status.recovery_codes_left === 1 ? '' : 's'} left
+            {status.required && <span className="text-slate-500"> · required for admins</span>}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="password" autoComplete="current-password" className={`w-40 ${input}`} placeholder="Password" value={password} onChange={e => setPassword(e.target.value)} />
+            <button className={button} disabled={busy || !password} onClick={() => withPassword(API.totpRecoveryCodes)}>New recovery codes</button>
+            {!status.required && (
+              <button className="px-3 py-1.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15" disabled={busy || !password} onClick={() => withPassword(API.totpDisable)}>Turn off</button>
+            )}
+          </div>
+        </>
+      ) : setup ? (
+        <div className="flex gap-3">
+          <img src={setup.qr} alt="QR code for your authenticator app" className="w-36 h-36 rounded bg-white" />
+          <div className="min-w-0 space-y-2">
+            <div className="text-slate-300">Scan the code with an authenticator app, or enter this key:</div>
+            <div className="font-mono break-all text-slate-100 select-all">{setup.secret}</div>
+            <input
+              className={`w-32 ${input}`}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={code}
+              onChange={e => setCode(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter') enable() }}
+            />
+            <div className="flex items-center gap-2">
+              <button className={button} disabled={busy || code.trim().length < 6} onClick={enable}>Turn on</button>
+              <button className={button} disabled={busy} onClick={() => setSetup(null)}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <div className="text-slate-400">{status.required ? 'Required for admins.' : 'Off. Sign-in asks for a code from your phone once on.'}</div>
+          <button className={`ml-auto ${button}`} disabled={busy} onClick={start}>Set up</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/* Admins have to enroll in 2FA before anything else while it is required */
+function TotpRequiredScreen({ onSignOut }) {
+  return (
+    <GlassShell>
+      <div className="h-full grid place-items-center p-4">
+        <div className="w-full max-w-md bg-white/5 border border-white/10 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-1">
+            <KeyRound className="w-5 h-5" />
+            <div className="text-lg font-semibold text-white">Set up two-factor authentication</div>
+          </div>
+          <div className="text-xs text-slate-400 mb-4">Admin accounts need a second sign-in step on this server.</div>
+          <TotpSettings onEnabled={() => window.location.reload()} />
+          <button className="mt-4 text-xs text-slate-400 hover:text-slate-200" onClick={onSignOut}>Sign out</button>
+        </div>
+      </div>
+    </GlassShell>
+  )
+}
+
+// Active sessions with revoke buttons: your own, or with `all` (admins) every user's
+function SessionList({ all = false }) {
+  const [items, setItems] = useState(null)
+  const [error, setError] = useState('')
+  const load = useCallback(async () => {
+    try {
+      const r = await API.sessions(all)
+      if (!Array.isArray(r?.items)) throw new Error(r?.error || 'Failed to load sessions')
+      setItems(r.items)
+    } catch (e) {
+      setError(e.message)
+      setItems([])
+    }
+  }, [all])
+  useEffect(() => { load() }, [load])
+  const run = async (fn) => {
+    setError('')
+    try {
+      const r = await fn()
+      if (!r?.ok) throw new Error(r?.error || 'Sign-out failed')
+      // revoking the session in use signs this window out
+      if (r.current) { window.location.reload(); return }
+      await load()
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+  if (items === null) return <div className="text-slate-400 text-sm">Loading sessions…</div>
+  return (
+    <div className="space-y-1.5 text-xs">
+      {error && <div className="text-rose-300">{error}</div>}
+      {items.map(x => (
+        <div key={x.id} className="rounded border border-white/10 p-2 flex items-center gap-2">
+          <div className="min-w-0 flex-1">
+            <div className="flex items-center gap-2">
+              {all && <span className="text-[10px] px-1.5 py-0.5 rounded bg-sky-500/20 text-sky-300 border border-sky-400/30">{x.username}</span>}
+              <span className="truncate text-slate-200" title={x.user_agent || ''}>{x.user_agent || 'Unknown device'}</span>
+              {x.current && <span className="text-[10px] px-1.5 py-0.5 rounded bg-emerald-500/20 text-emerald-300 border border-emerald-400/30">THIS DEVICE</span>}
+            </div>
+            <div className="text-slate-400">
+              {x.ip || 'unknown IP'} · last seen {new Date(x.last_seen_at || x.created_at).toLocaleString()} · signed in {new Date(x.created_at).toLocaleString()}
+            </div>
+          </div>
+          <button
+            className="shrink-0 px-2 py-0.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+            onClick={() => run(() => API.sessionRevoke(x.id))}
+            title={x.current ? 'Sign out here' : 'Sign this session out'}
+          >
+            {x.current ? 'Sign out' : 'Revoke'}
+          </button>
+        </div>
+      ))}
+      {items.length === 0 && <div className="text-slate-400">No active sessions.</div>}
+      {!all && items.some(x => !x.current) && (
+        <button
+          className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          onClick={() => run(API.sessionsRevokeOthers)}
+        >
+          Sign out all other devices
+        </button>
+      )}
+    </div>
+  )
+}
+
+/* Albums list (between tree and footer) */
+function SidebarAlbums({ albums, activeId, onSelect, onCreate, onRename, onDelete }) {
+  return (
+    <div className="shrink-0 border-t border-white/10 p-2">
+      <div className="flex items-center gap-2 text-slate-300 mb-1 px-2">
+        <Images className="w-5 h-5" />
+        <span className="text-sm font-medium">Albums</span>
+        <button
+          className="ml-auto p-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+          onClick={onCreate}
+          title="New album"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="max-h-48 overflow-y-auto">
+        {albums.length === 0 && (
+          <div className="px-2 py-1 text-xs text-slate-500">No albums yet</div>
+        )}
+        {albums.map(a => {
+          const active = a.id === activeId
+          return (
+            <div
+              key={a.id}
+              className={`group flex items-center gap-2 px-2 py-1 rounded cursor-pointer ${active ? 'bg-white/15' : 'hover:bg-white/10'}`}
+              onClick={() => onSelect(a)}
+            >
+              <div className="w-7 h-7 shrink-0 rounded overflow-hidden bg-white/10">
+                {a.cover && <img src={`/thumb/${a.cover}`} alt="" className="w-full h-full object-cover" loading="lazy" />}
+              </div>
+              <div className="min-w-0 flex-1 text-sm truncate">{a.name}</div>
+              <div className="text-xs text-slate-400">{a.count}</div>
+              {active && (
+                <>
+                  <button className="p-1 rounded-full hover:bg-white/20" onClick={(e) => { e.stopPropagation(); onRename(a) }} title="Rename album">
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button className="p-1 rounded-full hover:bg-rose-500/20 text-rose-300" onClick={(e) => { e.stopPropagation(); onDelete(a) }} title="Delete album">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+// Grid tiles put their ids here when dragged; folder rows accept them as a move
+const DRAG_IDS_TYPE = 'application/x-lp-ids'
+
+function TreeNode({ node, depth, open, toggle, select, selected, actions }) {
+  const [dropOver, setDropOver] = useState(false)
   const isRoot = depth === 0
   const isOpen = open.has(node.path)
   const hasChildren = node.children && node.children.length > 0
+  const isSelected = selected === node.path
   const pad = { paddingLeft: `${depth * 12 + (isRoot ? 0 : 8)}px` }
+  const acceptsDrop = (e) => !!actions?.onDropItems && !!e.dataTransfer?.types?.includes(DRAG_IDS_TYPE)
   return (
     <div>
       {!isRoot && (
         <div
-          className={`group flex items-center gap-2 select-none cursor-pointer rounded-lg mx-1 py-1.5 pr-2 ${selected === node.path ? 'bg-white/10 text-white' : 'hover:bg-white/5 text-slate-200'}`}
+          className={`group flex items-center gap-2 select-none cursor-pointer rounded-lg mx-1 py-1.5 pr-2 ${dropOver ? 'bg-sky-500/20 ring-1 ring-sky-400/60 text-white' : isSelected ? 'bg-white/10 text-white' : 'hover:bg-white/5 text-slate-200'}`}
           style={pad}
           onClick={() => select(node.path)}
+          onDragOver={(e) => {
+            if (!acceptsDrop(e)) return
+            e.preventDefault()
+            e.dataTransfer.dropEffect = 'move'
+            if (!dropOver) setDropOver(true)
+          }}
+          onDragLeave={() => setDropOver(false)}
+          onDrop={(e) => {
+            if (!acceptsDrop(e)) return
+            e.preventDefault()
+            setDropOver(false)
+            try {
+              const ids = JSON.parse(e.dataTransfer.getData(DRAG_IDS_TYPE) || '[]')
+              if (ids.length) actions.onDropItems(ids, node.path)
+            } catch {}
+          }}
         >
           <button
             onClick={(e) => { e.stopPropagation(); if (hasChildren) toggle(node.path) }}
@@ -202,12 +787,24 @@ function TreeNode({ node, depth, open, toggle, select, selected }) {
           </button>
           <span className="truncate text-sm/5">{node.name}</span>
           <span className="ml-auto text-xs text-slate-400">{node.count ?? 0}</span>
+          {actions && isSelected && (
+            <>
+              <button className="p-1 rounded-full hover:bg-white/20" onClick={(e) => { e.stopPropagation(); actions.onRename(node) }} title="Rename folder">
+                <Pencil className="w-3 h-3" />
+              </button>
+              {!node.count && !hasChildren && (
+                <button className="p-1 rounded-full hover:bg-rose-500/20 text-rose-300" onClick={(e) => { e.stopPropagation(); actions.onDelete(node) }} title="Delete empty folder">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              )}
+            </>
+          )}
         </div>
       )}
       {hasChildren && isOpen && (
         <div>
           {node.children.map((c) => (
-            <TreeNode key={c.path} node={c} depth={depth + 1} open={open} toggle={toggle} select={select} selected={selected} />
+            <TreeNode key={c.path} node={c} depth={depth + 1} open={open} toggle={toggle} select={select} selected={selected} actions={actions} />
           ))}
         </div>
       )}
@@ -240,6 +837,20 @@ function ellipsizeWords(s, maxWords = 8) {
   const words = s.split(/\s+/)
   return words.length > maxWords ? words.slice(0, maxWords).join(' ') + '…' : s
 }
+// Render text marked by the server's FTS highlight() (\x02 match \x03) with <mark>s
+function renderHighlighted(text) {
+  if (!text) return null
+  const out = []
+  const re = /\u0002([^\u0003]*)\u0003/g
+  let last = 0, m, i = 0
+  while ((m = re.exec(text))) {
+    if (m.index > last) out.push(text.slice(last, m.index))
+    out.push(<mark key={i++} className="bg-amber-400/80 text-black rounded-sm px-0.5">{m[1]}</mark>)
+    last = m.index + m[0].length
+  }
+  if (last < text.length) out.push(text.slice(last))
+  return out
+}
 function parseZipFilenameFromCD(cd) {
   if (!cd) return null
   let m = /filename\*=UTF-8''([^;]+)/i.exec(cd)
@@ -328,6 +939,82 @@ const HEADER_H = 56
 const MOBILE_INFO_VH = 40
 
 /* ----- Thumbnail Component ----- */
+// Chunked upload that survives dropped connections and reloads: the server session id is
+// remembered per file, so picking the same file again continues where it stopped
+async function uploadFileResumable(file, folder, onProgress) {
+  const resumeKey = `lp_upload:${folder}:${file.name}:${file.size}:${file.lastModified}`
+  let session = null
+  const savedId = localStorage.getItem(resumeKey)
+  if (savedId) {
+    const s = await API.uploadStatus(savedId).catch(() => null)
+    if (s?.id) session = s
+  }
+  if (!session) {
+    session = await API.uploadStart({ name: file.name, size: file.size, folder })
+    if (!session?.id) throw new Error(session?.error || 'Upload failed')
+    localStorage.setItem(resumeKey, session.id)
+  }
+  let offset = session.received
+  let failures = 0
+  for (;;) {
+    onProgress?.(offset)
+    let r
+    try {
+      r = await API.uploadChunk(session.id, offset, file.slice(offset, offset + session.chunk_size))
+    } catch (e) {
+      r = { error: e.message }
+    }
+    if (r?.done) { localStorage.removeItem(resumeKey); return r }
+    if (r?.ok) { offset = r.received; failures = 0; continue }
+    if (++failures > 3) throw new Error(r?.error || 'Upload failed')
+    // Network hiccup or out of sync: back off, then ask the server where to continue
+    await new Promise(resolve => setTimeout(resolve, 1000 * failures))
+    const s = await API.uploadStatus(session.id).catch(() => null)
+    if (s?.id) offset = s.received
+    else if (s?.error) { localStorage.removeItem(resumeKey); throw new Error(s.error) }
+  }
+}
+
+/* Progress of the signed-in user's uploads (bottom-right) */
+function UploadPanel({ items, onClose }) {
+  if (items.length === 0) return null
+  const active = items.some(it => it.status === 'queued' || it.status === 'uploading')
+  const label = { queued: 'Waiting', done: 'Added', duplicate: 'Already in library', error: 'Failed' }
+  return (
+    <div className="fixed bottom-4 right-4 z-[9000] w-80 max-w-[calc(100vw-2rem)] rounded-lg border border-white/10 bg-zinc-950/95 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-white/10 text-xs text-slate-300">
+        <Upload className="w-4 h-4" />
+        <span className="flex-1">
+          {active ? `Uploading ${items.filter(it => it.status !== 'queued' && it.status !== 'uploading').length + 1} of ${items.length}` : 'Uploads finished'}
+        </span>
+        {!active && (
+          <button className="p-1 rounded-full hover:bg-white/10" onClick={onClose} aria-label="Close uploads">
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      <div className="max-h-60 overflow-auto p-2 space-y-2">
+        {items.map(it => (
+          <div key={it.key} className="text-xs">
+            <div className="flex items-center gap-2">
+              <span className="truncate flex-1 text-slate-100" title={`${it.folder}/${it.name}`}>{it.name}</span>
+              <span className={it.status === 'error' ? 'text-rose-300' : (it.status === 'duplicate' ? 'text-amber-300' : 'text-slate-400')}>
+                {it.status === 'uploading' ? `${Math.round((it.sent / Math.max(1, it.size)) * 100)}%` : label[it.status]}
+              </span>
+            </div>
+            {it.status === 'uploading' && (
+              <div className="mt-1 h-1 rounded bg-white/10 overflow-hidden">
+                <div className="h-full bg-emerald-400" style={{ width: `${(it.sent / Math.max(1, it.size)) * 100}%` }} />
+              </div>
+            )}
+            {it.error && <div className="text-rose-300/80 truncate" title={it.error}>{it.error}</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
 function Thumbnail({ id, fname, loadedThumbnails, setLoadedThumbnails, shareToken = '' }) {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(false)
@@ -368,6 +1055,66 @@ function Thumbnail({ id, fname, loadedThumbnails, setLoadedThumbnails, shareToke
   )
 }
 
+/* Scan Media menu: warm-up option and progress of the running (or last) index job */
+const SCAN_PHASES = { scan: 'Scanning files', hash: 'Hashing for duplicates', warm: 'Generating previews' }
+
+function formatEta(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) return ''
+  const s = Math.round(ms / 1000)
+  if (s < 60) return `${s}s left`
+  const m = Math.round(s / 60)
+  return m < 60 ? `${m} min left` : `${Math.floor(m / 60)} h ${m % 60} min left`
+}
+
+// "3 added, 1 removed" style summary of a finished rescan, '' when nothing changed
+function scanSummary(r) {
+  const parts = ['added', 'updated', 'moved', 'removed']
+    .filter(k => r?.[k] > 0)
+    .map(k => `${r[k].toLocaleString()} ${k}`)
+  return parts.join(', ')
+}
+
+function ScanProgress({ progress, running, warm, onWarmChange, onCancel }) {
+  const pct = progress?.total ? Math.round((progress.done / progress.total) * 100) : 0
+  return (
+    <div className="px-3 pb-3 space-y-2 text-xs">
+      <label className="flex items-center gap-2 text-slate-300">
+        <input type="checkbox" checked={warm} onChange={e => onWarmChange(e.target.checked)} />
+        Pre-generate thumbnails and previews for new or changed files
+      </label>
+      {progress && (
+        <div className="rounded border border-white/10 p-2 space-y-1">
+          <div className="flex items-center gap-2 text-slate-300">
+            <span>{SCAN_PHASES[progress.phase] || progress.phase}{running ? '' : ' (finished)'}</span>
+            <span className="text-slate-400">{progress.done.toLocaleString()} / {progress.total.toLocaleString()}</span>
+            {running && <span className="text-slate-500">{formatEta(progress.eta_ms)}</span>}
+            {running && (
+              <button
+                className="ml-auto px-2 py-0.5 rounded-full border border-rose-500/40 bg-rose-500/10 hover:bg-rose-500/15 text-rose-300"
+                onClick={onCancel}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+            <div className="h-full bg-emerald-400/70" style={{ width: `${pct}%` }} />
+          </div>
+          {running && progress.current && <div className="text-slate-500 truncate" title={progress.current}>{progress.current}</div>}
+          {progress.errors > 0 && (
+            <details className="text-rose-300">
+              <summary className="cursor-pointer">{progress.errors} error{progress.errors === 1 ? '' : 's'}</summary>
+              {progress.recent_errors.map((e, i) => (
+                <div key={i} className="truncate text-slate-400" title={e.error}>{e.path}: {e.error}</div>
+              ))}
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 /* ----- App ----- */
 export default function App() {
   // media first (used to set initial sidebar state)
@@ -394,6 +1141,8 @@ export default function App() {
   const [shareToken, setShareToken] = useState(initialShareToken)
   const isShareMode = !!shareToken
   const [shareInfo, setShareInfo] = useState(null)
+  // '' once the share is open; otherwise 'password' | 'expired' | 'missing'
+  const [shareGate, setShareGate] = useState('')
 
   // Sidebar + layout
   // OPEN on desktop, COLLAPSED on mobile by default
@@ -420,6 +1169,17 @@ export default function App() {
   const [initialLoaded, setInitialLoaded] = useState(false)
   // filter for media type
   const [mediaFilter, setMediaFilter] = useState('all')
+  // Library roots the user can see; libraryId narrows the tree and grid to one of them
+  const [libraries, setLibraries] = useState([])
+  const [libraryId, setLibraryId] = useState(null)
+  // map view + area picked on the map ({ bbox: [minLon, minLat, maxLon, maxLat], count })
+  const [showMap, setShowMap] = useState(false)
+  const [geoArea, setGeoArea] = useState(null)
+  // search: raw input + debounced query (mirrored to ?q= so searches can be bookmarked)
+  const [searchInput, setSearchInput] = useState(() => {
+    try { return new URL(window.location.href).searchParams.get('q') || '' } catch { return '' }
+  })
+  const [searchQuery, setSearchQuery] = useState(searchInput.trim())
 
   // Favorites (server-backed per-user)
   const [favoriteIds, setFavoriteIds] = useState(new Set())
@@ -467,7 +1227,7 @@ export default function App() {
 
   const favoritesList = useMemo(() => {
     const arr = Array.from(favoriteItems.values())
-    arr.sort((a, b) => Number(b.mtime || 0) - Number(a.mtime || 0))
+    arr.sort((a, b) => Number(b.taken_at || b.mtime || 0) - Number(a.taken_at || a.mtime || 0))
     return arr
   }, [favoriteItems])
 
@@ -491,6 +1251,14 @@ export default function App() {
   const resizeRef = useRef(null)
   // Share menu/modal
   const [shareOpen, setShareOpen] = useState(false)
+  // settings for the next link created from the share popover
+  const [shareLinkOptions, setShareLinkOptions] = useState({ permission: 'originals', expiresInDays: 0, password: '', allowUpload: false })
+  const shareOptionsPayload = (folderShare = false) => ({
+    permission: shareLinkOptions.permission,
+    expires_at: shareLinkOptions.expiresInDays ? Date.now() + shareLinkOptions.expiresInDays * 24 * 60 * 60 * 1000 : null,
+    ...(shareLinkOptions.password ? { password: shareLinkOptions.password } : {}),
+    ...(folderShare && shareLinkOptions.allowUpload ? { allow_upload: true } : {})
+  })
   const shareRef = useRef(null)
   const [shareModalOpen, setShareModalOpen] = useState(false)
   const [shares, setShares] = useState([])
@@ -502,6 +1270,10 @@ export default function App() {
   const [scanMenuAnchor, setScanMenuAnchor] = useState('') // 'sidebar' | 'header' | ''
   const [scanTree, setScanTree] = useState(null)
   const [scanJobToken, setScanJobToken] = useState(null)
+  const [liveEvents, setLiveEvents] = useState(false)
+  const [scanProgress, setScanProgress] = useState(null)
+  const [scanWarm, setScanWarm] = useState(() => localStorage.getItem('lp_scan_warm') === '1')
+  useEffect(() => { localStorage.setItem('lp_scan_warm', scanWarm ? '1' : '0') }, [scanWarm])
 
   // Thumbnail loading states
   const [loadedThumbnails, setLoadedThumbnails] = useState(new Set())
@@ -514,32 +1286,111 @@ export default function App() {
     showToast._t = window.setTimeout(() => setToast({ message: '', visible: false }), 3000)
   }, [])
 
-  const loadScanTree = useCallback(async () => {
-    try {
-      const t = await API.tree('folders', mediaFilter)
-      setScanTree(t)
-    } catch {}
-  }, [mediaFilter])
+  // Albums (server-backed, user-ordered collections)
+  const [albums, setAlbums] = useState([])
+  const [activeAlbumId, setActiveAlbumId] = useState(null)
+  const activeAlbum = useMemo(() => albums.find(a => a.id === activeAlbumId) || null, [albums, activeAlbumId])
+  const dragIdRef = useRef(null)
 
-  // loader control
-  const photoIdsRef = useRef(new Set())
+  const refreshAlbums = useCallback(async () => {
+    try {
+      const r = await API.albums()
+      setAlbums(Array.isArray(r?.items) ? r.items : [])
+    } catch {
+      setAlbums([])
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!user || isShareMode) { setAlbums([]); setActiveAlbumId(null); return }
+    refreshAlbums()
+  }, [user, isShareMode, refreshAlbums])
+
+  const openAlbum = useCallback((album) => {
+    setShowFavorites(false)
+    setShowMap(false)
+    setGeoArea(null)
+    setSearchInput('')
+    setSearchQuery('')
+    setActiveAlbumId(album.id)
+  }, [])
+
+  // Prompts for a name; returns the created album id (or null)
+  const createAlbum = useCallback(async (ids = []) => {
+    const name = (window.prompt('Album name') || '').trim()
+    if (!name) return null
+    const r = await API.albumCreate(name, ids)
+    if (!r?.ok) { showToast(r?.error || 'Failed to create album'); return null }
+    await refreshAlbums()
+    return r.id
+  }, [refreshAlbums, showToast])
+
+  const renameAlbum = useCallback(async (album) => {
+    const name = (window.prompt('Rename album', album.name) || '').trim()
+    if (!name || name === album.name) return
+    const r = await API.albumUpdate(album.id, { name })
+    if (!r?.ok) { showToast(r?.error || 'Failed to rename album'); return }
+    await refreshAlbums()
+  }, [refreshAlbums, showToast])
+
+  const deleteAlbum = useCallback(async (album) => {
+    if (!window.confirm(`Delete album "${album.name}"? Photos stay in your library; shares of this album stop working.`)) return
+    const r = await API.albumDelete(album.id)
+    if (!r?.ok) { showToast(r?.error || 'Failed to delete album'); return }
+    if (activeAlbumId === album.id) setActiveAlbumId(null)
+    await refreshAlbums()
+  }, [activeAlbumId, refreshAlbums, showToast])
+
+  // Drag-and-drop reorder inside the open album: move `dragId` to where `targetId` is
+  const moveAlbumItem = useCallback((dragId, targetId) => {
+    if (!activeAlbumId || dragId == null || dragId === targetId) return
+    const from = photos.findIndex(p => p.id === dragId)
+    const to = photos.findIndex(p => p.id === targetId)
+    if (from === -1 || to === -1) return
+    const next = [...photos]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    setPhotos(next)
+    API.albumReorder(activeAlbumId, next.map(p => p.id))
+      .then(r => { if (!r?.ok) showToast(r?.error || 'Failed to reorder album') })
+      .catch(() => showToast('Failed to reorder album'))
+  }, [activeAlbumId, photos, showToast])
+
+  const loadScanTree = useCallback(async () => {
+    try {
+      const t = await API.tree('folders', mediaFilter)
+      setScanTree(t)
+    } catch {}
+  }, [mediaFilter])
+
+  // loader control
+  const photoIdsRef = useRef(new Set())
+  // Bumped when files were added to the library from this client, to reload the grid and tree
+  const [libraryVersion, setLibraryVersion] = useState(0)
   const requestKey = useMemo(() => isShareMode
     ? `share::${shareToken}::${dateRange.from}-${dateRange.to}::${mediaFilter}`
-    : `${user?.id || 0}::${selected}::${treeMode}::${dateRange.from}-${dateRange.to}::${mediaFilter}`
-  ,[isShareMode, shareToken, user?.id, selected, treeMode, dateRange.from, dateRange.to, mediaFilter])
+    : `${user?.id || 0}::${libraryId || ''}::${selected}::${treeMode}::${dateRange.from}-${dateRange.to}::${mediaFilter}::${geoArea ? geoArea.bbox.join(',') : ''}::${searchQuery}::${activeAlbumId || ''}::${libraryVersion}`
+  ,[isShareMode, shareToken, user?.id, libraryId, selected, treeMode, dateRange.from, dateRange.to, mediaFilter, geoArea, searchQuery, activeAlbumId, libraryVersion])
   const lastKeyRef = useRef(null)
   const controllerRef = useRef(null)
   const inFlightRef = useRef(false)
 
+  const loadShareInfo = useCallback(async () => {
+    try {
+      const info = await API.shareInfo(shareToken)
+      if (info?.token) { setShareInfo(info); setShareGate(''); return }
+      setShareGate(info?.password_required ? 'password' : (info?.status === 410 ? 'expired' : 'missing'))
+    } catch {
+      setShareGate('missing')
+    }
+  }, [shareToken])
+
   // session check
   useEffect(() => {
     (async () => {
       if (isShareMode) {
+        await loadShareInfo()
         setAuthChecked(true)
-        try {
-          const info = await API.shareInfo(shareToken)
-          if (info?.token) setShareInfo(info)
-        } catch {}
         return
       }
       try {
@@ -562,44 +1413,218 @@ export default function App() {
     })()
   }, [])
 
-  // Poll scan status when we have a job token
+  // Library roots for the sidebar selector; admins may have added or removed some
+  useEffect(() => {
+    if (!user || isShareMode || view === 'admin') return
+    API.libraries()
+      .then(r => {
+        const items = Array.isArray(r?.items) ? r.items : []
+        setLibraries(items)
+        if (libraryId && !items.some(l => l.id === libraryId)) selectLibrary(null)
+      })
+      .catch(() => {})
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, view])
+
+  // Files handed over by the OS share sheet (PWA share target; stashed by sw.js)
+  useEffect(() => {
+    if (!user || isShareMode) return
+    const url = new URL(window.location.href)
+    if (!url.searchParams.has('shared')) return
+    url.searchParams.delete('shared')
+    window.history.replaceState(null, '', url.toString())
+    ;(async () => {
+      try {
+        const cache = await caches.open('lp-shared-files')
+        const files = []
+        for (const req of await cache.keys()) {
+          const res = await cache.match(req)
+          if (res) {
+            files.push(new File([await res.blob()], decodeURIComponent(res.headers.get('X-File-Name') || 'shared'), {
+              type: res.headers.get('Content-Type') || '',
+              lastModified: Number(res.headers.get('X-Last-Modified')) || Date.now()
+            }))
+          }
+          await cache.delete(req)
+        }
+        enqueueUploads(files, '')
+      } catch (e) {
+        console.error('shared files failed', e)
+      }
+    })()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user])
+
+  const refreshTree = useCallback(async () => {
+    try {
+      const t = await API.tree(treeMode, mediaFilter, libraryId)
+      if (t && !t.error) setTree(t)
+    } catch {}
+  }, [treeMode, mediaFilter, libraryId])
+
+  const selectLibrary = useCallback(async (id) => {
+    setLibraryId(id)
+    photoIdsRef.current = new Set()
+    setPhotos([])
+    setPage(1)
+    setHasMore(true)
+    setTotal(0)
+    setInitialLoaded(false)
+    setSelectMode(false)
+    setSelectedIds(new Set())
+    setDateRange({ from: 0, to: 0 })
+    setTreeLoading(true)
+    try {
+      const t = await API.tree(treeMode, mediaFilter, id)
+      if (t && !t.error) {
+        setTree(t)
+        setOpen(new Set([t.path]))
+        setSelected(t.path)
+      }
+    } catch {
+      setError('Failed to load library')
+    } finally {
+      setTreeLoading(false)
+    }
+  }, [treeMode, mediaFilter])
+
+  // Reload folder counts after uploads or restores changed the library
+  useEffect(() => {
+    if (!libraryVersion || !user || isShareMode) return
+    refreshTree()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [libraryVersion])
+
+  // Reload tree and grid once a scan has finished
+  const finishScan = useCallback(async () => {
+    setScanning(false)
+    setScanJobToken(null)
+    // Force complete refresh of tree after scan completes
+    try {
+      const t = await API.tree(treeMode, mediaFilter, libraryId)
+      setTree(t)
+      // Reset selection to root and clear any cached state
+      setOpen(new Set([t.path]))
+      setSelected(t.path)
+      // Clear photo cache to force fresh load
+      photoIdsRef.current = new Set()
+      setPhotos([])
+      setPage(1)
+      setHasMore(true)
+      setTotal(0)
+      setInitialLoaded(false)
+      setLoadedThumbnails(new Set())
+    } catch (e) {
+      console.error('Failed to refresh tree after scan:', e)
+    }
+  }, [treeMode, mediaFilter, libraryId])
+
+  // Poll scan status when we have a job token; with the event stream connected this is
+  // only a slow safety net for an end event missed around reconnects
   useEffect(() => {
-    if (!scanJobToken || !user?.is_admin) return
+    if (!scanJobToken || !user?.can_scan) return
     
     const interval = setInterval(async () => {
       try {
         const status = await API.scanStatus()
-        if (!status.running) {
-          setScanning(false)
-          setScanJobToken(null)
-          // Force complete refresh of tree after scan completes
-          try {
-            const t = await API.tree(treeMode, mediaFilter)
-            setTree(t)
-            // Reset selection to root and clear any cached state
-            setOpen(new Set([t.path]))
-            setSelected(t.path)
-            // Clear photo cache to force fresh load
-            photoIdsRef.current = new Set()
-            setPhotos([])
-            setPage(1)
-            setHasMore(true)
-            setTotal(0)
-            setInitialLoaded(false)
-            setLoadedThumbnails(new Set())
-          } catch (e) {
-            console.error('Failed to refresh tree after scan:', e)
-          }
-        }
+        setScanProgress(status.progress || null)
+        if (!status.running) finishScan()
       } catch {
         // If status check fails, assume scan is done
         setScanning(false)
         setScanJobToken(null)
       }
-    }, 2000) // Check every 2 seconds
+    }, liveEvents ? 10000 : 2000)
     
     return () => clearInterval(interval)
-  }, [scanJobToken, user?.is_admin, treeMode, mediaFilter])
+  }, [scanJobToken, user?.can_scan, liveEvents, finishScan])
+
+  // Live events; handlers read current state through a ref so the stream stays open across renders
+  const liveHandlersRef = useRef({})
+  const liveQueueRef = useRef([])
+  liveHandlersRef.current = {
+    index: (status) => {
+      setScanProgress(status.progress || null)
+      if (status.running) {
+        // also picks up scans started from another window
+        setScanning(true)
+        setScanJobToken(t => t || status.token)
+      } else if (scanJobToken) {
+        finishScan()
+      }
+    },
+    // Bursts (a folder copied in) are applied together
+    library: (ev) => {
+      liveQueueRef.current.push(ev)
+      if (liveQueueRef.current.length === 1) setTimeout(() => liveHandlersRef.current.flushLibrary(), 250)
+    },
+    flushLibrary: () => {
+      const events = liveQueueRef.current
+      liveQueueRef.current = []
+      const matchesFilter = (it) => (!libraryId || it.library_id === libraryId) &&
+        (mediaFilter === 'all' || it.kind === (mediaFilter === 'images' ? 'image' : 'video'))
+      // Only plain folder and date browsing can tell whether an item belongs in the grid
+      const inView = (it) => {
+        if (activeAlbumId || searchQuery || geoArea || !matchesFilter(it)) return false
+        if (treeMode === 'dates' && String(selected).startsWith('date:')) {
+          const ts = it.taken_at || it.mtime
+          return !(dateRange.from && dateRange.to && (ts < dateRange.from || ts >= dateRange.to))
+        }
+        return String(it.folder).startsWith([user?.root_path, selected].filter(Boolean).join('/'))
+      }
+
+      let list = photos
+      let totalDelta = 0
+      let nextTree = tree
+      let reloadTree = false
+      for (const { action, item: it } of events) {
+        if (!it) continue
+        const wasLoaded = photoIdsRef.current.has(it.id)
+        if (wasLoaded) {
+          photoIdsRef.current.delete(it.id)
+          list = list.filter(p => p.id !== it.id)
+        }
+        const show = action !== 'removed' && inView(it)
+        if (show) {
+          const at = photoInsertIndex(list, it, hasMore)
+          if (at >= 0) {
+            photoIdsRef.current.add(it.id)
+            list = [...list.slice(0, at), it, ...list.slice(at)]
+          }
+        }
+        if (action === 'added') totalDelta += show ? 1 : 0
+        else if (action === 'removed') totalDelta -= inView(it) ? 1 : 0
+        else if (wasLoaded !== show) totalDelta += show ? 1 : -1
+
+        if (action === 'updated') reloadTree = true
+        else if (nextTree && matchesFilter(it)) {
+          nextTree = adjustTreeCounts(nextTree, treeChainFor(it, treeMode, user?.root_path), action === 'added' ? 1 : -1, treeMode)
+        }
+      }
+      if (list !== photos) setPhotos(list)
+      if (totalDelta) setTotal(t => Math.max(0, t + totalDelta))
+      if (reloadTree) {
+        // An update may have moved the item between folders; only the server knows where it was
+        API.tree(treeMode, mediaFilter, libraryId).then(t => { if (t && !t.error) setTree(t) }).catch(() => {})
+      } else if (nextTree !== tree) {
+        setTree(nextTree)
+      }
+    },
+  }
+
+  useEffect(() => {
+    if (!user || isShareMode || typeof EventSource === 'undefined') return
+    const es = API.events()
+    const listen = (type) => es.addEventListener(type, (e) => {
+      try { liveHandlersRef.current[type]?.(JSON.parse(e.data)) } catch {}
+    })
+    listen('index')
+    listen('library')
+    es.onopen = () => setLiveEvents(true)
+    // EventSource reconnects on its own; polling covers scans meanwhile
+    es.onerror = () => setLiveEvents(false)
+    return () => { es.close(); setLiveEvents(false) }
+  }, [user, isShareMode])
 
   const toggle = useCallback((p) => {
     setOpen(prev => {
@@ -634,6 +1659,8 @@ export default function App() {
   // Loader
   useEffect(() => {
     if (!isShareMode && !user) return
+    // shares load once /info confirmed the link is open (not expired or locked)
+    if (isShareMode && !shareInfo) return
     const controller = new AbortController()
     controllerRef.current?.abort()
     controllerRef.current = controller
@@ -663,6 +1690,17 @@ export default function App() {
         if (isShareMode) {
           const params = { page, pageSize: 200, _t: Date.now(), filter: mediaFilter }
           r = await API.sharePhotos(shareToken, params)
+        } else if (activeAlbumId) {
+          const params = { page, pageSize: 200, _t: Date.now(), filter: mediaFilter }
+          r = await API.albumPhotos(activeAlbumId, params, { signal: controller.signal })
+        } else if (searchQuery) {
+          const params = { q: searchQuery, page, pageSize: 200, _t: Date.now(), filter: mediaFilter }
+          if (libraryId) params.library = libraryId
+          r = await API.photos(params, { signal: controller.signal })
+        } else if (geoArea) {
+          const params = { bbox: geoArea.bbox.join(','), page, pageSize: 200, _t: Date.now(), filter: mediaFilter }
+          if (libraryId) params.library = libraryId
+          r = await API.photos(params, { signal: controller.signal })
         } else {
           const params = (treeMode === 'dates' && String(selected).startsWith('date:'))
             ? (() => {
@@ -675,6 +1713,7 @@ export default function App() {
                 return p
               })()
             : { folder: selected, q: '', page, pageSize: 200, _t: Date.now(), filter: mediaFilter }
+          if (libraryId) params.library = libraryId
           r = await API.photos(params, { signal: controller.signal })
         }
         if (r?.error) throw new Error(r.error)
@@ -704,7 +1743,29 @@ export default function App() {
     run()
     return () => { controller.abort(); inFlightRef.current = false; setLoading(false) }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [page, requestKey, selected, user, isShareMode, shareToken])
+  }, [page, requestKey, selected, user, isShareMode, shareToken, shareInfo])
+
+  // Debounce search input
+  useEffect(() => {
+    const t = setTimeout(() => setSearchQuery(searchInput.trim()), 300)
+    return () => clearTimeout(t)
+  }, [searchInput])
+
+  // A new search leaves the open album
+  useEffect(() => {
+    if (searchQuery) setActiveAlbumId(null)
+  }, [searchQuery])
+
+  // Reflect the search in the URL (?q=) without adding history entries
+  useEffect(() => {
+    if (isShareMode) return
+    try {
+      const url = new URL(window.location.href)
+      if (searchQuery) url.searchParams.set('q', searchQuery)
+      else url.searchParams.delete('q')
+      window.history.replaceState(null, '', url)
+    } catch {}
+  }, [searchQuery, isShareMode])
 
   // Infinite scroll
   useEffect(() => {
@@ -715,7 +1776,7 @@ export default function App() {
     const el = sentinelRef.current
     if (el) io.observe(el)
     return () => io.disconnect()
-  }, [initialLoaded])
+  }, [initialLoaded, showMap])
 
   // Viewer helpers
   const openViewer = (idx) => { 
@@ -916,7 +1977,154 @@ export default function App() {
     else openViewer(idx)
   }
   const [downloadLoading, setDownloadLoading] = useState(false)
+  const guestUploadInputRef = useRef(null)
+  const [guestUploading, setGuestUploading] = useState(null)
+  // Guest uploads go one file at a time and stay hidden until the owner approves them
+  const guestUpload = async (fileList) => {
+    const files = Array.from(fileList || [])
+    if (!isShareMode || files.length === 0) return
+    let by = localStorage.getItem('lp_guest_name') || ''
+    if (!by) {
+      by = (window.prompt('Your name (optional, shown to the owner)', '') || '').trim()
+      if (by) localStorage.setItem('lp_guest_name', by)
+    }
+    let ok = 0
+    const failed = []
+    for (let i = 0; i < files.length; i++) {
+      setGuestUploading({ done: i, count: files.length, progress: 0 })
+      try {
+        const r = await API.shareUpload(shareToken, files[i], by, (progress) => setGuestUploading({ done: i, count: files.length, progress }))
+        if (r?.ok) ok++
+        else failed.push(`${files[i].name}: ${r?.error || 'failed'}`)
+      } catch (e) {
+        failed.push(`${files[i].name}: ${e.message}`)
+      }
+    }
+    setGuestUploading(null)
+    if (failed.length) showToast(`${ok} uploaded, ${failed.length} failed — ${failed[0]}`)
+    else showToast(`${ok} file${ok === 1 ? '' : 's'} uploaded — visible once the owner approves`)
+  }
+
+  // Signed-in uploads: files are queued and sent one at a time into the open folder
+  // (or "Uploads" when no folder is open)
+  const uploadInputRef = useRef(null)
+  const [uploadItems, setUploadItems] = useState([])
+  const [dropActive, setDropActive] = useState(false)
+  const uploadQueueRef = useRef([])
+  const uploadRunningRef = useRef(false)
+  const uploadFolder = (treeMode === 'folders' && selected && !String(selected).startsWith('date:')) ? selected : ''
+  const patchUpload = (key, patch) => setUploadItems(prev => prev.map(it => it.key === key ? { ...it, ...patch } : it))
+  const runUploads = async () => {
+    if (uploadRunningRef.current) return
+    uploadRunningRef.current = true
+    let added = 0
+    try {
+      while (uploadQueueRef.current.length) {
+        const job = uploadQueueRef.current.shift()
+        try {
+          patchUpload(job.key, { status: 'uploading' })
+          const r = await uploadFileResumable(job.file, job.folder, (sent) => patchUpload(job.key, { sent }))
+          patchUpload(job.key, { sent: job.file.size, status: r.duplicate ? 'duplicate' : 'done' })
+          if (!r.duplicate) added++
+        } catch (e) {
+          patchUpload(job.key, { status: 'error', error: e.message })
+        }
+      }
+    } finally {
+      uploadRunningRef.current = false
+    }
+    if (added) setLibraryVersion(v => v + 1)
+  }
+  const enqueueUploads = (fileList, folder = uploadFolder) => {
+    const files = Array.from(fileList || [])
+    if (isShareMode || !user?.can_upload || files.length === 0) return
+    const jobs = files.map(file => ({ key: `${Date.now()}-${Math.random().toString(36).slice(2)}`, file, folder }))
+    setUploadItems(prev => [
+      ...prev.filter(it => it.status === 'queued' || it.status === 'uploading'),
+      ...jobs.map(j => ({ key: j.key, name: j.file.name, size: j.file.size, folder: j.folder || 'Uploads', sent: 0, status: 'queued' }))
+    ])
+    uploadQueueRef.current.push(...jobs)
+    runUploads()
+  }
+  const canDownload = !isShareMode || (shareInfo?.permission && shareInfo.permission !== 'view')
+
+  // Move the selection to the trash (restorable from the Trash view)
+  const deleteSelected = async () => {
+    const ids = Array.from(selectedIds)
+    if (ids.length === 0) return
+    if (!window.confirm(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to the trash?`)) return
+    try {
+      const r = await API.deletePhotos(ids)
+      if (!r?.ok) { showToast(r?.error || 'Delete failed'); return }
+      const gone = new Set(ids)
+      setPhotos(prev => prev.filter(p => !gone.has(p.id)))
+      setTotal(t => Math.max(0, t - r.trashed))
+      setSelectedIds(new Set())
+      showToast(`Moved ${r.trashed} item${r.trashed === 1 ? '' : 's'} to the trash`)
+      refreshTree()
+      if (activeAlbumId) refreshAlbums()
+    } catch {
+      showToast('Delete failed')
+    }
+  }
   
+  // Sidebar folder management; ids and their favorites, albums and shares survive moves
+  const moveItemsTo = async (ids, folder) => {
+    try {
+      const r = await API.filesMove({ ids, to: folder })
+      if (!r?.moved) { showToast(r?.error || 'Move failed'); return }
+      if (r.moved.length) showToast(`Moved ${r.moved.length} item${r.moved.length === 1 ? '' : 's'} to ${folder || 'the library root'}`)
+      if (r.failed.length) showToast(`${r.failed.length} item${r.failed.length === 1 ? '' : 's'} could not be moved`)
+      setSelectedIds(new Set())
+      setLibraryVersion(v => v + 1)
+    } catch {
+      showToast('Move failed')
+    }
+  }
+
+  const createFolder = async () => {
+    const parent = selected && !String(selected).startsWith('date:') ? selected : ''
+    const name = window.prompt(parent ? `New folder in ${parent}` : 'New folder name')
+    if (!name || !name.trim()) return
+    const r = await API.folderCreate(parent, name.trim())
+    if (!r?.ok) { showToast(r?.error || 'Failed to create folder'); return }
+    if (parent) setOpen(prev => new Set(prev).add(parent))
+    await refreshTree()
+  }
+
+  const renameFolder = async (node) => {
+    const name = window.prompt('Rename folder', node.name)
+    if (!name || !name.trim() || name.trim() === node.name) return
+    const r = await API.filesRename({ folder: node.path, name: name.trim() })
+    if (!r?.ok) { showToast(r?.error || 'Rename failed'); return }
+    const swap = (p) => (p === node.path ? r.folder : p.startsWith(node.path + '/') ? r.folder + p.slice(node.path.length) : p)
+    setOpen(prev => new Set(Array.from(prev, swap)))
+    setSelected(prev => swap(prev))
+    setLibraryVersion(v => v + 1)
+  }
+
+  const deleteFolder = async (node) => {
+    if (!window.confirm(`Delete the empty folder "${node.name}"?`)) return
+    const r = await API.folderDelete(node.path)
+    if (!r?.ok) { showToast(r?.error || 'Delete failed'); return }
+    const parent = node.path.includes('/') ? node.path.slice(0, node.path.lastIndexOf('/')) : ''
+    setSelected(prev => (prev === node.path || prev.startsWith(node.path + '/') ? parent : prev))
+    await refreshTree()
+  }
+
+  const folderActions = { onDropItems: moveItemsTo, onCreate: createFolder, onRename: renameFolder, onDelete: deleteFolder }
+
+  const renameSelected = async () => {
+    const [id] = Array.from(selectedIds)
+    const photo = photos.find(p => p.id === id)
+    if (!photo) return
+    const name = window.prompt('Rename file', photo.fname)
+    if (!name || !name.trim() || name.trim() === photo.fname) return
+    const r = await API.filesRename({ id, name: name.trim() })
+    if (!r?.ok) { showToast(r?.error || 'Rename failed'); return }
+    setPhotos(prev => prev.map(p => (p.id === id ? { ...p, fname: r.fname } : p)))
+  }
+
   const downloadZip = async () => {
     const ids = Array.from(selectedIds)
     if (ids.length === 0) return
@@ -926,7 +2134,8 @@ export default function App() {
       const url = isShareMode ? apiUrl(`/s/${shareToken}/download/batch`) : apiUrl('/download/batch')
       const res = await fetch(url, {
         method: 'POST',
-        credentials: isShareMode ? 'omit' : 'include',
+        // same-origin still sends the unlock cookie of password-protected shares
+        credentials: isShareMode ? 'same-origin' : 'include',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ ids })
       })
@@ -977,6 +2186,9 @@ export default function App() {
       </GlassShell>
     )
   }
+  if (isShareMode && shareGate) {
+    return <ShareGateScreen gate={shareGate} token={shareToken} onUnlocked={loadShareInfo} />
+  }
   if (!user && !isShareMode) {
     return (
       <LoginScreen
@@ -993,6 +2205,9 @@ export default function App() {
       />
     )
   }
+  if (user?.totp_setup_required && !isShareMode) {
+    return <TotpRequiredScreen onSignOut={async () => { await API.logout(); setUser(null) }} />
+  }
 
   const currentPhoto = viewer.open ? visiblePhotos[viewer.index] : null
   const truncatedName = currentPhoto ? ellipsizeWords(currentPhoto.fname || '', 8) : ''
@@ -1009,8 +2224,20 @@ export default function App() {
           {toast.message}
         </div>
       )}
+      <UploadPanel items={uploadItems} onClose={() => setUploadItems([])} />
       {!isShareMode && view === 'admin' ? (
         <AdminPanel user={user} onClose={() => setView('photos')} />
+      ) : !isShareMode && view === 'trash' ? (
+        <TrashPanel
+          onClose={() => setView('photos')}
+          onRestored={() => setLibraryVersion(v => v + 1)}
+        />
+      ) : !isShareMode && view === 'duplicates' ? (
+        <DuplicatesPanel
+          canDelete={!!user?.can_delete}
+          onClose={() => setView('photos')}
+          onTrashed={() => setLibraryVersion(v => v + 1)}
+        />
       ) : (
         <div
           className="h-full min-h-0 grid"
@@ -1023,7 +2250,7 @@ export default function App() {
                <div className="shrink-0 flex items-center gap-2 p-3 border-b border-white/10">
                  <img src="/logo.svg" alt="Liquid Photos" className="w-5 h-5" />
                  <div className="text-sm font-semibold text-slate-100">Liquid Photos</div>
-                 {user?.is_admin && (
+                 {user?.can_scan && (
                  <>
                    <button
                      className="ml-auto inline-flex items-center gap-2 text-xs px-2 py-1 rounded-full border border-white/10 bg-white/10 hover:bg-white/15"
@@ -1042,8 +2269,10 @@ export default function App() {
                             if (scanning) return
                             setScanning(true)
                             try {
-                              const result = await API.rescan()
+                              setScanProgress(null)
+                              const result = await API.rescan(scanWarm)
                               if (result?.ok) {
+                                showToast(scanSummary(result) || 'No changes found')
                                 // Start polling for status
                                 setScanJobToken(Date.now())
                               } else {
@@ -1067,6 +2296,13 @@ export default function App() {
                           </button>
                         )}
                       </div>
+                      <ScanProgress
+                        progress={scanProgress}
+                        running={!!scanJobToken}
+                        warm={scanWarm}
+                        onWarmChange={setScanWarm}
+                        onCancel={async () => { try { await API.cancelScan() } catch {} }}
+                      />
                       <div className="border-t border-white/10" />
                       <div className="p-2">
                         <div className="text-xs text-slate-300 font-semibold mb-2">Scan Path</div>
@@ -1103,8 +2339,10 @@ export default function App() {
                               setScanning(true)
                               setError('')
                               try {
-                                const r = await API.rescanPath(scanSelectedPath)
+                                setScanProgress(null)
+                                const r = await API.rescanPath(scanSelectedPath, scanWarm)
                                 if (!r?.ok) throw new Error(r?.error || 'Scan failed')
+                                showToast(scanSummary(r) || 'No changes found')
                                 
                                 // Start polling for status
                                 setScanJobToken(Date.now())
@@ -1119,7 +2357,7 @@ export default function App() {
                                 setLoadedThumbnails(new Set())
                                 
                                 // Force complete refresh of tree after path scan
-                                const t = await API.tree(treeMode, mediaFilter)
+                                const t = await API.tree(treeMode, mediaFilter, libraryId)
                                 if (!t) throw new Error('Failed to refresh tree')
                                 setTree(t)
                                 setSelected(scanSelectedPath)
@@ -1169,11 +2407,20 @@ export default function App() {
                        setDateRange({ from, to })
                      }
                    }
+                   setGeoArea(null)
+                   setShowMap(false)
+                   setSearchInput('')
+                   setSearchQuery('')
+                   setActiveAlbumId(null)
                    setSelected(p)
                  }}
                  selected={selected}
                  mode={treeMode}
                  loading={treeLoading}
+                 folderActions={folderActions}
+                 libraries={libraries}
+                 libraryId={libraryId}
+                 onSelectLibrary={selectLibrary}
                  onToggleMode={async (nextMode) => {
                    if (nextMode === treeMode) return
                    
@@ -1206,7 +2453,7 @@ export default function App() {
                      setDateRange({ from: 0, to: 0 })
                      
                      // Refresh tree with new mode
-                     const t = await API.tree(nextMode, mediaFilter)
+                     const t = await API.tree(nextMode, mediaFilter, libraryId)
                      if (!t) throw new Error('Failed to load tree')
                      
                      // Update tree and reset selection
@@ -1227,10 +2474,21 @@ export default function App() {
                  }}
                />
 
+               <SidebarAlbums
+                 albums={albums}
+                 activeId={activeAlbumId}
+                 onSelect={openAlbum}
+                 onCreate={async () => { const id = await createAlbum(); if (id) setActiveAlbumId(id) }}
+                 onRename={renameAlbum}
+                 onDelete={deleteAlbum}
+               />
+
                {/* Pinned footer */}
                <SidebarFooter
                  user={user}
                  onGoAdmin={() => setView('admin')}
+                 onGoTrash={() => setView('trash')}
+                 onGoDuplicates={() => setView('duplicates')}
                  onSignOut={async () => { await API.logout(); setUser(null) }}
                />
 
@@ -1264,7 +2522,29 @@ export default function App() {
           )}
 
           {/* Main */}
-          <main className="flex flex-col min-h-0">
+          <main
+            className="relative flex flex-col min-h-0"
+            onDragOver={(e) => {
+              if (isShareMode || !user?.can_upload || !e.dataTransfer?.types?.includes('Files')) return
+              e.preventDefault()
+              e.dataTransfer.dropEffect = 'copy'
+              if (!dropActive) setDropActive(true)
+            }}
+            onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false) }}
+            onDrop={(e) => {
+              if (isShareMode || !user?.can_upload || !e.dataTransfer?.files?.length) return
+              e.preventDefault()
+              setDropActive(false)
+              enqueueUploads(e.dataTransfer.files)
+            }}
+          >
+            {dropActive && (
+              <div className="pointer-events-none absolute inset-2 z-30 flex items-center justify-center rounded-xl border-2 border-dashed border-emerald-400/60 bg-emerald-500/10">
+                <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-zinc-950/90 text-sm text-emerald-300">
+                  <Upload className="w-4 h-4" /> Drop to upload into {uploadFolder || 'Uploads'}
+                </div>
+              </div>
+            )}
             {/* Header */}
             <header className="relative z-20 p-3 border-b border-white/10 bg-zinc-950">
               <div className="flex items-center gap-3">
@@ -1297,11 +2577,50 @@ export default function App() {
                     <CheckSquare className="w-4 h-4" />
                     <span className="text-xs hidden sm:block">Select</span>
                   </button>
+                  {!isShareMode && geoArea && (
+                    <button
+                      className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-sky-500/15 border border-sky-500/30 text-sky-300 text-xs hover:bg-sky-500/20"
+                      onClick={() => setGeoArea(null)}
+                      title="Clear map area"
+                    >
+                      <MapIcon className="w-3 h-3" /> Map area <X className="w-3 h-3" />
+                    </button>
+                  )}
+                  {!isShareMode && activeAlbum && (
+                    <button
+                      className="inline-flex items-center gap-1 max-w-[40vw] px-2 py-1 rounded-full bg-violet-500/15 border border-violet-500/30 text-violet-300 text-xs hover:bg-violet-500/20"
+                      onClick={() => setActiveAlbumId(null)}
+                      title="Close album"
+                    >
+                      <Images className="w-3 h-3 shrink-0" /> <span className="truncate">{activeAlbum.name}</span> <X className="w-3 h-3 shrink-0" />
+                    </button>
+                  )}
                   {isShareMode && shareInfo?.name && (
                     <div className="max-w-[40vw] truncate text-xs text-slate-200" title={shareInfo.name}>
                       {shareInfo.name}{shareInfo.selected && !shareInfo.name.includes("'") ? ' (selected)' : ''}
                     </div>
                   )}
+                  {isShareMode && shareInfo?.allow_upload && (
+                    <>
+                      <input
+                        ref={guestUploadInputRef}
+                        type="file"
+                        multiple
+                        accept="image/*,video/*"
+                        className="hidden"
+                        onChange={(e) => { guestUpload(e.target.files); e.target.value = '' }}
+                      />
+                      <button
+                        className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-white/10 border border-white/10 text-xs hover:bg-white/20 disabled:opacity-50"
+                        onClick={() => guestUploadInputRef.current?.click()}
+                        disabled={guestUploading != null}
+                        title={`Upload photos or videos (max ${shareInfo.max_upload_mb} MB each)`}
+                      >
+                        <Upload className="w-3 h-3" />
+                        {guestUploading ? `${guestUploading.done + 1}/${guestUploading.count} · ${Math.round(guestUploading.progress * 100)}%` : 'Upload'}
+                      </button>
+                    </>
+                  )}
                 </div>
 
                 {/* Filter: Photos/Videos */}
@@ -1345,7 +2664,7 @@ export default function App() {
                         setSelectedIds(new Set())
                         
                         // Refresh tree with new filter
-                        const t = await API.tree(treeMode, val)
+                        const t = await API.tree(treeMode, val, libraryId)
                         if (!t) throw new Error('Failed to load tree')
                         
                         // Update tree and reset selection
@@ -1372,9 +2691,46 @@ export default function App() {
                 </div>
                 )}
 
+                {/* Search */}
+                {!isShareMode && (
+                  <div className="relative min-w-0 flex-1 max-w-xs">
+                    <Search className="pointer-events-none absolute left-2 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-slate-400" />
+                    <input
+                      type="search"
+                      className="w-full text-xs pl-7 pr-7 py-1 rounded-full bg-white/10 border border-white/10 text-slate-100 placeholder:text-slate-500 focus:outline-none focus:bg-white/15"
+                      placeholder='Search names, folders, "exact phrase"'
+                      title={'Filters: camera:"X-T4" lens:35mm iso:>1600 taken:2023-06 kind:video size:>50MB duration:<30s\nUse > >= < <= or a range like iso:100..400'}
+                      value={searchInput}
+                      onChange={(e) => setSearchInput(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') setSearchQuery(searchInput.trim()); if (e.key === 'Escape') setSearchInput('') }}
+                      aria-label="Search library"
+                    />
+                    {searchInput && (
+                      <button
+                        className="absolute right-1.5 top-1/2 -translate-y-1/2 p-0.5 rounded-full hover:bg-white/20"
+                        onClick={() => { setSearchInput(''); setSearchQuery('') }}
+                        title="Clear search"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 
                 {/* Right side controls */}
                 <div className="ml-auto flex items-center gap-2">
+                  {/* Map button */}
+                  {!isShareMode && (
+                    <button
+                      className={`inline-flex items-center gap-2 px-2 py-1 rounded-full border ${showMap ? 'bg-sky-500/20 border-sky-500/30 text-sky-300' : 'bg-white/10 border-white/10 hover:bg-white/20'}`}
+                      onClick={() => setShowMap(v => !v)}
+                      title={showMap ? 'Back to grid' : 'Show map'}
+                      aria-pressed={showMap}
+                    >
+                      <MapIcon className="w-4 h-4" />
+                    </button>
+                  )}
                   {/* Favorites button */}
                   {!isShareMode && (
                     <button
@@ -1386,8 +2742,27 @@ export default function App() {
                       <Heart className={`w-4 h-4 ${showFavorites ? 'fill-rose-400 text-rose-400' : ''}`} />
                     </button>
                   )}
+                  {!isShareMode && user?.can_upload && (
+                    <>
+                      <input
+                        ref={uploadInputRef}
+                        type="file"
+                        multiple
+                        accept="image/*,video/*"
+                        className="hidden"
+                        onChange={(e) => { enqueueUploads(e.target.files); e.target.value = '' }}
+                      />
+                      <button
+                        className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+                        onClick={() => uploadInputRef.current?.click()}
+                        title={`Upload into ${uploadFolder || 'Uploads'} (or drop files on the grid)`}
+                      >
+                        <Upload className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
                   {/* Share button (now shown in all views) */}
-                  {!isShareMode && (
+                  {!isShareMode && user?.can_share && (
                     <div ref={shareRef} className="relative">
                       <button
                         className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
@@ -1404,6 +2779,32 @@ export default function App() {
                           right: shareRef.current ? window.innerWidth - shareRef.current.getBoundingClientRect().right : 0
                         }}>
                           <div className="text-xs text-slate-300 mb-2">Share options</div>
+                          <ShareLinkOptions user={user} value={shareLinkOptions} onChange={setShareLinkOptions} />
+
+                          {/* Share the open album (follows later edits to the album) */}
+                          {activeAlbum && selectedIds.size === 0 && (
+                            <button
+                              className="w-full text-left inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20 mb-2"
+                              onClick={async () => {
+                                try {
+                                  const r = await API.shareCreateAlbum(activeAlbum.id, shareOptionsPayload())
+                                  if (!r?.token) throw new Error(r?.error || 'Share failed')
+                                  const full = `${window.location.origin}${r.urlPath}`
+                                  const copied = await copyToClipboard(full)
+                                  if (copied) {
+                                    showToast('Link copied to clipboard')
+                                  } else {
+                                    showToast('Please copy Share Link from All Shares')
+                                  }
+                                  setShareOpen(false)
+                                } catch (e) {
+                                  alert(e?.message || 'Failed to create share')
+                                }
+                              }}
+                            >
+                              <span className="truncate">Share "{activeAlbum.name}" Album</span>
+                            </button>
+                          )}
                           
                           {/* Share selected photos (first option when photos are selected) */}
                           {selectedIds.size > 0 && (
@@ -1412,7 +2813,7 @@ export default function App() {
                               onClick={async () => {
                                 try {
                                   const ids = Array.from(selectedIds)
-                                  const r = await API.shareCreate('', '', ids)
+                                  const r = await API.shareCreate('', '', ids, shareOptionsPayload())
                                   if (!r?.token) throw new Error(r?.error || 'Share failed')
                                   const full = `${window.location.origin}${r.urlPath}`
                                   const copied = await copyToClipboard(full)
@@ -1434,13 +2835,13 @@ export default function App() {
                           )}
                           
                           {/* Folder-based sharing (only in folders view) */}
-                          {treeMode === 'folders' && selected && !String(selected).startsWith('date:') && (
+                          {!activeAlbum && treeMode === 'folders' && selected && !String(selected).startsWith('date:') && (
                             <button
                               className="w-full text-left inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20 mb-2"
                               onClick={async () => {
                                 try {
                                   const folderName = String(selected).split('/').filter(Boolean).slice(-1)[0] || 'Folder'
-                                  const r = await API.shareCreate(selected, folderName)
+                                  const r = await API.shareCreate(selected, folderName, [], shareOptionsPayload(true))
                                   if (!r?.token) throw new Error(r?.error || 'Share failed')
                                   const full = `${window.location.origin}${r.urlPath}`
                                   const copied = await copyToClipboard(full)
@@ -1462,14 +2863,14 @@ export default function App() {
                           )}
                           
                           {/* Share selected from folder (only in folders view) */}
-                          {treeMode === 'folders' && selected && !String(selected).startsWith('date:') && selectedIds.size > 0 && (
+                          {!activeAlbum && treeMode === 'folders' && selected && !String(selected).startsWith('date:') && selectedIds.size > 0 && (
                             <button
                               className="w-full text-left inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20 mb-2"
                               onClick={async () => {
                                 try {
                                   const folderName = (String(selected).split('/').filter(Boolean).slice(-1)[0] || 'Folder')
                                   const ids = Array.from(selectedIds)
-                                  const r = await API.shareCreate(selected, `${folderName}`, ids)
+                                  const r = await API.shareCreate(selected, `${folderName}`, ids, shareOptionsPayload())
                                   if (!r?.token) throw new Error(r?.error || 'Share failed')
                                   const full = `${window.location.origin}${r.urlPath}`
                                   const copied = await copyToClipboard(full)
@@ -1491,7 +2892,7 @@ export default function App() {
                           )}
                           
                           {/* Instructions when no options available */}
-                          {selectedIds.size === 0 && !(treeMode === 'folders' && selected && !String(selected).startsWith('date:')) && (
+                          {selectedIds.size === 0 && !activeAlbum && !(treeMode === 'folders' && selected && !String(selected).startsWith('date:')) && (
                             <div className="mb-2 text-xs text-amber-300 bg-amber-900/30 border border-amber-500/30 rounded px-2 py-1">
                               Multiselect/Select Folder to Share
                             </div>
@@ -1568,6 +2969,90 @@ export default function App() {
               <div className="z-10 sticky top-0 bg-zinc-950/95 border-b border-white/10 shadow flex items-center justify-between px-3 py-2">
                 <div className="text-sm">{selectedIds.size} selected</div>
                 <div className="flex items-center gap-2">
+                  {!isShareMode && (
+                    <select
+                      className="text-xs px-2 py-1 rounded-full border bg-white/10 border-white/10 hover:bg-white/20 text-slate-100 disabled:opacity-50"
+                      style={{ color: '#f1f5f9', backgroundColor: 'rgba(255, 255, 255, 0.1)' }}
+                      value=""
+                      disabled={selectedIds.size === 0}
+                      onChange={async (e) => {
+                        const val = e.target.value
+                        const ids = Array.from(selectedIds)
+                        if (val === 'new') {
+                          const id = await createAlbum(ids)
+                          if (id) showToast(`Added ${ids.length} item${ids.length === 1 ? '' : 's'} to the new album`)
+                          return
+                        }
+                        const album = albums.find(a => String(a.id) === val)
+                        if (!album) return
+                        const r = await API.albumAddItems(album.id, ids)
+                        if (!r?.ok) { showToast(r?.error || 'Failed to add to album'); return }
+                        showToast(`Added ${r.added} item${r.added === 1 ? '' : 's'} to "${album.name}"`)
+                        refreshAlbums()
+                      }}
+                      title="Add to album"
+                    >
+                      <option value="" disabled style={{ backgroundColor: '#18181b', color: '#f1f5f9' }}>Add to album…</option>
+                      {albums.filter(a => a.id !== activeAlbumId).map(a => (
+                        <option key={a.id} value={a.id} style={{ backgroundColor: '#18181b', color: '#f1f5f9' }}>{a.name}</option>
+                      ))}
+                      <option value="new" style={{ backgroundColor: '#18181b', color: '#f1f5f9' }}>New album…</option>
+                    </select>
+                  )}
+                  {!isShareMode && activeAlbum && !showFavorites && (
+                    <>
+                      <button
+                        className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed text-xs"
+                        disabled={selectedIds.size !== 1}
+                        onClick={async () => {
+                          const [id] = Array.from(selectedIds)
+                          const r = await API.albumUpdate(activeAlbum.id, { cover_id: id })
+                          if (!r?.ok) { showToast(r?.error || 'Failed to set cover'); return }
+                          showToast('Album cover updated')
+                          refreshAlbums()
+                        }}
+                        title="Use the selected item as album cover"
+                      >
+                        Set cover
+                      </button>
+                      <button
+                        className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15 disabled:opacity-50 disabled:cursor-not-allowed text-xs"
+                        disabled={selectedIds.size === 0}
+                        onClick={async () => {
+                          const ids = Array.from(selectedIds)
+                          const r = await API.albumRemoveItems(activeAlbum.id, ids)
+                          if (!r?.ok) { showToast(r?.error || 'Failed to remove from album'); return }
+                          const gone = new Set(ids)
+                          setPhotos(prev => prev.filter(p => !gone.has(p.id)))
+                          setTotal(t => Math.max(0, t - r.removed))
+                          setSelectedIds(new Set())
+                          refreshAlbums()
+                        }}
+                        title="Remove from album"
+                      >
+                        Remove
+                      </button>
+                    </>
+                  )}
+                  {!isShareMode && selectedIds.size === 1 && (
+                    <button
+                      className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
+                      onClick={renameSelected}
+                      title="Rename file"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                  {!isShareMode && user?.can_delete && (
+                    <button
+                      className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+                      onClick={deleteSelected}
+                      title="Move to trash"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                  {canDownload && (
                   <button
                     className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
                     onClick={downloadZip}
@@ -1581,6 +3066,7 @@ export default function App() {
                     )}
                     .zip
                   </button>
+                  )}
                   <button
                     className="inline-flex items-center justify-center p-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
                     onClick={() => { setSelectMode(false); setSelectedIds(new Set()) }}
@@ -1592,6 +3078,20 @@ export default function App() {
               </div>
             )}
 
+            {showMap && !isShareMode ? (
+              <MapView
+                filter={mediaFilter}
+                library={libraryId}
+                onOpenArea={(area) => {
+                  setShowFavorites(false)
+                  setActiveAlbumId(null)
+                  setSearchInput('')
+                  setSearchQuery('')
+                  setGeoArea(area)
+                  setShowMap(false)
+                }}
+              />
+            ) : (
             <section ref={scrollRef} className="relative flex-1 overflow-auto p-3">
               {resizing && (
                 <div className="absolute inset-0 z-10 bg-black/30 flex items-center justify-center">
@@ -1605,7 +3105,21 @@ export default function App() {
               )}
 
               {/* Grid */}
-              {initialLoaded && photos.length === 0 && !showFavorites ? (
+              {initialLoaded && photos.length === 0 && !showFavorites && searchQuery ? (
+                <div className="flex items-center justify-center py-16">
+                  <div className="text-center">
+                    <div className="text-slate-400 text-lg mb-2">No results for “{searchQuery}”</div>
+                    <div className="text-slate-500 text-sm">Words match by prefix; wrap text in quotes to match an exact phrase</div>
+                  </div>
+                </div>
+              ) : initialLoaded && photos.length === 0 && !showFavorites && activeAlbum ? (
+                <div className="flex items-center justify-center py-16">
+                  <div className="text-center">
+                    <div className="text-slate-400 text-lg mb-2">“{activeAlbum.name}” is empty</div>
+                    <div className="text-slate-500 text-sm">Select photos anywhere in your library and choose Add to album</div>
+                  </div>
+                </div>
+              ) : initialLoaded && photos.length === 0 && !showFavorites ? (
                 <div className="flex items-center justify-center py-16">
                   <div className="text-center">
                     <div className="text-slate-400 text-lg mb-2">There are no Items in this selection</div>
@@ -1631,17 +3145,21 @@ export default function App() {
                     const nodes = []
                     let lastDateKey = ''
                     const list = visiblePhotos
+                    // Albums keep their own order, so day headers would only break it up
+                    const albumOrder = !showFavorites && (!!activeAlbumId || (isShareMode && !!shareInfo?.album))
+                    const canReorder = !isShareMode && !!activeAlbumId && !showFavorites && !selectMode
                     for (let i = 0; i < list.length; i++) {
                       const p = list[i]
-                      const dateKey = new Date(Number(p.mtime)).toLocaleDateString('en-US', { timeZone: 'UTC' })
-                      if (dateKey !== lastDateKey) {
+                      const sortTime = p.taken_at || p.mtime
+                      const dateKey = new Date(Number(sortTime)).toLocaleDateString('en-US', { timeZone: 'UTC' })
+                      if (!albumOrder && dateKey !== lastDateKey) {
                         nodes.push(
                           <div
                             key={`hdr-${dateKey}-${i}`}
                             style={{ gridColumn: '1 / -1' }}
                             className="mt-3 mb-1 px-1 py-1 text-xs sm:text-sm font-medium text-slate-200"
                           >
-                            {formatDayHeader(p.mtime)}
+                            {formatDayHeader(sortTime)}
                           </div>
                         )
                         lastDateKey = dateKey
@@ -1654,6 +3172,16 @@ export default function App() {
                           key={p.id}
                           className={`group relative aspect-[4/3] overflow-hidden bg-white/5 ${isSel ? 'ring-2 ring-sky-400/60' : ''} hover:scale-[1.01] transition`}
                           onClick={() => onTileClick(p.id, i)}
+                          draggable={!isShareMode}
+                          onDragStart={isShareMode ? undefined : (e) => {
+                            // Dragging a selected tile carries the whole selection to a folder
+                            const ids = isSel ? Array.from(selectedIds) : [p.id]
+                            e.dataTransfer.setData(DRAG_IDS_TYPE, JSON.stringify(ids))
+                            e.dataTransfer.effectAllowed = 'move'
+                            if (canReorder) dragIdRef.current = p.id
+                          }}
+                          onDragOver={canReorder ? (e) => e.preventDefault() : undefined}
+                          onDrop={canReorder ? (e) => { e.preventDefault(); moveAlbumItem(dragIdRef.current, p.id); dragIdRef.current = null } : undefined}
                         >
                           <Thumbnail
                             id={p.id}
@@ -1682,6 +3210,14 @@ export default function App() {
                               {isSel ? '✓ Selected' : 'Tap to select'}
                             </div>
                           )}
+                          {!showFavorites && (p.hl_fname || p.hl_folder) && (
+                            <div className="absolute inset-x-0 bottom-0 bg-black/60 px-1.5 py-0.5 text-left text-[10px] leading-tight text-slate-100">
+                              <div className="truncate">{renderHighlighted(p.hl_fname || p.fname)}</div>
+                              {p.hl_folder && p.hl_folder.includes('\u0002') && (
+                                <div className="truncate text-slate-300">{renderHighlighted(p.hl_folder)}</div>
+                              )}
+                            </div>
+                          )}
                           <div className="absolute inset-0 bg-black/0 group-hover:bg-black/10 transition" />
                         </button>
                       )
@@ -1694,6 +3230,7 @@ export default function App() {
               <div ref={sentinelRef} className="h-20" />
               {loading && <div className="text-center text-slate-400 py-4">Loading…</div>}
             </section>
+            )}
           </main>
         </div>
       )}
@@ -1718,7 +3255,7 @@ export default function App() {
               </button>
               <img src="/logo.svg" alt="Liquid Photos" className="w-5 h-5" />
               <div className="text-sm font-semibold text-slate-100">Liquid Photos</div>
-              {user?.is_admin && (
+              {user?.can_scan && (
                 <div className="relative ml-auto">
                   <button
                     className="inline-flex items-center gap-2 text-xs px-2 py-1 rounded-full border border-white/10 bg-white/10 hover:bg-white/15"
@@ -1737,8 +3274,10 @@ export default function App() {
                             if (scanning) return
                             setScanning(true)
                             try {
-                              const result = await API.rescan()
+                              setScanProgress(null)
+                              const result = await API.rescan(scanWarm)
                               if (result?.ok) {
+                                showToast(scanSummary(result) || 'No changes found')
                                 // Start polling for status
                                 setScanJobToken(Date.now())
                               } else {
@@ -1762,6 +3301,13 @@ export default function App() {
                           </button>
                         )}
                       </div>
+                      <ScanProgress
+                        progress={scanProgress}
+                        running={!!scanJobToken}
+                        warm={scanWarm}
+                        onWarmChange={setScanWarm}
+                        onCancel={async () => { try { await API.cancelScan() } catch {} }}
+                      />
                       <div className="border-b border-white/10" />
                       <div className="p-2">
                         <div className="text-xs text-slate-300 font-semibold mb-2">Scan Path</div>
@@ -1797,8 +3343,10 @@ export default function App() {
                               if (!scanSelectedPath) return
                               setScanning(true)
                               try {
-                                const r = await API.rescanPath(scanSelectedPath)
+                                setScanProgress(null)
+                                const r = await API.rescanPath(scanSelectedPath, scanWarm)
                                 if (r?.ok) {
+                                  showToast(scanSummary(r) || 'No changes found')
                                   // Start polling for status
                                   setScanJobToken(Date.now())
                                   // Clear photo cache to force fresh load after scan
@@ -1854,12 +3402,21 @@ export default function App() {
                     setDateRange({ from, to })
                   }
                 }
+                setGeoArea(null)
+                setShowMap(false)
+                setSearchInput('')
+                setSearchQuery('')
+                setActiveAlbumId(null)
                 setSelected(p)
                 setSidebarOpen(false)
               }}
               selected={selected}
               mode={treeMode}
               loading={treeLoading}
+              folderActions={folderActions}
+              libraries={libraries}
+              libraryId={libraryId}
+              onSelectLibrary={(id) => { selectLibrary(id); setSidebarOpen(false) }}
               onToggleMode={async (nextMode) => {
                 if (nextMode === treeMode) return
                 // Set loading states to prevent race conditions
@@ -1887,7 +3444,7 @@ export default function App() {
                   setSelectedIds(new Set())
                   setDateRange({ from: 0, to: 0 })
                   // Refresh tree with new mode
-                  const t = await API.tree(nextMode, mediaFilter)
+                  const t = await API.tree(nextMode, mediaFilter, libraryId)
                   if (!t) throw new Error('Failed to load tree')
                   // Update tree and reset selection
                   setTree(t)
@@ -1906,9 +3463,20 @@ export default function App() {
               }}
             />
 
+            <SidebarAlbums
+              albums={albums}
+              activeId={activeAlbumId}
+              onSelect={(a) => { openAlbum(a); setSidebarOpen(false) }}
+              onCreate={async () => { const id = await createAlbum(); if (id) { setActiveAlbumId(id); setSidebarOpen(false) } }}
+              onRename={renameAlbum}
+              onDelete={deleteAlbum}
+            />
+
             <SidebarFooter
               user={user}
               onGoAdmin={() => { setView('admin'); setSidebarOpen(false) }}
+              onGoTrash={() => { setView('trash'); setSidebarOpen(false) }}
+              onGoDuplicates={() => { setView('duplicates'); setSidebarOpen(false) }}
               onSignOut={async () => { await API.logout(); setUser(null) }}
             />
           </aside>
@@ -1925,6 +3493,7 @@ export default function App() {
               <div className="text-sm font-semibold">All shares</div>
               <button className="ml-auto p-2 rounded-full bg-white/10 border border-white/10" onClick={() => setShareModalOpen(false)}><X className="w-4 h-4" /></button>
             </div>
+            <UploadQueue />
             {/* Always show shares list */}
             <div className="space-y-2">
               {loadingShares && (
@@ -1941,9 +3510,11 @@ export default function App() {
                       overflow: 'hidden',
                       wordBreak: 'break-all'
                     }}>
-                      {s.folder}
+                      {s.album_id ? `Album: ${s.album_name || s.name}` : s.folder}
                     </div>
                     <div className="text-[10px] text-slate-500">{new Date(s.created_at).toLocaleString()}</div>
+                    <ShareSettingsEditor user={user} share={s} onChange={(next) => setShares(prev => prev.map(x => x.id === next.id ? next : x))} />
+                    <ShareActivity share={s} />
                   </div>
                   <div className="flex items-center gap-2 shrink-0">
                     <button className="text-xs px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={async()=>{ const copied = await copyToClipboard(`${window.location.origin}${s.urlPath}`); if (copied) showToast('Link copied to clipboard') }}>Copy link</button>
@@ -1973,7 +3544,8 @@ export default function App() {
           onPrev={prev}
           onNext={next}
           onClose={closeViewer}
-          onDownload={downloadActive}
+          onDownload={canDownload ? downloadActive : null}
+          canOriginal={isShareMode || !!user?.can_download_originals}
           ensureMeta={ensureMeta}
           meta={meta}
           onFullscreen={() => openFullscreen(viewer.index)}
@@ -1991,36 +3563,292 @@ export default function App() {
 
 function prevLen(arr) { return Array.isArray(arr) ? arr.length : 0 }
 
-/* ----- Viewer ----- */
-function Viewer({
-  isSmall, isVerySmall, infoOpen, setInfoOpen, photo, truncatedName, imgMaxHeight,
-  onPrev, onNext, onClose, onDownload, ensureMeta, meta, onFullscreen,
-  onTouchStart, onTouchMove, onTouchEnd, buildImageUrl,
-  isFavorite, toggleFavorite
-}) {
-  // Favorite helpers available via props
-  const [useFullRes, setUseFullRes] = useState(false) // Default to optimized view (false = optimized, true = original)
-  const [imageLoading, setImageLoading] = useState(true)
-  const isVideo = String(photo?.kind) === 'video'
-  const [quality, setQuality] = useState('reduced') // 'original' | 'reduced' - default to optimized (reduced)
-  const [imageUrl, setImageUrl] = useState('')
-  const [isBrowserFullscreen, setIsBrowserFullscreen] = useState(false)
+/* ----- Live library changes ----- */
+// Newest first, the same order as /api/photos: capture time (or mtime), then id
+function comparePhotos(a, b) {
+  return ((b.taken_at || b.mtime) - (a.taken_at || a.mtime)) || (b.id - a.id)
+}
 
-  // Reset loading state when photo changes
-  useEffect(() => {
-    setImageLoading(true)
-  }, [photo.id])
+// Index where `item` belongs in a loaded, sorted page list; -1 when it sorts past the last
+// loaded item while more pages are pending (that page will bring it)
+function photoInsertIndex(list, item, hasMore) {
+  const i = list.findIndex(p => comparePhotos(item, p) < 0)
+  if (i >= 0) return i
+  return hasMore ? -1 : list.length
+}
 
-  // Check if we're in browser fullscreen mode
-  useEffect(() => {
-    const checkFullscreen = () => {
-      const isFullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement)
-      setIsBrowserFullscreen(isFullscreen)
-    }
-    checkFullscreen()
-    const handleFullscreenChange = () => { checkFullscreen() }
-    document.addEventListener('fullscreenchange', handleFullscreenChange)
-    document.addEventListener('webkitfullscreenchange', handleFullscreenChange)
+// Tree nodes from the root down to the one counting `item`, built like the server's trees
+function treeChainFor(item, mode, rootPath) {
+  if (mode === 'dates') {
+    const d = new Date(item.taken_at || item.mtime)
+    const y = d.getUTCFullYear()
+    const m = String(d.getUTCMonth() + 1).padStart(2, '0')
+    const day = String(d.getUTCDate()).padStart(2, '0')
+    return [
+      { path: `date:Y-${y}`, name: String(y) },
+      { path: `date:M-${y}-${m}`, name: d.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' }) },
+      { path: `date:D-${y}-${m}-${day}`, name: `${d.toLocaleString('en-US', { weekday: 'short', timeZone: 'UTC' })}, ${d.getUTCDate()}` },
+    ]
+  }
+  let folder = String(item.folder || '')
+  if (rootPath && folder.startsWith(rootPath)) folder = folder.slice(rootPath.length).replace(/^\//, '')
+  const segs = folder === '.' ? [] : folder.split('/').filter(Boolean)
+  return segs.map((name, i) => ({ path: segs.slice(0, i + 1).join('/'), name }))
+}
+
+// Copy of `node` with `delta` added to every count along `chain`. Missing nodes are created
+// in the server's order (folders by name, dates newest first); a node emptied here is dropped
+function adjustTreeCounts(node, chain, delta, mode) {
+  const next = { ...node, count: Math.max(0, (node.count || 0) + delta) }
+  if (!chain.length) return next
+  const [head, ...rest] = chain
+  let children = node.children || []
+  let child = children.find(c => c.path === head.path)
+  if (!child) {
+    if (delta < 0) return next
+    child = { name: head.name, path: head.path, count: 0, children: [] }
+    children = [...children, child].sort(mode === 'dates'
+      ? (a, b) => b.path.localeCompare(a.path)
+      : (a, b) => a.name.localeCompare(b.name))
+  }
+  const updated = adjustTreeCounts(child, rest, delta, mode)
+  next.children = children
+    .map(c => c === child ? updated : c)
+    .filter(c => c !== updated || c.count > 0 || c.children.length > 0)
+  return next
+}
+
+/* ----- Map ----- */
+// Plain equirectangular projection in degrees: x = lon + 180, y = 90 - lat.
+// The world outline is bundled (world-atlas), so the map works without any tile server.
+let landPathCache = ''
+function getLandPath() {
+  if (landPathCache) return landPathCache
+  const land = feature(landTopology, landTopology.objects.land)
+  const geoms = land.type === 'FeatureCollection' ? land.features.map(f => f.geometry) : [land.geometry]
+  const parts = []
+  for (const g of geoms) {
+    if (!g) continue
+    const polys = g.type === 'Polygon' ? [g.coordinates] : (g.type === 'MultiPolygon' ? g.coordinates : [])
+    for (const poly of polys) {
+      for (const ring of poly) {
+        parts.push('M' + ring.map(([lon, lat]) => `${(lon + 180).toFixed(2)},${(90 - lat).toFixed(2)}`).join('L') + 'Z')
+      }
+    }
+  }
+  landPathCache = parts.join('')
+  return landPathCache
+}
+
+const MAP_MIN_SCALE = 0.00005 // degrees per pixel when fully zoomed in
+
+function MapView({ filter, library, onOpenArea }) {
+  const wrapRef = useRef(null)
+  const dragRef = useRef(null)
+  const [size, setSize] = useState({ w: 0, h: 0 })
+  // center (projected degrees) + scale (degrees per pixel)
+  const [cam, setCam] = useState(null)
+  const [clusters, setClusters] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const landPath = useMemo(() => getLandPath(), [])
+
+  const maxScale = size.w && size.h ? Math.max(360 / size.w, 180 / size.h) : 1
+
+  useEffect(() => {
+    const el = wrapRef.current
+    if (!el) return
+    const ro = new ResizeObserver(() => setSize({ w: el.clientWidth, h: el.clientHeight }))
+    ro.observe(el)
+    setSize({ w: el.clientWidth, h: el.clientHeight })
+    return () => ro.disconnect()
+  }, [])
+
+  // Fit the whole world once the container has a size
+  useEffect(() => {
+    if (!cam && size.w && size.h) setCam({ cx: 180, cy: 90, k: maxScale })
+  }, [cam, size.w, size.h, maxScale])
+
+  const clampCam = useCallback((c) => {
+    const k = Math.max(MAP_MIN_SCALE, Math.min(maxScale, c.k))
+    return { k, cx: Math.max(0, Math.min(360, c.cx)), cy: Math.max(0, Math.min(180, c.cy)) }
+  }, [maxScale])
+
+  // Load clusters for the visible area (debounced while panning/zooming)
+  useEffect(() => {
+    if (!cam || !size.w) return
+    const controller = new AbortController()
+    const t = setTimeout(async () => {
+      const vw = size.w * cam.k, vh = size.h * cam.k
+      const minLon = Math.max(-180, cam.cx - vw / 2 - 180)
+      const maxLon = Math.min(180, cam.cx + vw / 2 - 180)
+      const maxLat = Math.min(90, 90 - (cam.cy - vh / 2))
+      const minLat = Math.max(-90, 90 - (cam.cy + vh / 2))
+      setLoading(true); setError('')
+      try {
+        const r = await API.geo({
+          bbox: [minLon, minLat, maxLon, maxLat].map(n => n.toFixed(6)).join(','),
+          // roughly one cluster cell per 64px of map width, scaled to the visible longitude span
+          cells: Math.max(4, Math.round((size.w * (maxLon - minLon)) / (vw || 1) / 64)),
+          filter,
+          ...(library ? { library } : {})
+        }, { signal: controller.signal })
+        if (r?.error) throw new Error(r.error)
+        setClusters(Array.isArray(r?.items) ? r.items : [])
+        setTotal(Number(r?.total || 0))
+      } catch (e) {
+        if (e?.name !== 'AbortError') setError(e?.message || 'Failed to load map')
+      } finally {
+        setLoading(false)
+      }
+    }, 200)
+    return () => { clearTimeout(t); controller.abort() }
+  }, [cam, size.w, size.h, filter, library])
+
+  const zoomAt = (factor, px, py) => {
+    setCam(c => {
+      if (!c) return c
+      const k = Math.max(MAP_MIN_SCALE, Math.min(maxScale, c.k * factor))
+      // keep the point under the cursor fixed
+      const ux = c.cx + (px - size.w / 2) * c.k
+      const uy = c.cy + (py - size.h / 2) * c.k
+      return clampCam({ k, cx: ux - (px - size.w / 2) * k, cy: uy - (py - size.h / 2) * k })
+    })
+  }
+
+  const onWheel = (e) => {
+    const rect = wrapRef.current.getBoundingClientRect()
+    zoomAt(e.deltaY < 0 ? 0.8 : 1.25, e.clientX - rect.left, e.clientY - rect.top)
+  }
+  const onPointerDown = (e) => {
+    if (!cam) return
+    dragRef.current = { x: e.clientX, y: e.clientY, cx: cam.cx, cy: cam.cy, moved: false }
+  }
+  const onPointerMove = (e) => {
+    const d = dragRef.current
+    if (!d) return
+    const dx = e.clientX - d.x, dy = e.clientY - d.y
+    if (Math.abs(dx) + Math.abs(dy) > 3) d.moved = true
+    setCam(c => c && clampCam({ ...c, cx: d.cx - dx * c.k, cy: d.cy - dy * c.k }))
+  }
+  const onPointerUp = () => { setTimeout(() => { dragRef.current = null }, 0) }
+
+  const openCluster = (c) => {
+    if (dragRef.current?.moved) return
+    // pad degenerate (single-point) boxes so float comparisons still match
+    const [minLon, minLat, maxLon, maxLat] = c.bbox
+    const pad = 1e-6
+    onOpenArea({ bbox: [minLon - pad, minLat - pad, maxLon + pad, maxLat + pad].map(n => Number(n.toFixed(7))), count: c.count })
+  }
+
+  const viewBox = cam
+    ? `${cam.cx - (size.w * cam.k) / 2} ${cam.cy - (size.h * cam.k) / 2} ${size.w * cam.k} ${size.h * cam.k}`
+    : '0 0 360 180'
+  const k = cam?.k || 1
+
+  return (
+    <section className="relative flex-1 min-h-0 overflow-hidden bg-zinc-900">
+      <div
+        ref={wrapRef}
+        className="absolute inset-0 touch-none select-none cursor-grab active:cursor-grabbing"
+        onWheel={onWheel}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerLeave={onPointerUp}
+      >
+        {cam && (
+          <svg width={size.w} height={size.h} viewBox={viewBox} className="block">
+            <rect x="0" y="0" width="360" height="180" fill="#0b1220" />
+            <path d={landPath} fill="#27272a" stroke="#3f3f46" strokeWidth={0.6 * k} />
+            {clusters.map((c, i) => {
+              const x = c.lon + 180, y = 90 - c.lat
+              const r = (14 + Math.min(18, Math.log2(c.count) * 3)) * k
+              return (
+                <g key={`${c.id}-${i}`} className="cursor-pointer" onClick={() => openCluster(c)}>
+                  <clipPath id={`map-clip-${i}`}><circle cx={x} cy={y} r={r} /></clipPath>
+                  <circle cx={x} cy={y} r={r + 2 * k} fill="#0ea5e9" opacity="0.9" />
+                  <image
+                    href={apiUrl(`/thumb/${c.id}`)}
+                    x={x - r} y={y - r} width={r * 2} height={r * 2}
+                    preserveAspectRatio="xMidYMid slice"
+                    clipPath={`url(#map-clip-${i})`}
+                  />
+                  {c.count > 1 && (
+                    <>
+                      <circle cx={x + r * 0.75} cy={y - r * 0.75} r={9 * k} fill="#0f172a" stroke="#0ea5e9" strokeWidth={1 * k} />
+                      <text x={x + r * 0.75} y={y - r * 0.75} fontSize={9 * k} fill="#e2e8f0" textAnchor="middle" dominantBaseline="central">
+                        {c.count > 999 ? `${Math.floor(c.count / 1000)}k` : c.count}
+                      </text>
+                    </>
+                  )}
+                </g>
+              )
+            })}
+          </svg>
+        )}
+      </div>
+
+      <div className="absolute top-3 left-3 flex flex-col gap-2">
+        <button
+          className="p-2 rounded-full bg-zinc-950/80 border border-white/10 hover:bg-white/20"
+          onClick={() => zoomAt(0.5, size.w / 2, size.h / 2)}
+          title="Zoom in"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+        <button
+          className="p-2 rounded-full bg-zinc-950/80 border border-white/10 hover:bg-white/20"
+          onClick={() => zoomAt(2, size.w / 2, size.h / 2)}
+          title="Zoom out"
+        >
+          <Minus className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="absolute bottom-3 left-3 text-xs px-2 py-1 rounded-full bg-zinc-950/80 border border-white/10 text-slate-300">
+        {loading ? 'Loading…' : `${total.toLocaleString()} geotagged items in view`}
+      </div>
+      {error && (
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 text-sm text-rose-300 bg-rose-950/60 border border-rose-500/30 rounded-lg px-3 py-2">
+          {error}
+        </div>
+      )}
+    </section>
+  )
+}
+
+/* ----- Viewer ----- */
+function Viewer({
+  isSmall, isVerySmall, infoOpen, setInfoOpen, photo, truncatedName, imgMaxHeight,
+  onPrev, onNext, onClose, onDownload, canOriginal = true, ensureMeta, meta, onFullscreen,
+  onTouchStart, onTouchMove, onTouchEnd, buildImageUrl,
+  isFavorite, toggleFavorite
+}) {
+  // Favorite helpers available via props
+  const [useFullRes, setUseFullRes] = useState(false) // Default to optimized view (false = optimized, true = original)
+  const [imageLoading, setImageLoading] = useState(true)
+  const isVideo = String(photo?.kind) === 'video'
+  const [quality, setQuality] = useState('reduced') // 'original' | 'reduced' - default to optimized (reduced)
+  const [imageUrl, setImageUrl] = useState('')
+  const [isBrowserFullscreen, setIsBrowserFullscreen] = useState(false)
+
+  // Reset loading state when photo changes
+  useEffect(() => {
+    setImageLoading(true)
+  }, [photo.id])
+
+  // Check if we're in browser fullscreen mode
+  useEffect(() => {
+    const checkFullscreen = () => {
+      const isFullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement)
+      setIsBrowserFullscreen(isFullscreen)
+    }
+    checkFullscreen()
+    const handleFullscreenChange = () => { checkFullscreen() }
+    document.addEventListener('fullscreenchange', handleFullscreenChange)
+    document.addEventListener('webkitfullscreenchange', handleFullscreenChange)
     document.addEventListener('msfullscreenchange', handleFullscreenChange)
     return () => {
       document.removeEventListener('fullscreenchange', handleFullscreenChange)
@@ -2080,7 +3908,7 @@ function Viewer({
                     </button>
                   )}
                   {/* Hide optimized button on very small screens */}
-                  {!isVerySmall && (
+                  {!isVerySmall && canOriginal && (
                     <button
                       className={`px-3 py-1 rounded-full border border-white/10 ${useFullRes ? 'bg-white/20' : 'bg-white/10 hover:bg-white/20'}`}
                       onClick={() => { setUseFullRes(!useFullRes); setImageLoading(true) }}
@@ -2118,6 +3946,7 @@ function Viewer({
                   <Info className="w-6 h-6 text-white" />
                 </button>
               )}
+              {onDownload && (
               <button
                 className="p-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
                 onClick={onDownload}
@@ -2125,6 +3954,7 @@ function Viewer({
               >
                 <Download className="w-6 h-6 text-white" />
               </button>
+              )}
               <button
                 className="p-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/20"
                 onClick={onClose}
@@ -2326,16 +4156,24 @@ function LoginScreen({ onLoggedIn }) {
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [busy, setBusy] = useState(false)
+  // set once the password is accepted and the account asks for its second factor
+  const [ticket, setTicket] = useState(null)
+  const [code, setCode] = useState('')
 
   const submit = async (e) => {
     e.preventDefault()
     setBusy(true); setError('')
     try {
-      const r = await API.login(username.trim(), password)
+      const r = ticket ? await API.loginTotp(ticket, code.trim()) : await API.login(username.trim(), password)
       if (r?.ok) {
         await onLoggedIn()
+      } else if (r?.totp_required) {
+        setTicket(r.ticket)
+        setCode('')
       } else {
         setError(r?.error || 'Login failed')
+        // an expired ticket means starting over with the password
+        if (ticket && /expired/.test(r?.error || '')) setTicket(null)
       }
     } catch {
       setError('Login failed')
@@ -2354,25 +4192,47 @@ function LoginScreen({ onLoggedIn }) {
           </div>
           <form onSubmit={submit} className="w-full bg-white/5 border border-white/10 rounded-xl p-4">
             <div className="text-lg font-semibold text-white mb-2">Sign in</div>
-          <div className="text-xs text-slate-400 mb-4">Use your account credentials.</div>
+          <div className="text-xs text-slate-400 mb-4">{ticket ? 'Enter the code from your authenticator app, or a recovery code.' : 'Use your account credentials.'}</div>
           {error && <div className="mb-3 text-xs text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-2 py-1">{error}</div>}
-          <label className="block text-sm text-slate-300 mb-1">Username</label>
-          <input
-            className="w-full mb-3 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100"
-            value={username} onChange={e => setUsername(e.target.value)} autoFocus
-          />
-          <label className="block text-sm text-slate-300 mb-1">Password</label>
-          <input
-            type="password"
-            className="w-full mb-4 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100"
-            value={password} onChange={e => setPassword(e.target.value)}
-          />
-          <button
-            type="submit" disabled={busy}
-            className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
-          >
-            {busy ? 'Signing in…' : 'Sign in'}
-          </button>
+          {ticket ? (
+            <>
+              <label className="block text-sm text-slate-300 mb-1">Authentication code</label>
+              <input
+                className="w-full mb-4 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100 tracking-widest"
+                inputMode="numeric" autoComplete="one-time-code" autoFocus
+                value={code} onChange={e => setCode(e.target.value)}
+              />
+              <button
+                type="submit" disabled={busy || !code.trim()}
+                className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+              >
+                {busy ? 'Checking…' : 'Verify'}
+              </button>
+              <button type="button" className="mt-3 w-full text-xs text-slate-400 hover:text-slate-200" onClick={() => { setTicket(null); setError('') }}>
+                Back
+              </button>
+            </>
+          ) : (
+            <>
+              <label className="block text-sm text-slate-300 mb-1">Username</label>
+              <input
+                className="w-full mb-3 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100"
+                value={username} onChange={e => setUsername(e.target.value)} autoFocus
+              />
+              <label className="block text-sm text-slate-300 mb-1">Password</label>
+              <input
+                type="password"
+                className="w-full mb-4 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100"
+                value={password} onChange={e => setPassword(e.target.value)}
+              />
+              <button
+                type="submit" disabled={busy}
+                className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+              >
+                {busy ? 'Signing in…' : 'Sign in'}
+              </button>
+            </>
+          )}
         </form>
         </div>
       </div>
@@ -2380,146 +4240,1415 @@ function LoginScreen({ onLoggedIn }) {
   )
 }
 
-/* ----- Admin Panel ----- */
-function AdminPanel({ user, onClose }) {
-  const [list, setList] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState('')
-  const [form, setForm] = useState({ username: '', password: '', path: '', isAdmin: false })
-  const [creating, setCreating] = useState(false)
-  const [deletingId, setDeletingId] = useState(0)
-  const [allShares, setAllShares] = useState([])
-  const [loadingShares, setLoadingShares] = useState(false)
+/* ----- Share settings ----- */
+const SHARE_PERMISSIONS = [
+  { value: 'view', label: 'View only' },
+  { value: 'download', label: 'Allow download' },
+  { value: 'originals', label: 'Allow originals' }
+]
+// Permissions a user may hand out (originals need the originals capability); `current`
+// stays listed so existing shares still show their setting
+const sharePermissionsFor = (user, current) =>
+  SHARE_PERMISSIONS.filter(p => p.value !== 'originals' || user?.can_download_originals || p.value === current)
+const selectStyle = { color: '#f1f5f9', backgroundColor: 'rgba(255, 255, 255, 0.1)' }
+const optionStyle = { backgroundColor: '#18181b', color: '#f1f5f9' }
 
-  const load = useCallback(async () => {
-    setLoading(true); setError('')
+// <input type="date"> works in local days; an expiry date means "until the end of that day"
+function toDateInput(ms) {
+  if (!ms) return ''
+  const d = new Date(Number(ms) - 1)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+function fromDateInput(value) {
+  if (!value) return null
+  const [y, m, d] = value.split('-').map(n => parseInt(n, 10))
+  return new Date(y, m - 1, d + 1).getTime()
+}
+
+/* Options applied to links created from the share popover */
+function ShareLinkOptions({ user, value, onChange }) {
+  const permissions = sharePermissionsFor(user)
+  return (
+    <div className="mb-2 space-y-1.5 text-xs">
+      <select
+        className="w-full px-2 py-1 rounded-full border bg-white/10 border-white/10 text-slate-100"
+        style={selectStyle}
+        value={permissions.some(p => p.value === value.permission) ? value.permission : 'download'}
+        onChange={(e) => onChange({ ...value, permission: e.target.value })}
+      >
+        {permissions.map(p => <option key={p.value} value={p.value} style={optionStyle}>{p.label}</option>)}
+      </select>
+      <select
+        className="w-full px-2 py-1 rounded-full border bg-white/10 border-white/10 text-slate-100"
+        style={selectStyle}
+        value={value.expiresInDays}
+        onChange={(e) => onChange({ ...value, expiresInDays: Number(e.target.value) })}
+      >
+        <option value={0} style={optionStyle}>Never expires</option>
+        <option value={1} style={optionStyle}>Expires in 1 day</option>
+        <option value={7} style={optionStyle}>Expires in 7 days</option>
+        <option value={30} style={optionStyle}>Expires in 30 days</option>
+      </select>
+      <input
+        type="password"
+        className="w-full px-2 py-1 rounded-full bg-white/10 border border-white/10 text-slate-100 placeholder:text-slate-500"
+        placeholder="Password (optional)"
+        value={value.password}
+        onChange={(e) => onChange({ ...value, password: e.target.value })}
+        autoComplete="new-password"
+      />
+      {user?.can_upload && (
+        <label className="flex items-center gap-2 px-1 text-slate-300" title="Only applies to folder links">
+          <input type="checkbox" checked={value.allowUpload} onChange={(e) => onChange({ ...value, allowUpload: e.target.checked })} />
+          Let guests upload (folder links)
+        </label>
+      )}
+    </div>
+  )
+}
+
+/* Inline editor for an existing share: permission, expiry date and password */
+function ShareSettingsEditor({ user, share, onChange }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const save = async (patch) => {
+    setBusy(true); setError('')
     try {
-      const r = await API.adminUsers()
-      if (r?.items) setList(r.items); else throw new Error(r?.error || 'Failed to load users')
+      const r = await API.shareUpdate(share.id, patch)
+      if (!r?.ok) throw new Error(r?.error || 'Update failed')
+      onChange({
+        ...share, name: r.name, expires_at: r.expires_at, permission: r.permission, has_password: !!r.has_password,
+        allow_upload: r.allow_upload, upload_folder: r.upload_folder
+      })
     } catch (e) {
-      setError(e.message)
+      setError(e?.message || 'Update failed')
     } finally {
-      setLoading(false)
+      setBusy(false)
     }
-  }, [])
+  }
+  const expired = !!share.expires_at && share.expires_at <= Date.now()
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+      <select
+        className="px-2 py-0.5 rounded-full border bg-white/10 border-white/10 text-slate-100"
+        style={selectStyle}
+        value={share.permission || 'originals'}
+        disabled={busy}
+        onChange={(e) => save({ permission: e.target.value })}
+        title="What visitors may do"
+      >
+        {sharePermissionsFor(user, share.permission || 'originals').map(p => <option key={p.value} value={p.value} style={optionStyle}>{p.label}</option>)}
+      </select>
+      <label className="inline-flex items-center gap-1 text-slate-400">
+        Expires
+        <input
+          type="date"
+          className="px-2 py-0.5 rounded-full bg-white/10 border border-white/10 text-slate-100"
+          value={toDateInput(share.expires_at)}
+          disabled={busy}
+          onChange={(e) => save({ expires_at: fromDateInput(e.target.value) })}
+        />
+      </label>
+      {expired && <span className="text-amber-300">Expired</span>}
+      {!share.album_id && !share.selected && (user?.can_upload || !!share.allow_upload) && (
+        <label className="inline-flex items-center gap-1 text-slate-400" title="Guests can upload into a subfolder; uploads wait for your approval">
+          <input type="checkbox" checked={!!share.allow_upload} disabled={busy} onChange={(e) => save({ allow_upload: e.target.checked })} />
+          Guest uploads
+          {!!share.allow_upload && (
+            <button
+              className="ml-1 px-2 py-0.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15 text-slate-200"
+              disabled={busy}
+              onClick={() => {
+                const name = window.prompt('Upload into subfolder', share.upload_folder || 'Guest uploads')
+                if (name === null) return
+                save({ upload_folder: name })
+              }}
+              title="Subfolder for guest uploads"
+            >
+              {share.upload_folder || 'Guest uploads'}/
+            </button>
+          )}
+        </label>
+      )}
+      <button
+        className="px-2 py-0.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+        disabled={busy}
+        onClick={() => {
+          const pw = window.prompt(share.has_password ? 'New password (leave empty to remove it)' : 'Password for this link')
+          if (pw === null) return
+          save({ password: pw })
+        }}
+      >
+        {share.has_password ? 'Change password' : 'Set password'}
+      </button>
+      {error && <span className="text-rose-300">{error}</span>}
+    </div>
+  )
+}
 
-  useEffect(() => { load() }, [load])
+const SHARE_EVENT_LABELS = { view: 'Opened', media: 'Viewed', download: 'Downloaded' }
 
-  const loadAllShares = useCallback(async () => {
-    setLoadingShares(true)
+/* Per-share counters plus an expandable recent access log */
+function ShareActivity({ share }) {
+  const [open, setOpen] = useState(false)
+  const [items, setItems] = useState(null)
+  const st = share.stats || {}
+  const toggle = async () => {
+    const next = !open
+    setOpen(next)
+    if (!next) return
     try {
-      const r = await API.sharesList(true)
-      setAllShares(Array.isArray(r?.items) ? r.items : [])
+      const r = await API.shareActivity(share.id)
+      setItems(Array.isArray(r?.items) ? r.items : [])
     } catch {
-      setAllShares([])
-    } finally {
-      setLoadingShares(false)
+      setItems([])
     }
-  }, [])
-
-  useEffect(() => { if (user?.is_admin) { loadAllShares() } }, [user?.is_admin, loadAllShares])
+  }
+  return (
+    <div className="mt-2 text-xs text-slate-400">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <span>{st.views || 0} opens</span>
+        <span>{st.media || 0} views</span>
+        <span>{st.downloads || 0} downloads</span>
+        <span>{st.visitors || 0} visitors</span>
+        <span>{st.last_at ? `last ${new Date(st.last_at).toLocaleString()}` : 'never opened'}</span>
+        <button
+          className="ml-auto px-2 py-0.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15 text-slate-200"
+          onClick={toggle}
+        >
+          {open ? 'Hide activity' : 'Activity'}
+        </button>
+      </div>
+      {open && (
+        <div className="mt-2 max-h-48 overflow-auto rounded border border-white/10">
+          {items === null ? (
+            <div className="p-2">Loading…</div>
+          ) : items.length === 0 ? (
+            <div className="p-2">No activity yet</div>
+          ) : (
+            <table className="w-full text-left">
+              <tbody>
+                {items.map(e => (
+                  <tr key={e.id} className="border-t border-white/5 first:border-t-0">
+                    <td className="px-2 py-1 whitespace-nowrap">{new Date(e.created_at).toLocaleString()}</td>
+                    <td className="px-2 py-1">{SHARE_EVENT_LABELS[e.kind] || e.kind}</td>
+                    <td className="px-2 py-1 truncate max-w-[10rem]" title={e.fname || ''}>{e.fname || ''}</td>
+                    <td className="px-2 py-1 font-mono" title="Visitor (hashed IP)">{(e.ip_hash || '').slice(0, 6)}</td>
+                    <td className="px-2 py-1 truncate max-w-[12rem]" title={e.user_agent || ''}>{e.user_agent || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
 
-  const createUser = async () => {
-    if (!form.username || !form.password) { setError('Username and password required'); return }
-    setCreating(true); setError('')
+/* Guest uploads waiting for the share owner (or an admin) to approve them */
+function UploadQueue({ all = false }) {
+  const [items, setItems] = useState([])
+  const [busyId, setBusyId] = useState(0)
+  const load = useCallback(async () => {
     try {
-      const r = await API.adminCreateUser({ username: form.username, password: form.password, root_path: form.path, is_admin: !!form.isAdmin })
-      if (!r?.ok) throw new Error(r?.error || 'Create failed')
-      setForm({ username: '', password: '', path: '', isAdmin: false })
-      await load()
-      alert('User created')
-    } catch (e) {
-      setError(e.message)
-    } finally {
-      setCreating(false)
+      const r = await API.uploads('pending', all)
+      setItems(Array.isArray(r?.items) ? r.items : [])
+    } catch {
+      setItems([])
     }
-  }
+  }, [all])
+  useEffect(() => { load() }, [load])
 
-  const deleteUser = async (id, username) => {
-    if (!window.confirm(`Delete user "${username}"? This cannot be undone.`)) return
-    setDeletingId(id); setError('')
+  const review = async (item, approve) => {
+    if (!approve && !window.confirm(`Reject and delete "${item.fname}"?`)) return
+    setBusyId(item.id)
     try {
-      const r = await API.adminDeleteUser(id)
-      if (!r?.ok) throw new Error(r?.error || 'Delete failed')
-      await load()
-    } catch (e) {
-      setError(e.message)
+      const r = approve ? await API.uploadApprove(item.id) : await API.uploadReject(item.id)
+      if (r?.ok) setItems(prev => prev.filter(x => x.id !== item.id))
     } finally {
-      setDeletingId(0)
+      setBusyId(0)
     }
   }
 
+  if (items.length === 0) return null
   return (
-    <div className="h-full grid" style={{ gridTemplateRows: 'auto 1fr' }}>
-      <header className="p-3 border-b border-white/10 bg-zinc-950 flex items-center gap-2">
-        <Shield className="w-5 h-5 text-slate-200" />
-        <div className="text-sm font-semibold text-slate-100">Admin Panel</div>
-        <div className="ml-auto" />
-        <button
-          className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
-          onClick={onClose}
-        >
-          Back to Library
-        </button>
-      </header>
-      <div className="p-3 overflow-auto">
-        {error && <div className="mb-3 text-sm text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-3 py-2">{error}</div>}
-
-        <div className="grid gap-4 sm:grid-cols-2">
-          <div className="bg-white/5 border border-white/10 rounded-xl p-3">
-            <div className="text-sm font-semibold mb-2">Create User</div>
-            <div className="text-xs text-slate-400 mb-3">Leave path blank to grant full-library access.</div>
-            <div className="space-y-2">
-              <div>
-                <label className="block text-xs text-slate-300 mb-1">Username</label>
-                <input className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.username} onChange={e=>setForm(f=>({...f, username:e.target.value}))}/>
-              </div>
-              <div>
-                <label className="block text-xs text-slate-300 mb-1">Password</label>
-                <input type="password" className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.password} onChange={e=>setForm(f=>({...f, password:e.target.value}))}/>
-              </div>
-              <div className="flex items-center gap-2">
-                <input id="new-user-admin" type="checkbox" className="w-4 h-4" checked={!!form.isAdmin} onChange={e=>setForm(f=>({...f, isAdmin:e.target.checked}))} />
-                <label htmlFor="new-user-admin" className="text-xs text-slate-300 select-none">Admin</label>
-              </div>
-              <div>
-                <label className="block text-xs text-slate-300 mb-1">Allowed Path (relative to library)</label>
-                <input placeholder="e.g. 2024/Trips/Paris" className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.path} onChange={e=>setForm(f=>({...f, path:e.target.value}))}/>
-              </div>
-              <div className="pt-2">
-                <button disabled={creating} className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={createUser}>
-                  {creating ? 'Creating…' : 'Create user'}
-                </button>
+    <div className="mb-3 rounded border border-amber-500/30 bg-amber-900/10 p-2">
+      <div className="flex items-center gap-2 mb-2 text-xs text-amber-300">
+        <Upload className="w-4 h-4" /> {items.length} guest upload{items.length === 1 ? '' : 's'} waiting for approval
+      </div>
+      <div className="space-y-1 max-h-64 overflow-auto">
+        {items.map(it => (
+          <div key={it.id} className="flex items-center gap-2 text-xs">
+            <img src={apiUrl(`/thumb/${it.image_id}`)} alt="" className="w-10 h-10 rounded object-cover bg-white/10" loading="lazy" />
+            <div className="min-w-0 flex-1">
+              <div className="truncate text-slate-100">{it.fname}</div>
+              <div className="truncate text-slate-400">
+                {it.share_name}{it.uploader ? ` · from ${it.uploader}` : ''} · {new Date(it.created_at).toLocaleString()}
               </div>
             </div>
+            <button
+              className="px-2 py-1 rounded-full bg-emerald-500/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-500/25"
+              disabled={busyId === it.id}
+              onClick={() => review(it, true)}
+            >
+              Approve
+            </button>
+            <button
+              className="px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+              disabled={busyId === it.id}
+              onClick={() => review(it, false)}
+            >
+              Reject
+            </button>
           </div>
+        ))}
+      </div>
+    </div>
+  )
+}
 
-          <div className="bg-white/5 border border-white/10 rounded-xl p-3">
-            <div className="text-sm font-semibold mb-2">Users</div>
-            {loading ? (
+/* Shown instead of a share when it needs a password or can't be opened */
+function ShareGateScreen({ gate, token, onUnlocked }) {
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setBusy(true); setError('')
+    try {
+      const r = await API.shareUnlock(token, password)
+      if (r?.ok) await onUnlocked()
+      else setError(r?.error || 'Wrong password')
+    } catch {
+      setError('Could not unlock this link')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <GlassShell>
+      <div className="h-full grid place-items-center p-4">
+        <div className="w-full max-w-sm">
+          <div className="flex items-center justify-center gap-2 mb-4">
+            <img src="/logo.svg" alt="Liquid Photos" className="w-8 h-8" />
+            <div className="text-xl font-semibold text-slate-100">Liquid Photos</div>
+          </div>
+          {gate === 'password' ? (
+            <form onSubmit={submit} className="w-full bg-white/5 border border-white/10 rounded-xl p-4">
+              <div className="text-lg font-semibold text-white mb-2">Protected link</div>
+              <div className="text-xs text-slate-400 mb-4">Enter the password you were given to view these photos.</div>
+              {error && <div className="mb-3 text-xs text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-2 py-1">{error}</div>}
+              <input
+                type="password"
+                className="w-full mb-4 px-3 py-2 rounded bg-white/10 border border-white/10 text-slate-100"
+                value={password} onChange={e => setPassword(e.target.value)} autoFocus
+              />
+              <button
+                type="submit" disabled={busy || !password}
+                className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+              >
+                {busy ? 'Checking…' : 'Open'}
+              </button>
+            </form>
+          ) : (
+            <div className="w-full bg-white/5 border border-white/10 rounded-xl p-4 text-center">
+              <div className="text-lg font-semibold text-white mb-2">{gate === 'expired' ? 'This link has expired' : 'Link not found'}</div>
+              <div className="text-xs text-slate-400">Ask the person who shared it for a new link.</div>
+            </div>
+          )}
+        </div>
+      </div>
+    </GlassShell>
+  )
+}
+
+/* ----- Admin Panel ----- */
+/* Deleted items: restore or delete for good */
+function TrashPanel({ onClose, onRestored }) {
+  const [items, setItems] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(1)
+  const [purgeDays, setPurgeDays] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [picked, setPicked] = useState(new Set())
+
+  const load = useCallback(async (p) => {
+    setLoading(true); setError('')
+    try {
+      const r = await API.trash(p)
+      if (!Array.isArray(r?.items)) throw new Error(r?.error || 'Failed to load trash')
+      setItems(prev => p === 1 ? r.items : [...prev, ...r.items])
+      setTotal(Number(r.total || 0))
+      setPurgeDays(Number(r.purge_days || 0))
+      setPage(p)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+  useEffect(() => { load(1) }, [load])
+
+  const togglePick = (id) => setPicked(prev => {
+    const n = new Set(prev)
+    n.has(id) ? n.delete(id) : n.add(id)
+    return n
+  })
+  const dropItems = (ids) => {
+    const gone = new Set(ids)
+    setItems(prev => prev.filter(it => !gone.has(it.id)))
+    setTotal(t => Math.max(0, t - ids.length))
+    setPicked(new Set())
+  }
+
+  const restore = async () => {
+    const ids = Array.from(picked)
+    setBusy(true); setError('')
+    try {
+      const r = await API.trashRestore(ids)
+      const failed = new Set((r?.failed || []).map(f => f.id))
+      dropItems(ids.filter(id => !failed.has(id)))
+      if (r?.restored) onRestored?.()
+      if (failed.size) setError(`${failed.size} item${failed.size === 1 ? '' : 's'} could not be restored: ${r.failed[0].error}`)
+      else if (!r?.ok) setError(r?.error || 'Restore failed')
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const purge = async (all) => {
+    const ids = all ? null : Array.from(picked)
+    const n = all ? total : ids.length
+    if (!window.confirm(`Delete ${n} item${n === 1 ? '' : 's'} for good? This cannot be undone.`)) return
+    setBusy(true); setError('')
+    try {
+      const r = await API.trashPurge(ids)
+      if (!r?.ok) throw new Error(r?.error || 'Delete failed')
+      if (all) { setItems([]); setTotal(0); setPicked(new Set()) } else dropItems(ids)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="h-full grid" style={{ gridTemplateRows: 'auto 1fr' }}>
+      <header className="p-3 border-b border-white/10 bg-zinc-950 flex items-center gap-2 flex-wrap">
+        <Trash2 className="w-5 h-5 text-slate-200" />
+        <div className="text-sm font-semibold text-slate-100">Trash</div>
+        <div className="text-xs text-slate-400">{total} item{total === 1 ? '' : 's'}</div>
+        <div className="ml-auto" />
+        {picked.size > 0 && (
+          <>
+            <button
+              className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-emerald-500/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-500/25 text-xs"
+              disabled={busy}
+              onClick={restore}
+            >
+              Restore {picked.size}
+            </button>
+            <button
+              className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15 text-xs"
+              disabled={busy}
+              onClick={() => purge(false)}
+            >
+              Delete forever
+            </button>
+          </>
+        )}
+        {picked.size === 0 && total > 0 && (
+          <button
+            className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15 text-xs"
+            disabled={busy}
+            onClick={() => purge(true)}
+          >
+            Empty trash
+          </button>
+        )}
+        <button
+          className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          onClick={onClose}
+        >
+          Back to Library
+        </button>
+      </header>
+      <div className="p-3 overflow-auto">
+        {error && <div className="mb-3 text-sm text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-3 py-2">{error}</div>}
+        <div className="mb-3 text-xs text-slate-400">
+          {purgeDays ? `Items are deleted for good ${purgeDays} day${purgeDays === 1 ? '' : 's'} after they were moved here.` : 'Items stay here until the trash is emptied.'}
+          {' '}Click items to select them.
+        </div>
+        {!loading && items.length === 0 && <div className="text-slate-400 text-sm">The trash is empty.</div>}
+        <div className="grid gap-2" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))' }}>
+          {items.map(it => {
+            const on = picked.has(it.id)
+            return (
+              <button
+                key={it.id}
+                className={`relative text-left rounded-lg overflow-hidden border ${on ? 'border-emerald-400 ring-2 ring-emerald-400/50' : 'border-white/10'}`}
+                onClick={() => togglePick(it.id)}
+                title={`${it.folder ? it.folder + '/' : ''}${it.fname}`}
+              >
+                <img src={apiUrl(`/thumb/${it.id}`)} alt="" className="w-full aspect-square object-cover bg-white/5" loading="lazy" />
+                {it.kind === 'video' && <Play className="absolute top-1 right-1 w-4 h-4 text-white drop-shadow" />}
+                <div className="px-1.5 py-1 text-[11px] text-slate-300 truncate">{it.fname}</div>
+                <div className="px-1.5 pb-1 text-[10px] text-slate-500">Deleted {new Date(it.deleted_at).toLocaleDateString()}</div>
+              </button>
+            )
+          })}
+        </div>
+        {items.length < total && (
+          <div className="mt-3 flex justify-center">
+            <button
+              className="text-xs px-3 py-1.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+              disabled={loading}
+              onClick={() => load(page + 1)}
+            >
+              {loading ? 'Loading…' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function DuplicatesPanel({ canDelete, onClose, onTrashed }) {
+  const [groups, setGroups] = useState([])
+  const [pending, setPending] = useState(0)
+  const [similar, setSimilar] = useState(true)
+  const [keepers, setKeepers] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const groupKey = (g) => g.items.map(it => it.id).join('-')
+
+  const load = useCallback(async () => {
+    setLoading(true); setError('')
+    try {
+      const r = await API.duplicates(similar ? 5 : 0)
+      if (!Array.isArray(r?.groups)) throw new Error(r?.error || 'Failed to load duplicates')
+      setGroups(r.groups)
+      setPending(Number(r.pending || 0))
+      setKeepers({})
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [similar])
+  useEffect(() => { load() }, [load])
+
+  // The server lists the suggested keeper (largest, then oldest) first
+  const keeperOf = (g) => keepers[groupKey(g)] ?? g.items[0].id
+
+  // Trash or exclude everything in the group except its keeper
+  const resolve = async (g, action) => {
+    const keep = keeperOf(g)
+    const ids = g.items.map(it => it.id).filter(id => id !== keep)
+    if (action === 'trash' && !window.confirm(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to the trash?`)) return
+    setBusy(true); setError('')
+    try {
+      const r = action === 'trash' ? await API.deletePhotos(ids) : await API.duplicatesExclude(ids)
+      if (!r?.ok) throw new Error(r?.error || 'Failed')
+      setGroups(prev => prev.filter(x => groupKey(x) !== groupKey(g)))
+      if (action === 'trash') onTrashed?.()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const resetExcludes = async () => {
+    setBusy(true)
+    try { await API.duplicatesResetExcludes(); await load() } finally { setBusy(false) }
+  }
+
+  const reclaimable = groups.reduce((n, g) => n + g.reclaimable, 0)
+
+  return (
+    <div className="h-full grid" style={{ gridTemplateRows: 'auto 1fr' }}>
+      <header className="p-3 border-b border-white/10 bg-zinc-950 flex items-center gap-2 flex-wrap">
+        <Copy className="w-5 h-5 text-slate-200" />
+        <div className="text-sm font-semibold text-slate-100">Duplicates</div>
+        <div className="text-xs text-slate-400">
+          {groups.length} group{groups.length === 1 ? '' : 's'}{reclaimable > 0 ? ` · ${formatBytes(reclaimable)} reclaimable` : ''}
+        </div>
+        <div className="ml-auto flex items-center gap-1">
+          <button
+            className={`text-xs px-2 py-0.5 rounded-full ${!similar ? 'bg-white/20' : 'bg-white/10'} border border-white/10 hover:bg-white/20`}
+            onClick={() => setSimilar(false)}
+            disabled={loading}
+            title="Identical files only"
+          >Exact</button>
+          <button
+            className={`text-xs px-2 py-0.5 rounded-full ${similar ? 'bg-white/20' : 'bg-white/10'} border border-white/10 hover:bg-white/20`}
+            onClick={() => setSimilar(true)}
+            disabled={loading}
+            title="Also visually similar items (resized, recompressed)"
+          >Similar</button>
+        </div>
+        <button
+          className="text-xs px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          onClick={resetExcludes}
+          disabled={busy}
+          title="Show items marked as not duplicates again"
+        >
+          Reset exclusions
+        </button>
+        <button
+          className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          onClick={onClose}
+        >
+          Back to Library
+        </button>
+      </header>
+      <div className="p-3 overflow-auto">
+        {error && <div className="mb-3 text-sm text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-3 py-2">{error}</div>}
+        <div className="mb-3 text-xs text-slate-400">
+          Click the item to keep in each group, then trash the others or mark them as not duplicates.
+          {pending > 0 && ` ${pending} item${pending === 1 ? ' has' : 's have'} not been analyzed yet and will be compared after the next rescan.`}
+        </div>
+        {loading && <div className="text-slate-400 text-sm">Looking for duplicates…</div>}
+        {!loading && groups.length === 0 && <div className="text-slate-400 text-sm">No duplicates found.</div>}
+        <div className="space-y-3">
+          {!loading && groups.map(g => {
+            const keep = keeperOf(g)
+            const key = groupKey(g)
+            return (
+              <div key={key} className="rounded-xl border border-white/10 bg-white/5 p-2">
+                <div className="mb-2 flex items-center gap-2 flex-wrap text-xs">
+                  <span className={`px-1.5 py-0.5 rounded ${g.kind === 'exact' ? 'bg-sky-500/20 text-sky-300' : 'bg-amber-500/20 text-amber-300'}`}>
+                    {g.kind === 'exact' ? 'Identical' : 'Similar'}
+                  </span>
+                  <span className="text-slate-400">{g.items.length} items · {formatBytes(g.reclaimable)} reclaimable</span>
+                  <div className="ml-auto flex items-center gap-1">
+                    {canDelete && (
+                      <button
+                        className="px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+                        disabled={busy}
+                        onClick={() => resolve(g, 'trash')}
+                      >
+                        Trash others
+                      </button>
+                    )}
+                    <button
+                      className="px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+                      disabled={busy}
+                      onClick={() => resolve(g, 'exclude')}
+                    >
+                      Not duplicates
+                    </button>
+                  </div>
+                </div>
+                <div className="grid gap-2" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))' }}>
+                  {g.items.map(it => {
+                    const on = it.id === keep
+                    return (
+                      <button
+                        key={it.id}
+                        className={`relative text-left rounded-lg overflow-hidden border ${on ? 'border-emerald-400 ring-2 ring-emerald-400/50' : 'border-white/10 opacity-80 hover:opacity-100'}`}
+                        onClick={() => setKeepers(prev => ({ ...prev, [key]: it.id }))}
+                        title={`${it.folder ? it.folder + '/' : ''}${it.fname}`}
+                      >
+                        <img src={apiUrl(`/thumb/${it.id}`)} alt="" className="w-full aspect-square object-cover bg-white/5" loading="lazy" />
+                        {it.kind === 'video' && <Play className="absolute top-1 right-1 w-4 h-4 text-white drop-shadow" />}
+                        {on && <div className="absolute left-1 top-1 bg-emerald-500/80 text-white text-[10px] px-1.5 py-0.5 rounded">Keep</div>}
+                        <div className="px-1.5 py-1 text-[11px] text-slate-300 truncate">{it.fname}</div>
+                        <div className="px-1.5 pb-1 text-[10px] text-slate-500 truncate">{it.folder || '/'} · {formatBytes(it.size)}</div>
+                      </button>
+                    )
+                  })}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* Admin: derivative job queue (thumbs, web views, HLS), refreshed while open */
+function JobQueueCard() {
+  const [data, setData] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(async () => {
+    try {
+      const r = await API.adminJobs()
+      if (r && !r.error) setData(r)
+    } catch {}
+  }, [])
+  useEffect(() => {
+    load()
+    const t = setInterval(load, 5000)
+    return () => clearInterval(t)
+  }, [load])
+
+  const act = async (fn) => {
+    setBusy(true)
+    try { await fn(); await load() } finally { setBusy(false) }
+  }
+
+  const kinds = [['thumb', 'Thumbnails'], ['view', 'Web views'], ['hls', 'HLS']]
+  const failedCount = (data?.failed || []).filter(j => j.status === 'failed').length
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="text-sm font-semibold">Background jobs</div>
+        {data && (
+          <div className="text-xs text-slate-400">
+            {data.concurrency} image worker{data.concurrency === 1 ? '' : 's'}, {data.hls_concurrency} HLS
+          </div>
+        )}
+        <button className="ml-auto text-xs px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={load}>Refresh</button>
+      </div>
+      {!data ? (
+        <div className="text-slate-400 text-sm">Loading…</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-xs">
+            {kinds.map(([k, label]) => {
+              const c = data.counts?.[k] || { queued: 0, running: 0, failed: 0 }
+              return (
+                <div key={k} className="rounded border border-white/10 p-2">
+                  <div className="text-slate-300 font-medium">{label}</div>
+                  <div className="text-slate-400">{c.queued} queued · {c.running} running</div>
+                  {c.failed > 0 && <div className="text-rose-300">{c.failed} failed</div>}
+                </div>
+              )
+            })}
+          </div>
+          {data.failed.length > 0 && (
+            <div className="mt-3">
+              <div className="flex items-center gap-2 mb-1 text-xs text-slate-300">
+                <span>Failures and retries</span>
+                <button
+                  className="ml-auto px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+                  disabled={busy || failedCount === 0}
+                  onClick={() => act(() => API.adminJobsRetry())}
+                >
+                  Retry failed
+                </button>
+                <button
+                  className="px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+                  disabled={busy || failedCount === 0}
+                  onClick={() => act(() => API.adminJobsClearFailed())}
+                >
+                  Clear
+                </button>
+              </div>
+              <div className="max-h-56 overflow-y-auto space-y-1">
+                {data.failed.map(j => (
+                  <div key={j.id} className="rounded border border-white/10 px-2 py-1 text-xs">
+                    <div className="flex items-center gap-2">
+                      <span className="px-1.5 py-0.5 rounded bg-white/10 text-slate-300">{j.kind}{j.height ? ` ${j.height}p` : ''}</span>
+                      <span className="truncate text-slate-200" title={j.path}>{j.path}</span>
+                      <span className={`ml-auto shrink-0 ${j.status === 'failed' ? 'text-rose-300' : 'text-amber-300'}`}>
+                        {j.status === 'failed' ? 'gave up' : `retrying (${j.attempts}/${data.max_attempts})`}
+                      </span>
+                    </div>
+                    {j.last_error && <div className="text-slate-500 truncate" title={j.last_error}>{j.last_error}</div>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+function ScanSchedulesCard() {
+  const [items, setItems] = useState(null)
+  const [form, setForm] = useState({ cron: '0 3 * * *', path: '', warm: false })
+  const [error, setError] = useState('')
+
+  const load = useCallback(async () => {
+    try {
+      const r = await API.adminScanSchedules()
+      if (r && !r.error) setItems(r.items || [])
+    } catch {}
+  }, [])
+  useEffect(() => { load() }, [load])
+
+  const run = async (fn) => {
+    setError('')
+    try {
+      const r = await fn()
+      if (r?.error) setError(r.error)
+      else await load()
+      return !r?.error
+    } catch (e) {
+      setError(e?.message || 'Request failed')
+      return false
+    }
+  }
+  const add = async () => {
+    if (await run(() => API.adminScanScheduleCreate(form))) setForm(f => ({ ...f, path: '' }))
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="text-sm font-semibold">Scheduled scans</div>
+        <div className="text-xs text-slate-400">cron syntax, server time (e.g. <code>0 3 * * *</code> nightly, <code>@hourly</code>)</div>
+      </div>
+      <div className="space-y-1 text-xs">
+        {items === null && <div className="text-slate-400 text-sm">Loading…</div>}
+        {items?.length === 0 && <div className="text-slate-400">No schedules yet.</div>}
+        {items?.map(s => (
+          <div key={s.id} className="flex items-center gap-2 rounded border border-white/10 px-2 py-1">
+            <code className="px-1.5 py-0.5 rounded bg-white/10 text-slate-200">{s.cron}</code>
+            <span className="truncate text-slate-200" title={s.path}>{s.path || 'Full rescan'}</span>
+            {s.warm && <span className="text-slate-400">+ previews</span>}
+            <span className="truncate text-slate-500" title={s.last_status || ''}>
+              {s.next_run_at ? `next ${new Date(s.next_run_at).toLocaleString()}` : ''}
+              {s.last_run_at ? ` · last ${new Date(s.last_run_at).toLocaleString()}: ${s.last_status}` : ''}
+            </span>
+            <label className="ml-auto flex items-center gap-1 text-slate-300 shrink-0">
+              <input type="checkbox" checked={s.enabled} onChange={e => run(() => API.adminScanScheduleUpdate(s.id, { enabled: e.target.checked }))} />
+              on
+            </label>
+            <button
+              className="shrink-0 px-2 py-0.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+              onClick={() => { if (confirm('Delete this schedule?')) run(() => API.adminScanScheduleDelete(s.id)) }}
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        <input className="w-32 px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="0 3 * * *" value={form.cron} onChange={e => setForm(f => ({ ...f, cron: e.target.value }))} />
+        <input className="flex-1 min-w-[8rem] px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="Folder (empty = full rescan), e.g. Inbox" value={form.path} onChange={e => setForm(f => ({ ...f, path: e.target.value }))} />
+        <label className="flex items-center gap-1 text-slate-300">
+          <input type="checkbox" checked={form.warm} onChange={e => setForm(f => ({ ...f, warm: e.target.checked }))} />
+          Pre-generate previews
+        </label>
+        <button className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={!form.cron.trim()} onClick={add}>Add</button>
+      </div>
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+function ScanRulesCard({ libraries = [] }) {
+  const [items, setItems] = useState(null)
+  const [form, setForm] = useState({ kind: 'exclude', folder: '', pattern: '', library_id: '' })
+  const [error, setError] = useState('')
+
+  const load = useCallback(async () => {
+    try {
+      const r = await API.adminScanRules()
+      if (r && !r.error) setItems(r.items || [])
+    } catch {}
+  }, [])
+  useEffect(() => { load() }, [load])
+
+  const run = async (fn) => {
+    setError('')
+    try {
+      const r = await fn()
+      if (r?.error) setError(r.error)
+      else await load()
+      return !r?.error
+    } catch (e) {
+      setError(e?.message || 'Request failed')
+      return false
+    }
+  }
+  const add = async () => {
+    if (await run(() => API.adminScanRuleCreate(form))) setForm(f => ({ ...f, pattern: '' }))
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="text-sm font-semibold">Scan rules</div>
+        <div className="text-xs text-slate-400">globs like <code>@eaDir</code>, <code>*.tmp</code> or <code>Exports/**</code>; applied on the next scan of the folder</div>
+      </div>
+      <div className="space-y-1 text-xs">
+        {items === null && <div className="text-slate-400 text-sm">Loading…</div>}
+        {items?.length === 0 && <div className="text-slate-400">No rules: every photo and video is indexed.</div>}
+        {items?.map(r => (
+          <div key={r.id} className="flex items-center gap-2 rounded border border-white/10 px-2 py-1">
+            <span className={`px-1.5 py-0.5 rounded ${r.kind === 'exclude' ? 'bg-rose-500/15 text-rose-300' : 'bg-emerald-500/15 text-emerald-300'}`}>{r.kind}</span>
+            <code className="truncate text-slate-200">{r.pattern}</code>
+            <span className="truncate text-slate-500">
+              in {r.library_id ? `${libraries.find(l => l.id === r.library_id)?.name || 'library'}: ` : ''}{r.folder || (r.library_id ? 'whole library' : 'every library')}
+            </span>
+            <button
+              className="ml-auto shrink-0 px-2 py-0.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+              onClick={() => run(() => API.adminScanRuleDelete(r.id))}
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        <select className="px-2 py-1 rounded bg-white/10 border border-white/10" value={form.kind} onChange={e => setForm(f => ({ ...f, kind: e.target.value }))}>
+          <option value="exclude">Exclude</option>
+          <option value="include">Only include</option>
+        </select>
+        <input className="w-40 px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="Pattern" value={form.pattern} onChange={e => setForm(f => ({ ...f, pattern: e.target.value }))} />
+        {libraries.length > 1 && (
+          <select className="px-2 py-1 rounded bg-white/10 border border-white/10" value={form.library_id} onChange={e => setForm(f => ({ ...f, library_id: e.target.value }))}>
+            <option value="">Every library</option>
+            {libraries.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+        )}
+        <input className="flex-1 min-w-[8rem] px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="In folder (empty = whole library)" value={form.folder} onChange={e => setForm(f => ({ ...f, folder: e.target.value }))} />
+        <button className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={!form.pattern.trim()} onClick={add}>Add</button>
+      </div>
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+// Allowed and denied folders of a user or group, with a small form to add one
+function GrantList({ grants = [], onAdd, onRemove }) {
+  const [path, setPath] = useState('')
+  const [deny, setDeny] = useState(false)
+  const add = async () => {
+    if (await onAdd({ path: path.trim(), deny })) { setPath(''); setDeny(false) }
+  }
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs">
+      {grants.map(g => (
+        <span
+          key={g.id}
+          className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded border ${g.deny ? 'bg-rose-500/10 border-rose-500/30 text-rose-300' : 'bg-emerald-500/10 border-emerald-500/30 text-emerald-300'}`}
+          title={g.deny ? 'Hidden, even when another grant covers it' : 'Allowed'}
+        >
+          {g.deny ? 'deny' : 'allow'} {g.path || 'whole library'}
+          <button className="hover:text-white" onClick={() => onRemove(g)} title="Remove"><X className="w-3 h-3" /></button>
+        </span>
+      ))}
+      <input
+        className="w-36 px-2 py-0.5 rounded bg-white/10 border border-white/10"
+        placeholder="Folder, e.g. 2024/Trips"
+        value={path}
+        onChange={e => setPath(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Enter') add() }}
+      />
+      <select className="px-1 py-0.5 rounded bg-white/10 border border-white/10" value={deny ? 'deny' : 'allow'} onChange={e => setDeny(e.target.value === 'deny')}>
+        <option value="allow">Allow</option>
+        <option value="deny">Deny</option>
+      </select>
+      <button className="px-2 py-0.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={deny && !path.trim()} onClick={add}>Add</button>
+    </div>
+  )
+}
+
+// Password reset, base folder, admin flag, disabled state and 2FA reset of an existing user
+function UserEditor({ target, actor, onSave, onCancel }) {
+  const [password, setPassword] = useState('')
+  const [path, setPath] = useState(target.root_path || '')
+  const [isAdmin, setIsAdmin] = useState(!!target.is_admin)
+  const [disabled, setDisabled] = useState(!!target.disabled)
+  const [resetTotp, setResetTotp] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const isSelf = target.id === actor.id
+  const save = async () => {
+    const patch = { root_path: path.trim(), disabled }
+    if (password) patch.password = password
+    if (resetTotp) patch.reset_totp = true
+    if (actor.is_admin) patch.is_admin = isAdmin
+    setBusy(true)
+    await onSave(patch)
+    setBusy(false)
+  }
+  return (
+    <div className="mt-2 rounded border border-white/10 bg-white/5 p-2 flex flex-wrap items-center gap-2 text-xs">
+      <input
+        type="password"
+        autoComplete="new-password"
+        className="w-36 px-2 py-1 rounded bg-white/10 border border-white/10"
+        placeholder="New password"
+        value={password}
+        onChange={e => setPassword(e.target.value)}
+      />
+      <input
+        className="w-40 px-2 py-1 rounded bg-white/10 border border-white/10"
+        placeholder="Base folder (blank: none)"
+        title="The user's root_path; more folders come from grants"
+        value={path}
+        onChange={e => setPath(e.target.value)}
+      />
+      {actor.is_admin && (
+        <label className="inline-flex items-center gap-1 text-slate-300" title={isSelf ? 'You cannot change your own admin flag' : undefined}>
+          <input type="checkbox" checked={isAdmin} disabled={isSelf || !!target.is_protected} onChange={e => setIsAdmin(e.target.checked)} />
+          Admin
+        </label>
+      )}
+      <label className="inline-flex items-center gap-1 text-slate-300" title="Disabled users cannot sign in; their sessions end">
+        <input type="checkbox" checked={disabled} disabled={isSelf || !!target.is_protected} onChange={e => setDisabled(e.target.checked)} />
+        Disabled
+      </label>
+      {!!target.totp_enabled && (
+        <label className="inline-flex items-center gap-1 text-slate-300" title="For a user who lost their authenticator and recovery codes">
+          <input type="checkbox" checked={resetTotp} onChange={e => setResetTotp(e.target.checked)} />
+          Reset 2FA
+        </label>
+      )}
+      <div className="ml-auto flex items-center gap-2">
+        <button className="px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={busy} onClick={onCancel}>Cancel</button>
+        <button className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={busy} onClick={save}>{busy ? 'Saving…' : 'Save'}</button>
+      </div>
+    </div>
+  )
+}
+
+function GroupsCard({ users, onChanged }) {
+  const [items, setItems] = useState(null)
+  const [name, setName] = useState('')
+  const [error, setError] = useState('')
+
+  const load = useCallback(async () => {
+    try {
+      const r = await API.adminGroups()
+      if (r && !r.error) setItems(r.items || [])
+    } catch {}
+  }, [])
+  useEffect(() => { load() }, [load])
+
+  const run = async (fn) => {
+    setError('')
+    try {
+      const r = await fn()
+      if (r?.error) setError(r.error)
+      else { await load(); await onChanged() }
+      return !r?.error
+    } catch (e) {
+      setError(e?.message || 'Request failed')
+      return false
+    }
+  }
+  const add = async () => {
+    if (await run(() => API.adminGroupCreate(name.trim()))) setName('')
+  }
+  const setMember = (g, userId, on) => {
+    const next = on ? [...g.member_ids, userId] : g.member_ids.filter(id => id !== userId)
+    run(() => API.adminGroupUpdate(g.id, { member_ids: next }))
+  }
+  const remove = (g) => {
+    if (!window.confirm(`Delete group "${g.name}"? Its members lose the folders it grants.`)) return
+    run(() => API.adminGroupDelete(g.id))
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="text-sm font-semibold">Groups</div>
+        <div className="text-xs text-slate-400">members get the group's folders on top of their own; a deny hides a folder even when another grant covers it</div>
+      </div>
+      <div className="space-y-2 text-sm">
+        {items === null && <div className="text-slate-400">Loading…</div>}
+        {items?.length === 0 && <div className="text-xs text-slate-400">No groups yet.</div>}
+        {items?.map(g => (
+          <div key={g.id} className="rounded border border-white/10 p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              <div className="font-medium">{g.name}</div>
+              <div className="text-xs text-slate-500">{g.member_ids.length} member{g.member_ids.length === 1 ? '' : 's'}</div>
+              <button
+                className="ml-auto text-xs px-2 py-0.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+                onClick={() => remove(g)}
+              >
+                Delete
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs text-slate-300">
+              <span>Members:</span>
+              {users.map(u => (
+                <label key={u.id} className="inline-flex items-center gap-1">
+                  <input type="checkbox" checked={g.member_ids.includes(u.id)} onChange={e => setMember(g, u.id, e.target.checked)} />
+                  {u.username}
+                </label>
+              ))}
+            </div>
+            <GrantList
+              grants={g.grants}
+              onAdd={(grant) => run(() => API.adminGrantCreate({ ...grant, group_id: g.id }))}
+              onRemove={(grant) => run(() => API.adminGrantDelete(grant.id))}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-xs">
+        <input className="w-48 px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="New group, e.g. Family" value={name} onChange={e => setName(e.target.value)} />
+        <button className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" disabled={!name.trim()} onClick={add}>Add group</button>
+      </div>
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+const WATCH_LABELS = { default: 'Watch: default', on: 'Watch: on', off: 'Watch: off' }
+const watchValue = (w) => w === null || w === undefined ? 'default' : (w ? 'on' : 'off')
+
+function LibrariesCard({ libraries, onChanged }) {
+  const [form, setForm] = useState({ name: '', path: '', mount: '', read_only: false })
+  const [error, setError] = useState('')
+
+  const run = async (fn) => {
+    setError('')
+    try {
+      const r = await fn()
+      if (r?.error) setError(r.error)
+      else await onChanged()
+      return !r?.error
+    } catch (e) {
+      setError(e?.message || 'Request failed')
+      return false
+    }
+  }
+  const add = async () => {
+    if (await run(() => API.adminLibraryCreate(form))) setForm({ name: '', path: '', mount: '', read_only: false })
+  }
+  const remove = (l) => {
+    if (!window.confirm(`Remove library "${l.name}"? Its ${l.count} indexed items leave albums, favorites and shares; files on disk are kept.`)) return
+    run(() => API.adminLibraryDelete(l.id))
+  }
+
+  return (
+    <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="text-sm font-semibold">Libraries</div>
+        <div className="text-xs text-slate-400">extra roots appear as a top-level folder; files show up after the next scan</div>
+      </div>
+      <div className="space-y-1 text-xs">
+        {libraries.map(l => (
+          <div key={l.id} className="flex flex-wrap items-center gap-2 rounded border border-white/10 px-2 py-1">
+            <HardDrive className="w-4 h-4 text-slate-400 shrink-0" />
+            <span className="font-medium text-slate-100">{l.name}</span>
+            <code className="truncate text-slate-400">{l.path}</code>
+            <span className="text-slate-500">{l.mount ? `as ${l.mount}/` : 'main library'} · {l.count} items</span>
+            <div className="ml-auto flex items-center gap-2">
+              <label className="inline-flex items-center gap-1 text-slate-300" title="No moves, renames, trash or uploads">
+                <input type="checkbox" checked={!!l.read_only} onChange={e => run(() => API.adminLibraryUpdate(l.id, { read_only: e.target.checked }))} />
+                Read-only
+              </label>
+              <select
+                className="px-2 py-0.5 rounded bg-white/10 border border-white/10"
+                value={watchValue(l.watch)}
+                title="Live file watching; default follows WATCH_ENABLED"
+                onChange={e => run(() => API.adminLibraryUpdate(l.id, { watch: e.target.value === 'default' ? null : e.target.value === 'on' }))}
+              >
+                {Object.entries(WATCH_LABELS).map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+              </select>
+              {l.id !== 1 && (
+                <button
+                  className="px-2 py-0.5 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15"
+                  onClick={() => remove(l)}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        <input className="w-32 px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="Name" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+        <input className="flex-1 min-w-[10rem] px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="Server path, e.g. /mnt/archive" value={form.path} onChange={e => setForm(f => ({ ...f, path: e.target.value }))} />
+        <input className="w-32 px-2 py-1 rounded bg-white/10 border border-white/10" placeholder="Folder name" value={form.mount} onChange={e => setForm(f => ({ ...f, mount: e.target.value }))} />
+        <label className="inline-flex items-center gap-1 text-slate-300">
+          <input type="checkbox" checked={form.read_only} onChange={e => setForm(f => ({ ...f, read_only: e.target.checked }))} />
+          Read-only
+        </label>
+        <button
+          className="px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          disabled={!form.name.trim() || !form.path.trim() || !form.mount.trim()}
+          onClick={add}
+        >
+          Add
+        </button>
+      </div>
+      {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+    </div>
+  )
+}
+
+// Per-user capabilities with the defaults for new users; admins have all of them
+const CAPABILITY_OPTIONS = [
+  { key: 'can_share', label: 'Share', title: 'Create and edit share links', default: true },
+  { key: 'can_download_originals', label: 'Originals', title: 'View and download original files (otherwise web-sized copies)', default: true },
+  { key: 'can_upload', label: 'Upload', title: 'Upload media and allow guest uploads on shares', default: true },
+  { key: 'can_delete', label: 'Delete', title: 'Move media to the trash', default: false },
+  { key: 'can_scan', label: 'Scan', title: 'Run and follow media scans', default: false },
+  { key: 'can_manage_users', label: 'Manage users', title: 'Create and edit non-admin users, groups and folder grants', default: false }
+]
+const defaultCapabilities = () => Object.fromEntries(CAPABILITY_OPTIONS.map(c => [c.key, c.default]))
+
+function AdminPanel({ user, onClose }) {
+  const [list, setList] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [form, setForm] = useState({ username: '', password: '', path: '', isAdmin: false, caps: defaultCapabilities() })
+  const [trashDays, setTrashDays] = useState('')
+  const [requireAdminTotp, setRequireAdminTotp] = useState(false)
+  const [savingSettings, setSavingSettings] = useState(false)
+  const [creating, setCreating] = useState(false)
+  const [deletingId, setDeletingId] = useState(0)
+  const [editingId, setEditingId] = useState(0)
+  const [allShares, setAllShares] = useState([])
+  const [loadingShares, setLoadingShares] = useState(false)
+  const [libraries, setLibraries] = useState([])
+
+  const loadLibraries = useCallback(async () => {
+    try {
+      // user managers only hand out the libraries they can see themselves
+      const r = user?.is_admin ? await API.adminLibraries() : await API.libraries()
+      if (r?.items) setLibraries(r.items)
+    } catch {}
+  }, [user?.is_admin])
+  useEffect(() => { loadLibraries() }, [loadLibraries])
+
+  const load = useCallback(async () => {
+    setLoading(true); setError('')
+    try {
+      const r = await API.adminUsers()
+      if (r?.items) setList(r.items); else throw new Error(r?.error || 'Failed to load users')
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => { load() }, [load])
+
+  const loadAllShares = useCallback(async () => {
+    setLoadingShares(true)
+    try {
+      const r = await API.sharesList(true)
+      setAllShares(Array.isArray(r?.items) ? r.items : [])
+    } catch {
+      setAllShares([])
+    } finally {
+      setLoadingShares(false)
+    }
+  }, [])
+
+  useEffect(() => { if (user?.is_admin) { loadAllShares() } }, [user?.is_admin, loadAllShares])
+
+  const createUser = async () => {
+    if (!form.username || !form.password) { setError('Username and password required'); return }
+    setCreating(true); setError('')
+    try {
+      const caps = Object.fromEntries(CAPABILITY_OPTIONS.filter(c => user?.[c.key]).map(c => [c.key, !!form.caps[c.key]]))
+      const r = await API.adminCreateUser({ username: form.username, password: form.password, root_path: form.path, is_admin: !!form.isAdmin, ...caps })
+      if (!r?.ok) throw new Error(r?.error || 'Create failed')
+      setForm({ username: '', password: '', path: '', isAdmin: false, caps: defaultCapabilities() })
+      await load()
+      alert('User created')
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!user?.is_admin) return
+    API.adminSettings().then(r => {
+      if (!r || r.error) return
+      setTrashDays(String(r.trash_purge_days))
+      setRequireAdminTotp(!!r.require_admin_totp)
+    }).catch(() => {})
+  }, [user?.is_admin])
+
+  const saveSettings = async () => {
+    setSavingSettings(true); setError('')
+    try {
+      const r = await API.adminSaveSettings({ trash_purge_days: Number(trashDays) })
+      if (r?.error) throw new Error(r.error)
+      setTrashDays(String(r.trash_purge_days))
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setSavingSettings(false)
+    }
+  }
+
+  const saveRequireTotp = async (on) => {
+    setError('')
+    try {
+      const r = await API.adminSaveSettings({ require_admin_totp: on })
+      if (r?.error) throw new Error(r.error)
+      setRequireAdminTotp(!!r.require_admin_totp)
+      // an admin without 2FA is sent to the setup screen right away
+      if (r.require_admin_totp && !user?.totp_enabled) window.location.reload()
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  const setCapability = async (u, key, on) => {
+    setError('')
+    try {
+      const r = await API.adminUpdateUser(u.id, { [key]: on })
+      if (!r?.ok) throw new Error(r?.error || 'Update failed')
+      setList(prev => prev.map(x => x.id === u.id ? { ...x, [key]: r[key] ? 1 : 0 } : x))
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  const saveUser = async (u, patch) => {
+    setError('')
+    try {
+      const { ok, error, ...item } = await API.adminUpdateUser(u.id, patch)
+      if (!ok) throw new Error(error || 'Update failed')
+      setList(prev => prev.map(x => x.id === u.id ? { ...x, ...item } : x))
+      setEditingId(0)
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  // No ticked library means every library
+  const toggleLibrary = async (u, libraryId, on) => {
+    const current = (u.library_ids || []).filter(id => libraries.some(l => l.id === id))
+    const next = on ? [...current, libraryId] : current.filter(id => id !== libraryId)
+    setError('')
+    try {
+      const r = await API.adminUpdateUser(u.id, { library_ids: next })
+      if (!r?.ok) throw new Error(r?.error || 'Update failed')
+      setList(prev => prev.map(x => x.id === u.id ? { ...x, library_ids: r.library_ids } : x))
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  const deleteUser = async (id, username) => {
+    if (!window.confirm(`Delete user "${username}"? This cannot be undone.`)) return
+    setDeletingId(id); setError('')
+    try {
+      const r = await API.adminDeleteUser(id)
+      if (!r?.ok) throw new Error(r?.error || 'Delete failed')
+      await load()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setDeletingId(0)
+    }
+  }
+
+  return (
+    <div className="h-full grid" style={{ gridTemplateRows: 'auto 1fr' }}>
+      <header className="p-3 border-b border-white/10 bg-zinc-950 flex items-center gap-2">
+        <Shield className="w-5 h-5 text-slate-200" />
+        <div className="text-sm font-semibold text-slate-100">{user?.is_admin ? 'Admin Panel' : 'Users'}</div>
+        <div className="ml-auto" />
+        <button
+          className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+          onClick={onClose}
+        >
+          Back to Library
+        </button>
+      </header>
+      <div className="p-3 overflow-auto">
+        {error && <div className="mb-3 text-sm text-rose-300 bg-rose-950/40 border border-rose-500/30 rounded px-3 py-2">{error}</div>}
+
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="bg-white/5 border border-white/10 rounded-xl p-3">
+            <div className="text-sm font-semibold mb-2">Create User</div>
+            <div className="text-xs text-slate-400 mb-3">Leave path blank to grant full-library access; more folders and groups can be added in the user list.</div>
+            <div className="space-y-2">
+              <div>
+                <label className="block text-xs text-slate-300 mb-1">Username</label>
+                <input className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.username} onChange={e=>setForm(f=>({...f, username:e.target.value}))}/>
+              </div>
+              <div>
+                <label className="block text-xs text-slate-300 mb-1">Password</label>
+                <input type="password" className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.password} onChange={e=>setForm(f=>({...f, password:e.target.value}))}/>
+              </div>
+              {user?.is_admin && (
+                <div className="flex items-center gap-2">
+                  <input id="new-user-admin" type="checkbox" className="w-4 h-4" checked={!!form.isAdmin} onChange={e=>setForm(f=>({...f, isAdmin:e.target.checked}))} />
+                  <label htmlFor="new-user-admin" className="text-xs text-slate-300 select-none">Admin</label>
+                </div>
+              )}
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                {CAPABILITY_OPTIONS.map(c => (
+                  <label key={c.key} className="inline-flex items-center gap-1 text-xs text-slate-300 select-none" title={c.title}>
+                    <input
+                      type="checkbox"
+                      className="w-4 h-4"
+                      checked={!!form.isAdmin || (!!form.caps[c.key] && !!user?.[c.key])}
+                      disabled={!!form.isAdmin || !user?.[c.key]}
+                      onChange={e => setForm(f => ({ ...f, caps: { ...f.caps, [c.key]: e.target.checked } }))}
+                    />
+                    {c.label}
+                  </label>
+                ))}
+              </div>
+              <div>
+                <label className="block text-xs text-slate-300 mb-1">Allowed Path (relative to library)</label>
+                <input placeholder="e.g. 2024/Trips/Paris" className="w-full px-2 py-1.5 rounded bg-white/10 border border-white/10" value={form.path} onChange={e=>setForm(f=>({...f, path:e.target.value}))}/>
+              </div>
+              <div className="pt-2">
+                <button disabled={creating} className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={createUser}>
+                  {creating ? 'Creating…' : 'Create user'}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white/5 border border-white/10 rounded-xl p-3">
+            <div className="text-sm font-semibold mb-2">Users</div>
+            {loading ? (
               <div className="text-slate-400 text-sm">Loading users…</div>
             ) : (
               <div className="space-y-2 text-sm">
                 {list.map(u => {
                   const isSelf = u.id === user.id
                   const isProtected = !!u.is_protected
+                  const locked = !!u.is_admin && !user?.is_admin
                   return (
                     <div key={u.id} className="rounded border border-white/10 p-2">
                       <div className="flex items-center gap-2">
                         <div className="font-medium">{u.username}</div>
                         {u.is_admin ? <span className="text-[10px] px-1.5 py-0.5 rounded bg-yellow-500/20 text-yellow-300 border border-yellow-400/30">ADMIN</span> : null}
                         {isProtected ? <span className="text-[10px] px-1.5 py-0.5 rounded bg-sky-500/20 text-sky-300 border border-sky-400/30">DEFAULT</span> : null}
+                        {u.disabled ? <span className="text-[10px] px-1.5 py-0.5 rounded bg-rose-500/20 text-rose-300 border border-rose-400/30">DISABLED</span> : null}
+                        {u.totp_enabled ? <span className="text-[10px] px-1.5 py-0.5 rounded bg-emerald-500/20 text-emerald-300 border border-emerald-400/30" title="Two-factor authentication is on">2FA</span> : null}
                         <div className="ml-auto text-xs text-slate-400">{new Date(u.created_at).toLocaleString()}</div>
                       </div>
                       <div className="mt-2 flex items-center gap-2">
                         <div className="text-xs text-slate-300">
-                          Scope: <span className="text-slate-100">{u.root_path || <em>full library</em>}</span>
+                          Scope: <span className="text-slate-100">{u.allowed ? u.allowed.join(', ') : <em>full library</em>}</span>
                         </div>
                         <div className="ml-auto flex items-center gap-2">
                           <button
-                            className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border ${isSelf || isProtected ? 'opacity-40 cursor-not-allowed' : 'hover:bg-rose-500/15'} bg-rose-500/10 border-rose-500/30 text-rose-300`}
-                            title={isProtected ? 'Default admin cannot be deleted' : (isSelf ? 'You cannot delete your own account' : 'Delete user')}
-                            disabled={isSelf || isProtected || deletingId === u.id}
+                            className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border bg-white/10 border-white/10 ${locked ? 'opacity-40 cursor-not-allowed' : 'hover:bg-white/15'}`}
+                            title={locked ? 'Admin accounts are managed by admins' : 'Password, base folder, admin and disabled state'}
+                            disabled={locked}
+                            onClick={() => setEditingId(editingId === u.id ? 0 : u.id)}
+                          >
+                            <Pencil className="w-4 h-4" />
+                            Edit
+                          </button>
+                          <button
+                            className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border ${isSelf || isProtected || locked ? 'opacity-40 cursor-not-allowed' : 'hover:bg-rose-500/15'} bg-rose-500/10 border-rose-500/30 text-rose-300`}
+                            title={isProtected ? 'Default admin cannot be deleted' : (isSelf ? 'You cannot delete your own account' : (locked ? 'Admin accounts are managed by admins' : 'Delete user'))}
+                            disabled={isSelf || isProtected || locked || deletingId === u.id}
                             onClick={() => deleteUser(u.id, u.username)}
                           >
                             <Trash2 className="w-4 h-4" />
@@ -2527,6 +5656,50 @@ function AdminPanel({ user, onClose }) {
                           </button>
                         </div>
                       </div>
+                      {editingId === u.id && (
+                        <UserEditor target={u} actor={user} onSave={(patch) => saveUser(u, patch)} onCancel={() => setEditingId(0)} />
+                      )}
+                      <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+                        {CAPABILITY_OPTIONS.map(c => (
+                          <label key={c.key} className="inline-flex items-center gap-1 text-xs text-slate-300" title={u.is_admin ? 'Admins have every capability' : c.title}>
+                            <input
+                              type="checkbox"
+                              checked={!!(u.is_admin || u[c.key])}
+                              disabled={!!u.is_admin || (!user?.[c.key] && !u[c.key])}
+                              onChange={e => setCapability(u, c.key, e.target.checked)}
+                            />
+                            {c.label}
+                          </label>
+                        ))}
+                      </div>
+                      <div className="mt-2">
+                        <GrantList
+                          grants={u.grants}
+                          onAdd={async (grant) => {
+                            setError('')
+                            const r = await API.adminGrantCreate({ ...grant, user_id: u.id }).catch(e => ({ error: e.message }))
+                            if (r?.error) { setError(r.error); return false }
+                            await load()
+                            return true
+                          }}
+                          onRemove={async (grant) => {
+                            const r = await API.adminGrantDelete(grant.id).catch(e => ({ error: e.message }))
+                            if (r?.error) setError(r.error); else await load()
+                          }}
+                        />
+                      </div>
+                      {libraries.length > 1 && !u.is_admin && (
+                        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-300">
+                          <span title="None ticked: every library">Libraries:</span>
+                          {libraries.map(l => (
+                            <label key={l.id} className="inline-flex items-center gap-1">
+                              <input type="checkbox" checked={(u.library_ids || []).includes(l.id)} onChange={e => toggleLibrary(u, l.id, e.target.checked)} />
+                              {l.name}
+                            </label>
+                          ))}
+                          {!(u.library_ids || []).some(id => libraries.some(l => l.id === id)) && <em className="text-slate-500">{u.library_ids?.length ? 'none' : 'all'}</em>}
+                        </div>
+                      )}
                     </div>
                   )
                 })}
@@ -2535,11 +5708,68 @@ function AdminPanel({ user, onClose }) {
             )}
           </div>
 
+          {user?.is_admin && (
+          <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+            <div className="text-sm font-semibold mb-2">Trash</div>
+            <div className="flex items-center gap-2 text-xs text-slate-300">
+              <label htmlFor="trash-days">Delete trashed items for good after</label>
+              <input
+                id="trash-days"
+                type="number"
+                min="0"
+                max="3650"
+                className="w-20 px-2 py-1 rounded bg-white/10 border border-white/10"
+                value={trashDays}
+                onChange={e => setTrashDays(e.target.value)}
+              />
+              <span>days (0 = never)</span>
+              <button
+                className="ml-auto px-3 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15"
+                disabled={savingSettings || trashDays === ''}
+                onClick={saveSettings}
+              >
+                {savingSettings ? 'Saving…' : 'Save'}
+              </button>
+            </div>
+          </div>
+
+          )}
+
+          {user?.is_admin && (
+            <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+              <div className="text-sm font-semibold mb-2">Security</div>
+              <label className="flex items-center gap-2 text-xs text-slate-300">
+                <input type="checkbox" checked={requireAdminTotp} onChange={e => saveRequireTotp(e.target.checked)} />
+                Require two-factor authentication for admins (admins without it must set it up before doing anything else)
+              </label>
+            </div>
+          )}
+
+          <GroupsCard users={list} onChanged={load} />
+
+          {user?.is_admin && (
+            <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
+              <div className="text-sm font-semibold mb-2">Sessions</div>
+              <SessionList all />
+            </div>
+          )}
+
+          {user?.is_admin && (
+          <>
+          <LibrariesCard libraries={libraries} onChanged={loadLibraries} />
+
+          <JobQueueCard />
+
+          <ScanSchedulesCard />
+
+          <ScanRulesCard libraries={libraries} />
+
           <div className="bg-white/5 border border-white/10 rounded-xl p-3 sm:col-span-2">
             <div className="flex items-center gap-2 mb-2">
               <div className="text-sm font-semibold">All Shares</div>
               <button className="ml-auto text-xs px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={loadAllShares}>Refresh</button>
             </div>
+            <UploadQueue all />
             {loadingShares ? (
               <div className="text-slate-400 text-sm">Loading shares…</div>
             ) : (
@@ -2548,7 +5778,7 @@ function AdminPanel({ user, onClose }) {
                   <div key={s.id} className="rounded border border-white/10 p-2">
                     <div className="flex items-center gap-2">
                       <div className="font-medium truncate">{s.name}{s.selected && !s.name.includes("'") ? ' (selected)' : ''}</div>
-                      <div className="text-xs text-slate-400 truncate">{s.folder}</div>
+                      <div className="text-xs text-slate-400 truncate">{s.album_id ? `Album: ${s.album_name || s.name}` : s.folder}</div>
                       <span className="ml-auto text-[10px] px-1.5 py-0.5 rounded bg-sky-500/20 text-sky-300 border border-sky-400/30">{s.username || 'user ' + s.user_id}</span>
                     </div>
                     <div className="mt-2 flex items-center gap-2">
@@ -2556,6 +5786,8 @@ function AdminPanel({ user, onClose }) {
                       <button className="text-xs px-2 py-1 rounded-full bg-white/10 border border-white/10 hover:bg-white/15" onClick={async()=>{ const copied = await copyToClipboard(`${window.location.origin}/s/${s.token}`); if (copied) showToast('Link copied to clipboard') }}>Copy link</button>
                       <button className="ml-auto text-xs px-2 py-1 rounded-full bg-rose-500/10 border border-rose-500/30 text-rose-300 hover:bg-rose-500/15" onClick={async()=>{ if(!confirm('Delete this share?')) return; try { const r = await API.shareDelete(s.id); if(r?.ok) setAllShares(prev=>prev.filter(x=>x.id!==s.id)) } catch{} }}>Delete</button>
                     </div>
+                    <ShareSettingsEditor user={user} share={s} onChange={(next) => setAllShares(prev => prev.map(x => x.id === next.id ? next : x))} />
+                    <ShareActivity share={s} />
                   </div>
                 ))}
                 {allShares.length === 0 && (
@@ -2564,6 +5796,8 @@ function AdminPanel({ user, onClose }) {
               </div>
             )}
           </div>
+          </>
+          )}
         </div>
       </div>
     </div>